@@ -89,3 +89,142 @@ export const updateAdCues = function(media, track, offset = 0) {
     mediaTime += segment.duration;
   }
 };
+
+/**
+ * Finds the cue previously created for a date range
+ *
+ * @param {TextTrack} track
+ *        The track holding the cues
+ * @param {String} id
+ *        The ID of the date range
+ * @return {VTTCue|null}
+ *         The cue, or null if the date range has no cue yet
+ */
+const findDateRangeCue = function(track, id) {
+  let cues = track.cues;
+
+  for (let i = 0; i < cues.length; i++) {
+    if (cues[i].dateRange && cues[i].id === id) {
+      return cues[i];
+    }
+  }
+  return null;
+};
+
+/**
+ * Calculates the player time of the end of a playlist using the program date times of
+ * its segments.
+ *
+ * @param {Object} media
+ *        The media playlist
+ * @param {Number} datetimeToDisplayTime
+ *        The offset from program date time in seconds to player time
+ * @return {Number|null}
+ *         The end of the playlist, or null if no segment has a program date time
+ */
+const playlistEndTime = function(media, datetimeToDisplayTime) {
+  let time = null;
+
+  media.segments.forEach((segment) => {
+    if (segment.dateTimeObject) {
+      time = segment.dateTimeObject.getTime() / 1000 + datetimeToDisplayTime;
+    }
+    if (time !== null) {
+      time += segment.duration;
+    }
+  });
+
+  return time;
+};
+
+/**
+ * Calculates the end of a date range in seconds of program date time. Date ranges with
+ * END-ON-NEXT end when the next date range with the same CLASS starts.
+ *
+ * @param {Object} dateRange
+ *        The date range
+ * @param {Object[]} dateRanges
+ *        All of the date ranges of the playlist
+ * @return {Number|null}
+ *         The end of the date range, or null if it is not known yet
+ */
+const dateRangeEnd = function(dateRange, dateRanges) {
+  const start = dateRange.startDate.getTime() / 1000;
+
+  if (dateRange.endDate) {
+    return dateRange.endDate.getTime() / 1000;
+  }
+  if (typeof dateRange.duration === 'number') {
+    return start + dateRange.duration;
+  }
+  if (dateRange.endOnNext) {
+    const next = dateRanges
+      .map((range) => range.startDate.getTime() / 1000)
+      .filter((time, i) => dateRanges[i].class === dateRange.class && time > start)
+      .sort((a, b) => a - b)[0];
+
+    if (typeof next === 'number') {
+      return next;
+    }
+  }
+  if (typeof dateRange.plannedDuration === 'number') {
+    return start + dateRange.plannedDuration;
+  }
+  return null;
+};
+
+/**
+ * Adds or updates a cue on the ad-cues track for every EXT-X-DATERANGE of a playlist.
+ * Date ranges are mapped to player time with the program date time mapping of the
+ * SyncController. Each cue has the ID of its date range and the parsed date range,
+ * including its SCTE-35 and client attributes, as its `dateRange` property. Cues for
+ * date ranges with a SCTE35-OUT attribute also have `adStartTime` and `adEndTime` so
+ * that they can be found with findAdCue. Date ranges that have not ended yet last
+ * until the end of the playlist and are extended on later playlist refreshes.
+ *
+ * @param {Object} media
+ *        The media playlist
+ * @param {TextTrack} track
+ *        The ad-cues track
+ * @param {Number} datetimeToDisplayTime
+ *        The offset from program date time in seconds to player time
+ */
+export const updateDateRangeCues = function(media, track, datetimeToDisplayTime) {
+  if (!media.dateRanges || !media.segments ||
+      typeof datetimeToDisplayTime !== 'number') {
+    return;
+  }
+
+  const playlistEnd = playlistEndTime(media, datetimeToDisplayTime);
+
+  media.dateRanges.forEach((dateRange) => {
+    if (!dateRange.startDate || isNaN(dateRange.startDate.getTime())) {
+      return;
+    }
+
+    const startTime = dateRange.startDate.getTime() / 1000 + datetimeToDisplayTime;
+    let endTime = dateRangeEnd(dateRange, media.dateRanges);
+
+    if (endTime === null) {
+      endTime = Math.max(startTime, playlistEnd === null ? startTime : playlistEnd);
+    } else {
+      endTime += datetimeToDisplayTime;
+    }
+
+    let cue = findDateRangeCue(track, dateRange.id);
+
+    if (!cue) {
+      cue = new window.VTTCue(startTime, endTime, dateRange.class || dateRange.id);
+      cue.id = dateRange.id;
+      track.addCue(cue);
+    }
+
+    cue.endTime = endTime;
+    cue.dateRange = dateRange;
+
+    if ('scte35Out' in dateRange) {
+      cue.adStartTime = startTime;
+      cue.adEndTime = endTime;
+    }
+  });
+};
@@ -0,0 +1,144 @@
+/**
+ * @file bandwidth-estimator.js
+ *
+ * Estimates the network bandwidth from the segment downloads of a SegmentLoader. The
+ * time to the first byte of a response is measured separately from the time spent
+ * transferring it, so that a slow server response does not make the network look slow.
+ */
+import window from 'global/window';
+import Config from './config';
+
+const STORAGE_KEY = 'videojs-vhs-bandwidth';
+
+/**
+ * An exponentially weighted moving average in which each sample is weighted by the
+ * time it took. Samples lose half of their weight after `halfLife` seconds worth of
+ * newer samples.
+ *
+ * @param {number} halfLife
+ *        The half life in seconds
+ */
+class Ewma {
+  constructor(halfLife) {
+    this.alpha_ = Math.exp(Math.log(0.5) / halfLife);
+    this.estimate_ = 0;
+    this.totalWeight_ = 0;
+  }
+
+  sample(weight, value) {
+    const adjustedAlpha = Math.pow(this.alpha_, weight);
+
+    this.estimate_ = value * (1 - adjustedAlpha) + adjustedAlpha * this.estimate_;
+    this.totalWeight_ += weight;
+  }
+
+  estimate() {
+    // correct for the estimate starting out at zero
+    return this.estimate_ / (1 - Math.pow(this.alpha_, this.totalWeight_));
+  }
+}
+
+/**
+ * @class BandwidthEstimator
+ */
+export default class BandwidthEstimator {
+  constructor() {
+    this.fast_ = new Ewma(Config.BANDWIDTH_FAST_HALF_LIFE);
+    this.slow_ = new Ewma(Config.BANDWIDTH_SLOW_HALF_LIFE);
+    this.timeToFirstByte_ = null;
+    this.samples_ = 0;
+  }
+
+  /**
+   * Records a download
+   *
+   * @param {Object} stats
+   *        Stats of the download
+   * @param {number} stats.transferBytes
+   *        The number of bytes received after the first byte
+   * @param {number} stats.transferTime
+   *        Milliseconds from the first byte to the end of the response
+   * @param {number=} stats.timeToFirstByte
+   *        Milliseconds from the request to the first byte, if known
+   */
+  sample(stats) {
+    if (typeof stats.timeToFirstByte === 'number') {
+      this.timeToFirstByte_ = this.timeToFirstByte_ === null ?
+        stats.timeToFirstByte :
+        Config.TIME_TO_FIRST_BYTE_WEIGHT * stats.timeToFirstByte +
+          (1 - Config.TIME_TO_FIRST_BYTE_WEIGHT) * this.timeToFirstByte_;
+    }
+
+    if (!(stats.transferTime > 0) || !(stats.transferBytes > 0)) {
+      return;
+    }
+
+    const seconds = stats.transferTime / 1000;
+    const bandwidth = stats.transferBytes * 8 / seconds;
+
+    this.fast_.sample(seconds, bandwidth);
+    this.slow_.sample(seconds, bandwidth);
+    this.samples_++;
+  }
+
+  /**
+   * The bandwidth estimate. The lower of a fast and a slow moving average is used so
+   * that the estimate drops quickly and recovers slowly.
+   *
+   * @return {number|null}
+   *         The bandwidth in bits per second, or null without samples
+   */
+  bandwidth() {
+    if (!this.samples_) {
+      return null;
+    }
+
+    return Math.round(Math.min(this.fast_.estimate(), this.slow_.estimate()));
+  }
+
+  /**
+   * The estimated time it takes for a response to start arriving
+   *
+   * @return {number|null}
+   *         The time to the first byte in milliseconds, or null without samples
+   */
+  timeToFirstByte() {
+    return this.timeToFirstByte_;
+  }
+}
+
+/**
+ * Stores a bandwidth estimate to be used as the initial bandwidth of later sources
+ *
+ * @param {Object} estimate
+ *        The `bandwidth` in bits per second and `timeToFirstByte` in milliseconds
+ */
+export const saveBandwidthEstimate = (estimate) => {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(estimate));
+  } catch (e) {
+    // storage may be unavailable (e.g. in private browsing) or full
+  }
+};
+
+/**
+ * Reads the stored bandwidth estimate
+ *
+ * @return {Object|null}
+ *         The estimate stored with saveBandwidthEstimate, or null if there is none
+ */
+export const loadBandwidthEstimate = () => {
+  let estimate;
+
+  try {
+    estimate = JSON.parse(window.localStorage.getItem(STORAGE_KEY));
+  } catch (e) {
+    return null;
+  }
+
+  if (!estimate || typeof estimate.bandwidth !== 'number' || !(estimate.bandwidth > 0)) {
+    return null;
+  }
+
+  return estimate;
+};
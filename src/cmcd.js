@@ -0,0 +1,263 @@
+/**
+ * @file cmcd.js
+ *
+ * Common Media Client Data (CTA-5004) lets a player describe its state to the CDN with
+ * each request: what is being requested, how much is buffered, the measured
+ * throughput and whether playback is starting or stalled. The data is sent as a
+ * `CMCD` query parameter or as `CMCD-*` request headers.
+ */
+import videojs from 'video.js';
+import { timeUntilRebuffer } from './ranges';
+import pauseMixin from './pause-mixin';
+
+// the CMCD header each key is sent in
+const HEADER_KEYS = {
+  'CMCD-Object': ['br', 'd', 'ot', 'tb'],
+  'CMCD-Request': ['bl', 'mtp', 'su'],
+  'CMCD-Session': ['cid', 'sf', 'sid', 'st'],
+  'CMCD-Status': ['bs']
+};
+
+// keys whose values are tokens rather than strings, so are not quoted
+const TOKEN_KEYS = ['ot', 'sf', 'st'];
+
+// the object type of each type of request, segments have the type of their content
+const OBJECT_TYPES = {
+  manifest: 'm',
+  playlist: 'm',
+  key: 'k',
+  init: 'i'
+};
+
+/**
+ * Creates a random session id
+ *
+ * @return {string}
+ *         A version 4 UUID
+ */
+export const createSessionId = () => {
+  return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, (c) => {
+    const random = Math.random() * 16 | 0;
+
+    return (c === 'x' ? random : (random & 0x3 | 0x8)).toString(16);
+  });
+};
+
+/**
+ * Serializes CMCD data, with the keys sorted alphabetically
+ *
+ * @param {Object} data
+ *        CMCD keys and their values. `true` values are sent as the key alone, `false`,
+ *        `null` and undefined values are left out
+ * @return {string}
+ *         The serialized data
+ */
+export const encodeCmcd = (data) => {
+  return Object.keys(data).sort().filter((key) => {
+    return data[key] !== false && data[key] !== null && typeof data[key] !== 'undefined';
+  }).map((key) => {
+    const value = data[key];
+
+    if (value === true) {
+      return key;
+    }
+    if (typeof value === 'number' || TOKEN_KEYS.indexOf(key) !== -1) {
+      return `${key}=${value}`;
+    }
+
+    return `${key}=${JSON.stringify(String(value))}`;
+  }).join(',');
+};
+
+/**
+ * Splits CMCD data into its request headers
+ *
+ * @param {Object} data
+ *        CMCD keys and their values
+ * @return {Object}
+ *         The non-empty CMCD headers
+ */
+export const cmcdHeaders = (data) => {
+  const headers = {};
+
+  Object.keys(HEADER_KEYS).forEach((header) => {
+    const headerData = {};
+
+    HEADER_KEYS[header].forEach((key) => {
+      headerData[key] = data[key];
+    });
+
+    const value = encodeCmcd(headerData);
+
+    if (value) {
+      headers[header] = value;
+    }
+  });
+
+  return headers;
+};
+
+/**
+ * Adds the CMCD query parameter to a URI
+ *
+ * @param {string} uri
+ *        The URI of the request
+ * @param {Object} data
+ *        CMCD keys and their values
+ * @return {string}
+ *         The URI with the CMCD data
+ */
+export const cmcdUri = (uri, data) => {
+  const hashIndex = uri.indexOf('#');
+  const hash = hashIndex === -1 ? '' : uri.slice(hashIndex);
+  const base = hashIndex === -1 ? uri : uri.slice(0, hashIndex);
+  const separator = base.indexOf('?') === -1 ? '?' : '&';
+
+  return `${base}${separator}CMCD=${encodeURIComponent(encodeCmcd(data))}${hash}`;
+};
+
+/**
+ * Annotates requests with the CMCD data of the player.
+ *
+ * @class Cmcd
+ */
+export default class Cmcd {
+  /**
+   * @constructor
+   * @param {Object} options
+   * @param {Tech} options.tech
+   *        The tech, for the buffer and to follow startup and rebuffering
+   * @param {string} options.sourceType
+   *        `hls` or `dash`
+   * @param {Function} options.masterPlaylistController
+   *        Returns the master playlist controller once it exists
+   * @param {string=} options.sessionId
+   *        The session id, a random one by default
+   * @param {string=} options.contentId
+   *        The content id, none by default
+   * @param {boolean=} options.useHeaders
+   *        Whether to send the data as headers rather than as a query parameter
+   */
+  constructor(options) {
+    this.tech_ = options.tech;
+    this.sourceType_ = options.sourceType;
+    this.masterPlaylistController_ = options.masterPlaylistController;
+    this.sessionId = options.sessionId || createSessionId();
+    this.contentId = options.contentId || null;
+    this.useHeaders_ = !!options.useHeaders;
+
+    this.started_ = false;
+    this.starved_ = false;
+
+    this.playingHandler_ = () => {
+      this.started_ = true;
+    };
+    this.waitingHandler_ = () => {
+      if (this.started_ && !this.tech_.seeking()) {
+        this.starved_ = true;
+      }
+    };
+
+    pauseMixin(this, () => {
+      this.starved_ = false;
+    });
+    this.listen_('on');
+  }
+
+  /**
+   * Starts or stops noting when playback starts and when it runs out of data
+   *
+   * @param {string} method
+   *        `on` or `off`
+   * @private
+   */
+  listen_(method) {
+    this.tech_[method]('playing', this.playingHandler_);
+    this.tech_[method]('waiting', this.waitingHandler_);
+  }
+
+  /**
+   * Gathers the CMCD data of a request
+   *
+   * @param {Object} options
+   *        The options of the request, with the `cmcd` data of its segment loader
+   * @return {Object}
+   *         CMCD keys and their values
+   * @private
+   */
+  data_(options) {
+    const mpc = this.masterPlaylistController_();
+    const segmentData = options.cmcd || {};
+    const isSegment = options.requestType === 'segment';
+    const data = {
+      sid: this.sessionId,
+      cid: this.contentId,
+      sf: this.sourceType_ === 'dash' ? 'd' : 'h',
+      ot: OBJECT_TYPES[options.requestType] || segmentData.ot,
+      br: segmentData.br,
+      d: isSegment ? segmentData.d : null,
+      su: !this.started_ || this.tech_.seeking() || this.starved_,
+      bs: this.starved_
+    };
+
+    if (mpc) {
+      const media = mpc.masterPlaylistLoader_.media();
+      const master = mpc.master();
+      const bandwidth = mpc.mainSegmentLoader_.bandwidth;
+
+      if (media) {
+        data.st = media.endList ? 'v' : 'l';
+      }
+      if (master && master.playlists.length) {
+        data.tb = Math.round(Math.max.apply(null, master.playlists.map((playlist) => {
+          return (playlist.attributes && playlist.attributes.BANDWIDTH) || 0;
+        })) / 1000) || null;
+      }
+      if (typeof bandwidth === 'number' && isFinite(bandwidth)) {
+        data.mtp = Math.round(bandwidth / 100000) * 100;
+      }
+    }
+
+    if (isSegment) {
+      const bufferLength =
+        timeUntilRebuffer(this.tech_.buffered(), this.tech_.currentTime());
+
+      // rounded to 100ms as recommended
+      data.bl = Math.max(0, Math.round(bufferLength * 10) * 100);
+    }
+
+    return data;
+  }
+
+  /**
+   * Adds the CMCD data to the options of a request
+   *
+   * @param {Object} options
+   *        The options of the request
+   * @return {Object}
+   *         New options with the CMCD data in the URI or headers, or the same options
+   *         while paused
+   */
+  annotate(options) {
+    if (this.paused_) {
+      return options;
+    }
+
+    const data = this.data_(options);
+
+    // a buffer starvation is reported with the next segment request
+    if (options.requestType === 'segment') {
+      this.starved_ = false;
+    }
+
+    if (this.useHeaders_) {
+      return videojs.mergeOptions(options, { headers: cmcdHeaders(data) });
+    }
+
+    return videojs.mergeOptions(options, { uri: cmcdUri(options.uri, data) });
+  }
+
+  dispose() {
+    this.listen_('off');
+  }
+}
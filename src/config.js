@@ -8,5 +8,64 @@ export default {
   // How much of the buffer must be filled before we consider upswitching
   BUFFER_LOW_WATER_LINE: 0,
   MAX_BUFFER_LOW_WATER_LINE: 30,
-  BUFFER_LOW_WATER_LINE_RATE: 1
+  BUFFER_LOW_WATER_LINE_RATE: 1,
+  // How far the live latency may drift from the target before the playback rate is
+  // adjusted
+  LIVE_LATENCY_TOLERANCE: 0.5,
+  // Playback rates used to move towards the target live latency
+  LIVE_CATCH_UP_PLAYBACK_RATE: 1.05,
+  LIVE_SLOW_DOWN_PLAYBACK_RATE: 0.95,
+  // The number of segment download bandwidth measurements kept for ABR strategies
+  BANDWIDTH_HISTORY_LENGTH: 10,
+  // Seconds of buffer below which BOLA chooses the lowest rendition
+  BOLA_MINIMUM_BUFFER: 10,
+  // Seconds of buffer BOLA needs above the minimum for each rendition
+  BOLA_MINIMUM_BUFFER_PER_LEVEL: 2,
+  // The number of frames a rendition must render before its dropped frames are judged
+  DROPPED_FRAMES_MIN_FRAMES: 150,
+  // The share of dropped frames at which a rendition is excluded
+  DROPPED_FRAMES_MAX_RATIO: 0.15,
+  // Seconds for which renditions that dropped too many frames are excluded
+  DROPPED_FRAMES_EXCLUDE_DURATION: 60,
+  // Half lives, in seconds of transfer time, of the fast and slow moving averages of
+  // the bandwidth estimate
+  BANDWIDTH_FAST_HALF_LIFE: 2,
+  BANDWIDTH_SLOW_HALF_LIFE: 5,
+  // The weight of the newest request in the average time to the first byte
+  TIME_TO_FIRST_BYTE_WEIGHT: 0.3,
+  // Seconds between steering manifest requests when the manifest does not set a TTL
+  CONTENT_STEERING_TTL: 300,
+  // How failed requests are retried before the error is reported. Requests are not
+  // retried unless `maxAttempts` is raised above 1. Delays are in
+  // milliseconds, each retry waits `backoffFactor` times longer than the previous one,
+  // up to `maxDelay`, randomized by up to `jitter` times the delay. Requests without a
+  // timeout of their own time out after the timeout of their `requestType`.
+  RETRY_POLICY: {
+    maxAttempts: 1,
+    initialDelay: 500,
+    backoffFactor: 2,
+    maxDelay: 4000,
+    jitter: 0.2,
+    retryableStatusCodes: [0, 408, 429, 500, 502, 503, 504],
+    timeouts: {
+      manifest: 45e3,
+      playlist: 45e3,
+      key: 45e3,
+      init: 45e3,
+      segment: 45e3
+    }
+  },
+  // The number of requests kept in the request log
+  REQUEST_LOG_LENGTH: 500,
+  // Playback rates at or above this, and negative rates, show I-frames only
+  TRICK_PLAY_MIN_RATE: 4,
+  // Milliseconds between the frames shown in trick play
+  TRICK_PLAY_INTERVAL: 250,
+  // Seconds past its start at which playback that reaches an interstitial still plays it
+  INTERSTITIAL_START_TOLERANCE: 1,
+  // The video codec families to play, from most to least preferred, when the variants of
+  // a source use several of them
+  VIDEO_CODEC_PREFERENCE: ['av1', 'hevc', 'vp9', 'avc'],
+  // The frame rate to ask MediaCapabilities about for variants without a FRAME-RATE
+  MEDIA_CAPABILITIES_FRAME_RATE: 30
 };
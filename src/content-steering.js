@@ -0,0 +1,385 @@
+/**
+ * @file content-steering.js
+ *
+ * Content steering lets a steering server order the pathways (e.g. CDNs) a stream is
+ * delivered on. HLS lists the pathway of each variant with a PATHWAY-ID attribute, DASH
+ * gives each BaseURL a serviceLocation. The steering manifest is refreshed periodically
+ * and pathways that fail are excluded for a while, so that playback moves to the next
+ * pathway instead of failing.
+ */
+import window from 'global/window';
+import videojs from 'video.js';
+import Config from './config';
+import resolveUrl from './resolve-url';
+import { parseMpdXml, findChildren } from './dash-periods';
+import logger from './util/logger';
+
+// the pathway of HLS variants without a PATHWAY-ID attribute
+export const DEFAULT_PATHWAY = '.';
+
+/**
+ * Returns the pathway of an HLS variant
+ *
+ * @param {Object} playlist
+ *        The variant's playlist
+ * @return {string}
+ *         Its PATHWAY-ID attribute, or the default pathway
+ */
+export const pathwayOf = (playlist) => {
+  return (playlist.attributes && playlist.attributes['PATHWAY-ID']) || DEFAULT_PATHWAY;
+};
+
+/**
+ * Finds the content steering of an HLS master playlist
+ *
+ * @param {Object} master
+ *        The master playlist
+ * @return {Object|null}
+ *         The steering `serverUri`, `defaultPathway` and `pathways` in the order they
+ *         are first listed, or null if the master playlist does not use content
+ *         steering
+ */
+export const hlsContentSteering = (master) => {
+  if (!master || !master.contentSteering || !master.contentSteering.serverUri) {
+    return null;
+  }
+
+  const pathways = [];
+
+  master.playlists.forEach((playlist) => {
+    const pathway = pathwayOf(playlist);
+
+    if (pathways.indexOf(pathway) === -1) {
+      pathways.push(pathway);
+    }
+  });
+
+  return {
+    serverUri: resolveUrl(master.uri, master.contentSteering.serverUri),
+    defaultPathway: master.contentSteering.pathwayId || pathways[0],
+    pathways
+  };
+};
+
+/**
+ * Finds the content steering of an MPD. Its pathways are the service locations of the
+ * MPD level BaseURL elements.
+ *
+ * @param {string} manifestString
+ *        XML string of the MPD manifest
+ * @param {string} manifestUri
+ *        The URI of the MPD
+ * @return {Object|null}
+ *         The steering `serverUri`, `defaultPathway`, `pathways` and the resolved
+ *         `baseUrls` of the pathways, or null if the MPD does not use content steering
+ */
+export const dashContentSteering = (manifestString, manifestUri) => {
+  const mpd = parseMpdXml(manifestString);
+  const steering = mpd && findChildren(mpd, 'ContentSteering')[0];
+
+  if (!steering || !steering.textContent.trim()) {
+    return null;
+  }
+
+  const pathways = [];
+  const baseUrls = {};
+
+  findChildren(mpd, 'BaseURL').forEach((node) => {
+    const location = node.getAttribute('serviceLocation');
+
+    if (location && !baseUrls.hasOwnProperty(location)) {
+      pathways.push(location);
+      baseUrls[location] = resolveUrl(manifestUri, node.textContent.trim());
+    }
+  });
+
+  if (!pathways.length) {
+    return null;
+  }
+
+  const defaultLocation =
+    (steering.getAttribute('defaultServiceLocation') || '').split(/\s+/)[0];
+
+  return {
+    serverUri: resolveUrl(manifestUri, steering.textContent.trim()),
+    defaultPathway: baseUrls.hasOwnProperty(defaultLocation) ?
+      defaultLocation : pathways[0],
+    pathways,
+    baseUrls
+  };
+};
+
+/**
+ * Removes the MPD level BaseURL elements of every service location except one, so that
+ * the playlists of the MPD are only created once, for that service location
+ *
+ * @param {string} manifestString
+ *        XML string of the MPD manifest
+ * @param {string} serviceLocation
+ *        The service location to keep
+ * @return {string}
+ *         The XML string of the MPD with the BaseURL elements removed
+ */
+export const keepServiceLocation = (manifestString, serviceLocation) => {
+  const mpd = parseMpdXml(manifestString);
+
+  if (!mpd || !window.XMLSerializer) {
+    return manifestString;
+  }
+
+  findChildren(mpd, 'BaseURL').forEach((node) => {
+    const location = node.getAttribute('serviceLocation');
+
+    if (location && location !== serviceLocation) {
+      mpd.removeChild(node);
+    }
+  });
+
+  return new window.XMLSerializer().serializeToString(mpd);
+};
+
+/**
+ * Loads the steering manifest of a source and keeps track of the pathway to use
+ *
+ * @class ContentSteeringController
+ * @extends videojs.EventTarget
+ */
+export default class ContentSteeringController extends videojs.EventTarget {
+  /**
+   * @constructor
+   * @param {Object} options
+   * @param {Object} options.hls
+   *        The HlsHandler, used for its xhr
+   * @param {boolean} options.withCredentials
+   *        The withCredentials xhr option
+   * @param {string} options.queryPrefix
+   *        The prefix of the steering query parameters, `_HLS` or `_DASH`
+   * @param {Function} options.bandwidth
+   *        Returns the current bandwidth estimate
+   */
+  constructor(options) {
+    super();
+
+    this.hls_ = options.hls;
+    this.withCredentials_ = options.withCredentials;
+    this.queryPrefix_ = options.queryPrefix;
+    this.bandwidth_ = options.bandwidth;
+
+    this.steering_ = null;
+    this.pathway_ = null;
+    this.priority_ = null;
+    this.reloadUri_ = null;
+    this.ttl_ = Config.CONTENT_STEERING_TTL;
+    // the time until which each failed pathway is excluded
+    this.excludeUntil_ = {};
+    this.request_ = null;
+    this.reloadTimeout_ = null;
+    this.logger_ = logger('ContentSteering');
+  }
+
+  /**
+   * Starts content steering for the steering information of a manifest. Refreshed
+   * manifests with the same steering server keep the current state.
+   *
+   * @param {Object} steering
+   *        As returned by hlsContentSteering or dashContentSteering
+   */
+  setSteering(steering) {
+    if (this.steering_ && this.steering_.serverUri === steering.serverUri) {
+      this.steering_.pathways = steering.pathways;
+      return;
+    }
+
+    this.stop_();
+    this.steering_ = steering;
+    this.pathway_ = steering.defaultPathway;
+    this.priority_ = null;
+    this.reloadUri_ = null;
+    this.excludeUntil_ = {};
+
+    this.load_();
+  }
+
+  /**
+   * @return {string|null}
+   *         The pathway to load from, or null without content steering
+   */
+  currentPathway() {
+    return this.pathway_;
+  }
+
+  /**
+   * Points a URI on the default pathway to the current pathway. Only DASH pathways
+   * share their URIs, HLS URIs are returned unchanged.
+   *
+   * @param {string} uri
+   *        The URI on the default pathway
+   * @return {string}
+   *         The URI on the current pathway
+   */
+  resolveUri(uri) {
+    const baseUrls = this.steering_ && this.steering_.baseUrls;
+
+    if (!baseUrls || this.pathway_ === this.steering_.defaultPathway) {
+      return uri;
+    }
+
+    const defaultBaseUrl = baseUrls[this.steering_.defaultPathway];
+
+    if (uri.indexOf(defaultBaseUrl) !== 0) {
+      return uri;
+    }
+
+    return baseUrls[this.pathway_] + uri.substring(defaultBaseUrl.length);
+  }
+
+  /**
+   * Excludes a pathway that failed and moves to the next pathway by priority
+   *
+   * @param {string} pathway
+   *        The pathway that failed
+   * @param {number} duration
+   *        Seconds to exclude the pathway for
+   * @return {boolean}
+   *         Whether another pathway was chosen
+   */
+  excludePathway(pathway, duration) {
+    if (!this.steering_) {
+      return false;
+    }
+
+    this.excludeUntil_[pathway] = Date.now() + duration * 1000;
+    this.selectPathway_();
+
+    return this.pathway_ !== pathway;
+  }
+
+  /**
+   * Chooses the first pathway by priority that has not been excluded. Until a steering
+   * manifest has been loaded, the default pathway comes first followed by the other
+   * pathways of the manifest. Triggers `pathwaychange` when the pathway changes.
+   *
+   * @private
+   */
+  selectPathway_() {
+    const pathways = this.steering_.pathways;
+    const priority = this.priority_ ||
+      [this.steering_.defaultPathway].concat(pathways);
+    const now = Date.now();
+    const available = priority.filter((pathway) => {
+      return pathways.indexOf(pathway) !== -1 &&
+        !(this.excludeUntil_[pathway] > now);
+    });
+
+    if (!available.length || available[0] === this.pathway_) {
+      return;
+    }
+
+    this.logger_(`switching from pathway ${this.pathway_} to ${available[0]}`);
+    this.pathway_ = available[0];
+    this.trigger('pathwaychange');
+  }
+
+  /**
+   * Requests the steering manifest, adding the current pathway and throughput to the
+   * query
+   *
+   * @private
+   */
+  load_() {
+    let uri = this.reloadUri_ || this.steering_.serverUri;
+    const bandwidth = this.bandwidth_();
+
+    uri += (uri.indexOf('?') === -1 ? '?' : '&') +
+      `${this.queryPrefix_}_pathway=${encodeURIComponent(this.pathway_)}`;
+    if (typeof bandwidth === 'number' && isFinite(bandwidth) && bandwidth > 0) {
+      uri += `&${this.queryPrefix_}_throughput=${Math.round(bandwidth)}`;
+    }
+
+    this.request_ = this.hls_.xhr({
+      uri,
+      withCredentials: this.withCredentials_,
+      requestType: 'manifest'
+    }, (error, request) => {
+      // stopped
+      if (!this.request_) {
+        return;
+      }
+
+      this.request_ = null;
+
+      if (error) {
+        this.logger_(`steering manifest request failed at ${uri}`);
+      } else {
+        this.handleSteeringManifest_(request.responseText, request.uri);
+      }
+
+      this.reloadTimeout_ =
+        window.setTimeout(() => this.load_(), this.ttl_ * 1000);
+    });
+  }
+
+  /**
+   * Applies a steering manifest
+   *
+   * @param {string} responseText
+   *        The JSON steering manifest
+   * @param {string} uri
+   *        The URI it was loaded from
+   * @private
+   */
+  handleSteeringManifest_(responseText, uri) {
+    let manifest;
+
+    try {
+      manifest = JSON.parse(responseText);
+    } catch (e) {
+      this.logger_('could not parse the steering manifest');
+      return;
+    }
+
+    if (!manifest || manifest.VERSION !== 1) {
+      this.logger_('unsupported steering manifest version');
+      return;
+    }
+
+    if (typeof manifest.TTL === 'number' && manifest.TTL > 0) {
+      this.ttl_ = manifest.TTL;
+    }
+    if (manifest['RELOAD-URI']) {
+      this.reloadUri_ = resolveUrl(uri, manifest['RELOAD-URI']);
+    }
+
+    const priority = manifest['PATHWAY-PRIORITY'] ||
+      manifest['SERVICE-LOCATION-PRIORITY'];
+
+    if (Array.isArray(priority) && priority.length) {
+      this.priority_ = priority;
+    }
+
+    this.selectPathway_();
+  }
+
+  /**
+   * Stops loading the steering manifest
+   *
+   * @private
+   */
+  stop_() {
+    if (this.request_) {
+      const request = this.request_;
+
+      this.request_ = null;
+      request.abort();
+    }
+    window.clearTimeout(this.reloadTimeout_);
+    this.reloadTimeout_ = null;
+  }
+
+  /**
+   * Stop loading the steering manifest
+   */
+  dispose() {
+    this.stop_();
+  }
+}
@@ -0,0 +1,301 @@
+/**
+ * @file dash-events.js
+ *
+ * DASH events are signalled in-band by emsg boxes at the top level of fMP4 segments
+ * and out-of-band by the EventStream elements of a Period. Both are surfaced as cues on
+ * a metadata text track.
+ */
+import window from 'global/window';
+import { parseMpdXml, findPeriods } from './dash-periods';
+
+// event_duration value of an emsg box for events of unknown duration
+const UNKNOWN_DURATION = 0xFFFFFFFF;
+
+const readUint32 = (bytes, offset) => {
+  return (bytes[offset] << 24 |
+    bytes[offset + 1] << 16 |
+    bytes[offset + 2] << 8 |
+    bytes[offset + 3]) >>> 0;
+};
+
+/**
+ * Reads a null-terminated string
+ *
+ * @param {Uint8Array} bytes
+ *        The bytes to read from
+ * @param {number} offset
+ *        Index of the first character
+ * @return {Object}
+ *         The `string` read and the `offset` following its terminator
+ */
+const readString = (bytes, offset) => {
+  let string = '';
+
+  while (offset < bytes.length && bytes[offset] !== 0) {
+    string += String.fromCharCode(bytes[offset]);
+    offset++;
+  }
+
+  return { string, offset: offset + 1 };
+};
+
+/**
+ * Parses the payload of an emsg box
+ *
+ * @param {Uint8Array} data
+ *        The box payload, following the box header
+ * @return {Object|null}
+ *         The parsed box, or null if it has an unknown version
+ */
+const parseEmsg = (data) => {
+  const version = data[0];
+  const box = { version };
+  let offset = 4;
+  let field;
+
+  if (version === 0) {
+    field = readString(data, offset);
+    box.schemeIdUri = field.string;
+    field = readString(data, field.offset);
+    box.value = field.string;
+    offset = field.offset;
+    box.timescale = readUint32(data, offset);
+    box.presentationTimeDelta = readUint32(data, offset + 4);
+    box.eventDuration = readUint32(data, offset + 8);
+    box.id = readUint32(data, offset + 12);
+    offset += 16;
+  } else if (version === 1) {
+    box.timescale = readUint32(data, offset);
+    box.presentationTime = readUint32(data, offset + 4) * Math.pow(2, 32) +
+      readUint32(data, offset + 8);
+    box.eventDuration = readUint32(data, offset + 12);
+    box.id = readUint32(data, offset + 16);
+    field = readString(data, offset + 20);
+    box.schemeIdUri = field.string;
+    field = readString(data, field.offset);
+    box.value = field.string;
+    offset = field.offset;
+  } else {
+    return null;
+  }
+
+  // copied so that the event does not hold on to the whole segment
+  box.messageData = new Uint8Array(data.subarray(Math.min(offset, data.length)));
+
+  return box;
+};
+
+/**
+ * Finds and parses the emsg boxes at the top level of an fMP4 segment
+ *
+ * @param {Uint8Array} bytes
+ *        The bytes of the segment
+ * @return {Object[]}
+ *         The parsed emsg boxes. Version 0 boxes have a `presentationTimeDelta` from
+ *         the start of the segment and version 1 boxes a `presentationTime` in media
+ *         time, both in `timescale` units.
+ */
+export const parseEmsgBoxes = (bytes) => {
+  const boxes = [];
+  let offset = 0;
+
+  while (offset + 8 <= bytes.length) {
+    let size = readUint32(bytes, offset);
+    let headerSize = 8;
+    const type = String.fromCharCode(bytes[offset + 4], bytes[offset + 5],
+                                     bytes[offset + 6], bytes[offset + 7]);
+
+    if (size === 1) {
+      size = readUint32(bytes, offset + 8) * Math.pow(2, 32) +
+        readUint32(bytes, offset + 12);
+      headerSize = 16;
+    } else if (size === 0) {
+      size = bytes.length - offset;
+    }
+
+    if (size < headerSize) {
+      break;
+    }
+
+    if (type === 'emsg') {
+      const box = parseEmsg(bytes.subarray(offset + headerSize,
+                                           Math.min(offset + size, bytes.length)));
+
+      if (box) {
+        boxes.push(box);
+      }
+    }
+
+    offset += size;
+  }
+
+  return boxes;
+};
+
+/**
+ * Reads the message data of an Event element: its @messageData attribute, otherwise
+ * its (serialized) content
+ *
+ * @param {Element} node
+ *        The Event element
+ * @return {string}
+ *         The message data
+ */
+const eventMessageData = (node) => {
+  if (node.hasAttribute('messageData')) {
+    return node.getAttribute('messageData');
+  }
+
+  if (!window.XMLSerializer) {
+    return node.textContent.trim();
+  }
+
+  const serializer = new window.XMLSerializer();
+
+  return Array.prototype.map.call(node.childNodes, (child) => {
+    return child.nodeType === 1 ? serializer.serializeToString(child) : child.nodeValue;
+  }).join('').trim();
+};
+
+const numberAttribute = (node, name, defaultValue) => {
+  const value = parseFloat(node.getAttribute(name));
+
+  return isNaN(value) ? defaultValue : value;
+};
+
+/**
+ * Finds the events of the EventStream elements of every Period of an MPD.
+ *
+ * Event times are in media time, i.e. on the same scale as the segment timestamps of
+ * their Period. This assumes that the @presentationTimeOffset of an EventStream is the
+ * same as that of the Period's segments.
+ *
+ * @param {string} manifestString
+ *        XML string of the MPD manifest
+ * @return {Array[]}
+ *         A list of events for each Period, each with its `schemeIdUri`, `value`, `id`,
+ *         `messageData` and `startTime` and `endTime` in media time
+ */
+export const parseEventStreams = (manifestString) => {
+  const mpd = parseMpdXml(manifestString);
+
+  if (!mpd) {
+    return [];
+  }
+
+  return findPeriods(mpd).map((period) => {
+    const events = [];
+
+    Array.prototype.forEach.call(period.childNodes, (stream) => {
+      if (stream.tagName !== 'EventStream') {
+        return;
+      }
+
+      const timescale = numberAttribute(stream, 'timescale', 1);
+
+      Array.prototype.forEach.call(stream.childNodes, (node) => {
+        if (node.tagName !== 'Event') {
+          return;
+        }
+
+        const startTime = numberAttribute(node, 'presentationTime', 0) / timescale;
+
+        events.push({
+          schemeIdUri: stream.getAttribute('schemeIdUri'),
+          value: stream.getAttribute('value'),
+          id: node.getAttribute('id'),
+          messageData: eventMessageData(node),
+          startTime,
+          endTime: startTime + numberAttribute(node, 'duration', 0) / timescale
+        });
+      });
+    });
+
+    return events;
+  });
+};
+
+/**
+ * Creates the player time events of the emsg boxes of a segment
+ *
+ * @param {Object[]} boxes
+ *        The emsg boxes as returned by parseEmsgBoxes
+ * @param {number} segmentStart
+ *        The start of the segment in player time
+ * @param {number|null} timelineMapping
+ *        The offset from media time to player time of the segment's timeline
+ * @return {Object[]}
+ *         The events, each with its `schemeIdUri`, `value`, `id`, `messageData` and
+ *         `startTime` and `endTime` in player time
+ */
+export const emsgEvents = (boxes, segmentStart, timelineMapping) => {
+  const events = [];
+
+  boxes.forEach((box) => {
+    let startTime;
+
+    if (box.version === 1 && typeof timelineMapping === 'number') {
+      startTime = box.presentationTime / box.timescale + timelineMapping;
+    } else if (box.version === 0 && typeof segmentStart === 'number') {
+      startTime = segmentStart + box.presentationTimeDelta / box.timescale;
+    } else {
+      return;
+    }
+
+    const duration = box.eventDuration === UNKNOWN_DURATION ?
+      0 : box.eventDuration / box.timescale;
+
+    events.push({
+      schemeIdUri: box.schemeIdUri,
+      value: box.value,
+      id: box.id,
+      messageData: box.messageData,
+      startTime,
+      endTime: startTime + duration
+    });
+  });
+
+  return events;
+};
+
+const sameEvent = (a, b) => {
+  return a.schemeIdUri === b.schemeIdUri && a.value === b.value && a.id === b.id &&
+    // events without an id can only be told apart by their time
+    (a.id !== null || a.startTime === b.startTime);
+};
+
+/**
+ * Adds a cue to a metadata track for every event that does not have one yet. An event
+ * is identified by its scheme, value and id, so events repeated in later segments or
+ * MPD refreshes are only added once. The cue text is the scheme of the event and the
+ * event (without its times) is the cue's `value`.
+ *
+ * @param {TextTrack} track
+ *        The metadata track
+ * @param {Object[]} events
+ *        Events with their `startTime` and `endTime` in player time
+ */
+export const addEventCues = (track, events) => {
+  const Cue = window.WebKitDataCue || window.VTTCue;
+
+  events.forEach((event) => {
+    const cues = track.cues || [];
+
+    for (let i = 0; i < cues.length; i++) {
+      if (cues[i].dashEvent && sameEvent(cues[i].dashEvent, event)) {
+        return;
+      }
+    }
+
+    const cue = new Cue(event.startTime, event.endTime, event.schemeIdUri || '');
+
+    cue.value = {
+      schemeIdUri: event.schemeIdUri,
+      value: event.value,
+      id: event.id,
+      messageData: event.messageData
+    };
+    cue.dashEvent = event;
+    track.addCue(cue);
+  });
+};
@@ -0,0 +1,381 @@
+/**
+ * @file dash-periods.js
+ *
+ * mpd-parser only understands MPDs with a single Period. Multi-period MPDs are split
+ * into one single-period MPD per Period, each of which is parsed on its own, and the
+ * resulting playlists are stitched back together with every Period on its own
+ * timeline (separated by a discontinuity) so that the SyncController and
+ * SegmentLoaders can cross Period boundaries.
+ */
+import videojs from 'video.js';
+import window from 'global/window';
+
+const { mergeOptions } = videojs;
+
+const SECONDS_IN_YEAR = 365 * 24 * 60 * 60;
+const SECONDS_IN_MONTH = 30 * 24 * 60 * 60;
+const SECONDS_IN_DAY = 24 * 60 * 60;
+const SECONDS_IN_HOUR = 60 * 60;
+const SECONDS_IN_MIN = 60;
+
+/**
+ * Parses an ISO 8601 duration string (as used by MPD attributes) into seconds
+ *
+ * @param {string} str
+ *        Duration string, e.g. P10Y10M10DT10H10M10.1S
+ * @return {number|null}
+ *         The duration in seconds, or null if the attribute is missing
+ */
+export const parseDuration = (str) => {
+  if (!str) {
+    return null;
+  }
+
+  const match =
+    (/P(?:(\d*)Y)?(?:(\d*)M)?(?:(\d*)D)?(?:T(?:(\d*)H)?(?:(\d*)M)?(?:([\d.]*)S)?)?/)
+      .exec(str);
+
+  if (!match) {
+    return null;
+  }
+
+  return parseFloat(match[1] || 0) * SECONDS_IN_YEAR +
+    parseFloat(match[2] || 0) * SECONDS_IN_MONTH +
+    parseFloat(match[3] || 0) * SECONDS_IN_DAY +
+    parseFloat(match[4] || 0) * SECONDS_IN_HOUR +
+    parseFloat(match[5] || 0) * SECONDS_IN_MIN +
+    parseFloat(match[6] || 0);
+};
+
+/**
+ * Parses the XML of an MPD
+ *
+ * @param {string} manifestString
+ *        XML string of the MPD manifest
+ * @return {Element|null}
+ *         The MPD element, or null if the manifest could not be read
+ */
+export const parseMpdXml = (manifestString) => {
+  if (!manifestString || !window.DOMParser) {
+    return null;
+  }
+
+  const xml = new window.DOMParser().parseFromString(manifestString, 'application/xml');
+  const mpd = xml && xml.documentElement;
+
+  if (!mpd || mpd.tagName !== 'MPD' ||
+      mpd.getElementsByTagName('parsererror').length > 0) {
+    return null;
+  }
+
+  return mpd;
+};
+
+/**
+ * Lists the child elements of an element with a tag name
+ *
+ * @param {Element} node
+ *        The parent element
+ * @param {string} tagName
+ *        The tag name of the children
+ * @return {Element[]}
+ *         The matching children in document order
+ */
+export const findChildren = (node, tagName) => {
+  return Array.prototype.filter.call(node.childNodes, (child) => {
+    return child.tagName === tagName;
+  });
+};
+
+/**
+ * Lists the Period elements of an MPD
+ *
+ * @param {Element} mpd
+ *        The MPD element
+ * @return {Element[]}
+ *         The Period elements in document order
+ */
+export const findPeriods = (mpd) => findChildren(mpd, 'Period');
+
+/**
+ * Splits an MPD with more than one Period into a list of single-period MPDs.
+ *
+ * The start of a Period is taken from its @start attribute or from the end of the
+ * previous Period, and its duration from its @duration attribute, the start of the next
+ * Period or the MPD's @mediaPresentationDuration (in that order). Each single-period
+ * MPD carries the Period's start and has its @mediaPresentationDuration set to the
+ * Period's duration so that segment lists are calculated for that Period alone.
+ *
+ * @param {string} manifestString
+ *        XML string of the MPD manifest
+ * @return {Object[]}
+ *         A list of objects with the `id`, `start`, `duration` and single-period
+ *         `manifest` string of each Period. Empty if the MPD could not be read or does
+ *         not have more than one Period.
+ */
+export const splitPeriods = (manifestString) => {
+  const mpd = parseMpdXml(manifestString);
+
+  if (!mpd || !window.XMLSerializer) {
+    return [];
+  }
+
+  const periodNodes = findPeriods(mpd);
+
+  if (periodNodes.length < 2) {
+    return [];
+  }
+
+  const presentationDuration =
+    parseDuration(mpd.getAttribute('mediaPresentationDuration'));
+  const periods = periodNodes.map((node) => {
+    return {
+      id: node.getAttribute('id'),
+      start: parseDuration(node.getAttribute('start')),
+      duration: parseDuration(node.getAttribute('duration'))
+    };
+  });
+
+  periods.forEach((period, i) => {
+    const previous = periods[i - 1];
+
+    if (period.start === null) {
+      if (!previous) {
+        period.start = 0;
+      } else if (previous.duration !== null) {
+        period.start = previous.start + previous.duration;
+      }
+    }
+  });
+
+  periods.forEach((period, i) => {
+    const next = periods[i + 1];
+
+    if (period.duration !== null || period.start === null) {
+      return;
+    }
+
+    if (next && next.start !== null) {
+      period.duration = next.start - period.start;
+    } else if (!next && presentationDuration !== null) {
+      period.duration = presentationDuration - period.start;
+    }
+  });
+
+  const serializer = new window.XMLSerializer();
+
+  return periods.map((period, i) => {
+    const singlePeriodMpd = mpd.cloneNode(true);
+
+    findPeriods(singlePeriodMpd).forEach((node, j) => {
+      if (j !== i) {
+        singlePeriodMpd.removeChild(node);
+      } else if (period.start !== null) {
+        node.setAttribute('start', `PT${period.start}S`);
+      }
+    });
+
+    if (period.duration !== null) {
+      singlePeriodMpd.setAttribute('mediaPresentationDuration',
+                                   `PT${period.duration}S`);
+    }
+
+    period.manifest = serializer.serializeToString(singlePeriodMpd);
+
+    return period;
+  });
+};
+
+/**
+ * Finds the playlist in a list of candidates that best continues a playlist into
+ * another Period: one for the same Representation, otherwise the one with the closest
+ * bandwidth.
+ *
+ * @param {Object[]} candidates
+ *        Playlists of the next Period
+ * @param {Object} playlist
+ *        The playlist to continue
+ * @return {Object|null}
+ *         The matching playlist
+ */
+const matchPlaylist = (candidates, playlist) => {
+  let match = null;
+
+  for (let i = 0; i < candidates.length; i++) {
+    const candidate = candidates[i];
+
+    if (candidate.attributes.NAME === playlist.attributes.NAME) {
+      return candidate;
+    }
+
+    if (!match ||
+        Math.abs(candidate.attributes.BANDWIDTH - playlist.attributes.BANDWIDTH) <
+        Math.abs(match.attributes.BANDWIDTH - playlist.attributes.BANDWIDTH)) {
+      match = candidate;
+    }
+  }
+
+  return match;
+};
+
+/**
+ * Finds the media group entry in another Period that continues a media group entry:
+ * the one with the same label, otherwise the default one (only when `useDefault`).
+ *
+ * @param {Object} group
+ *        The media group of the next Period, keyed by label
+ * @param {string} label
+ *        The label of the media group entry to continue
+ * @param {boolean} useDefault
+ *        Whether the default entry may stand in for a missing label
+ * @return {Object|null}
+ *         The matching playlist
+ */
+const matchMediaGroupPlaylist = (group, label, useDefault) => {
+  if (!group) {
+    return null;
+  }
+
+  let properties = group[label];
+
+  if (!properties && useDefault) {
+    const labels = Object.keys(group);
+
+    properties = group[labels.filter((key) => group[key].default)[0] || labels[0]];
+  }
+
+  return properties && properties.playlists ? properties.playlists[0] : null;
+};
+
+/**
+ * Prepares a playlist of the first Period for having later Periods appended to it
+ *
+ * @param {Object} playlist
+ *        The playlist to prepare
+ * @param {Object} period
+ *        The first Period
+ */
+const startTimeline = (playlist, period) => {
+  playlist.timeline = period.timeline;
+  playlist.discontinuitySequence = period.timeline;
+  playlist.discontinuityStarts = [];
+  playlist.segments.forEach((segment) => {
+    segment.timeline = period.timeline;
+    segment.codecs = playlist.attributes.CODECS;
+  });
+};
+
+/**
+ * Appends the segments of a Period's playlist to a playlist, starting a new timeline
+ *
+ * @param {Object} playlist
+ *        The playlist to append to
+ * @param {Object} periodPlaylist
+ *        The playlist of the Period being appended
+ * @param {Object} period
+ *        The Period being appended
+ */
+const appendPeriod = (playlist, periodPlaylist, period) => {
+  const segments = periodPlaylist.segments.map((segment) => {
+    return mergeOptions(segment, {
+      timeline: period.timeline,
+      codecs: periodPlaylist.attributes.CODECS
+    });
+  });
+
+  if (!segments.length) {
+    return;
+  }
+
+  segments[0].discontinuity = true;
+
+  playlist.discontinuityStarts.push(playlist.segments.length);
+  playlist.segments = playlist.segments.concat(segments);
+  playlist.targetDuration = Math.max(playlist.targetDuration || 0,
+                                     periodPlaylist.targetDuration || 0);
+};
+
+/**
+ * Stitches the parsed masters of each Period into a single master. The playlists of
+ * the first Period are kept and the segments of the matching playlists of every later
+ * Period are appended to them. A playlist without a match in a Period ends before that
+ * Period.
+ *
+ * Each segment is placed on the timeline of its Period and records the codecs of its
+ * Period's Representation in `segment.codecs`.
+ *
+ * The duration of the stitched master is the sum of the Periods' durations.
+ *
+ * @param {Object[]} periods
+ *        A list of Periods as returned by splitPeriods, each with the `master` parsed
+ *        from its manifest and the `timeline` it should be placed on. Timelines must be
+ *        consecutive.
+ * @return {Object}
+ *         The stitched master manifest object, listing the Periods in `periods`
+ */
+export const mergePeriods = (periods) => {
+  const master = periods[0].master;
+  const ended = [];
+
+  const continuePlaylist = (playlist, periodPlaylist, period) => {
+    if (ended.indexOf(playlist) !== -1) {
+      return;
+    }
+    if (!periodPlaylist) {
+      ended.push(playlist);
+      return;
+    }
+    appendPeriod(playlist, periodPlaylist, period);
+  };
+
+  const forEachGroupPlaylist = (groups, callback) => {
+    ['AUDIO', 'SUBTITLES'].forEach((type) => {
+      for (let group in groups[type]) {
+        for (let label in groups[type][group]) {
+          const properties = groups[type][group][label];
+
+          if (properties.playlists && properties.playlists.length) {
+            callback(properties.playlists[0], type, group, label);
+          }
+        }
+      }
+    });
+  };
+
+  master.playlists.forEach((playlist) => startTimeline(playlist, periods[0]));
+  forEachGroupPlaylist(master.mediaGroups, (playlist) => {
+    startTimeline(playlist, periods[0]);
+  });
+
+  periods.slice(1).forEach((period) => {
+    const periodGroups = period.master.mediaGroups || {};
+
+    master.playlists.forEach((playlist) => {
+      continuePlaylist(playlist,
+                       matchPlaylist(period.master.playlists || [], playlist),
+                       period);
+    });
+
+    forEachGroupPlaylist(master.mediaGroups, (playlist, type, group, label) => {
+      const periodGroup = periodGroups[type] && periodGroups[type][group];
+
+      continuePlaylist(playlist,
+                       matchMediaGroupPlaylist(periodGroup, label, type === 'AUDIO'),
+                       period);
+    });
+  });
+
+  master.duration = periods.reduce((total, period) => {
+    return total + (period.master.duration || 0);
+  }, 0);
+  master.periods = periods.map((period) => {
+    return {
+      id: period.id,
+      start: period.start,
+      duration: period.duration,
+      timeline: period.timeline
+    };
+  });
+
+  return master;
+};
@@ -8,10 +8,52 @@ import {
   forEachMediaGroup
 } from './playlist-loader';
 import resolveUrl from './resolve-url';
+import { splitPeriods, mergePeriods } from './dash-periods';
+import { parseEventStreams } from './dash-events';
+import { dashImagePlaylists } from './thumbnails';
+import { dashContentSteering, keepServiceLocation } from './content-steering';
+import { responseBody } from './xhr';
 import window from 'global/window';
 
 const { EventTarget, mergeOptions } = videojs;
 
+/**
+ * Sets the media sequence of a refreshed playlist relative to the playlist it replaces,
+ * so that segment information (like timing) from the old playlist is carried over to
+ * the same segments in the new one.
+ *
+ * Segment numbers only move forward in a live MPD, but some playlists are numbered from
+ * the startNumber on every refresh of the MPD (e.g. SegmentTimeline with $Time$
+ * templates). When the media sequence of the refreshed playlist does not move forward,
+ * its segments are matched to the old ones by URI instead.
+ *
+ * @param {Object} oldPlaylist
+ *        The playlist being replaced
+ * @param {Object} newPlaylist
+ *        The refreshed playlist
+ */
+export const alignMediaSequence = (oldPlaylist, newPlaylist) => {
+  if (!oldPlaylist ||
+      newPlaylist.mediaSequence > oldPlaylist.mediaSequence ||
+      !oldPlaylist.segments || !oldPlaylist.segments.length ||
+      !newPlaylist.segments || !newPlaylist.segments.length) {
+    return;
+  }
+
+  const oldSegments = oldPlaylist.segments;
+  const firstUri = newPlaylist.segments[0].resolvedUri;
+
+  for (let i = 0; i < oldSegments.length; i++) {
+    if (oldSegments[i].resolvedUri === firstUri) {
+      newPlaylist.mediaSequence = oldPlaylist.mediaSequence + i;
+      return;
+    }
+  }
+
+  // no segments in common, the refreshed playlist continues after the old one
+  newPlaylist.mediaSequence = oldPlaylist.mediaSequence + oldSegments.length;
+};
+
 /**
  * Returns a new master manifest that is the result of merging an updated master manifest
  * into the original version.
@@ -31,9 +73,23 @@ export const updateMaster = (oldMaster, newMaster) => {
     minimumUpdatePeriod: newMaster.minimumUpdatePeriod
   });
 
+  // the Periods, events, content steering and image playlists of the refreshed MPD
+  // replace the old ones
+  ['periods', 'events', 'contentSteering', 'imagePlaylists'].forEach((key) => {
+    if (newMaster[key]) {
+      update[key] = newMaster[key];
+    } else {
+      delete update[key];
+    }
+  });
+
   // First update the playlists in playlist list
   for (let i = 0; i < newMaster.playlists.length; i++) {
-    const playlistUpdate = updatePlaylist(update, newMaster.playlists[i]);
+    const playlist = newMaster.playlists[i];
+
+    alignMediaSequence(update.playlists[playlist.uri], playlist);
+
+    const playlistUpdate = updatePlaylist(update, playlist);
 
     if (playlistUpdate) {
       update = playlistUpdate;
@@ -44,6 +100,9 @@ export const updateMaster = (oldMaster, newMaster) => {
   forEachMediaGroup(newMaster, (properties, type, group, label) => {
     if (properties.playlists && properties.playlists.length) {
       const uri = properties.playlists[0].uri;
+
+      alignMediaSequence(update.playlists[uri], properties.playlists[0]);
+
       const playlistUpdate = updatePlaylist(update, properties.playlists[0]);
 
       if (playlistUpdate) {
@@ -66,6 +125,9 @@ export default class DashPlaylistLoader extends EventTarget {
 
     this.hls_ = hls;
     this.withCredentials = withCredentials;
+    // timelines of the Periods of a multi-period MPD, keyed by Period
+    this.periodTimelines_ = {};
+    this.nextPeriodTimeline_ = 0;
 
     if (!srcUrlOrPlaylist) {
       throw new Error('A non-empty playlist URL or playlist is required');
@@ -103,6 +165,7 @@ export default class DashPlaylistLoader extends EventTarget {
   dispose() {
     this.stopRequest();
     window.clearTimeout(this.mediaUpdateTimeout);
+    window.clearTimeout(this.minimumUpdatePeriodTimeout_);
   }
 
   stopRequest() {
@@ -115,6 +178,15 @@ export default class DashPlaylistLoader extends EventTarget {
     }
   }
 
+  /**
+   * Keeps the loader from selecting the first media playlist itself once the master
+   * playlist is loaded, for listeners of `loadedplaylist` that select the initial
+   * media playlist asynchronously
+   */
+  deferMediaSelection() {
+    this.mediaSelectionDeferred_ = true;
+  }
+
   media(playlist) {
     // getter
     if (!playlist) {
@@ -154,6 +226,12 @@ export default class DashPlaylistLoader extends EventTarget {
 
     this.refreshMedia_();
 
+    if (this.mediaSelectionDeferred_) {
+      this.mediaSelectionDeferred_ = false;
+      this.triggerLoadedMetadata_();
+      this.scheduleXmlRefresh_();
+    }
+
     // trigger media change if the active media has been updated
     if (startingState !== 'HAVE_MASTER') {
       this.trigger('mediachange');
@@ -187,13 +265,58 @@ export default class DashPlaylistLoader extends EventTarget {
    *         The parsed mpd manifest object
    */
   parseMasterXml() {
-    const master = parseMpd(this.masterXml_, {
+    const parseOptions = {
       manifestUri: this.srcUrl,
       clientOffset: this.clientOffset_
-    });
+    };
+    const contentSteering = dashContentSteering(this.masterXml_, this.srcUrl);
+    let manifestString = this.masterXml_;
+
+    // segment URIs are resolved against the default service location and pointed to
+    // the current one as they are requested
+    if (contentSteering) {
+      manifestString =
+        keepServiceLocation(manifestString, contentSteering.defaultPathway);
+    }
+
+    const periods = splitPeriods(manifestString);
+    let master;
+
+    if (periods.length) {
+      periods.forEach((period) => {
+        period.master = parseMpd(period.manifest, parseOptions);
+        period.timeline = this.periodTimeline_(period);
+      });
+      master = mergePeriods(periods);
+    } else {
+      master = parseMpd(manifestString, parseOptions);
+    }
 
     master.uri = this.srcUrl;
 
+    if (contentSteering) {
+      master.contentSteering = contentSteering;
+    }
+
+    const events = [];
+
+    parseEventStreams(this.masterXml_).forEach((periodEvents, i) => {
+      periodEvents.forEach((event) => {
+        event.timeline = periods.length ? periods[i].timeline : 0;
+        events.push(event);
+      });
+    });
+
+    if (events.length) {
+      master.events = events;
+    }
+
+    const imagePlaylists = dashImagePlaylists(this.masterXml_, this.srcUrl);
+
+    if (imagePlaylists.length) {
+      master.imagePlaylists = imagePlaylists;
+    }
+
     // Set up phony URIs for the playlists since we won't have external URIs for DASH
     // but reference playlists by their URI throughout the project
     // TODO: Should we create the dummy uris in mpd-parser as well (leaning towards yes).
@@ -223,13 +346,34 @@ export default class DashPlaylistLoader extends EventTarget {
     return master;
   }
 
+  /**
+   * Returns the timeline a Period of a multi-period MPD is placed on. Periods keep
+   * their timeline across refreshes of the MPD (identified by their id or start) and
+   * new Periods are placed on the timeline following the last one.
+   *
+   * @param {Object} period
+   *        The Period as returned by splitPeriods
+   * @return {number}
+   *         The timeline of the Period
+   */
+  periodTimeline_(period) {
+    const key = period.id || String(period.start);
+
+    if (!this.periodTimelines_.hasOwnProperty(key)) {
+      this.periodTimelines_[key] = this.nextPeriodTimeline_++;
+    }
+
+    return this.periodTimelines_[key];
+  }
+
   start() {
     this.started = true;
 
     // request the specified URL
     this.request = this.hls_.xhr({
       uri: this.srcUrl,
-      withCredentials: this.withCredentials
+      withCredentials: this.withCredentials,
+      requestType: 'manifest'
     }, (error, req) => {
       // disposed
       if (!this.request) {
@@ -253,18 +397,28 @@ export default class DashPlaylistLoader extends EventTarget {
         return this.trigger('error');
       }
 
-      this.masterXml_ = req.responseText;
-
-      if (req.responseHeaders && req.responseHeaders.date) {
-        this.masterLoaded_ = Date.parse(req.responseHeaders.date);
-      } else {
-        this.masterLoaded_ = Date.now();
-      }
+      this.masterXml_ = responseBody(req, req.responseText);
+      this.updateMasterLoaded_(req);
 
       this.syncClientServerClock_(this.onClientServerClockSync_.bind(this));
     });
   }
 
+  /**
+   * Records the time the master xml was loaded at, according to the server if the
+   * response has a Date header
+   *
+   * @param {Object} req
+   *        The master xml request
+   */
+  updateMasterLoaded_(req) {
+    if (req.responseHeaders && req.responseHeaders.date) {
+      this.masterLoaded_ = Date.parse(req.responseHeaders.date);
+    } else {
+      this.masterLoaded_ = Date.now();
+    }
+  }
+
   /**
    * Parses the master xml for UTCTiming node to sync the client clock to the server
    * clock. If the UTCTiming node requires a HEAD or GET request, that request is made.
@@ -297,6 +451,8 @@ export default class DashPlaylistLoader extends EventTarget {
         return;
       }
 
+      this.request = null;
+
       if (error) {
         // sync request failed, fall back to using date header from mpd
         // TODO: log warning
@@ -335,38 +491,67 @@ export default class DashPlaylistLoader extends EventTarget {
 
     this.trigger('loadedplaylist');
 
+    // loadedmetadata is triggered and the refresh scheduled once the deferred media
+    // playlist is selected, as the refresh may depend on it
+    if (this.mediaSelectionDeferred_) {
+      return;
+    }
+
     if (!this.media_) {
       // no media playlist was specifically selected so start
       // from the first listed one
       this.media(this.master.playlists[0]);
     }
-    // trigger loadedmetadata to resolve setup of media groups
-    // trigger async to mimic behavior of HLS, where it must request a playlist
+    this.triggerLoadedMetadata_();
+    this.scheduleXmlRefresh_();
+  }
+
+  /**
+   * Triggers loadedmetadata to resolve setup of media groups, asynchronously to mimic
+   * the behavior of HLS, where a playlist must be requested
+   *
+   * @private
+   */
+  triggerLoadedMetadata_() {
     window.setTimeout(() => {
       this.trigger('loadedmetadata');
     }, 0);
+  }
+
+  /**
+   * Schedules the next refresh of the master xml. An MPD is refreshed every
+   * minimumUpdatePeriod. A dynamic MPD with a minimumUpdatePeriod of 0 only outlines
+   * the segments that are currently available, so it is refreshed as often as the
+   * media playlists are, which is once per segment.
+   */
+  scheduleXmlRefresh_() {
+    let delay = this.master.minimumUpdatePeriod;
+
+    if (!delay) {
+      const media = this.media();
 
-    // TODO: minimumUpdatePeriod can have a value of 0. Currently the manifest will not
-    // be refreshed when this is the case. The inter-op guide says that when the
-    // minimumUpdatePeriod is 0, the manifest should outline all currently available
-    // segments, but future segments may require an update. I think a good solution
-    // would be to update the manifest at the same rate that the media playlists
-    // are "refreshed", i.e. every targetDuration.
-    if (this.master.minimumUpdatePeriod) {
-      window.setTimeout(() => {
-        this.trigger('minimumUpdatePeriod');
-      }, this.master.minimumUpdatePeriod);
+      if (!media || media.endList) {
+        return;
+      }
+
+      delay = refreshDelay(media, true);
     }
+
+    this.minimumUpdatePeriodTimeout_ = window.setTimeout(() => {
+      this.trigger('minimumUpdatePeriod');
+    }, delay);
   }
 
   /**
-   * Sends request to refresh the master xml and updates the parsed master manifest
-   * TODO: Does the client offset need to be recalculated when the xml is refreshed?
+   * Sends request to refresh the master xml and updates the parsed master manifest. The
+   * client clock is synced to the server clock again before the refreshed xml is
+   * parsed.
    */
   refreshXml_() {
     this.request = this.hls_.xhr({
       uri: this.srcUrl,
-      withCredentials: this.withCredentials
+      withCredentials: this.withCredentials,
+      requestType: 'manifest'
     }, (error, req) => {
       // disposed
       if (!this.request) {
@@ -390,15 +575,16 @@ export default class DashPlaylistLoader extends EventTarget {
         return this.trigger('error');
       }
 
-      this.masterXml_ = req.responseText;
+      this.masterXml_ = responseBody(req, req.responseText);
+      this.updateMasterLoaded_(req);
 
-      const newMaster = this.parseMasterXml();
+      this.syncClientServerClock_(() => {
+        const newMaster = this.parseMasterXml();
 
-      this.master = updateMaster(this.master, newMaster);
+        this.master = updateMaster(this.master, newMaster);
 
-      window.setTimeout(() => {
-        this.trigger('minimumUpdatePeriod');
-      }, this.master.minimumUpdatePeriod);
+        this.scheduleXmlRefresh_();
+      });
     });
   }
 
@@ -0,0 +1,236 @@
+/**
+ * @file dropped-frames-monitor.js
+ *
+ * Watches the video playback quality of the tech and caps the renditions that may be
+ * selected when the device cannot decode the rendered rendition smoothly.
+ */
+import window from 'global/window';
+import document from 'global/document';
+import videojs from 'video.js';
+import Config from './config';
+import { isEnabled, isLowestEnabledRendition } from './playlist';
+import logger from './util/logger';
+import pauseMixin from './pause-mixin';
+
+// in ms
+const CHECK_QUALITY_DELAY = 1000;
+
+/**
+ * @class DroppedFramesMonitor
+ * @extends videojs.EventTarget
+ */
+export default class DroppedFramesMonitor extends videojs.EventTarget {
+  /**
+   * @constructor
+   * @param {Object} options
+   * @param {Tech} options.tech
+   *        The tech to watch
+   * @param {Function} options.master
+   *        Returns the master playlist
+   * @param {TextTrack} options.segmentMetadataTrack
+   *        The segment-metadata track, used to find the rendition being rendered
+   * @param {Function} options.onExclude
+   *        Called after renditions were excluded so that another one can be selected
+   */
+  constructor(options) {
+    super();
+
+    this.tech_ = options.tech;
+    this.master_ = options.master;
+    this.segmentMetadataTrack_ = options.segmentMetadataTrack;
+    this.onExclude_ = options.onExclude;
+
+    // dropped and total frames rendered per playlist uri since its last evaluation
+    this.stats = {};
+    this.lastQuality_ = null;
+    this.checkQualityTimeout_ = null;
+    this.logger_ = logger('DroppedFramesMonitor');
+
+    this.startHandler_ = () => this.monitorQuality_();
+    this.stopHandler_ = () => this.stopMonitoring_();
+
+    pauseMixin(this, () => this.stopMonitoring_());
+    this.listen_('on');
+  }
+
+  /**
+   * Starts or stops watching the tech
+   *
+   * @param {string} method
+   *        `on` or `off`
+   * @private
+   */
+  listen_(method) {
+    this.tech_[method]('playing', this.startHandler_);
+    this.tech_[method](['pause', 'waiting', 'seeking', 'ended', 'error'],
+                       this.stopHandler_);
+  }
+
+  /**
+   * Periodically sample the playback quality while playing
+   *
+   * @private
+   */
+  monitorQuality_() {
+    this.checkQuality_();
+
+    if (this.checkQualityTimeout_) {
+      window.clearTimeout(this.checkQualityTimeout_);
+    }
+
+    this.checkQualityTimeout_ =
+      window.setTimeout(this.monitorQuality_.bind(this), CHECK_QUALITY_DELAY);
+  }
+
+  /**
+   * Stop sampling the playback quality. The frames rendered until sampling resumes are
+   * not attributed to any rendition.
+   *
+   * @private
+   */
+  stopMonitoring_() {
+    if (this.checkQualityTimeout_) {
+      window.clearTimeout(this.checkQualityTimeout_);
+      this.checkQualityTimeout_ = null;
+    }
+    this.lastQuality_ = null;
+  }
+
+  /**
+   * Finds the playlist of the segment being rendered
+   *
+   * @return {Object|null}
+   *         The playlist, or null if it is not known
+   * @private
+   */
+  renderedPlaylist_() {
+    const master = this.master_();
+    const cues = this.segmentMetadataTrack_ && this.segmentMetadataTrack_.cues;
+
+    if (!master || !cues) {
+      return null;
+    }
+
+    const currentTime = this.tech_.currentTime();
+
+    for (let i = 0; i < cues.length; i++) {
+      if (cues[i].startTime <= currentTime && currentTime < cues[i].endTime) {
+        return master.playlists[cues[i].value.playlist] || null;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Attributes the frames rendered since the last sample to the rendered playlist and
+   * excludes it once enough frames have been rendered to tell that too many of them
+   * are being dropped. Frames are not attributed while the page is hidden, as browsers
+   * drop or skip them regardless of the rendition.
+   *
+   * @private
+   */
+  checkQuality_() {
+    if (document.hidden) {
+      this.lastQuality_ = null;
+      return;
+    }
+
+    const quality = typeof this.tech_.getVideoPlaybackQuality === 'function' ?
+      this.tech_.getVideoPlaybackQuality() : {};
+
+    if (typeof quality.totalVideoFrames !== 'number') {
+      return;
+    }
+
+    const last = this.lastQuality_;
+
+    this.lastQuality_ = {
+      droppedVideoFrames: quality.droppedVideoFrames || 0,
+      totalVideoFrames: quality.totalVideoFrames
+    };
+
+    if (!last) {
+      return;
+    }
+
+    const totalFrames = this.lastQuality_.totalVideoFrames - last.totalVideoFrames;
+    const droppedFrames = this.lastQuality_.droppedVideoFrames - last.droppedVideoFrames;
+    const playlist = this.renderedPlaylist_();
+
+    // counters start over for a new source
+    if (totalFrames <= 0 || droppedFrames < 0 || !playlist) {
+      return;
+    }
+
+    const stats = this.stats[playlist.uri] || { droppedFrames: 0, totalFrames: 0 };
+
+    stats.droppedFrames += droppedFrames;
+    stats.totalFrames += totalFrames;
+    this.stats[playlist.uri] = stats;
+
+    if (stats.totalFrames < Config.DROPPED_FRAMES_MIN_FRAMES) {
+      return;
+    }
+
+    // start a new evaluation window
+    this.stats[playlist.uri] = { droppedFrames: 0, totalFrames: 0 };
+
+    if (stats.droppedFrames / stats.totalFrames >= Config.DROPPED_FRAMES_MAX_RATIO) {
+      this.exclude_(playlist, stats);
+    }
+  }
+
+  /**
+   * Excludes a playlist, and every playlist with at least its bandwidth, for
+   * DROPPED_FRAMES_EXCLUDE_DURATION seconds. The lowest enabled playlist is never
+   * excluded.
+   *
+   * @param {Object} playlist
+   *        The playlist that dropped too many frames
+   * @param {Object} stats
+   *        The number of frames that were dropped and rendered
+   * @private
+   */
+  exclude_(playlist, stats) {
+    const master = this.master_();
+
+    if (!isEnabled(playlist) || isLowestEnabledRendition(master, playlist)) {
+      return;
+    }
+
+    const bandwidth = playlist.attributes.BANDWIDTH || 0;
+    const excludeUntil = Date.now() + Config.DROPPED_FRAMES_EXCLUDE_DURATION * 1000;
+    const excluded = master.playlists.filter((candidate) => {
+      return candidate === playlist ||
+        (isEnabled(candidate) && (candidate.attributes.BANDWIDTH || 0) >= bandwidth);
+    });
+
+    excluded.forEach((candidate) => {
+      candidate.excludeUntil = excludeUntil;
+    });
+
+    this.logger_(`excluding ${excluded.length} playlists, ${stats.droppedFrames} of ` +
+      `${stats.totalFrames} frames of ${playlist.uri} were dropped`);
+
+    this.tech_.trigger({
+      type: 'renditionexcluded',
+      reason: 'dropped-frames',
+      playlists: excluded,
+      droppedFrames: stats.droppedFrames,
+      totalFrames: stats.totalFrames,
+      excludeUntil
+    });
+    this.tech_.trigger({type: 'usage', name: 'hls-dropped-frames-exclude'});
+
+    this.onExclude_();
+  }
+
+  /**
+   * Stop watching the tech
+   */
+  dispose() {
+    this.stopMonitoring_();
+    this.listen_('off');
+  }
+}
@@ -0,0 +1,231 @@
+/**
+ * @file fetch-loader.js
+ *
+ * A network loader built on fetch() that can stand in for videojs.xhr. Responses are
+ * read from a ReadableStream so that progress events are available as with XHR, and
+ * requests are cancelled with an AbortController.
+ */
+import window from 'global/window';
+import videojs from 'video.js';
+
+/**
+ * Whether the browser supports everything the fetch loader needs
+ *
+ * @return {boolean}
+ *         true if fetch() and AbortController are available
+ */
+export const isFetchSupported = () => {
+  return typeof window.fetch === 'function' &&
+    typeof window.AbortController === 'function';
+};
+
+/**
+ * Concatenates the chunks read from a response body
+ *
+ * @param {Uint8Array[]} chunks
+ *        The chunks in the order they were read
+ * @param {number} length
+ *        The total length of the chunks
+ * @return {ArrayBuffer}
+ *         The response body
+ */
+const concatChunks = (chunks, length) => {
+  const bytes = new Uint8Array(length);
+  let offset = 0;
+
+  chunks.forEach((chunk) => {
+    bytes.set(chunk, offset);
+    offset += chunk.byteLength;
+  });
+
+  return bytes.buffer;
+};
+
+/**
+ * The request object returned by the fetch loader. It mimics the parts of an
+ * XMLHttpRequest that the rest of the playback engine relies on: `status`, `response`,
+ * `responseText`, `url`, `progress` events and `abort()`.
+ *
+ * @class FetchRequest
+ * @extends videojs.EventTarget
+ */
+export class FetchRequest extends videojs.EventTarget {
+  constructor() {
+    super();
+
+    this.readyState = 0;
+    this.status = 0;
+    this.response = null;
+    this.responseText = '';
+    this.url = '';
+    this.controller_ = null;
+  }
+
+  /**
+   * Cancels the request. Like an aborted XHR, an aborted request does not call back.
+   */
+  abort() {
+    if (this.controller_) {
+      this.controller_.abort();
+      this.controller_ = null;
+    }
+  }
+
+  /**
+   * Reads a response body chunk by chunk, triggering a progress event with the `chunk`
+   * for each one
+   *
+   * @param {Response} response
+   *        The fetch response
+   * @param {AbortController} controller
+   *        The controller of the fetch, to stop reading once it is aborted
+   * @return {Promise}
+   *         Resolves with the body as an ArrayBuffer
+   * @private
+   */
+  readBody_(response, controller) {
+    if (!response.body || typeof response.body.getReader !== 'function') {
+      return response.arrayBuffer();
+    }
+
+    const reader = response.body.getReader();
+    const total = parseInt(response.headers.get('content-length'), 10) || 0;
+    const chunks = [];
+    let loaded = 0;
+
+    const read = () => reader.read().then(({ done, value }) => {
+      if (done) {
+        return concatChunks(chunks, loaded);
+      }
+      if (controller !== this.controller_) {
+        reader.cancel();
+        return null;
+      }
+
+      chunks.push(value);
+      loaded += value.byteLength;
+      this.trigger({
+        type: 'progress',
+        target: this,
+        lengthComputable: total > 0,
+        loaded,
+        total,
+        chunk: value
+      });
+
+      return read();
+    });
+
+    return read();
+  }
+}
+
+/**
+ * Requests a resource with fetch(). Takes the same options and calls back the same way
+ * as videojs.xhr, so that it can be used as a network loader.
+ *
+ * @param {Object} options
+ *        The request options
+ * @param {string} options.uri
+ *        The URI to request
+ * @param {string=} options.method
+ *        The request method, GET by default
+ * @param {Object=} options.headers
+ *        Request headers
+ * @param {string=} options.responseType
+ *        `arraybuffer` to receive the body as an ArrayBuffer, text otherwise
+ * @param {number=} options.timeout
+ *        Milliseconds after which the request fails with an `ETIMEDOUT` error
+ * @param {boolean=} options.withCredentials
+ *        Whether to send cookies with cross-origin requests
+ * @param {FetchRequest=} options.xhr
+ *        A request object to reuse, e.g. when retrying a request
+ * @param {Function} callback
+ *        Called with an error, if any, and the response
+ * @return {FetchRequest}
+ *         The request
+ */
+const fetchLoader = (options, callback) => {
+  const request = options.xhr || new FetchRequest();
+  const controller = new window.AbortController();
+  let timeout = null;
+  let timedOut = false;
+
+  request.controller_ = controller;
+  request.readyState = 1;
+  request.status = 0;
+  request.response = null;
+  request.responseText = '';
+  request.url = options.uri;
+
+  const finish = (error, headers) => {
+    window.clearTimeout(timeout);
+    request.controller_ = null;
+    request.readyState = 4;
+
+    callback(error, {
+      body: request.response,
+      statusCode: request.status,
+      method: options.method || 'GET',
+      headers: headers || {},
+      url: request.url,
+      rawRequest: request
+    });
+  };
+
+  if (options.timeout) {
+    timeout = window.setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, options.timeout);
+  }
+
+  const responseHeaders = {};
+
+  window.fetch(options.uri, {
+    method: options.method || 'GET',
+    headers: options.headers,
+    credentials: options.withCredentials ? 'include' : 'same-origin',
+    signal: controller.signal
+  }).then((response) => {
+    if (controller !== request.controller_) {
+      return null;
+    }
+
+    request.readyState = 2;
+    request.status = response.status;
+    request.url = response.url || options.uri;
+    response.headers.forEach((value, name) => {
+      responseHeaders[name.toLowerCase()] = value;
+    });
+
+    if (options.responseType === 'arraybuffer') {
+      return request.readBody_(response, controller).then((body) => {
+        request.response = body;
+      });
+    }
+
+    return response.text().then((text) => {
+      request.response = text;
+      request.responseText = text;
+    });
+  }).then(() => {
+    if (controller === request.controller_) {
+      finish(null, responseHeaders);
+    }
+  }, (error) => {
+    if (timedOut) {
+      error = new Error('fetch timeout');
+      error.code = 'ETIMEDOUT';
+    } else if (controller !== request.controller_) {
+      // aborted by the caller
+      return;
+    }
+
+    finish(error, responseHeaders);
+  });
+
+  return request;
+};
+
+export default fetchLoader;
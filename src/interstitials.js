@@ -0,0 +1,601 @@
+/**
+ * @file interstitials.js
+ *
+ * HLS Interstitials are EXT-X-DATERANGE tags with the CLASS com.apple.hls.interstitial
+ * that schedule another asset, e.g. an ad, to play at their START-DATE. When playback
+ * reaches one, the primary source stops loading, the asset plays with a master playlist
+ * controller of its own, and the primary source is attached again to resume playback.
+ */
+import videojs from 'video.js';
+import Config from './config';
+import resolveUrl from './resolve-url';
+import {
+  lastBandwidthSelector,
+  lowestBitrateCompatibleVariantSelector
+} from './playlist-selectors';
+import logger from './util/logger';
+
+export const INTERSTITIAL_CLASS = 'com.apple.hls.interstitial';
+
+/**
+ * Reads an enumerated string list attribute, e.g. `X-RESTRICT="SKIP,JUMP"`
+ *
+ * @param {string} value
+ *        The attribute value
+ * @return {string[]}
+ *         The listed values
+ */
+const parseList = (value) => {
+  return value ? value.split(',').map((item) => item.trim()) : [];
+};
+
+/**
+ * Lists the interstitials of a media playlist in player time
+ *
+ * @param {Object} media
+ *        The media playlist, with the date ranges parsed by parseManifest
+ * @param {number} datetimeToDisplayTime
+ *        The offset from program date time in seconds to player time
+ * @return {Object[]}
+ *         The interstitials, sorted by their `startTime`. Each has the `id` of its date
+ *         range, its `duration` or null, the resolved `assetUri` or `assetListUri`, the
+ *         `resumeOffset` and `playoutLimit` in seconds or null, its `restrict` flags
+ *         and the parsed `dateRange`.
+ */
+export const interstitialSchedule = (media, datetimeToDisplayTime) => {
+  if (!media || !media.dateRanges || typeof datetimeToDisplayTime !== 'number') {
+    return [];
+  }
+
+  return media.dateRanges
+    .filter((dateRange) => {
+      const attributes = dateRange.clientAttributes;
+
+      return dateRange.class === INTERSTITIAL_CLASS &&
+        dateRange.startDate &&
+        !isNaN(dateRange.startDate.getTime()) &&
+        (attributes['X-ASSET-URI'] || attributes['X-ASSET-LIST']);
+    })
+    .map((dateRange) => {
+      const attributes = dateRange.clientAttributes;
+      const restrict = parseList(attributes['X-RESTRICT']);
+      let resumeOffset = null;
+
+      if ('X-RESUME-OFFSET' in attributes) {
+        resumeOffset = parseFloat(attributes['X-RESUME-OFFSET']);
+      } else if (typeof dateRange.duration === 'number') {
+        resumeOffset = dateRange.duration;
+      }
+
+      return {
+        id: dateRange.id,
+        startTime: dateRange.startDate.getTime() / 1000 + datetimeToDisplayTime,
+        duration: typeof dateRange.duration === 'number' ? dateRange.duration : null,
+        assetUri: attributes['X-ASSET-URI'] ?
+          resolveUrl(media.resolvedUri, attributes['X-ASSET-URI']) : null,
+        assetListUri: attributes['X-ASSET-LIST'] ?
+          resolveUrl(media.resolvedUri, attributes['X-ASSET-LIST']) : null,
+        resumeOffset,
+        playoutLimit: 'X-PLAYOUT-LIMIT' in attributes ?
+          parseFloat(attributes['X-PLAYOUT-LIMIT']) : null,
+        restrict: {
+          skip: restrict.indexOf('SKIP') !== -1,
+          jump: restrict.indexOf('JUMP') !== -1
+        },
+        dateRange
+      };
+    })
+    .sort((a, b) => a.startTime - b.startTime);
+};
+
+/**
+ * Parses an X-ASSET-LIST response
+ *
+ * @param {string} responseText
+ *        The JSON asset list
+ * @param {string} uri
+ *        The URI it was loaded from, to resolve the asset URIs with
+ * @return {Object[]|null}
+ *         The `uri` and `duration` of each asset, or null if the list is invalid
+ */
+export const parseAssetList = (responseText, uri) => {
+  let list;
+
+  try {
+    list = JSON.parse(responseText);
+  } catch (e) {
+    return null;
+  }
+
+  if (!list || !Array.isArray(list.ASSETS)) {
+    return null;
+  }
+
+  return list.ASSETS
+    .filter((asset) => asset && typeof asset.URI === 'string')
+    .map((asset) => {
+      return {
+        uri: resolveUrl(uri, asset.URI),
+        duration: typeof asset.DURATION === 'number' ? asset.DURATION : null
+      };
+    });
+};
+
+/**
+ * @class InterstitialController
+ * @extends videojs.EventTarget
+ */
+export default class InterstitialController extends videojs.EventTarget {
+  /**
+   * @constructor
+   * @param {Object} options
+   * @param {Tech} options.tech
+   *        The tech playing the primary source and the interstitials
+   * @param {Object} options.hls
+   *        The HlsHandler, used for its xhr
+   * @param {boolean} options.withCredentials
+   *        The withCredentials xhr option
+   * @param {MasterPlaylistController} options.masterPlaylistController
+   *        The master playlist controller of the primary source
+   * @param {Function} options.createMasterPlaylistController
+   *        Creates the master playlist controller playing an asset from its URI
+   * @param {Function} options.attachMediaSource
+   *        Attaches a media source to the tech
+   */
+  constructor(options) {
+    super();
+
+    this.tech_ = options.tech;
+    this.hls_ = options.hls;
+    this.withCredentials_ = options.withCredentials;
+    this.masterPlaylistController_ = options.masterPlaylistController;
+    this.createMasterPlaylistController_ = options.createMasterPlaylistController;
+    this.attachMediaSource_ = options.attachMediaSource;
+
+    this.schedule_ = [];
+    this.scheduleKey_ = '';
+    // IDs of the interstitials that were played
+    this.played_ = {};
+    // the interstitial being played, with its assets and the controller playing them
+    this.active_ = null;
+    this.request_ = null;
+    this.lastTime_ = 0;
+    // where the primary source resumes once it is attached again
+    this.resumeTime_ = null;
+    this.logger_ = logger('InterstitialController');
+
+    this.loadedplaylistHandler_ = () => this.updateSchedule_();
+    this.timeupdateHandler_ = () => this.onTimeupdate_();
+    this.seekingHandler_ = () => this.onSeeking_();
+    this.loadedmetadataHandler_ = () => {
+      this.tech_.setCurrentTime(this.resumeTime_);
+      this.resumeTime_ = null;
+    };
+    // the end of an asset is not the end of the source, so neither the tech nor the
+    // player may see it. Listening in the capture phase comes before their listeners.
+    this.endedHandler_ = (event) => {
+      if (this.active_) {
+        event.stopImmediatePropagation();
+        this.playAsset_(this.active_.index + 1);
+      }
+    };
+
+    this.masterPlaylistController_.masterPlaylistLoader_
+      .on('loadedplaylist', this.loadedplaylistHandler_);
+    this.tech_.on(['play', 'timeupdate'], this.timeupdateHandler_);
+    this.tech_.on('seeking', this.seekingHandler_);
+    this.tech_.el().addEventListener('ended', this.endedHandler_, true);
+  }
+
+  /**
+   * @return {Object[]}
+   *         The interstitials of the primary source, see interstitialSchedule. Those
+   *         that were played have `played` set.
+   */
+  schedule() {
+    return this.schedule_;
+  }
+
+  /**
+   * @return {Object|null}
+   *         The interstitial being played
+   */
+  activeInterstitial() {
+    return this.active_ ? this.active_.interstitial : null;
+  }
+
+  /**
+   * @return {MasterPlaylistController}
+   *         The master playlist controller of the asset being played, or of the primary
+   *         source between interstitials
+   */
+  activeMasterPlaylistController() {
+    if (this.active_ && this.active_.masterPlaylistController) {
+      return this.active_.masterPlaylistController;
+    }
+    return this.masterPlaylistController_;
+  }
+
+  /**
+   * Lists the interstitials of the primary media playlist and triggers
+   * `interstitialschedulechange` when they change
+   *
+   * @private
+   */
+  updateSchedule_() {
+    const mpc = this.masterPlaylistController_;
+    const media = mpc.masterPlaylistLoader_.media();
+
+    if (!media || !media.dateRanges) {
+      return;
+    }
+
+    mpc.syncController_.setDateTimeMapping(media);
+
+    const schedule =
+      interstitialSchedule(media, mpc.syncController_.datetimeToDisplayTime);
+    const key = schedule.map((interstitial) => {
+      return `${interstitial.id}@${interstitial.startTime}`;
+    }).join(',');
+
+    schedule.forEach((interstitial) => {
+      interstitial.played = !!this.played_[interstitial.id];
+    });
+    this.schedule_ = schedule;
+
+    if (key === this.scheduleKey_) {
+      return;
+    }
+    if (!this.scheduleKey_) {
+      this.tech_.trigger({type: 'usage', name: 'hls-interstitials'});
+    }
+    this.scheduleKey_ = key;
+    this.tech_.trigger({ type: 'interstitialschedulechange', schedule });
+  }
+
+  /**
+   * Starts the interstitial that playback of the primary source reached
+   *
+   * @private
+   */
+  onTimeupdate_() {
+    if (this.active_) {
+      if (!this.tech_.seeking()) {
+        this.active_.lastTime = this.tech_.currentTime();
+      }
+      this.checkPlayoutLimit_();
+      return;
+    }
+    if (this.resumeTime_ !== null) {
+      return;
+    }
+
+    const time = this.tech_.currentTime();
+
+    this.lastTime_ = time;
+
+    const interstitial = this.schedule_.filter((candidate) => {
+      return !this.played_[candidate.id] &&
+        time >= candidate.startTime &&
+        time - candidate.startTime < Config.INTERSTITIAL_START_TOLERANCE;
+    })[0];
+
+    if (interstitial) {
+      this.start_(interstitial, null);
+    }
+  }
+
+  /**
+   * Plays the last interstitial that a seek forward jumps over if it may not be
+   * jumped over, then resumes at the seek target. While an interstitial that may not be
+   * skipped plays, seeks forward are undone.
+   *
+   * @private
+   */
+  onSeeking_() {
+    if (this.active_) {
+      this.restrictSkip_();
+      return;
+    }
+    if (this.resumeTime_ !== null) {
+      return;
+    }
+
+    const target = this.tech_.currentTime();
+    const skipped = this.schedule_.filter((interstitial) => {
+      return !this.played_[interstitial.id] &&
+        interstitial.restrict.jump &&
+        interstitial.startTime > this.lastTime_ &&
+        interstitial.startTime < target;
+    });
+
+    this.lastTime_ = target;
+
+    if (skipped.length) {
+      this.start_(skipped[skipped.length - 1], target);
+    }
+  }
+
+  /**
+   * Seeks back to where the asset was when a seek forward skips part of an interstitial
+   * with SKIP in its X-RESTRICT
+   *
+   * @private
+   */
+  restrictSkip_() {
+    const active = this.active_;
+
+    if (active.interstitial.restrict.skip &&
+        active.masterPlaylistController &&
+        this.tech_.currentTime() > active.lastTime) {
+      this.logger_(`not skipping interstitial ${active.interstitial.id}`);
+      this.tech_.setCurrentTime(active.lastTime);
+    }
+  }
+
+  /**
+   * Ends the interstitial once it played for its X-PLAYOUT-LIMIT
+   *
+   * @private
+   */
+  checkPlayoutLimit_() {
+    const active = this.active_;
+    const limit = active.interstitial.playoutLimit;
+
+    if (typeof limit === 'number' &&
+        active.masterPlaylistController &&
+        active.playedTime + this.tech_.currentTime() >= limit) {
+      this.end_();
+    }
+  }
+
+  /**
+   * Stops loading the primary source and plays the assets of an interstitial
+   *
+   * @param {Object} interstitial
+   *        The interstitial from the schedule
+   * @param {number|null} resumeTime
+   *        Where to resume the primary source afterwards, or null to resume at the
+   *        resume offset of the interstitial
+   * @private
+   */
+  start_(interstitial, resumeTime) {
+    const mpc = this.masterPlaylistController_;
+
+    this.logger_(`starting interstitial ${interstitial.id}`);
+    this.played_[interstitial.id] = true;
+    interstitial.played = true;
+    this.active_ = {
+      interstitial,
+      resumeTime,
+      live: !!mpc.masterPlaylistLoader_.media() &&
+        !mpc.masterPlaylistLoader_.media().endList,
+      assets: null,
+      index: -1,
+      masterPlaylistController: null,
+      // seconds of the interstitial played by the previous assets
+      playedTime: 0,
+      // the position in the asset before the last seek
+      lastTime: 0
+    };
+
+    mpc.pauseLoading();
+    this.tech_.trigger({ type: 'interstitialstart', interstitial });
+
+    if (interstitial.assetUri) {
+      this.active_.assets = [{ uri: interstitial.assetUri, duration: null }];
+      this.playAsset_(0);
+      return;
+    }
+
+    this.loadAssetList_(interstitial.assetListUri);
+  }
+
+  /**
+   * Requests the X-ASSET-LIST of the active interstitial and plays its assets
+   *
+   * @param {string} uri
+   *        The URI of the asset list
+   * @private
+   */
+  loadAssetList_(uri) {
+    this.request_ = this.hls_.xhr({
+      uri,
+      withCredentials: this.withCredentials_,
+      requestType: 'manifest'
+    }, (error, request) => {
+      // ended
+      if (!this.request_) {
+        return;
+      }
+
+      this.request_ = null;
+
+      const assets = error ? null : parseAssetList(request.responseText, request.uri);
+
+      if (!assets) {
+        this.error_(`could not load the asset list ${uri}`);
+        this.end_();
+        return;
+      }
+
+      this.active_.assets = assets;
+      this.playAsset_(0);
+    });
+  }
+
+  /**
+   * Plays an asset of the active interstitial with a master playlist controller of its
+   * own, ending the interstitial after the last asset
+   *
+   * @param {number} index
+   *        The index of the asset
+   * @private
+   */
+  playAsset_(index) {
+    const active = this.active_;
+    const asset = active.assets[index];
+
+    if (active.masterPlaylistController) {
+      active.playedTime += this.tech_.currentTime();
+      this.disposeAsset_();
+    }
+
+    if (!asset) {
+      this.end_();
+      return;
+    }
+
+    const mpc = this.createMasterPlaylistController_(asset.uri);
+    // the selectors are called with a HlsHandler, of which they use these properties
+    const selectorContext = {
+      playlists: mpc.masterPlaylistLoader_,
+      tech_: this.tech_,
+      masterPlaylistController_: mpc,
+      get systemBandwidth() {
+        return mpc.mainSegmentLoader_.bandwidth;
+      }
+    };
+
+    mpc.selectPlaylist = lastBandwidthSelector.bind(selectorContext);
+    mpc.selectInitialPlaylist =
+      lowestBitrateCompatibleVariantSelector.bind(selectorContext);
+    mpc.on('error', () => {
+      this.error_(`could not play the asset ${asset.uri}`);
+      this.playAsset_(index + 1);
+    });
+
+    active.index = index;
+    active.masterPlaylistController = mpc;
+    active.lastTime = 0;
+    active.canplayHandler = () => mpc.setupFirstPlay();
+
+    this.tech_.one('canplay', active.canplayHandler);
+    this.attachMediaSource_(mpc.mediaSource);
+    this.play_();
+    this.tech_.trigger({
+      type: 'interstitialassetstart',
+      interstitial: active.interstitial,
+      asset,
+      index
+    });
+  }
+
+  /**
+   * Disposes of the master playlist controller of the asset being played
+   *
+   * @private
+   */
+  disposeAsset_() {
+    const mpc = this.active_.masterPlaylistController;
+
+    this.tech_.off('canplay', this.active_.canplayHandler);
+    mpc.dispose();
+    if (this.tech_.removeRemoteTextTrack) {
+      this.tech_.removeRemoteTextTrack(mpc.segmentMetadataTrack_);
+    }
+    this.active_.masterPlaylistController = null;
+  }
+
+  /**
+   * Ends the active interstitial and attaches the primary source again at the resume
+   * point. Without a resume offset, VOD resumes where the interstitial started and
+   * live where it would be had it not been interrupted.
+   *
+   * @private
+   */
+  end_() {
+    const active = this.active_;
+    const interstitial = active.interstitial;
+    const mpc = this.masterPlaylistController_;
+
+    if (this.request_) {
+      this.request_.abort();
+      this.request_ = null;
+    }
+    if (active.masterPlaylistController) {
+      active.playedTime += this.tech_.currentTime();
+      this.disposeAsset_();
+    }
+    this.active_ = null;
+
+    let resumeTime = active.resumeTime;
+
+    if (resumeTime === null) {
+      let resumeOffset = interstitial.resumeOffset;
+
+      if (resumeOffset === null) {
+        resumeOffset = active.live ? active.playedTime : 0;
+      }
+      resumeTime = interstitial.startTime + resumeOffset;
+    }
+
+    const seekable = mpc.seekable();
+
+    if (active.live && seekable.length) {
+      resumeTime = Math.min(Math.max(resumeTime, seekable.start(0)),
+                            seekable.end(seekable.length - 1));
+    }
+
+    this.logger_(`ending interstitial ${interstitial.id}, resuming at ${resumeTime}`);
+    this.lastTime_ = resumeTime;
+    this.resumeTime_ = resumeTime;
+    this.attachMediaSource_(mpc.resetMediaSource());
+    this.tech_.one('loadedmetadata', this.loadedmetadataHandler_);
+    mpc.load();
+    this.play_();
+    this.tech_.trigger({ type: 'interstitialend', interstitial, resumeTime });
+  }
+
+  /**
+   * Plays the newly attached source
+   *
+   * @private
+   */
+  play_() {
+    const playPromise = this.tech_.play();
+
+    // Catch/silence error when a pause interrupts a play request
+    // on browsers which return a promise
+    if (typeof playPromise !== 'undefined' && typeof playPromise.then === 'function') {
+      playPromise.then(null, (e) => {});
+    }
+  }
+
+  /**
+   * Reports an interstitial that could not be played
+   *
+   * @param {string} message
+   *        What went wrong
+   * @private
+   */
+  error_(message) {
+    videojs.log.warn(message);
+    this.tech_.trigger({
+      type: 'interstitialerror',
+      interstitial: this.active_.interstitial,
+      message
+    });
+  }
+
+  /**
+   * Stops the interstitial being played, without resuming the primary source, and stops
+   * listening to the tech
+   */
+  dispose() {
+    if (this.request_) {
+      this.request_.abort();
+      this.request_ = null;
+    }
+    if (this.active_ && this.active_.masterPlaylistController) {
+      this.disposeAsset_();
+    }
+    this.active_ = null;
+    this.tech_.off('loadedmetadata', this.loadedmetadataHandler_);
+    this.masterPlaylistController_.masterPlaylistLoader_
+      .off('loadedplaylist', this.loadedplaylistHandler_);
+    this.tech_.off(['play', 'timeupdate'], this.timeupdateHandler_);
+    this.tech_.off('seeking', this.seekingHandler_);
+    this.tech_.el().removeEventListener('ended', this.endedHandler_, true);
+  }
+}
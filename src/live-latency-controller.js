@@ -0,0 +1,258 @@
+/**
+ * @file live-latency-controller.js
+ *
+ * Keeps live playback at a configurable distance from the live edge by nudging the
+ * playback rate, or by seeking forward when playback has fallen too far behind.
+ */
+import window from 'global/window';
+import videojs from 'video.js';
+import Config from './config';
+import logger from './util/logger';
+import pauseMixin from './pause-mixin';
+
+// in ms
+const CHECK_LATENCY_DELAY = 1000;
+
+/**
+ * @class LiveLatencyController
+ * @extends videojs.EventTarget
+ */
+export default class LiveLatencyController extends videojs.EventTarget {
+  /**
+   * @constructor
+   * @param {Object} options
+   * @param {Tech} options.tech
+   *        The tech to watch and adjust
+   * @param {Function} options.liveEdge
+   *        Returns the time of the live edge, or null if the source is not live
+   * @param {Function} options.seekable
+   *        Returns the seekable range of the source
+   * @param {Number=} options.targetLatency
+   *        The desired distance from the live edge in seconds. The latency is only
+   *        measured, not adjusted, when this is not set.
+   * @param {Number=} options.minLatency
+   *        Playback slows down when it gets closer than this to the live edge
+   * @param {Number=} options.maxLatency
+   *        Playback seeks forward when it falls further than this behind the live edge.
+   *        Defaults to twice the target latency.
+   */
+  constructor(options) {
+    super();
+
+    this.tech_ = options.tech;
+    this.liveEdge_ = options.liveEdge;
+    this.seekable_ = options.seekable;
+    this.minLatency_ = options.minLatency || 0;
+    this.maxLatencyOption_ = options.maxLatency;
+    this.targetLatency_ = null;
+    if (typeof options.targetLatency !== 'undefined') {
+      this.targetLatency(options.targetLatency);
+    }
+
+    this.latency = null;
+    // the rate last set by this controller, used to detect rate changes made by others
+    this.playbackRate_ = 1;
+    this.checkLatencyTimeout_ = null;
+    this.logger_ = logger('LiveLatencyController');
+
+    this.startHandler_ = () => this.monitorLatency_();
+    this.stopHandler_ = () => this.stopMonitoring_();
+
+    pauseMixin(this, () => {
+      this.stopMonitoring_();
+      this.setPlaybackRate_(1);
+    });
+    this.listen_('on');
+  }
+
+  /**
+   * Starts or stops watching the tech
+   *
+   * @param {string} method
+   *        `on` or `off`
+   * @private
+   */
+  listen_(method) {
+    this.tech_[method]('playing', this.startHandler_);
+    this.tech_[method](['pause', 'ended', 'error'], this.stopHandler_);
+  }
+
+  /**
+   * Gets or sets the target latency. The target is kept within the minimum and maximum
+   * latency bounds.
+   *
+   * @param {Number=} targetLatency
+   *        The new target latency in seconds
+   * @return {Number|null}
+   *         The current target latency, or null if the latency is not being adjusted
+   */
+  targetLatency(targetLatency) {
+    if (typeof targetLatency === 'undefined') {
+      return this.targetLatency_;
+    }
+
+    if (typeof targetLatency !== 'number' || isNaN(targetLatency)) {
+      this.targetLatency_ = null;
+      return this.targetLatency_;
+    }
+
+    const maxLatency = typeof this.maxLatencyOption_ === 'number' ?
+      this.maxLatencyOption_ : Infinity;
+
+    this.targetLatency_ = Math.min(Math.max(targetLatency, this.minLatency_), maxLatency);
+    return this.targetLatency_;
+  }
+
+  /**
+   * The distance beyond which playback seeks forward to the target latency
+   *
+   * @return {Number} the maximum latency in seconds
+   * @private
+   */
+  maxLatency_() {
+    return typeof this.maxLatencyOption_ === 'number' ?
+      this.maxLatencyOption_ : this.targetLatency_ * 2;
+  }
+
+  /**
+   * Periodically measure and correct the latency while playing
+   *
+   * @private
+   */
+  monitorLatency_() {
+    this.checkLatency_();
+
+    if (this.checkLatencyTimeout_) {
+      window.clearTimeout(this.checkLatencyTimeout_);
+    }
+
+    this.checkLatencyTimeout_ =
+      window.setTimeout(this.monitorLatency_.bind(this), CHECK_LATENCY_DELAY);
+  }
+
+  /**
+   * Stop measuring the latency
+   *
+   * @private
+   */
+  stopMonitoring_() {
+    if (this.checkLatencyTimeout_) {
+      window.clearTimeout(this.checkLatencyTimeout_);
+      this.checkLatencyTimeout_ = null;
+    }
+  }
+
+  /**
+   * Measures the current latency, triggers `livelatencyupdate` on the tech and takes
+   * corrective action when the latency has drifted away from the target.
+   *
+   * @private
+   */
+  checkLatency_() {
+    const liveEdge = this.liveEdge_();
+
+    if (typeof liveEdge !== 'number' || this.tech_.seeking()) {
+      return;
+    }
+
+    const currentTime = this.tech_.currentTime();
+
+    this.latency = Math.max(0, liveEdge - currentTime);
+
+    this.tech_.trigger({
+      type: 'livelatencyupdate',
+      latency: this.latency,
+      targetLatency: this.targetLatency_
+    });
+
+    if (this.targetLatency_ === null || this.tech_.paused()) {
+      return;
+    }
+
+    // the playback rate was changed by someone else so leave it alone
+    if (this.tech_.playbackRate() !== this.playbackRate_) {
+      return;
+    }
+
+    if (this.latency > this.maxLatency_()) {
+      this.seekToTarget_(liveEdge, currentTime);
+      return;
+    }
+
+    let playbackRate = 1;
+
+    if (this.latency > this.targetLatency_ + Config.LIVE_LATENCY_TOLERANCE) {
+      playbackRate = Config.LIVE_CATCH_UP_PLAYBACK_RATE;
+    } else if (this.latency < this.minLatency_) {
+      playbackRate = Config.LIVE_SLOW_DOWN_PLAYBACK_RATE;
+    } else if ((this.playbackRate_ > 1 && this.latency > this.targetLatency_) ||
+               (this.playbackRate_ < 1 && this.latency < this.targetLatency_)) {
+      // keep the adjusted rate until the target has actually been reached
+      playbackRate = this.playbackRate_;
+    }
+
+    this.setPlaybackRate_(playbackRate);
+  }
+
+  /**
+   * Seeks forward to the target latency, limited to the end of the seekable range
+   *
+   * @param {Number} liveEdge
+   *        The time of the live edge
+   * @param {Number} currentTime
+   *        The current playback position
+   * @private
+   */
+  seekToTarget_(liveEdge, currentTime) {
+    const seekable = this.seekable_();
+    let seekTo = liveEdge - this.targetLatency_;
+
+    if (seekable.length) {
+      seekTo = Math.min(seekTo, seekable.end(seekable.length - 1));
+    }
+
+    // nothing to gain from seeking, catching up with the playback rate is all that
+    // can be done
+    if (seekTo <= currentTime) {
+      this.setPlaybackRate_(Config.LIVE_CATCH_UP_PLAYBACK_RATE);
+      return;
+    }
+
+    this.logger_(`latency of ${this.latency} exceeds ${this.maxLatency_()}, ` +
+                 `seeking from ${currentTime} to ${seekTo}`);
+    this.setPlaybackRate_(1);
+    this.tech_.setCurrentTime(seekTo);
+    this.tech_.trigger({type: 'usage', name: 'hls-live-latency-seek'});
+  }
+
+  /**
+   * Changes the tech's playback rate if it differs from the desired rate
+   *
+   * @param {Number} playbackRate
+   *        The desired playback rate
+   * @private
+   */
+  setPlaybackRate_(playbackRate) {
+    if (playbackRate === this.playbackRate_) {
+      return;
+    }
+
+    this.logger_(`latency ${this.latency}, target ${this.targetLatency_}, ` +
+                 `playback rate ${this.playbackRate_} -> ${playbackRate}`);
+
+    if (this.playbackRate_ === 1) {
+      this.tech_.trigger({type: 'usage', name: 'hls-live-latency-rate-change'});
+    }
+
+    this.playbackRate_ = playbackRate;
+    this.tech_.setPlaybackRate(playbackRate);
+  }
+
+  /**
+   * Stop watching the latency and clean up
+   */
+  dispose() {
+    this.stopMonitoring_();
+    this.listen_('off');
+  }
+}
@@ -0,0 +1,397 @@
+/**
+ * @file manifest.js
+ *
+ * Parsing of M3U8 text into manifest objects, including the tags that m3u8-parser does
+ * not understand yet.
+ */
+import { Parser as M3u8Parser } from 'm3u8-parser';
+
+/**
+ * Parses an attribute list (the part of a tag following the colon) into an object keyed
+ * by attribute name. Quoted string values have their quotes removed, every other value
+ * is left as the raw string.
+ *
+ * @param {String} attributeList
+ *        The attribute list, e.g. `URI="part.mp4",DURATION=0.5`
+ * @return {Object}
+ *         The parsed attributes
+ */
+export const parseAttributes = (attributeList) => {
+  const attributes = {};
+  const attributeRegex = /\s*([A-Z0-9-]+)=("[^"]*"|[^,]*)\s*(?:,|$)/g;
+  let match;
+
+  while ((match = attributeRegex.exec(attributeList)) && match[0].length) {
+    let value = match[2];
+
+    if (value[0] === '"' && value[value.length - 1] === '"') {
+      value = value.slice(1, -1);
+    }
+    attributes[match[1]] = value;
+  }
+
+  return attributes;
+};
+
+/**
+ * Converts an EXT-X-PART BYTERANGE value (`<length>[@<offset>]`) to the byterange format
+ * m3u8-parser uses for segments. When the offset is omitted, the range begins
+ * immediately after the previous part's range.
+ *
+ * @param {String} byterange
+ *        The raw BYTERANGE attribute value
+ * @param {Object=} previousPart
+ *        The part listed before this one, if any
+ * @return {Object}
+ *         An object with `length` and `offset` properties
+ */
+const parseByterange = (byterange, previousPart) => {
+  const [length, offset] = byterange.split('@');
+  let start = 0;
+
+  if (typeof offset !== 'undefined') {
+    start = parseInt(offset, 10);
+  } else if (previousPart && previousPart.byterange) {
+    start = previousPart.byterange.offset + previousPart.byterange.length;
+  }
+
+  return {
+    length: parseInt(length, 10),
+    offset: start
+  };
+};
+
+/**
+ * Parses a `<width>x<height>` attribute value, such as a RESOLUTION or a tile LAYOUT
+ *
+ * @param {String} value
+ *        The raw attribute value
+ * @return {Object|undefined}
+ *         An object with `width` and `height` numbers, or undefined if the value is
+ *         missing or malformed
+ */
+const parseDimensions = (value) => {
+  const match = (/^(\d+)x(\d+)$/).exec(value || '');
+
+  if (match) {
+    return {
+      width: parseInt(match[1], 10),
+      height: parseInt(match[2], 10)
+    };
+  }
+};
+
+const parseDate = (value) => new Date(value);
+const parseString = (value) => value;
+
+// maps EXT-X-DATERANGE attribute names to date range properties and value parsers
+const dateRangeAttributes = {
+  'CLASS': ['class', parseString],
+  'START-DATE': ['startDate', parseDate],
+  'END-DATE': ['endDate', parseDate],
+  'DURATION': ['duration', parseFloat],
+  'PLANNED-DURATION': ['plannedDuration', parseFloat],
+  'END-ON-NEXT': ['endOnNext', (value) => value === 'YES'],
+  'SCTE35-CMD': ['scte35Cmd', parseString],
+  'SCTE35-OUT': ['scte35Out', parseString],
+  'SCTE35-IN': ['scte35In', parseString]
+};
+
+/**
+ * Converts the attributes of an EXT-X-DATERANGE tag to a date range object. Dates are
+ * parsed into Date objects and durations into numbers. SCTE-35 attributes are kept as
+ * their hexadecimal strings and client defined `X-` attributes are collected in
+ * `clientAttributes`.
+ *
+ * @param {Object} attributes
+ *        The parsed attribute list of the tag
+ * @return {Object}
+ *         The date range
+ */
+const parseDateRange = (attributes) => {
+  const dateRange = {
+    id: attributes.ID,
+    clientAttributes: {}
+  };
+
+  Object.keys(attributes).forEach((name) => {
+    if (dateRangeAttributes[name]) {
+      const [key, parse] = dateRangeAttributes[name];
+
+      dateRange[key] = parse(attributes[name]);
+    } else if (name.indexOf('X-') === 0) {
+      dateRange.clientAttributes[name] = attributes[name];
+    }
+  });
+
+  return dateRange;
+};
+
+const tagParsers = {
+  'EXT-X-SERVER-CONTROL'(attributes, state) {
+    const serverControl = {
+      canBlockReload: attributes['CAN-BLOCK-RELOAD'] === 'YES'
+    };
+
+    ['CAN-SKIP-UNTIL', 'HOLD-BACK', 'PART-HOLD-BACK'].forEach((name) => {
+      if (name in attributes) {
+        const key = name.toLowerCase().replace(/-(\w)/g, (m, c) => c.toUpperCase());
+
+        serverControl[key] = parseFloat(attributes[name]);
+      }
+    });
+
+    state.manifest.serverControl = serverControl;
+  },
+  'EXT-X-CONTENT-STEERING'(attributes, state) {
+    state.manifest.contentSteering = {
+      serverUri: attributes['SERVER-URI'],
+      pathwayId: attributes['PATHWAY-ID']
+    };
+  },
+  'EXT-X-IMAGE-STREAM-INF'(attributes, state) {
+    const imagePlaylists =
+      state.manifest.imagePlaylists = state.manifest.imagePlaylists || [];
+    const imagePlaylist = {
+      uri: attributes.URI,
+      attributes: {
+        BANDWIDTH: parseInt(attributes.BANDWIDTH, 10)
+      }
+    };
+
+    if (attributes.RESOLUTION) {
+      imagePlaylist.attributes.RESOLUTION = parseDimensions(attributes.RESOLUTION);
+    }
+    if (attributes.CODECS) {
+      imagePlaylist.attributes.CODECS = attributes.CODECS;
+    }
+
+    imagePlaylists.push(imagePlaylist);
+  },
+  'EXT-X-I-FRAME-STREAM-INF'(attributes, state) {
+    const iFramePlaylists =
+      state.manifest.iFramePlaylists = state.manifest.iFramePlaylists || [];
+    const iFramePlaylist = {
+      uri: attributes.URI,
+      attributes: {
+        BANDWIDTH: parseInt(attributes.BANDWIDTH, 10)
+      }
+    };
+
+    if (attributes.RESOLUTION) {
+      iFramePlaylist.attributes.RESOLUTION = parseDimensions(attributes.RESOLUTION);
+    }
+    if (attributes.CODECS) {
+      iFramePlaylist.attributes.CODECS = attributes.CODECS;
+    }
+
+    iFramePlaylists.push(iFramePlaylist);
+  },
+  'EXT-X-I-FRAMES-ONLY'(attributes, state) {
+    state.manifest.iFramesOnly = true;
+  },
+  'EXT-X-IMAGES-ONLY'(attributes, state) {
+    state.manifest.imagesOnly = true;
+  },
+  'EXT-X-TILES'(attributes, state) {
+    const resolution = parseDimensions(attributes.RESOLUTION);
+    const layout = parseDimensions(attributes.LAYOUT) || { width: 1, height: 1 };
+    const tiles = {
+      columns: layout.width,
+      rows: layout.height
+    };
+
+    if (resolution) {
+      tiles.width = resolution.width;
+      tiles.height = resolution.height;
+    }
+    if (attributes.DURATION) {
+      tiles.duration = parseFloat(attributes.DURATION);
+    }
+
+    state.tiles = tiles;
+  },
+  'EXT-X-PART-INF'(attributes, state) {
+    state.manifest.partTargetDuration = parseFloat(attributes['PART-TARGET']);
+  },
+  'EXT-X-PART'(attributes, state) {
+    const part = {
+      uri: attributes.URI,
+      duration: parseFloat(attributes.DURATION)
+    };
+
+    if (attributes.INDEPENDENT === 'YES') {
+      part.independent = true;
+    }
+    if (attributes.GAP === 'YES') {
+      part.gap = true;
+    }
+    if (attributes.BYTERANGE) {
+      part.byterange = parseByterange(attributes.BYTERANGE,
+                                      state.parts[state.parts.length - 1]);
+    }
+
+    state.parts.push(part);
+  },
+  'EXT-X-PRELOAD-HINT'(attributes, state) {
+    const hint = {
+      type: attributes.TYPE,
+      uri: attributes.URI
+    };
+
+    if ('BYTERANGE-START' in attributes) {
+      hint.byterange = {
+        offset: parseInt(attributes['BYTERANGE-START'], 10),
+        length: 'BYTERANGE-LENGTH' in attributes ?
+          parseInt(attributes['BYTERANGE-LENGTH'], 10) : Infinity
+      };
+    }
+
+    state.preloadHints.push(hint);
+  },
+  'EXT-X-DISCONTINUITY'(attributes, state) {
+    state.discontinuity = true;
+  },
+  'EXT-X-DATERANGE'(attributes, state) {
+    const dateRanges = state.manifest.dateRanges = state.manifest.dateRanges || [];
+    const dateRange = parseDateRange(attributes);
+    const existing = dateRanges.filter((range) => range.id === dateRange.id)[0];
+
+    // a date range may be declared again with more attributes, e.g. the SCTE35-IN
+    // once the end of an ad break is known
+    if (existing) {
+      Object.keys(dateRange.clientAttributes).forEach((name) => {
+        existing.clientAttributes[name] = dateRange.clientAttributes[name];
+      });
+      Object.keys(dateRange).forEach((key) => {
+        if (key !== 'clientAttributes') {
+          existing[key] = dateRange[key];
+        }
+      });
+      return;
+    }
+
+    dateRanges.push(dateRange);
+  }
+};
+
+/**
+ * Builds the segment that the server is still producing from the parts and preload
+ * hints that follow the last complete segment of a low-latency playlist.
+ *
+ * @param {Object} manifest
+ *        The parsed manifest
+ * @param {Object} state
+ *        The tag state left over after the last segment URI
+ * @return {Object|undefined}
+ *         The preload segment, or undefined if there is nothing after the last segment
+ */
+const createPreloadSegment = (manifest, state) => {
+  if (!state.parts.length && !state.preloadHints.length) {
+    return;
+  }
+
+  const segments = manifest.segments || [];
+  const lastSegment = segments[segments.length - 1] || {};
+  const preloadSegment = {
+    parts: state.parts,
+    preloadHints: state.preloadHints,
+    timeline: typeof lastSegment.timeline === 'number' ?
+      lastSegment.timeline : (manifest.discontinuitySequence || 0)
+  };
+
+  if (state.discontinuity) {
+    preloadSegment.discontinuity = true;
+    preloadSegment.timeline++;
+  }
+  if (lastSegment.map) {
+    preloadSegment.map = lastSegment.map;
+  }
+  if (lastSegment.key) {
+    preloadSegment.key = lastSegment.key;
+  }
+
+  return preloadSegment;
+};
+
+/**
+ * Walks the lines of a manifest and attaches the information from tags that
+ * m3u8-parser does not handle to the parsed manifest:
+ *
+ * - `manifest.serverControl` from EXT-X-SERVER-CONTROL
+ * - `manifest.contentSteering` from EXT-X-CONTENT-STEERING
+ * - `manifest.partTargetDuration` from EXT-X-PART-INF
+ * - `manifest.iFramePlaylists` from EXT-X-I-FRAME-STREAM-INF
+ * - `manifest.iFramesOnly` from EXT-X-I-FRAMES-ONLY
+ * - `manifest.imagePlaylists` from EXT-X-IMAGE-STREAM-INF
+ * - `manifest.imagesOnly` from EXT-X-IMAGES-ONLY
+ * - `segment.tiles` from the EXT-X-TILES tag preceding each segment of an image
+ *   playlist, with the `columns` and `rows` of its layout, the `width` and `height` of
+ *   a tile and the `duration` of each tile
+ * - `segment.parts` from the EXT-X-PART tags preceding each segment
+ * - `manifest.preloadSegment` from the parts and EXT-X-PRELOAD-HINT tags following the
+ *   last segment
+ * - `manifest.dateRanges` from EXT-X-DATERANGE, with repeated declarations of the same
+ *   ID merged into one date range
+ *
+ * @param {Object} manifest
+ *        The manifest produced by m3u8-parser
+ * @param {String} manifestString
+ *        The raw manifest text
+ */
+const addTagInfo = (manifest, manifestString) => {
+  const segments = manifest.segments || [];
+  let segmentIndex = 0;
+  let state = { manifest, parts: [], preloadHints: [], discontinuity: false };
+
+  manifestString.split('\n').forEach((line) => {
+    line = line.trim();
+
+    if (!line) {
+      return;
+    }
+
+    if (line[0] !== '#') {
+      if (state.parts.length && segments[segmentIndex]) {
+        segments[segmentIndex].parts = state.parts;
+      }
+      if (state.tiles && segments[segmentIndex]) {
+        segments[segmentIndex].tiles = state.tiles;
+      }
+      segmentIndex++;
+      state = { manifest, parts: [], preloadHints: [], discontinuity: false };
+      return;
+    }
+
+    const match = (/^#(EXT-X-[A-Z-]+)(?::(.*))?$/).exec(line);
+
+    if (match && tagParsers[match[1]]) {
+      tagParsers[match[1]](parseAttributes(match[2] || ''), state);
+    }
+  });
+
+  const preloadSegment = createPreloadSegment(manifest, state);
+
+  if (preloadSegment) {
+    manifest.preloadSegment = preloadSegment;
+  }
+};
+
+/**
+ * Parses M3U8 text into a manifest object.
+ *
+ * @param {String} manifestString
+ *        The M3U8 text
+ * @return {Object}
+ *         The parsed manifest
+ */
+export const parseManifest = (manifestString) => {
+  const parser = new M3u8Parser();
+
+  parser.push(manifestString);
+  parser.end();
+
+  addTagInfo(parser.manifest, manifestString);
+
+  return parser.manifest;
+};
@@ -4,20 +4,36 @@
 import window from 'global/window';
 import PlaylistLoader from './playlist-loader';
 import DashPlaylistLoader from './dash-playlist-loader';
-import { isEnabled, isLowestEnabledRendition } from './playlist.js';
+import { isEnabled, isIncompatible, isLowestEnabledRendition } from './playlist.js';
 import SegmentLoader from './segment-loader';
 import VTTSegmentLoader from './vtt-segment-loader';
 import * as Ranges from './ranges';
 import videojs from 'video.js';
-import { updateAdCues } from './ad-cue-tags';
+import { updateAdCues, updateDateRangeCues } from './ad-cue-tags';
+import { addEventCues } from './dash-events';
+import { saveBandwidthEstimate } from './bandwidth-estimator';
+import ContentSteeringController, {
+  hlsContentSteering,
+  pathwayOf
+} from './content-steering';
+import ThumbnailController from './thumbnails';
+import TrickPlayController from './trick-play';
 import SyncController from './sync-controller';
 import Decrypter from 'worker!./decrypter-worker.worker.js';
 import Config from './config';
 import {
   parseCodecs,
-  mapLegacyAvcCodecs,
+  canTransmux,
+  getContainerType,
+  variantMimeType,
   mimeTypesForPlaylist
 } from './util/codecs.js';
+import {
+  supportsDecodingInfo,
+  queryDecodingInfo,
+  undecodableVariants,
+  powerEfficientVariants
+} from './media-capabilities';
 import { createMediaTypes, setupMediaGroups } from './media-groups';
 import logger from './util/logger';
 
@@ -62,7 +78,13 @@ export class MasterPlaylistController extends videojs.EventTarget {
       useCueTags,
       blacklistDuration,
       enableLowInitialPlaylist,
-      sourceType
+      useMediaCapabilities,
+      useBandwidthFromLocalStorage,
+      useBandwidthEstimator,
+      sourceType,
+      llhls,
+      progressive,
+      attachMediaSource
     } = options;
 
     if (!url) {
@@ -78,6 +100,15 @@ export class MasterPlaylistController extends videojs.EventTarget {
     this.useCueTags_ = useCueTags;
     this.blacklistDuration = blacklistDuration;
     this.enableLowInitialPlaylist = enableLowInitialPlaylist;
+    this.useMediaCapabilities_ = !!useMediaCapabilities;
+    // the variants MediaCapabilities can decode power-efficiently, preferred on mobile
+    this.powerEfficientVariants_ = [];
+    // the variants blacklisted in favor of the preferred video codec family
+    this.codecFamilyExcluded_ = [];
+    this.useBandwidthFromLocalStorage_ = useBandwidthFromLocalStorage;
+    this.llhls_ = !!llhls;
+    // why the main playlist was last switched, reported with the rendition switches
+    this.switchReason_ = null;
     if (this.useCueTags_) {
       this.cueTagsTrack_ = this.tech_.addTextTrack('metadata',
         'ad-cues');
@@ -107,6 +138,20 @@ export class MasterPlaylistController extends videojs.EventTarget {
 
     this.decrypter_ = new Decrypter();
 
+    this.contentSteering_ = new ContentSteeringController({
+      hls: this.hls_,
+      withCredentials: this.withCredentials,
+      queryPrefix: this.sourceType_ === 'dash' ? '_DASH' : '_HLS',
+      bandwidth: () => this.mainSegmentLoader_.bandwidth
+    });
+    this.contentSteering_.on('pathwaychange', () => this.onPathwayChange_());
+
+    this.thumbnails_ = new ThumbnailController({
+      hls: this.hls_,
+      withCredentials: this.withCredentials,
+      seekable: () => this.seekable()
+    });
+
     const segmentLoaderSettings = {
       hls: this.hls_,
       mediaSource: this.mediaSource,
@@ -119,12 +164,16 @@ export class MasterPlaylistController extends videojs.EventTarget {
       bandwidth,
       syncController: this.syncController_,
       decrypter: this.decrypter_,
-      sourceType: this.sourceType_
+      sourceType: this.sourceType_,
+      llhls: this.llhls_,
+      contentSteering: this.contentSteering_,
+      progressive: !!progressive,
+      useBandwidthEstimator: !!useBandwidthEstimator
     };
 
     this.masterPlaylistLoader_ = this.sourceType_ === 'dash' ?
       new DashPlaylistLoader(url, this.hls_, this.withCredentials) :
-      new PlaylistLoader(url, this.hls_, this.withCredentials);
+      new PlaylistLoader(url, this.hls_, this.withCredentials, { llhls: this.llhls_ });
     this.setupMasterPlaylistLoaderListeners_();
 
     // setup segment loaders
@@ -148,6 +197,14 @@ export class MasterPlaylistController extends videojs.EventTarget {
 
     this.setupSegmentLoaderListeners_();
 
+    this.trickPlay_ = new TrickPlayController({
+      tech: this.tech_,
+      hls: this.hls_,
+      withCredentials: this.withCredentials,
+      masterPlaylistController: this,
+      attachMediaSource
+    });
+
     // Create SegmentLoader stat-getters
     loaderStats.forEach((stat) => {
       this[stat + '_'] = sumLoaderStat.bind(this, stat);
@@ -155,97 +212,134 @@ export class MasterPlaylistController extends videojs.EventTarget {
 
     this.logger_ = logger('MPC');
 
+    if (this.sourceType_ === 'dash') {
+      this.onTimeupdate_ = () => this.checkPeriodChange_();
+      this.tech_.on('timeupdate', this.onTimeupdate_);
+    }
+
     this.masterPlaylistLoader_.load();
   }
 
   /**
-   * Register event handlers on the master playlist loader. A helper
-   * function for construction time.
+   * Sets up loading and the source buffers for the first media playlist that is loaded.
+   * If it turns out to be MPEG-TS with codecs that cannot be transmuxed, another media
+   * playlist is selected first.
    *
    * @private
    */
-  setupMasterPlaylistLoaderListeners_() {
-    this.masterPlaylistLoader_.on('loadedmetadata', () => {
-      let media = this.masterPlaylistLoader_.media();
-      let requestTimeout = (this.masterPlaylistLoader_.targetDuration * 1.5) * 1000;
+  setupInitialMedia_() {
+    let media = this.masterPlaylistLoader_.media();
+    let requestTimeout = (this.masterPlaylistLoader_.targetDuration * 1.5) * 1000;
 
-      // If we don't have any more available playlists, we don't want to
-      // timeout the request.
-      if (isLowestEnabledRendition(
-            this.masterPlaylistLoader_.master, this.masterPlaylistLoader_.media())) {
-        this.requestOptions_.timeout = 0;
-      } else {
-        this.requestOptions_.timeout = requestTimeout;
-      }
+    if (this.excludeUntransmuxableVariants_(media)) {
+      const nextPlaylist = this.selectPlaylist();
 
-      // if this isn't a live video and preload permits, start
-      // downloading segments
-      if (media.endList && this.tech_.preload() !== 'none') {
-        this.mainSegmentLoader_.playlist(media, this.requestOptions_);
-        this.mainSegmentLoader_.load();
+      if (!nextPlaylist || isIncompatible(nextPlaylist)) {
+        this.error = {
+          message: 'No variant stream can be transmuxed, the codecs of ' +
+            media.resolvedUri + ' are not H.264 and AAC',
+          code: 3
+        };
+        return this.trigger('error');
       }
 
-      setupMediaGroups({
-        sourceType: this.sourceType_,
-        segmentLoaders: {
-          AUDIO: this.audioSegmentLoader_,
-          SUBTITLES: this.subtitleSegmentLoader_,
-          main: this.mainSegmentLoader_
-        },
-        tech: this.tech_,
-        requestOptions: this.requestOptions_,
-        masterPlaylistLoader: this.masterPlaylistLoader_,
-        hls: this.hls_,
-        master: this.master(),
-        mediaTypes: this.mediaTypes_,
-        blacklistCurrentPlaylist: this.blacklistCurrentPlaylist.bind(this)
-      });
+      this.masterPlaylistLoader_.one('mediachange', () => this.setupInitialMedia_());
+      this.switchReason_ = 'initial';
+      this.masterPlaylistLoader_.media(nextPlaylist);
+      return;
+    }
 
-      this.triggerPresenceUsage_(this.master(), media);
+    this.initialMediaSetUp_ = true;
 
-      try {
-        this.setupSourceBuffers_();
-      } catch (e) {
-        videojs.log.warn('Failed to create SourceBuffers', e);
-        return this.mediaSource.endOfStream('decode');
-      }
-      this.setupFirstPlay();
+    // If we don't have any more available playlists, we don't want to
+    // timeout the request.
+    if (isLowestEnabledRendition(
+          this.masterPlaylistLoader_.master, this.masterPlaylistLoader_.media())) {
+      this.requestOptions_.timeout = 0;
+    } else {
+      this.requestOptions_.timeout = requestTimeout;
+    }
 
-      this.trigger('selectedinitialmedia');
+    // if this isn't a live video and preload permits, start
+    // downloading segments
+    if (media.endList && this.tech_.preload() !== 'none') {
+      this.mainSegmentLoader_.playlist(media, this.requestOptions_);
+      this.mainSegmentLoader_.load();
+    }
+
+    setupMediaGroups({
+      sourceType: this.sourceType_,
+      segmentLoaders: {
+        AUDIO: this.audioSegmentLoader_,
+        SUBTITLES: this.subtitleSegmentLoader_,
+        main: this.mainSegmentLoader_
+      },
+      tech: this.tech_,
+      requestOptions: this.requestOptions_,
+      masterPlaylistLoader: this.masterPlaylistLoader_,
+      playlistLoaderOptions: { llhls: this.llhls_ },
+      hls: this.hls_,
+      master: this.master(),
+      mediaTypes: this.mediaTypes_,
+      blacklistCurrentPlaylist: this.blacklistCurrentPlaylist.bind(this)
     });
 
+    this.triggerPresenceUsage_(this.master(), media);
+
+    try {
+      this.setupSourceBuffers_();
+    } catch (e) {
+      videojs.log.warn('Failed to create SourceBuffers', e);
+      return this.mediaSource.endOfStream('decode');
+    }
+    this.setupFirstPlay();
+
+    this.trigger('selectedinitialmedia');
+  }
+
+  /**
+   * Register event handlers on the master playlist loader. A helper
+   * function for construction time.
+   *
+   * @private
+   */
+  setupMasterPlaylistLoaderListeners_() {
+    this.masterPlaylistLoader_.on('loadedmetadata', () => this.setupInitialMedia_());
+
     this.masterPlaylistLoader_.on('loadedplaylist', () => {
       let updatedPlaylist = this.masterPlaylistLoader_.media();
 
+      this.updateContentSteering_();
+      this.thumbnails_.setMaster(this.master());
+
       if (!updatedPlaylist) {
         // blacklist any variants that are not supported by the browser before selecting
         // an initial media as the playlist selectors do not consider browser support
         this.excludeUnsupportedVariants_();
 
-        let selectedMedia;
-
-        if (this.enableLowInitialPlaylist) {
-          selectedMedia = this.selectInitialPlaylist();
+        if (this.useMediaCapabilities_ && supportsDecodingInfo()) {
+          this.masterPlaylistLoader_.deferMediaSelection();
+          this.excludeUndecodableVariants_();
+          return;
         }
 
-        if (!selectedMedia) {
-          selectedMedia = this.selectPlaylist();
-        }
-
-        this.initialMedia_ = selectedMedia;
-        this.masterPlaylistLoader_.media(this.initialMedia_);
+        this.selectInitialMedia_();
         return;
       }
 
       if (this.useCueTags_) {
         this.updateAdCues_(updatedPlaylist);
       }
+      this.addEventStreamCues_();
 
       // TODO: Create a new event on the PlaylistLoader that signals
       // that the segments have changed in some way and use that to
       // update the SegmentLoader instead of doing it twice here and
       // on `mediachange`
-      this.mainSegmentLoader_.playlist(updatedPlaylist, this.requestOptions_);
+      // the main segment loader loads I-frames during trick play
+      if (!this.trickPlay_.active()) {
+        this.mainSegmentLoader_.playlist(updatedPlaylist, this.requestOptions_);
+      }
       this.updateDuration();
 
       // If the player isn't paused, ensure that the segment loader is running,
@@ -293,6 +387,18 @@ export class MasterPlaylistController extends videojs.EventTarget {
       let media = this.masterPlaylistLoader_.media();
       let requestTimeout = (this.masterPlaylistLoader_.targetDuration * 1.5) * 1000;
 
+      // the initial media is checked by setupInitialMedia_, later variants of the same
+      // video codec family may still turn out to be MPEG-TS that cannot be transmuxed
+      if (this.initialMediaSetUp_ &&
+          media.attributes.CODECS &&
+          getContainerType(media) === 'mp2t' &&
+          !canTransmux(media.attributes.CODECS)) {
+        return this.blacklistCurrentPlaylist({
+          message: `The codecs ${media.attributes.CODECS} cannot be transmuxed.`,
+          blacklistDuration: Infinity
+        });
+      }
+
       // If we don't have any more available playlists, we don't want to
       // timeout the request.
       if (isLowestEnabledRendition(
@@ -306,8 +412,10 @@ export class MasterPlaylistController extends videojs.EventTarget {
       // that the segments have changed in some way and use that to
       // update the SegmentLoader instead of doing it twice here and
       // on `loadedplaylist`
-      this.mainSegmentLoader_.playlist(media, this.requestOptions_);
-      this.mainSegmentLoader_.load();
+      if (!this.trickPlay_.active()) {
+        this.mainSegmentLoader_.playlist(media, this.requestOptions_);
+        this.mainSegmentLoader_.load();
+      }
 
       this.tech_.trigger({
         type: 'mediachange',
@@ -384,7 +492,152 @@ export class MasterPlaylistController extends videojs.EventTarget {
     if (this.useCueTags_) {
       this.tech_.trigger({type: 'usage', name: 'hls-playlist-cue-tags'});
     }
+
+    if (media.partTargetDuration || media.preloadSegment) {
+      this.tech_.trigger({type: 'usage', name: 'hls-ll'});
+    }
+
+    if (media.dateRanges) {
+      this.tech_.trigger({type: 'usage', name: 'hls-daterange'});
+    }
+
+    if (master.periods) {
+      this.tech_.trigger({type: 'usage', name: 'hls-multi-period'});
+    }
+
+    if (master.imagePlaylists) {
+      this.tech_.trigger({type: 'usage', name: 'hls-thumbnails'});
+    }
   }
+
+  /**
+   * Starts or updates content steering from the master manifest and restricts the
+   * selectable playlists to the current pathway
+   *
+   * @private
+   */
+  updateContentSteering_() {
+    const master = this.master();
+    const steering = this.sourceType_ === 'dash' ?
+      master.contentSteering : hlsContentSteering(master);
+
+    if (!steering) {
+      return;
+    }
+
+    if (!this.contentSteering_.currentPathway()) {
+      this.tech_.trigger({type: 'usage', name: 'hls-content-steering'});
+    }
+
+    this.contentSteering_.setSteering(steering);
+    this.applyPathway_();
+  }
+
+  /**
+   * Marks the HLS variants that are not on the current pathway. DASH pathways share
+   * their playlists, their segment requests are sent to the current pathway instead.
+   *
+   * @private
+   */
+  applyPathway_() {
+    const pathway = this.contentSteering_.currentPathway();
+
+    if (this.sourceType_ === 'dash' || !pathway) {
+      return;
+    }
+
+    this.master().playlists.forEach((playlist) => {
+      playlist.inactivePathway = pathwayOf(playlist) !== pathway;
+    });
+  }
+
+  /**
+   * Moves playback to the new pathway, keeping what has been buffered
+   *
+   * @private
+   */
+  onPathwayChange_() {
+    this.applyPathway_();
+    this.tech_.trigger({
+      type: 'pathwaychange',
+      pathway: this.contentSteering_.currentPathway()
+    });
+
+    if (this.sourceType_ === 'dash') {
+      // requests for the next segments go to the new pathway
+      return;
+    }
+
+    const media = this.masterPlaylistLoader_.media();
+
+    if (!media || !isEnabled(this.master().playlists[media.uri])) {
+      this.switchReason_ = 'pathway';
+      this.masterPlaylistLoader_.media(this.selectPlaylist());
+    }
+  }
+
+  /**
+   * Moves to the next content steering pathway after a request failed
+   *
+   * @param {Object} error
+   *        The error of the failed request
+   * @return {boolean}
+   *         Whether playback moved or had already moved to another pathway
+   * @private
+   */
+  failoverPathway_(error) {
+    const pathway = this.contentSteering_.currentPathway();
+
+    // only network errors are caused by the pathway
+    if (!pathway || typeof error.status !== 'number') {
+      return false;
+    }
+
+    // playlist errors name the playlist that failed, segment errors are of the current
+    // media
+    const playlist = error.playlist || this.masterPlaylistLoader_.media();
+
+    if (this.sourceType_ !== 'dash' && playlist && pathwayOf(playlist) !== pathway) {
+      // playback already moved away from the pathway of the failed request
+      return true;
+    }
+
+    if (!this.contentSteering_.excludePathway(pathway, this.blacklistDuration)) {
+      return false;
+    }
+
+    videojs.log.warn(`Problem encountered loading from pathway ${pathway}.` +
+                     (error.message ? ' ' + error.message : '') +
+                     ` Switching to pathway ${this.contentSteering_.currentPathway()}.`);
+    this.tech_.trigger({type: 'usage', name: 'hls-pathway-failover'});
+
+    // the DASH playlists are unchanged so loading has to be resumed
+    if (this.sourceType_ === 'dash') {
+      this.mainSegmentLoader_.load();
+    }
+
+    return true;
+  }
+
+  /**
+   * Stores the bandwidth estimate of the main segment loader so that the next source
+   * can start at that bandwidth, if useBandwidthFromLocalStorage is enabled
+   *
+   * @private
+   */
+  saveBandwidthEstimate_() {
+    const estimator = this.mainSegmentLoader_.bandwidthEstimator;
+
+    if (!this.useBandwidthFromLocalStorage_ || estimator.bandwidth() === null) {
+      return;
+    }
+
+    saveBandwidthEstimate({
+      bandwidth: estimator.bandwidth(),
+      timeToFirstByte: estimator.timeToFirstByte()
+    });
+  }
+
   /**
    * Register event handlers on the segment loaders. A helper function
    * for construction time.
@@ -393,6 +646,11 @@ export class MasterPlaylistController extends videojs.EventTarget {
    */
   setupSegmentLoaderListeners_() {
     this.mainSegmentLoader_.on('bandwidthupdate', () => {
+      // renditions are not switched while I-frames are shown
+      if (this.trickPlay_.active()) {
+        return;
+      }
+
       const nextPlaylist = this.selectPlaylist();
       const currentPlaylist = this.masterPlaylistLoader_.media();
       const buffered = this.tech_.buffered();
@@ -414,10 +672,14 @@ export class MasterPlaylistController extends videojs.EventTarget {
           // ensure we have some buffer before we switch up to prevent us running out of
           // buffer while loading a higher rendition.
           forwardBuffer >= bufferLowWaterLine) {
+        if (nextPlaylist !== currentPlaylist) {
+          this.switchReason_ = 'abr';
+        }
         this.masterPlaylistLoader_.media(nextPlaylist);
       }
 
       this.tech_.trigger('bandwidthupdate');
+      this.saveBandwidthEstimate_();
     });
     this.mainSegmentLoader_.on('progress', () => {
       this.trigger('progress');
@@ -467,6 +729,18 @@ export class MasterPlaylistController extends videojs.EventTarget {
     this.audioSegmentLoader_.on('ended', () => {
       this.onEndOfStream();
     });
+
+    this.mainSegmentLoader_.on('emsg', (event) => {
+      this.addDashEventCues_(event.events);
+    });
+    this.audioSegmentLoader_.on('emsg', (event) => {
+      this.addDashEventCues_(event.events);
+    });
+
+    // the EventStream events of a Period can be placed once its timeline is mapped
+    this.syncController_.on('timestampoffset', () => {
+      this.addEventStreamCues_();
+    });
   }
 
   mediaSecondsLoaded_() {
@@ -479,6 +753,10 @@ export class MasterPlaylistController extends videojs.EventTarget {
    */
   load() {
     this.mainSegmentLoader_.load();
+    // I-frames are shown without audio and subtitles
+    if (this.trickPlay_.active()) {
+      return;
+    }
     if (this.mediaTypes_.AUDIO.activePlaylistLoader) {
       this.audioSegmentLoader_.load();
     }
@@ -493,12 +771,15 @@ export class MasterPlaylistController extends videojs.EventTarget {
    * removing already buffered content, to readjust the currently
    * active playlist quickly.
    *
+   * @param {string=} reason
+   *        Why the quality is re-tuned, `manual` by default
    * @private
    */
-  fastQualityChange_() {
+  fastQualityChange_(reason = 'manual') {
     let media = this.selectPlaylist();
 
     if (media !== this.masterPlaylistLoader_.media()) {
+      this.switchReason_ = reason;
       this.masterPlaylistLoader_.media(media);
 
       this.mainSegmentLoader_.resetLoader();
@@ -720,6 +1001,31 @@ export class MasterPlaylistController extends videojs.EventTarget {
       }
     }
 
+    // playback goes on with another playlist, or by retrying this one
+    this.trigger({
+      type: 'playlisterror',
+      error
+    });
+
+    // only network errors are worth retrying from a redundant playlist
+    if (this.sourceType_ !== 'dash' && typeof error.status === 'number') {
+      this.switchReason_ = 'failover';
+      const redundantPlaylist =
+        this.masterPlaylistLoader_.switchToRedundant(currentPlaylist, blacklistDuration);
+
+      if (redundantPlaylist) {
+        videojs.log.warn('Problem encountered with the current HLS playlist.' +
+                         (error.message ? ' ' + error.message : '') +
+                         ` Switching to redundant playlist ${redundantPlaylist.uri}.`);
+        this.tech_.trigger({type: 'usage', name: 'hls-redundant-failover'});
+        return;
+      }
+    }
+
+    if (this.failoverPathway_(error)) {
+      return;
+    }
+
     let isFinalRendition =
       this.masterPlaylistLoader_.master.playlists.filter(isEnabled).length === 1;
 
@@ -738,6 +1044,7 @@ export class MasterPlaylistController extends videojs.EventTarget {
 
     // Select a new playlist
     nextPlaylist = this.selectPlaylist();
+    this.switchReason_ = 'blacklist';
     videojs.log.warn('Problem encountered with the current HLS playlist.' +
                      (error.message ? ' ' + error.message : '') +
                      ' Switching to another playlist.');
@@ -829,6 +1136,86 @@ export class MasterPlaylistController extends videojs.EventTarget {
     return this.seekable_;
   }
 
+  /**
+   * Finds the Period of a multi-period DASH presentation that the current time is in
+   * and triggers a `periodchange` event on the tech when it differs from the Period
+   * playback was last in. Starting playback in a Period is not a change.
+   *
+   * @private
+   */
+  checkPeriodChange_() {
+    const master = this.master();
+    const media = this.media();
+
+    if (!master || !master.periods || !media || !media.segments.length) {
+      return;
+    }
+
+    const expired = this.syncController_.getExpiredTime(media, this.mediaSource.duration);
+
+    if (expired === null) {
+      return;
+    }
+
+    const mediaInfo =
+      Hls.Playlist.getMediaInfoForTime(media, this.tech_.currentTime(), 0, expired);
+    const timeline = media.segments[mediaInfo.mediaIndex].timeline;
+    const period = master.periods.filter((p) => p.timeline === timeline)[0];
+
+    if (!period || (this.currentPeriod_ && this.currentPeriod_.timeline === timeline)) {
+      return;
+    }
+
+    const previousPeriod = this.currentPeriod_;
+
+    this.currentPeriod_ = period;
+    if (!previousPeriod) {
+      return;
+    }
+
+    this.logger_(`period changed to ${period.id || period.start}`);
+    this.tech_.trigger({
+      type: 'periodchange',
+      period
+    });
+  }
+
+  /**
+   * The time of the most recent media available in a live stream, including any
+   * low-latency parts that have been published for the segment still being produced.
+   *
+   * @return {Number|null}
+   *         The live edge in seconds, or null for VOD content or if the edge is
+   *         not known yet
+   */
+  liveEdge() {
+    const media = this.masterPlaylistLoader_ && this.masterPlaylistLoader_.media();
+
+    if (!media || media.endList || !this.mediaSource) {
+      return null;
+    }
+
+    const expired = this.syncController_.getExpiredTime(media, this.mediaSource.duration);
+
+    if (expired === null) {
+      return null;
+    }
+
+    let liveEdge = Hls.Playlist.playlistEnd(media, expired);
+
+    if (liveEdge === null) {
+      return null;
+    }
+
+    if (media.preloadSegment) {
+      liveEdge = media.preloadSegment.parts.reduce((edge, part) => {
+        return edge + part.duration;
+      }, liveEdge);
+    }
+
+    return liveEdge;
+  }
+
   onSyncInfoUpdate_() {
     let mainSeekable;
     let audioSeekable;
@@ -922,12 +1309,54 @@ export class MasterPlaylistController extends videojs.EventTarget {
     }
   }
 
+  /**
+   * Replaces the media source, e.g. to return to this source after the media element
+   * played another one. The segment loaders append to the new media source once it is
+   * attached and opens.
+   *
+   * @param {string=} videoMimeType
+   *        The type of the only source buffer of the new media source, which the main
+   *        segment loader appends to, e.g. to show the I-frames of trick play without
+   *        audio. The source buffers of the media playlist are used by default.
+   * @return {MediaSource}
+   *         The new media source, to attach to the media element
+   */
+  resetMediaSource(videoMimeType) {
+    this.mediaSource = new videojs.MediaSource();
+    if (videoMimeType) {
+      this.mediaSource.addEventListener('sourceopen', () => {
+        this.mainSegmentLoader_.mimeType(videoMimeType);
+      });
+    } else {
+      this.mediaSource.addEventListener('sourceopen', this.handleSourceOpen_.bind(this));
+    }
+
+    this.mainSegmentLoader_.resetMediaSource(this.mediaSource);
+    this.audioSegmentLoader_.resetMediaSource(this.mediaSource);
+
+    const setDuration = () => {
+      this.mediaSource.removeEventListener('sourceopen', setDuration);
+      this.updateDuration();
+    };
+
+    this.mediaSource.addEventListener('sourceopen', setDuration);
+
+    return this.mediaSource;
+  }
+
   /**
    * dispose of the MasterPlaylistController and everything
    * that it controls
    */
   dispose() {
+    this.disposed_ = true;
+    if (this.onTimeupdate_) {
+      this.tech_.off('timeupdate', this.onTimeupdate_);
+    }
     this.decrypter_.terminate();
+    this.contentSteering_.dispose();
+    this.thumbnails_.dispose();
+    this.trickPlay_.dispose();
     this.masterPlaylistLoader_.dispose();
     this.mainSegmentLoader_.dispose();
 
@@ -947,6 +1376,30 @@ export class MasterPlaylistController extends videojs.EventTarget {
     this.subtitleSegmentLoader_.dispose();
   }
 
+  /**
+   * Fast-forwards or rewinds by showing I-frames only, see TrickPlayController#setRate
+   *
+   * @param {number} rate
+   *        The playback rate
+   * @return {boolean}
+   *         Whether trick play is on
+   */
+  trickPlay(rate) {
+    return this.trickPlay_.setRate(rate);
+  }
+
+  /**
+   * Finds the thumbnail to preview a time with
+   *
+   * @param {number} time
+   *        The time to preview, in seconds
+   * @return {Object|null}
+   *         The image and tile of the thumbnail, or null if there is none
+   */
+  thumbnailAt(time) {
+    return this.thumbnails_.thumbnailAt(time);
+  }
+
   /**
    * return the master playlist object if we have one
    *
@@ -1020,6 +1473,30 @@ export class MasterPlaylistController extends videojs.EventTarget {
     }
   }
 
+  /**
+   * Selects and requests the first media playlist to play, from the variants of the
+   * preferred video codec family
+   *
+   * @private
+   */
+  selectInitialMedia_() {
+    this.excludeVideoCodecFamilies_();
+
+    let selectedMedia;
+
+    if (this.enableLowInitialPlaylist) {
+      selectedMedia = this.selectInitialPlaylist();
+    }
+
+    if (!selectedMedia) {
+      selectedMedia = this.selectPlaylist();
+    }
+
+    this.initialMedia_ = selectedMedia;
+    this.switchReason_ = 'initial';
+    this.masterPlaylistLoader_.media(this.initialMedia_);
+  }
+
   /**
    * Blacklists playlists with codecs that are unsupported by the browser.
    */
@@ -1028,13 +1505,152 @@ export class MasterPlaylistController extends videojs.EventTarget {
       if (variant.attributes.CODECS &&
           window.MediaSource &&
           window.MediaSource.isTypeSupported &&
-          !window.MediaSource.isTypeSupported(
-            `video/mp4; codecs="${mapLegacyAvcCodecs(variant.attributes.CODECS)}"`)) {
+          !window.MediaSource.isTypeSupported(variantMimeType(variant))) {
         variant.excludeUntil = Infinity;
       }
     });
   }
 
+  /**
+   * Asks MediaCapabilities about the variants that are not blacklisted, blacklists
+   * those that are unsupported or would not play smoothly and then selects the initial
+   * media. On mobile devices, the video codec families that can be decoded
+   * power-efficiently are preferred.
+   *
+   * @private
+   */
+  excludeUndecodableVariants_() {
+    const variants =
+      this.master().playlists.filter((variant) => !isIncompatible(variant));
+
+    queryDecodingInfo(variants).then((infos) => {
+      if (this.disposed_) {
+        return;
+      }
+
+      const excluded = undecodableVariants(variants, infos);
+
+      if (videojs.browser.IS_ANDROID || videojs.browser.IS_IOS) {
+        this.powerEfficientVariants_ = powerEfficientVariants(variants, infos);
+      }
+
+      if (excluded.length) {
+        excluded.forEach((variant) => {
+          variant.excludeUntil = Infinity;
+        });
+
+        this.logger_(`excluding ${excluded.length} playlists MediaCapabilities ` +
+          'cannot decode smoothly');
+
+        this.tech_.trigger({
+          type: 'renditionexcluded',
+          reason: 'media-capabilities',
+          playlists: excluded,
+          excludeUntil: Infinity
+        });
+        this.tech_.trigger({type: 'usage', name: 'hls-media-capabilities-exclude'});
+      }
+
+      this.selectInitialMedia_();
+    }).then(null, (error) => {
+      if (this.disposed_ || this.initialMedia_) {
+        return;
+      }
+
+      videojs.log.warn('Failed to select renditions with MediaCapabilities', error);
+      this.selectInitialMedia_();
+    });
+  }
+
+  /**
+   * When the variants that are not blacklisted use more than one video codec family,
+   * e.g. HEVC and H.264, blacklists all but those of the preferred family, as the source
+   * buffer cannot switch between them. Families with variants that can be decoded
+   * power-efficiently are preferred, then the family that comes first in
+   * Config.VIDEO_CODEC_PREFERENCE.
+   *
+   * @private
+   */
+  excludeVideoCodecFamilies_() {
+    const playlists = this.master().playlists;
+    const preference = Config.VIDEO_CODEC_PREFERENCE;
+    const powerEfficientFamilies = this.powerEfficientVariants_
+      .filter((variant) => !isIncompatible(variant) && variant.attributes.CODECS)
+      .map((variant) => parseCodecs(variant.attributes.CODECS).videoCodecFamily);
+    const rank = (family) => {
+      const index = preference.indexOf(family);
+      const penalty = powerEfficientFamilies.length &&
+        powerEfficientFamilies.indexOf(family) === -1 ? preference.length + 1 : 0;
+
+      return (index === -1 ? preference.length : index) + penalty;
+    };
+    const families = playlists
+      .filter((variant) => variant.excludeUntil !== Infinity && variant.attributes.CODECS)
+      .map((variant) => parseCodecs(variant.attributes.CODECS).videoCodecFamily)
+      .filter((family) => family)
+      .sort((a, b) => rank(a) - rank(b));
+
+    if (!families.length || families[0] === families[families.length - 1]) {
+      return;
+    }
+
+    this.logger_(`preferring the ${families[0]} video codec family`);
+    playlists.forEach((variant) => {
+      const family = variant.attributes.CODECS &&
+        parseCodecs(variant.attributes.CODECS).videoCodecFamily;
+
+      if (family && family !== families[0] && !isIncompatible(variant)) {
+        variant.excludeUntil = Infinity;
+        this.codecFamilyExcluded_.push(variant);
+      }
+    });
+  }
+
+  /**
+   * mux.js transmuxes H.264 and AAC only, so an MPEG-TS media playlist with other codecs
+   * cannot be played. As the container is only known once a media playlist is loaded,
+   * the variants of its video codec family that cannot be transmuxed are assumed to be
+   * MPEG-TS as well and are blacklisted with it. The variants that were blacklisted in
+   * favor of that video codec family may be selected again.
+   *
+   * @param {Object} media
+   *        The loaded media playlist
+   * @return {boolean}
+   *         Whether the media playlist cannot be transmuxed and was blacklisted
+   * @private
+   */
+  excludeUntransmuxableVariants_(media) {
+    const codecs = media.attributes.CODECS;
+
+    if (!codecs || getContainerType(media) !== 'mp2t' || canTransmux(codecs)) {
+      return false;
+    }
+
+    const family = parseCodecs(codecs).videoCodecFamily;
+
+    this.logger_(`excluding ${family} variants, ${codecs} cannot be transmuxed`);
+    this.master().playlists.forEach((variant) => {
+      const variantCodecs = variant.attributes.CODECS;
+
+      if (variant === media ||
+          (variantCodecs &&
+           !canTransmux(variantCodecs) &&
+           parseCodecs(variantCodecs).videoCodecFamily === family)) {
+        variant.excludeUntil = Infinity;
+      }
+    });
+
+    const codecFamilyExcluded = this.codecFamilyExcluded_;
+
+    this.codecFamilyExcluded_ = [];
+    codecFamilyExcluded.forEach((variant) => {
+      delete variant.excludeUntil;
+    });
+    this.excludeVideoCodecFamilies_();
+
+    return true;
+  }
+
   /**
    * Blacklist playlists that are known to be codec or
    * stream-incompatible with the SourceBuffer configuration. For
@@ -1051,19 +1667,22 @@ export class MasterPlaylistController extends videojs.EventTarget {
    */
   excludeIncompatibleVariants_(media) {
     let codecCount = 2;
-    let videoCodec = null;
+    let videoCodecFamily = null;
+    let audioCodecFamily = null;
     let codecs;
 
     if (media.attributes.CODECS) {
       codecs = parseCodecs(media.attributes.CODECS);
-      videoCodec = codecs.videoCodec;
+      videoCodecFamily = codecs.videoCodecFamily || null;
+      audioCodecFamily = codecs.audioCodecFamily || null;
       codecCount = codecs.codecCount;
     }
 
     this.master().playlists.forEach(function(variant) {
       let variantCodecs = {
         codecCount: 2,
-        videoCodec: null
+        videoCodecFamily: null,
+        audioCodecFamily: null
       };
 
       if (variant.attributes.CODECS) {
@@ -1076,9 +1695,17 @@ export class MasterPlaylistController extends videojs.EventTarget {
         variant.excludeUntil = Infinity;
       }
 
-      // if h.264 is specified on the current playlist, some flavor of
-      // it must be specified on all compatible variants
-      if (variantCodecs.videoCodec !== videoCodec) {
+      // if a video codec family, e.g. h.264, is specified on the current playlist,
+      // some flavor of it must be specified on all compatible variants
+      if ((variantCodecs.videoCodecFamily || null) !== videoCodecFamily) {
+        variant.excludeUntil = Infinity;
+      }
+
+      // the audio codec family may not change either, e.g. from AAC to E-AC-3, when
+      // both playlists specify one
+      if (audioCodecFamily &&
+          variantCodecs.audioCodecFamily &&
+          variantCodecs.audioCodecFamily !== audioCodecFamily) {
         variant.excludeUntil = Infinity;
       }
     });
@@ -1093,6 +1720,66 @@ export class MasterPlaylistController extends videojs.EventTarget {
     }
 
     updateAdCues(media, this.cueTagsTrack_, offset);
+
+    if (media.dateRanges) {
+      this.syncController_.setDateTimeMapping(media);
+      updateDateRangeCues(media,
+                          this.cueTagsTrack_,
+                          this.syncController_.datetimeToDisplayTime);
+    }
+  }
+
+  /**
+   * Adds cues for DASH events to the dash-events metadata track, creating the track
+   * with the first event
+   *
+   * @param {Object[]} events
+   *        Events with their `startTime` and `endTime` in player time
+   * @private
+   */
+  addDashEventCues_(events) {
+    if (!events.length) {
+      return;
+    }
+
+    if (!this.dashEventsTrack_) {
+      this.dashEventsTrack_ = this.tech_.addTextTrack('metadata', 'dash-events');
+      this.dashEventsTrack_.inBandMetadataTrackDispatchType = '';
+      this.tech_.trigger({type: 'usage', name: 'hls-dash-events'});
+    }
+
+    addEventCues(this.dashEventsTrack_, events);
+  }
+
+  /**
+   * Adds cues for the EventStream events of the MPD whose Period's timeline has been
+   * mapped to player time
+   *
+   * @private
+   */
+  addEventStreamCues_() {
+    const master = this.master();
+
+    if (!master || !master.events) {
+      return;
+    }
+
+    const events = [];
+
+    master.events.forEach((event) => {
+      const mapping = this.syncController_.mappingForTimeline(event.timeline);
+
+      if (mapping === null) {
+        return;
+      }
+
+      events.push(videojs.mergeOptions(event, {
+        startTime: event.startTime + mapping,
+        endTime: event.endTime + mapping
+      }));
+    });
+
+    this.addDashEventCues_(events);
   }
 
   /**
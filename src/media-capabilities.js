@@ -0,0 +1,139 @@
+/**
+ * @file media-capabilities.js
+ *
+ * Asks MediaCapabilities whether the variants of a master playlist can be decoded
+ * smoothly, and which of them can be decoded power-efficiently.
+ */
+import window from 'global/window';
+import Config from './config';
+import { parseCodecs, mapLegacyAvcCodecs } from './util/codecs';
+
+/**
+ * @return {boolean}
+ *         Whether the browser implements MediaCapabilities#decodingInfo
+ */
+export const supportsDecodingInfo = function() {
+  return !!(window.navigator &&
+    window.navigator.mediaCapabilities &&
+    typeof window.navigator.mediaCapabilities.decodingInfo === 'function');
+};
+
+/**
+ * Builds the MediaDecodingConfiguration of a variant from its codecs, resolution, frame
+ * rate and bandwidth
+ *
+ * @param {Object} variant
+ *        A variant of the master playlist
+ * @return {Object|null}
+ *         The configuration, or null if the attributes of the variant do not describe
+ *         it well enough to ask
+ */
+export const decodingConfiguration = function(variant) {
+  const attributes = variant.attributes || {};
+
+  if (!attributes.CODECS) {
+    return null;
+  }
+
+  const codecs = parseCodecs(attributes.CODECS);
+  const configuration = { type: 'media-source' };
+
+  if (codecs.videoCodec) {
+    // width, height and bitrate are required members of a video configuration
+    if (!attributes.RESOLUTION || !attributes.BANDWIDTH) {
+      return null;
+    }
+
+    const videoCodec = mapLegacyAvcCodecs(
+      `${codecs.videoCodec}${codecs.videoObjectTypeIndicator}`);
+
+    configuration.video = {
+      contentType: `video/mp4; codecs="${videoCodec}"`,
+      width: attributes.RESOLUTION.width,
+      height: attributes.RESOLUTION.height,
+      bitrate: attributes.BANDWIDTH,
+      framerate: attributes['FRAME-RATE'] || Config.MEDIA_CAPABILITIES_FRAME_RATE
+    };
+  }
+
+  if (codecs.audioCodec) {
+    configuration.audio = {
+      contentType: `audio/mp4; codecs="${codecs.audioCodec}"`
+    };
+  }
+
+  if (!configuration.video && !configuration.audio) {
+    return null;
+  }
+
+  return configuration;
+};
+
+/**
+ * Queries MediaCapabilities#decodingInfo for every variant at once
+ *
+ * @param {Array} variants
+ *        The variants to ask about
+ * @return {Promise}
+ *         Resolves with the MediaCapabilitiesInfo of each variant, in the order of the
+ *         variants. The info is null for variants that could not be asked about or
+ *         whose query failed.
+ */
+export const queryDecodingInfo = function(variants) {
+  const mediaCapabilities = window.navigator.mediaCapabilities;
+
+  return Promise.all(variants.map((variant) => {
+    const configuration = decodingConfiguration(variant);
+
+    if (!configuration) {
+      return null;
+    }
+
+    // decodingInfo throws rather than rejects for some invalid configurations
+    return Promise.resolve()
+      .then(() => mediaCapabilities.decodingInfo(configuration))
+      .then(null, () => null);
+  }));
+};
+
+/**
+ * Finds the variants to exclude based on their MediaCapabilitiesInfo: those that are
+ * unsupported or would not play smoothly. Variants without info are kept. If every
+ * variant would be excluded, the supported variant with the lowest bandwidth is kept.
+ *
+ * @param {Array} variants
+ *        The variants that were asked about
+ * @param {Array} infos
+ *        The MediaCapabilitiesInfo of each variant, as resolved by queryDecodingInfo
+ * @return {Array}
+ *         The variants to exclude
+ */
+export const undecodableVariants = function(variants, infos) {
+  const excluded = variants.filter((variant, i) => {
+    return infos[i] && (!infos[i].supported || !infos[i].smooth);
+  });
+
+  if (excluded.length < variants.length) {
+    return excluded;
+  }
+
+  const lowest = excluded
+    .filter((variant) => infos[variants.indexOf(variant)].supported)
+    .sort((a, b) => (a.attributes.BANDWIDTH || 0) - (b.attributes.BANDWIDTH || 0))[0];
+
+  return excluded.filter((variant) => variant !== lowest);
+};
+
+/**
+ * @param {Array} variants
+ *        The variants that were asked about
+ * @param {Array} infos
+ *        The MediaCapabilitiesInfo of each variant, as resolved by queryDecodingInfo
+ * @return {Array}
+ *         The variants that can be decoded smoothly and power-efficiently
+ */
+export const powerEfficientVariants = function(variants, infos) {
+  return variants.filter((variant, i) => {
+    return infos[i] && infos[i].supported && infos[i].smooth && infos[i].powerEfficient;
+  });
+};
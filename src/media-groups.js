@@ -357,6 +357,7 @@ export const initialize = {
       sourceType,
       segmentLoaders: { [type]: segmentLoader },
       requestOptions: { withCredentials },
+      playlistLoaderOptions,
       master: { mediaGroups, playlists },
       mediaTypes: {
         [type]: {
@@ -404,7 +405,8 @@ export const initialize = {
         if (properties.resolvedUri) {
           playlistLoader = new PlaylistLoader(properties.resolvedUri,
                                               hls,
-                                              withCredentials);
+                                              withCredentials,
+                                              playlistLoaderOptions);
         } else if (properties.playlists && sourceType === 'dash') {
           playlistLoader = new DashPlaylistLoader(properties.playlists[0],
                                                   hls,
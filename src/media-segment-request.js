@@ -1,5 +1,6 @@
 import videojs from 'video.js';
 import { createTransferableMessage } from './bin-utils';
+import { responseBody } from './xhr';
 
 export const REQUEST_ERRORS = {
   FAILURE: 2,
@@ -22,6 +23,10 @@ const byterangeStr = function(byterange) {
   // header uses inclusive ranges
   byterangeEnd = byterange.offset + byterange.length - 1;
   byterangeStart = byterange.offset;
+  // preload hints without a length request the rest of the resource
+  if (!isFinite(byterangeEnd)) {
+    return 'bytes=' + byterangeStart + '-';
+  }
   return 'bytes=' + byterangeStart + '-' + byterangeEnd;
 };
 
@@ -31,7 +36,7 @@ const byterangeStr = function(byterange) {
  * @param {Object} segment - a simplified copy of the segmentInfo object
  *                           from SegmentLoader
  */
-const segmentXhrHeaders = function(segment) {
+export const segmentXhrHeaders = function(segment) {
   let headers = {};
 
   if (segment.byterange) {
@@ -52,16 +57,36 @@ const abortAll = (activeXhrs) => {
 };
 
 /**
- * Gather important bandwidth stats once a request has completed
+ * Gather important bandwidth stats once a request has completed. When progress events
+ * recorded the arrival of the first bytes, the time to the first byte is separated from
+ * the time spent transferring the rest of the response.
  *
  * @param {Object} request - the XHR request from which to gather stats
+ * @param {Object=} progressStats - the stats gathered from progress events
  */
-const getRequestStats = (request) => {
-  return {
+const getRequestStats = (request, progressStats) => {
+  const stats = {
     bandwidth: request.bandwidth,
     bytesReceived: request.bytesReceived || 0,
     roundTripTime: request.roundTripTime || 0
   };
+
+  stats.transferBytes = stats.bytesReceived;
+  stats.transferTime = stats.roundTripTime;
+
+  if (progressStats && progressStats.firstBytesReceivedAt) {
+    const transferTime = request.responseTime - progressStats.firstBytesReceivedAt;
+
+    // a response that arrived in a single progress event has no transfer time of its
+    // own, so the whole round trip is used for it
+    if (transferTime > 0) {
+      stats.timeToFirstByte = progressStats.firstBytesReceivedAt - request.requestTime;
+      stats.transferBytes = stats.bytesReceived - progressStats.firstBytesLoaded;
+      stats.transferTime = transferTime;
+    }
+  }
+
+  return stats;
 };
 
 /**
@@ -136,13 +161,14 @@ const handleErrors = (error, request) => {
  *                                        this request
  */
 const handleKeyResponse = (segment, finishProcessingFn) => (error, request) => {
-  const response = request.response;
   const errorObj = handleErrors(error, request);
 
   if (errorObj) {
     return finishProcessingFn(errorObj, segment);
   }
 
+  const response = new Uint8Array(responseBody(request, request.response));
+
   if (response.byteLength !== 16) {
     return finishProcessingFn({
       status: request.status,
@@ -152,7 +178,7 @@ const handleKeyResponse = (segment, finishProcessingFn) => (error, request) => {
     }, segment);
   }
 
-  const view = new DataView(response);
+  const view = new DataView(response.buffer, response.byteOffset, 16);
 
   segment.key.bytes = new Uint32Array([
     view.getUint32(0),
@@ -172,13 +198,14 @@ const handleKeyResponse = (segment, finishProcessingFn) => (error, request) => {
  *                                        this request
  */
 const handleInitSegmentResponse = (segment, finishProcessingFn) => (error, request) => {
-  const response = request.response;
   const errorObj = handleErrors(error, request);
 
   if (errorObj) {
     return finishProcessingFn(errorObj, segment);
   }
 
+  const response = new Uint8Array(responseBody(request, request.response));
+
   // stop processing if received empty content
   if (response.byteLength === 0) {
     return finishProcessingFn({
@@ -189,7 +216,7 @@ const handleInitSegmentResponse = (segment, finishProcessingFn) => (error, reque
     }, segment);
   }
 
-  segment.map.bytes = new Uint8Array(request.response);
+  segment.map.bytes = response;
   return finishProcessingFn(null, segment);
 };
 
@@ -204,13 +231,14 @@ const handleInitSegmentResponse = (segment, finishProcessingFn) => (error, reque
  *                                        this request
  */
 const handleSegmentResponse = (segment, finishProcessingFn) => (error, request) => {
-  const response = request.response;
   const errorObj = handleErrors(error, request);
 
   if (errorObj) {
     return finishProcessingFn(errorObj, segment);
   }
 
+  const response = new Uint8Array(responseBody(request, request.response));
+
   // stop processing if received empty content
   if (response.byteLength === 0) {
     return finishProcessingFn({
@@ -221,12 +249,12 @@ const handleSegmentResponse = (segment, finishProcessingFn) => (error, request)
     }, segment);
   }
 
-  segment.stats = getRequestStats(request);
+  segment.stats = getRequestStats(request, segment.stats);
 
   if (segment.key) {
-    segment.encryptedBytes = new Uint8Array(request.response);
+    segment.encryptedBytes = response;
   } else {
-    segment.bytes = new Uint8Array(request.response);
+    segment.bytes = response;
   }
 
   return finishProcessingFn(null, segment);
@@ -337,6 +365,7 @@ const handleProgress = (segment, progressFn) => (event) => {
   // record the time that we receive the first byte of data
   if (!segment.stats.firstBytesReceivedAt && segment.stats.bytesReceived) {
     segment.stats.firstBytesReceivedAt = Date.now();
+    segment.stats.firstBytesLoaded = segment.stats.bytesReceived;
   }
 
   return progressFn(event, segment);
@@ -403,7 +432,8 @@ export const mediaSegmentRequest = (xhr,
   if (segment.key) {
     const keyRequestOptions = videojs.mergeOptions(xhrOptions, {
       uri: segment.key.resolvedUri,
-      responseType: 'arraybuffer'
+      responseType: 'arraybuffer',
+      requestType: 'key'
     });
     const keyRequestCallback = handleKeyResponse(segment, finishProcessingFn);
     const keyXhr = xhr(keyRequestOptions, keyRequestCallback);
@@ -417,6 +447,8 @@ export const mediaSegmentRequest = (xhr,
     const initSegmentOptions = videojs.mergeOptions(xhrOptions, {
       uri: segment.map.resolvedUri,
       responseType: 'arraybuffer',
+      requestType: 'init',
+      byterange: segment.map.byterange,
       headers: segmentXhrHeaders(segment.map)
     });
     const initSegmentRequestCallback = handleInitSegmentResponse(segment,
@@ -429,6 +461,8 @@ export const mediaSegmentRequest = (xhr,
   const segmentRequestOptions = videojs.mergeOptions(xhrOptions, {
     uri: segment.resolvedUri,
     responseType: 'arraybuffer',
+    requestType: 'segment',
+    byterange: segment.byterange,
     headers: segmentXhrHeaders(segment)
   });
   const segmentRequestCallback = handleSegmentResponse(segment, finishProcessingFn);
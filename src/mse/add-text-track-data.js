@@ -139,3 +139,38 @@ export const addTextTrackData = function(sourceHandler, captionArray, metadataAr
     }
   }
 };
+
+/**
+ * Add cues for SCTE-35 splice_info_sections to a source handler's SCTE-35 track. The
+ * 90kHz time of each splice is mapped to display time with the source handler's
+ * time mapping. Cues last for the break or segmentation duration if the section has
+ * one.
+ *
+ * @param {Object} sourceHandler the virtual source buffer
+ * @param {Array} scte35Array an array of parsed splice_info_sections
+ * @private
+ */
+export const addScte35Data = function(sourceHandler, scte35Array) {
+  let Cue = window.WebKitDataCue || window.VTTCue;
+
+  if (!scte35Array || !sourceHandler.scte35Track_) {
+    return;
+  }
+
+  scte35Array.forEach(function(section) {
+    // immediate splices found before any PES packet can't be placed on the timeline
+    if (typeof section.pts !== 'number') {
+      return;
+    }
+
+    let time = section.pts / 90000 + this.timeMapping_;
+    let cue = new Cue(
+      time,
+      time + (section.duration || 0),
+      section.spliceCommandTypeName);
+
+    cue.value = section;
+
+    this.scte35Track_.addCue(cue);
+  }, sourceHandler);
+};
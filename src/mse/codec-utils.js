@@ -3,25 +3,26 @@
  */
 
 /**
- * Check if a codec string refers to an audio codec.
+ * Check if a codec string refers to an audio codec: AAC and the other mp4a object
+ * types, Opus, AC-3, E-AC-3, AC-4 or FLAC.
  *
  * @param {String} codec codec string to check
  * @return {Boolean} if this is an audio codec
  * @private
  */
 export const isAudioCodec = function(codec) {
-  return (/mp4a\.\d+.\d+/i).test(codec);
+  return (/^\s*(mp4a\.[\da-f]+(\.[\da-f]+)?|opus|[ae]c-3|ac-4|flac)\s*$/i).test(codec);
 };
 
 /**
- * Check if a codec string refers to a video codec.
+ * Check if a codec string refers to a video codec: H.264, HEVC, AV1, VP8 or VP9.
  *
  * @param {String} codec codec string to check
  * @return {Boolean} if this is a video codec
  * @private
  */
 export const isVideoCodec = function(codec) {
-  return (/avc1\.[\da-f]+/i).test(codec);
+  return (/^\s*((avc[13]|hvc1|hev1|av01|vp0[89])\.[\da-z.]+|vp[89])\s*$/i).test(codec);
 };
 
 /**
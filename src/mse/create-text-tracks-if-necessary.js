@@ -53,6 +53,18 @@ const createTextTracksIfNecessary = function(sourceBuffer, mediaSource, segment)
     sourceBuffer.metadataTrack_.inBandMetadataTrackDispatchType =
       segment.metadata.dispatchType;
   }
+
+  // create a metadata track for in-band SCTE-35 splice information
+  if (segment.scte35 &&
+      segment.scte35.length &&
+      !sourceBuffer.scte35Track_) {
+    player.tech_.trigger({type: 'usage', name: 'hls-scte35'});
+    sourceBuffer.scte35Track_ = player.addRemoteTextTrack({
+      kind: 'metadata',
+      label: 'SCTE-35'
+    }, false).track;
+    sourceBuffer.scte35Track_.inBandMetadataTrackDispatchType = 'scte35';
+  }
 };
 
 export default createTextTracksIfNecessary;
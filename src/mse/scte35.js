@@ -0,0 +1,569 @@
+/**
+ * @file scte35.js
+ *
+ * Extracts SCTE-35 splice_info_sections carried on their own PID in MPEG2-TS segments.
+ * mux.js only demuxes the audio, video and ID3 streams of a program so the packets are
+ * scanned here, alongside the transmuxer, in the transmuxer web worker.
+ */
+import timestampRolloverStream from 'mux.js/lib/m2ts/timestamp-rollover-stream';
+
+const handleRollover = timestampRolloverStream.handleRollover;
+
+const PACKET_LENGTH = 188;
+const SYNC_BYTE = 0x47;
+const PAT_PID = 0x0000;
+const SCTE35_STREAM_TYPE = 0x86;
+const SCTE35_TABLE_ID = 0xFC;
+// the PES stream types used to keep track of the current presentation time
+const PES_STREAM_TYPES = [0x1b, 0x0f, 0x15];
+// 2^33, the range of 90kHz timestamps
+const MAX_TS = 8589934592;
+
+export const SPLICE_COMMAND_TYPES = {
+  0x00: 'splice_null',
+  0x04: 'splice_schedule',
+  0x05: 'splice_insert',
+  0x06: 'time_signal',
+  0x07: 'bandwidth_reservation',
+  0xFF: 'private_command'
+};
+
+const SEGMENTATION_DESCRIPTOR_TAG = 0x02;
+// segmentation types that are followed by sub_segment_num and sub_segments_expected
+const SUB_SEGMENT_TYPES = [0x34, 0x36, 0x38, 0x3A, 0x44, 0x46];
+
+const read32Bits = (bytes, offset) => {
+  return ((bytes[offset] << 24) |
+          (bytes[offset + 1] << 16) |
+          (bytes[offset + 2] << 8) |
+          bytes[offset + 3]) >>> 0;
+};
+
+/**
+ * Reads a 33 bit timestamp stored in the last bit of one byte and the four bytes
+ * following it
+ *
+ * @param {Uint8Array} bytes
+ *        The bytes to read from
+ * @param {Number} offset
+ *        The offset of the first of the five bytes
+ * @return {Number}
+ *         The timestamp
+ */
+const read33Bits = (bytes, offset) => {
+  return (bytes[offset] & 0x01) * 4294967296 + read32Bits(bytes, offset + 1);
+};
+
+/**
+ * Parses a splice_time() structure
+ *
+ * @param {Uint8Array} bytes
+ *        The section bytes
+ * @param {Number} offset
+ *        The offset of the splice_time
+ * @return {Object}
+ *         The splice time and the number of bytes it used
+ */
+const parseSpliceTime = (bytes, offset) => {
+  if (bytes[offset] & 0x80) {
+    return { ptsTime: read33Bits(bytes, offset), length: 5 };
+  }
+  return { ptsTime: null, length: 1 };
+};
+
+/**
+ * Parses a break_duration() structure
+ *
+ * @param {Uint8Array} bytes
+ *        The section bytes
+ * @param {Number} offset
+ *        The offset of the break_duration
+ * @return {Object}
+ *         The break duration
+ */
+const parseBreakDuration = (bytes, offset) => {
+  return {
+    autoReturn: !!(bytes[offset] & 0x80),
+    duration: read33Bits(bytes, offset)
+  };
+};
+
+/**
+ * Parses a splice_insert() command
+ *
+ * @param {Uint8Array} bytes
+ *        The section bytes
+ * @param {Number} offset
+ *        The offset of the command
+ * @return {Object}
+ *         The parsed command
+ */
+const parseSpliceInsert = (bytes, offset) => {
+  const command = {
+    spliceEventId: read32Bits(bytes, offset),
+    spliceEventCancelIndicator: !!(bytes[offset + 4] & 0x80)
+  };
+
+  offset += 5;
+
+  if (command.spliceEventCancelIndicator) {
+    return command;
+  }
+
+  const flags = bytes[offset];
+  const durationFlag = !!(flags & 0x20);
+
+  command.outOfNetworkIndicator = !!(flags & 0x80);
+  command.programSpliceFlag = !!(flags & 0x40);
+  command.spliceImmediateFlag = !!(flags & 0x10);
+  offset++;
+
+  if (command.programSpliceFlag && !command.spliceImmediateFlag) {
+    const spliceTime = parseSpliceTime(bytes, offset);
+
+    command.ptsTime = spliceTime.ptsTime;
+    offset += spliceTime.length;
+  }
+
+  if (!command.programSpliceFlag) {
+    const componentCount = bytes[offset];
+
+    command.components = [];
+    offset++;
+
+    for (let i = 0; i < componentCount; i++) {
+      const component = { componentTag: bytes[offset] };
+
+      offset++;
+      if (!command.spliceImmediateFlag) {
+        const spliceTime = parseSpliceTime(bytes, offset);
+
+        component.ptsTime = spliceTime.ptsTime;
+        offset += spliceTime.length;
+      }
+      command.components.push(component);
+    }
+  }
+
+  if (durationFlag) {
+    command.breakDuration = parseBreakDuration(bytes, offset);
+    offset += 5;
+  }
+
+  command.uniqueProgramId = (bytes[offset] << 8) | bytes[offset + 1];
+  command.availNum = bytes[offset + 2];
+  command.availsExpected = bytes[offset + 3];
+
+  return command;
+};
+
+/**
+ * Parses a segmentation_descriptor()
+ *
+ * @param {Uint8Array} bytes
+ *        The section bytes
+ * @param {Number} offset
+ *        The offset of the descriptor data following the identifier
+ * @param {Number} end
+ *        The offset of the end of the descriptor
+ * @return {Object}
+ *         The segmentation fields of the descriptor
+ */
+const parseSegmentationDescriptor = (bytes, offset, end) => {
+  const descriptor = {
+    segmentationEventId: read32Bits(bytes, offset),
+    segmentationEventCancelIndicator: !!(bytes[offset + 4] & 0x80)
+  };
+
+  offset += 5;
+
+  if (descriptor.segmentationEventCancelIndicator) {
+    return descriptor;
+  }
+
+  const flags = bytes[offset];
+  const programSegmentationFlag = !!(flags & 0x80);
+  const durationFlag = !!(flags & 0x40);
+
+  descriptor.deliveryNotRestrictedFlag = !!(flags & 0x20);
+  offset++;
+
+  if (!programSegmentationFlag) {
+    // skip the component tags and pts offsets
+    offset += 1 + bytes[offset] * 6;
+  }
+
+  if (durationFlag) {
+    descriptor.segmentationDuration = bytes[offset] * 4294967296 +
+      read32Bits(bytes, offset + 1);
+    offset += 5;
+  }
+
+  const upidLength = bytes[offset + 1];
+
+  descriptor.segmentationUpidType = bytes[offset];
+  descriptor.segmentationUpid =
+    new Uint8Array(bytes.subarray(offset + 2, offset + 2 + upidLength));
+  offset += 2 + upidLength;
+
+  descriptor.segmentationTypeId = bytes[offset];
+  descriptor.segmentNum = bytes[offset + 1];
+  descriptor.segmentsExpected = bytes[offset + 2];
+  offset += 3;
+
+  if (SUB_SEGMENT_TYPES.indexOf(descriptor.segmentationTypeId) !== -1 &&
+      offset + 2 <= end) {
+    descriptor.subSegmentNum = bytes[offset];
+    descriptor.subSegmentsExpected = bytes[offset + 1];
+  }
+
+  return descriptor;
+};
+
+/**
+ * Parses the splice descriptors following the splice command
+ *
+ * @param {Uint8Array} bytes
+ *        The section bytes
+ * @param {Number} offset
+ *        The offset of the first descriptor
+ * @param {Number} end
+ *        The offset of the end of the descriptor loop
+ * @return {Object[]}
+ *         The descriptors
+ */
+const parseDescriptors = (bytes, offset, end) => {
+  const descriptors = [];
+
+  while (offset + 6 <= end) {
+    const tag = bytes[offset];
+    const length = bytes[offset + 1];
+    const descriptorEnd = Math.min(offset + 2 + length, end);
+    const descriptor = {
+      spliceDescriptorTag: tag,
+      identifier: read32Bits(bytes, offset + 2)
+    };
+
+    if (tag === SEGMENTATION_DESCRIPTOR_TAG) {
+      const segmentation = parseSegmentationDescriptor(bytes, offset + 6, descriptorEnd);
+
+      Object.keys(segmentation).forEach((key) => {
+        descriptor[key] = segmentation[key];
+      });
+    } else {
+      descriptor.data = new Uint8Array(bytes.subarray(offset + 6, descriptorEnd));
+    }
+
+    descriptors.push(descriptor);
+    offset = descriptorEnd;
+  }
+
+  return descriptors;
+};
+
+/**
+ * Parses a SCTE-35 splice_info_section. Only splice_insert and time_signal commands
+ * are decoded, the type of every other command is reported without its fields.
+ *
+ * @param {Uint8Array} bytes
+ *        The complete section, starting with the table_id
+ * @return {Object|null}
+ *         The parsed section, or null if the bytes are not an unencrypted
+ *         splice_info_section
+ */
+export const parseSpliceInfoSection = (bytes) => {
+  if (bytes.length < 14 || bytes[0] !== SCTE35_TABLE_ID) {
+    return null;
+  }
+
+  const sectionLength = ((bytes[1] & 0x0f) << 8) | bytes[2];
+  const encrypted = !!(bytes[4] & 0x80);
+  const section = {
+    tableId: bytes[0],
+    protocolVersion: bytes[3],
+    encryptedPacket: encrypted,
+    ptsAdjustment: read33Bits(bytes, 4),
+    tier: (bytes[10] << 4) | (bytes[11] >> 4),
+    spliceCommandType: bytes[13],
+    spliceCommandTypeName: SPLICE_COMMAND_TYPES[bytes[13]] || 'reserved',
+    spliceCommand: {},
+    descriptors: []
+  };
+
+  // the contents of encrypted sections can't be read
+  if (encrypted) {
+    return section;
+  }
+
+  const end = Math.min(3 + sectionLength - 4, bytes.length);
+  let spliceCommandLength = ((bytes[11] & 0x0f) << 8) | bytes[12];
+  let offset = 14;
+
+  if (section.spliceCommandType === 0x05) {
+    section.spliceCommand = parseSpliceInsert(bytes, offset);
+  } else if (section.spliceCommandType === 0x06) {
+    section.spliceCommand = { ptsTime: parseSpliceTime(bytes, offset).ptsTime };
+    // legacy encoders set the command length to 0xFFF
+    if (spliceCommandLength === 0xFFF) {
+      spliceCommandLength = parseSpliceTime(bytes, offset).length;
+    }
+  }
+
+  if (spliceCommandLength === 0xFFF) {
+    // the descriptors can't be found without the command length
+    return section;
+  }
+
+  offset += spliceCommandLength;
+
+  const descriptorLoopLength = (bytes[offset] << 8) | bytes[offset + 1];
+  const descriptorsEnd = Math.min(offset + 2 + descriptorLoopLength, end);
+
+  section.descriptors = parseDescriptors(bytes, offset + 2, descriptorsEnd);
+
+  return section;
+};
+
+/**
+ * Reads the PTS from the header of a PES packet
+ *
+ * @param {Uint8Array} payload
+ *        The payload of the transport packet starting the PES packet
+ * @return {Number|null}
+ *         The PTS, or null if the packet has none
+ */
+const parsePesPts = (payload) => {
+  if (payload.length < 14 ||
+      payload[0] !== 0 || payload[1] !== 0 || payload[2] !== 1 ||
+      !(payload[7] & 0x80)) {
+    return null;
+  }
+
+  return (payload[9] & 0x0E) * 536870912 +
+    ((payload[10] << 22 |
+      (payload[11] & 0xFE) << 14 |
+      payload[12] << 7 |
+      (payload[13] & 0xFE) >>> 1) >>> 0);
+};
+
+/**
+ * Finds the SCTE-35 splice_info_sections in MPEG2-TS segments. The PAT and PMT are used
+ * to find the PIDs with a stream type of 0x86 and sections are reassembled across
+ * packets and segments.
+ *
+ * @class Scte35Parser
+ */
+export class Scte35Parser {
+  constructor() {
+    this.reset();
+  }
+
+  /**
+   * Forget the program information and any partially received sections
+   */
+  reset() {
+    this.pmtPid_ = null;
+    this.scte35Pids_ = [];
+    this.pesPids_ = [];
+    this.sections_ = {};
+    this.lastPts_ = null;
+  }
+
+  /**
+   * Scans a segment for splice_info_sections
+   *
+   * @param {Uint8Array} bytes
+   *        The MPEG2-TS segment
+   * @return {Object[]}
+   *         The parsed sections. Each has a `pts` property with the 90kHz time the
+   *         splice happens at (the time of the last PES packet for immediate
+   *         splices) and, when known, a `duration` in seconds.
+   */
+  parse(bytes) {
+    const messages = [];
+    let start = 0;
+
+    // find the first sync byte
+    while (start < bytes.length &&
+           !(bytes[start] === SYNC_BYTE &&
+             (start + PACKET_LENGTH >= bytes.length ||
+              bytes[start + PACKET_LENGTH] === SYNC_BYTE))) {
+      start++;
+    }
+
+    for (let i = start; i + PACKET_LENGTH <= bytes.length; i += PACKET_LENGTH) {
+      if (bytes[i] !== SYNC_BYTE) {
+        continue;
+      }
+
+      const packet = bytes.subarray(i, i + PACKET_LENGTH);
+      const payloadUnitStart = !!(packet[1] & 0x40);
+      const pid = ((packet[1] & 0x1f) << 8) | packet[2];
+      const adaptationFieldControl = (packet[3] & 0x30) >>> 4;
+      let offset = 4;
+
+      if (adaptationFieldControl === 0x02 || adaptationFieldControl === 0) {
+        continue;
+      }
+      if (adaptationFieldControl === 0x03) {
+        offset += packet[4] + 1;
+      }
+
+      const payload = packet.subarray(offset);
+
+      if (pid === PAT_PID) {
+        this.parsePat_(payloadUnitStart ? payload.subarray(payload[0] + 1) : payload);
+      } else if (pid === this.pmtPid_) {
+        this.parsePmt_(payloadUnitStart ? payload.subarray(payload[0] + 1) : payload);
+      } else if (this.scte35Pids_.indexOf(pid) !== -1) {
+        this.pushSectionData_(pid, payload, payloadUnitStart, messages);
+      } else if (payloadUnitStart && this.pesPids_.indexOf(pid) !== -1) {
+        const pts = parsePesPts(payload);
+
+        if (pts !== null) {
+          // keep the timestamps continuous across rollovers, as the transmuxer does
+          this.lastPts_ =
+            this.lastPts_ === null ? pts : handleRollover(pts, this.lastPts_);
+        }
+      }
+    }
+
+    return messages;
+  }
+
+  /**
+   * @private
+   */
+  parsePat_(section) {
+    const sectionLength = ((section[1] & 0x0f) << 8) | section[2];
+    const end = Math.min(3 + sectionLength - 4, section.length);
+
+    for (let i = 8; i + 4 <= end; i += 4) {
+      const programNumber = (section[i] << 8) | section[i + 1];
+
+      // program number 0 is the network PID
+      if (programNumber !== 0) {
+        this.pmtPid_ = ((section[i + 2] & 0x1f) << 8) | section[i + 3];
+        return;
+      }
+    }
+  }
+
+  /**
+   * @private
+   */
+  parsePmt_(section) {
+    const sectionLength = ((section[1] & 0x0f) << 8) | section[2];
+    const end = Math.min(3 + sectionLength - 4, section.length);
+    const programInfoLength = ((section[10] & 0x0f) << 8) | section[11];
+
+    this.scte35Pids_ = [];
+    this.pesPids_ = [];
+
+    for (let i = 12 + programInfoLength; i + 5 <= end;) {
+      const streamType = section[i];
+      const pid = ((section[i + 1] & 0x1f) << 8) | section[i + 2];
+      const esInfoLength = ((section[i + 3] & 0x0f) << 8) | section[i + 4];
+
+      if (streamType === SCTE35_STREAM_TYPE) {
+        this.scte35Pids_.push(pid);
+      } else if (PES_STREAM_TYPES.indexOf(streamType) !== -1) {
+        this.pesPids_.push(pid);
+      }
+      i += 5 + esInfoLength;
+    }
+  }
+
+  /**
+   * Adds the payload of a packet to the sections being reassembled for a PID, and
+   * parses any section that is complete.
+   *
+   * @private
+   */
+  pushSectionData_(pid, payload, payloadUnitStart, messages) {
+    let pending = this.sections_[pid];
+
+    if (payloadUnitStart) {
+      const pointer = payload[0];
+
+      // the bytes before the pointer finish the previous section
+      if (pending) {
+        this.appendSectionData_(pid, payload.subarray(1, pointer + 1), messages);
+      }
+      this.sections_[pid] = pending = new Uint8Array(0);
+      payload = payload.subarray(pointer + 1);
+    } else if (!pending) {
+      // wait for the start of a section
+      return;
+    }
+
+    this.appendSectionData_(pid, payload, messages);
+  }
+
+  /**
+   * @private
+   */
+  appendSectionData_(pid, data, messages) {
+    const pending = this.sections_[pid];
+
+    if (!pending) {
+      return;
+    }
+
+    let buffer = new Uint8Array(pending.length + data.length);
+
+    buffer.set(pending);
+    buffer.set(data, pending.length);
+
+    // more than one section may start in the same packet
+    while (buffer.length >= 3 && buffer[0] !== 0xFF) {
+      const sectionEnd = 3 + (((buffer[1] & 0x0f) << 8) | buffer[2]);
+
+      if (buffer.length < sectionEnd) {
+        this.sections_[pid] = buffer;
+        return;
+      }
+
+      const section = parseSpliceInfoSection(buffer.subarray(0, sectionEnd));
+
+      if (section) {
+        messages.push(this.timeSection_(section));
+      }
+      buffer = buffer.subarray(sectionEnd);
+    }
+
+    // the rest of the packet is stuffing, or there is nothing left
+    this.sections_[pid] = buffer.length && buffer[0] !== 0xFF ? buffer : null;
+  }
+
+  /**
+   * Adds the 90kHz time and the duration in seconds of the splice to a section. Splice
+   * times roll over like any other 33 bit timestamp, so they are made continuous with
+   * the PES packets before them.
+   *
+   * @private
+   */
+  timeSection_(section) {
+    const command = section.spliceCommand;
+    const segmentation = section.descriptors.filter((descriptor) => {
+      return typeof descriptor.segmentationDuration === 'number';
+    })[0];
+
+    if (typeof command.ptsTime === 'number') {
+      section.pts = (command.ptsTime + section.ptsAdjustment) % MAX_TS;
+      if (this.lastPts_ !== null) {
+        section.pts = handleRollover(section.pts, this.lastPts_);
+      }
+    } else {
+      section.pts = this.lastPts_;
+    }
+
+    if (command.breakDuration) {
+      section.duration = command.breakDuration.duration / 90000;
+    } else if (segmentation) {
+      section.duration = segmentation.segmentationDuration / 90000;
+    }
+
+    return section;
+  }
+}
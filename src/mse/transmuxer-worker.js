@@ -14,6 +14,7 @@
  */
 import window from 'global/window';
 import mp4 from 'mux.js/lib/mp4';
+import { Scte35Parser } from './scte35';
 
 /**
  * Re-emits transmuxer events by converting them into messages to the
@@ -89,6 +90,7 @@ class MessageHandlers {
       this.transmuxer.dispose();
     }
     this.transmuxer = new mp4.Transmuxer(this.options);
+    this.scte35Parser = new Scte35Parser();
     wireTransmuxerEvents(this.transmuxer);
   }
 
@@ -102,6 +104,17 @@ class MessageHandlers {
     // Cast array buffer to correct type for transmuxer
     let segment = new Uint8Array(data.data, data.byteOffset, data.byteLength);
 
+    // SCTE-35 sections are posted before the transmuxed segment so they can be added
+    // to the text track along with it
+    let scte35 = this.scte35Parser.parse(segment);
+
+    if (scte35.length) {
+      window.postMessage({
+        action: 'scte35',
+        scte35
+      });
+    }
+
     this.transmuxer.push(segment);
   }
 
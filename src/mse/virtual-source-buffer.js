@@ -4,7 +4,7 @@
 import videojs from 'video.js';
 import createTextTracksIfNecessary from './create-text-tracks-if-necessary';
 import { removeCuesFromTrack } from './remove-cues-from-track';
-import { addTextTrackData } from './add-text-track-data';
+import { addTextTrackData, addScte35Data } from './add-text-track-data';
 import TransmuxWorker from 'worker!./transmuxer-worker.worker.js';
 import { isAudioCodec, isVideoCodec } from './codec-utils';
 
@@ -211,6 +211,10 @@ export default class VirtualSourceBuffer extends videojs.EventTarget {
       if (event.data.action === 'gopInfo') {
         return this.appendGopInfo_(event);
       }
+
+      if (event.data.action === 'scte35') {
+        return this.scte35_(event);
+      }
     };
 
     // this timestampOffset is a property with the side-effect of resetting
@@ -537,6 +541,23 @@ export default class VirtualSourceBuffer extends videojs.EventTarget {
     this.transmuxer_.postMessage({action: 'flush'});
   }
 
+  /**
+   * Adds the SCTE-35 splice_info_sections found by the transmuxer in the segment
+   * being appended to the SCTE-35 metadata track
+   *
+   * @param {Event} event
+   *        The scte35 event from the transmuxer
+   * @param {Array} event.data.scte35
+   *        List of parsed splice_info_sections
+   * @private
+   */
+  scte35_(event) {
+    const segment = { scte35: event.data.scte35 };
+
+    createTextTracksIfNecessary(this, this.mediaSource_, segment);
+    addScte35Data(this, segment.scte35);
+  }
+
   /**
    * Appends gop information (timing and byteLength) received by the transmuxer for the
    * gops appended in the last call to appendBuffer
@@ -574,6 +595,9 @@ export default class VirtualSourceBuffer extends videojs.EventTarget {
     // Remove Metadata Cues (id3)
     removeCuesFromTrack(start, end, this.metadataTrack_);
 
+    // Remove SCTE-35 Cues
+    removeCuesFromTrack(start, end, this.scte35Track_);
+
     // Remove Any Captions
     if (this.inbandTextTracks_) {
       for (let track in this.inbandTextTracks_) {
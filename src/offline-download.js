@@ -0,0 +1,591 @@
+/**
+ * @file offline-download.js
+ *
+ * Downloads a VOD source for offline playback. The manifest and the playlists of the
+ * chosen rendition, audio and subtitle tracks are loaded with the playlist loaders,
+ * then their keys, init segments and segments are requested one at a time. Every
+ * response is stored under the request that playback makes for it, and the manifest
+ * is rewritten to only list what was downloaded.
+ */
+import window from 'global/window';
+import videojs from 'video.js';
+import PlaylistLoader from './playlist-loader';
+import DashPlaylistLoader from './dash-playlist-loader';
+import xhrFactory from './xhr';
+import { segmentXhrHeaders } from './media-segment-request';
+import { resourceKey } from './offline-store';
+import logger from './util/logger';
+
+/**
+ * Chooses the rendition and the audio and subtitle tracks to download
+ *
+ * @param {Object} master
+ *        The master playlist
+ * @param {Object} options
+ *        The options of the download
+ * @param {number|Function=} options.rendition
+ *        The index of the rendition in the master playlist, or a function that is
+ *        called with the playlists and returns one. The rendition with the highest
+ *        bandwidth by default.
+ * @param {string[]=} options.audio
+ *        The labels of the audio tracks, the default track by default
+ * @param {string[]=} options.subtitles
+ *        The labels of the subtitle tracks, none by default
+ * @return {Object}
+ *         The `playlist` of the rendition and the media group entries of its `audio`
+ *         and `subtitles` tracks
+ */
+export const selectMedia = (master, options) => {
+  const playlists = master.playlists;
+  let playlist;
+
+  if (typeof options.rendition === 'function') {
+    playlist = options.rendition(playlists);
+  } else if (typeof options.rendition === 'number') {
+    playlist = playlists[options.rendition];
+  } else {
+    playlist = playlists.reduce((highest, candidate) => {
+      const bandwidth = candidate.attributes.BANDWIDTH || 0;
+
+      return bandwidth > (highest.attributes.BANDWIDTH || 0) ? candidate : highest;
+    }, playlists[0]);
+  }
+
+  const tracks = (type, labels) => {
+    const groupId = playlist && playlist.attributes[type];
+    const group = groupId && master.mediaGroups[type][groupId];
+
+    if (!group) {
+      return [];
+    }
+
+    let chosen = Object.keys(group);
+
+    if (labels) {
+      chosen = chosen.filter((label) => labels.indexOf(label) !== -1);
+    } else if (type === 'AUDIO') {
+      const defaults = chosen.filter((label) => group[label].default);
+
+      chosen = defaults.length ? defaults : chosen.slice(0, 1);
+    } else {
+      chosen = [];
+    }
+
+    return chosen.map((label) => group[label]);
+  };
+
+  return {
+    playlist,
+    audio: tracks('AUDIO', options.audio),
+    subtitles: tracks('SUBTITLES', options.subtitles)
+  };
+};
+
+/**
+ * Removes the variants and renditions that were not downloaded from an HLS master
+ * playlist
+ *
+ * @param {string} manifest
+ *        The master playlist
+ * @param {string[]} uris
+ *        The URIs, as written in the master playlist, of the downloaded playlists
+ * @return {string}
+ *         The master playlist of the download
+ */
+export const rewriteHlsMaster = (manifest, uris) => {
+  const lines = manifest.split('\n');
+  const rewritten = [];
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+
+    if ((/^#EXT-X-STREAM-INF/).test(line)) {
+      let uriIndex = i + 1;
+
+      // the URI of the variant is the next line that is not a tag
+      while (uriIndex < lines.length &&
+             (!lines[uriIndex].trim() || lines[uriIndex].charAt(0) === '#')) {
+        uriIndex++;
+      }
+      if (uriIndex < lines.length && uris.indexOf(lines[uriIndex].trim()) !== -1) {
+        rewritten.push.apply(rewritten, lines.slice(i, uriIndex + 1));
+      }
+      i = uriIndex;
+      continue;
+    }
+
+    if ((/^#EXT-X-I-FRAME-STREAM-INF/).test(line)) {
+      continue;
+    }
+
+    const mediaUri = (/^#EXT-X-MEDIA:.*URI="([^"]*)"/).exec(line);
+
+    if (mediaUri && uris.indexOf(mediaUri[1]) === -1) {
+      continue;
+    }
+
+    rewritten.push(line);
+  }
+
+  return rewritten.join('\n');
+};
+
+/**
+ * Removes the Representations that were not downloaded from an MPD, and the
+ * AdaptationSets that are left empty
+ *
+ * @param {string} manifest
+ *        The MPD
+ * @param {string[]} ids
+ *        The ids of the downloaded Representations
+ * @return {string}
+ *         The MPD of the download
+ */
+export const rewriteDashManifest = (manifest, ids) => {
+  const doc = new window.DOMParser().parseFromString(manifest, 'application/xml');
+  const removeWhere = (tagName, test) => {
+    const elements = Array.prototype.slice.call(doc.getElementsByTagName(tagName));
+
+    elements.forEach((element) => {
+      if (test(element)) {
+        element.parentNode.removeChild(element);
+      }
+    });
+  };
+
+  removeWhere('Representation', (representation) => {
+    return ids.indexOf(representation.getAttribute('id')) === -1;
+  });
+  removeWhere('AdaptationSet', (adaptationSet) => {
+    return !adaptationSet.getElementsByTagName('Representation').length;
+  });
+
+  return new window.XMLSerializer().serializeToString(doc);
+};
+
+/**
+ * @class OfflineDownload
+ * @extends videojs.EventTarget
+ */
+export default class OfflineDownload extends videojs.EventTarget {
+  /**
+   * @constructor
+   * @param {Object} source
+   *        The `src` of the source to download
+   * @param {Object} options
+   *        The rendition and tracks to download, see selectMedia
+   * @param {string} options.sourceType
+   *        `hls` or `dash`
+   * @param {OfflineStore} options.store
+   *        The store to download to
+   * @param {boolean=} options.withCredentials
+   *        Whether to send cookies with cross-origin requests
+   */
+  constructor(source, options) {
+    super();
+
+    this.uri = source.src;
+    this.sourceType_ = options.sourceType;
+    this.store_ = options.store;
+    this.options_ = options;
+    this.logger_ = logger('OfflineDownload');
+
+    this.state = 'idle';
+    this.error = null;
+    // the number of resources stored, out of the total, and their size
+    this.loaded = 0;
+    this.total = 0;
+    this.bytes = 0;
+
+    // the keys, init segments and segments to download
+    this.resources_ = [];
+    // the manifest and playlist responses, the manifest first
+    this.playlistResponses_ = [];
+    this.prepared_ = false;
+    // increases with every request and pause, so that stale responses are ignored
+    this.attempt_ = 0;
+    this.request_ = null;
+
+    this.xhr_ = xhrFactory();
+    this.xhr_.afterResponse = ({ uri, body }) => {
+      this.playlistResponses_.push({ uri, body });
+    };
+    this.hls_ = { xhr: this.xhr_ };
+  }
+
+  /**
+   * The record of the download in the store
+   *
+   * @return {Object}
+   *         The `uri` and `type` of the source, the `state` and progress of the
+   *         download
+   * @private
+   */
+  record_() {
+    return {
+      uri: this.uri,
+      type: this.sourceType_,
+      state: this.state,
+      loaded: this.loaded,
+      total: this.total,
+      bytes: this.bytes,
+      updated: Date.now()
+    };
+  }
+
+  /**
+   * Starts the download by loading the playlists
+   */
+  start() {
+    if (this.state !== 'idle') {
+      return;
+    }
+
+    this.state = 'downloading';
+    this.store_.putDownload(this.record_(), (error) => {
+      if (error) {
+        return this.fail_(error);
+      }
+
+      this.loadMaster_((loadError, media) => {
+        if (loadError) {
+          return this.fail_(loadError);
+        }
+
+        // a media playlist source has no tracks to choose
+        const selection = this.selection_ || {
+          playlist: media,
+          audio: [],
+          subtitles: []
+        };
+
+        this.loadTracks_(selection, (tracksError, playlists) => {
+          if (tracksError) {
+            return this.fail_(tracksError);
+          }
+
+          this.prepare_(selection, [media].concat(playlists));
+        });
+      });
+    });
+  }
+
+  /**
+   * Stops requesting resources until the download is resumed
+   */
+  pause() {
+    if (this.state !== 'downloading') {
+      return;
+    }
+
+    this.state = 'paused';
+    this.attempt_++;
+    if (this.request_) {
+      this.request_.abort();
+      this.request_ = null;
+    }
+    this.store_.putDownload(this.record_(), () => {});
+  }
+
+  /**
+   * Continues a paused download, or starts a failed download again from the resource
+   * that failed
+   */
+  resume() {
+    if (this.state === 'error') {
+      this.error = null;
+      // the playlists did not all load, so they are loaded again
+      if (!this.prepared_) {
+        this.state = 'idle';
+        this.selection_ = null;
+        this.playlistResponses_ = [];
+        this.resources_ = [];
+        return this.start();
+      }
+    } else if (this.state !== 'paused') {
+      return;
+    }
+
+    this.state = 'downloading';
+    if (this.prepared_) {
+      this.next_();
+    }
+  }
+
+  /**
+   * Loads the master playlist, then the playlist of the chosen rendition
+   *
+   * @param {Function} callback
+   *        Called with an error, if any, and the playlist of the chosen rendition
+   * @private
+   */
+  loadMaster_(callback) {
+    const Loader = this.sourceType_ === 'dash' ? DashPlaylistLoader : PlaylistLoader;
+    const loader = new Loader(this.uri, this.hls_, this.options_.withCredentials);
+
+    loader.on('loadedplaylist', () => {
+      // a master playlist was loaded, rather than a media playlist
+      if (!loader.media()) {
+        this.selection_ = selectMedia(loader.master, this.options_);
+        loader.media(this.selection_.playlist);
+      }
+    });
+    loader.on('loadedmetadata', () => {
+      loader.dispose();
+      callback(null, loader.media());
+    });
+    loader.on('error', () => {
+      loader.dispose();
+      callback(loader.error);
+    });
+    loader.load();
+  }
+
+  /**
+   * Loads the playlists of the chosen audio and subtitle tracks, one at a time
+   *
+   * @param {Object} selection
+   *        The chosen media, see selectMedia
+   * @param {Function} callback
+   *        Called with an error, if any, and the playlists
+   * @private
+   */
+  loadTracks_(selection, callback) {
+    const tracks = selection.audio.concat(selection.subtitles);
+    const playlists = [];
+
+    const loadTrack = (index) => {
+      if (index === tracks.length) {
+        return callback(null, playlists);
+      }
+
+      const track = tracks[index];
+
+      // DASH playlists are part of the manifest
+      if (track.playlists) {
+        playlists.push(track.playlists[0]);
+        return loadTrack(index + 1);
+      }
+      // audio muxed into the rendition
+      if (!track.resolvedUri) {
+        return loadTrack(index + 1);
+      }
+
+      const loader =
+        new PlaylistLoader(track.resolvedUri, this.hls_, this.options_.withCredentials);
+
+      loader.on('loadedmetadata', () => {
+        loader.dispose();
+        playlists.push(loader.media());
+        loadTrack(index + 1);
+      });
+      loader.on('error', () => {
+        loader.dispose();
+        callback(loader.error);
+      });
+      loader.load();
+    };
+
+    loadTrack(0);
+  }
+
+  /**
+   * Stores the manifest and playlists and lists the resources to download
+   *
+   * @param {Object} selection
+   *        The chosen media, see selectMedia
+   * @param {Object[]} playlists
+   *        The media playlists to download
+   * @private
+   */
+  prepare_(selection, playlists) {
+    if (playlists.some((playlist) => !playlist.endList)) {
+      return this.fail_(new Error('Only VOD sources can be downloaded'));
+    }
+
+    const queued = {};
+    const queue = (uri, segment, requestType) => {
+      const headers = segmentXhrHeaders(segment);
+      const key = resourceKey(uri, headers);
+
+      if (uri && !queued[key]) {
+        queued[key] = true;
+        this.resources_.push({ uri, headers, requestType });
+      }
+    };
+
+    playlists.forEach((playlist) => {
+      playlist.segments.forEach((segment) => {
+        if (segment.key) {
+          queue(segment.key.resolvedUri, {}, 'key');
+        }
+        if (segment.map) {
+          queue(segment.map.resolvedUri, segment.map, 'init');
+        }
+        queue(segment.resolvedUri, segment, 'segment');
+      });
+    });
+    this.total = this.resources_.length;
+
+    const responses = this.playlistResponses_.slice();
+
+    // only list what was downloaded in the manifest, unless the source is a media
+    // playlist
+    if (this.selection_) {
+      const tracks = selection.audio.concat(selection.subtitles);
+
+      responses[0] = {
+        uri: responses[0].uri,
+        body: this.sourceType_ === 'dash' ?
+          rewriteDashManifest(responses[0].body, [selection.playlist].concat(
+            tracks.map((track) => track.playlists[0])
+          ).map((playlist) => playlist.attributes.NAME)) :
+          rewriteHlsMaster(responses[0].body, [selection.playlist.uri].concat(
+            tracks.map((track) => track.uri)
+          ))
+      };
+    }
+
+    const storeResponse = (index) => {
+      if (index === responses.length) {
+        this.prepared_ = true;
+        this.logger_(`downloading ${this.total} resources of ${this.uri}`);
+        return this.next_();
+      }
+
+      this.store_.putResource({
+        key: resourceKey(responses[index].uri),
+        download: this.uri,
+        body: responses[index].body
+      }, (error) => {
+        if (error) {
+          return this.fail_(error);
+        }
+        storeResponse(index + 1);
+      });
+    };
+
+    storeResponse(0);
+  }
+
+  /**
+   * Downloads the next resource, unless it was stored by an earlier download of this or
+   * another source, in which case this download is added to the downloads it belongs
+   * to
+   *
+   * @private
+   */
+  next_() {
+    if (this.state !== 'downloading') {
+      return;
+    }
+    if (this.loaded === this.total) {
+      return this.complete_();
+    }
+
+    const resource = this.resources_[this.loaded];
+    const attempt = ++this.attempt_;
+
+    const key = resourceKey(resource.uri, resource.headers);
+
+    this.store_.addResourceDownload(key, this.uri, (e, stored) => {
+      if (attempt !== this.attempt_) {
+        return;
+      }
+      if (e) {
+        return this.fail_(e);
+      }
+      if (stored) {
+        return this.progress_(0);
+      }
+
+      this.request_ = this.xhr_({
+        uri: resource.uri,
+        headers: resource.headers,
+        responseType: 'arraybuffer',
+        requestType: resource.requestType,
+        withCredentials: this.options_.withCredentials
+      }, (error, request) => {
+        if (attempt !== this.attempt_) {
+          return;
+        }
+        this.request_ = null;
+        if (error) {
+          return this.fail_(error);
+        }
+
+        this.store_.putResource({
+          key: resourceKey(request.uri, resource.headers),
+          download: this.uri,
+          body: request.response
+        }, (storeError) => {
+          if (storeError) {
+            return this.fail_(storeError);
+          }
+          this.progress_(request.response.byteLength);
+        });
+      });
+    });
+  }
+
+  /**
+   * Records that a resource was stored and moves on to the next one
+   *
+   * @param {number} bytes
+   *        The size of the resource, 0 if it was already stored
+   * @private
+   */
+  progress_(bytes) {
+    this.loaded++;
+    this.bytes += bytes;
+    this.store_.putDownload(this.record_(), (error) => {
+      if (error) {
+        return this.fail_(error);
+      }
+
+      this.trigger({
+        type: 'progress',
+        loaded: this.loaded,
+        total: this.total,
+        bytes: this.bytes
+      });
+      this.next_();
+    });
+  }
+
+  /**
+   * Marks the download as complete
+   *
+   * @private
+   */
+  complete_() {
+    this.state = 'complete';
+    this.store_.putDownload(this.record_(), (error) => {
+      if (error) {
+        return this.fail_(error);
+      }
+      this.trigger('complete');
+    });
+  }
+
+  /**
+   * Stops the download after an error
+   *
+   * @param {Object} error
+   *        The error of a request or of the store
+   * @private
+   */
+  fail_(error) {
+    if (this.state === 'error') {
+      return;
+    }
+
+    this.state = 'error';
+    this.error = error;
+    this.attempt_++;
+    this.logger_(`download of ${this.uri} failed`, error);
+    this.store_.putDownload(this.record_(), () => {
+      this.trigger('error');
+    });
+  }
+}
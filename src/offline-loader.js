@@ -0,0 +1,95 @@
+/**
+ * @file offline-loader.js
+ *
+ * A network loader that answers requests with the responses stored by an offline
+ * download, so that downloaded sources play without a network connection.
+ */
+import videojs from 'video.js';
+import { resourceKey } from './offline-store';
+
+/**
+ * The request object returned by the offline loader. Like the requests of the other
+ * network loaders it has the `status`, `response`, `responseText` and `url` of an
+ * XMLHttpRequest, `progress` events and `abort()`.
+ *
+ * @class OfflineRequest
+ * @extends videojs.EventTarget
+ */
+export class OfflineRequest extends videojs.EventTarget {
+  constructor() {
+    super();
+
+    this.readyState = 0;
+    this.status = 0;
+    this.response = null;
+    this.responseText = '';
+    this.url = '';
+    // increases with every read and abort, so that stale reads are ignored
+    this.read_ = 0;
+  }
+
+  /**
+   * Cancels the request. Like an aborted XHR, an aborted request does not call back.
+   */
+  abort() {
+    this.read_++;
+  }
+}
+
+/**
+ * Creates a network loader that reads responses from an offline store
+ *
+ * @param {OfflineStore} store
+ *        The store of the downloads
+ * @return {Function}
+ *         A network loader, with the signature of videojs.xhr. Requests for responses
+ *         that were not downloaded fail with a 404 status.
+ */
+const offlineLoader = (store) => (options, callback) => {
+  const request = options.xhr || new OfflineRequest();
+  const read = ++request.read_;
+
+  request.readyState = 1;
+  request.status = 0;
+  request.response = null;
+  request.responseText = '';
+  request.url = options.uri;
+
+  store.getResource(resourceKey(options.uri, options.headers), (error, resource) => {
+    if (read !== request.read_) {
+      return;
+    }
+
+    request.readyState = 4;
+    request.status = resource ? 200 : 404;
+
+    if (resource) {
+      const body = resource.body;
+
+      request.response = body;
+      if (typeof body === 'string') {
+        request.responseText = body;
+      }
+      request.trigger({
+        type: 'progress',
+        target: request,
+        lengthComputable: true,
+        loaded: body.byteLength || body.length,
+        total: body.byteLength || body.length
+      });
+    }
+
+    callback(error, {
+      body: request.response,
+      statusCode: request.status,
+      method: options.method || 'GET',
+      headers: {},
+      url: request.url,
+      rawRequest: request
+    });
+  });
+
+  return request;
+};
+
+export default offlineLoader;
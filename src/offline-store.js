@@ -0,0 +1,292 @@
+/**
+ * @file offline-store.js
+ *
+ * Keeps downloaded sources in IndexedDB. The `downloads` object store has a record of
+ * each download and its progress, and the `resources` object store has the body of
+ * every manifest, playlist, key and segment response of the downloads, keyed by the
+ * request that is made for it during playback. Downloads of different sources can share
+ * responses, so each response lists the downloads it belongs to and is only deleted
+ * with the last of them.
+ */
+import window from 'global/window';
+
+const DATABASE_NAME = 'videojs-http-streaming-offline';
+const DATABASE_VERSION = 1;
+
+/**
+ * Whether the browser can store downloads
+ *
+ * @return {boolean}
+ *         true if IndexedDB is available
+ */
+export const isOfflineSupported = () => !!window.indexedDB;
+
+/**
+ * The key a response is stored under
+ *
+ * @param {string} uri
+ *        The URI of the request
+ * @param {Object=} headers
+ *        The headers of the request, whose `Range` header tells apart the byte ranges
+ *        of a resource
+ * @return {string}
+ *         The key of the response
+ */
+export const resourceKey = (uri, headers) => {
+  const range = headers && headers.Range;
+
+  return range ? `${uri} ${range}` : uri;
+};
+
+/**
+ * @class OfflineStore
+ */
+export default class OfflineStore {
+  /**
+   * @constructor
+   * @param {IDBFactory=} indexedDB
+   *        The IndexedDB factory, the one of the window by default
+   */
+  constructor(indexedDB = window.indexedDB) {
+    this.indexedDB_ = indexedDB;
+    this.db_ = null;
+    // callbacks waiting for the database to open
+    this.openCallbacks_ = null;
+  }
+
+  /**
+   * Opens the database, creating its object stores the first time
+   *
+   * @param {Function} callback
+   *        Called with an error, if any, and the database
+   * @private
+   */
+  open_(callback) {
+    if (this.db_) {
+      return callback(null, this.db_);
+    }
+    if (this.openCallbacks_) {
+      this.openCallbacks_.push(callback);
+      return;
+    }
+
+    this.openCallbacks_ = [callback];
+
+    const done = (error, db) => {
+      const callbacks = this.openCallbacks_;
+
+      this.openCallbacks_ = null;
+      this.db_ = db || null;
+      callbacks.forEach((openCallback) => openCallback(error, db));
+    };
+
+    if (!this.indexedDB_) {
+      return done(new Error('IndexedDB is not supported'));
+    }
+
+    const request = this.indexedDB_.open(DATABASE_NAME, DATABASE_VERSION);
+
+    request.onupgradeneeded = (event) => {
+      const db = request.result;
+
+      if (event.oldVersion < 1) {
+        db.createObjectStore('downloads', { keyPath: 'uri' });
+        db.createObjectStore('resources', { keyPath: 'key' })
+          .createIndex('downloads', 'downloads', { multiEntry: true });
+      }
+    };
+    request.onsuccess = () => done(null, request.result);
+    request.onerror = () => done(request.error);
+  }
+
+  /**
+   * Runs an operation in a transaction
+   *
+   * @param {string|string[]} storeNames
+   *        The object stores of the transaction
+   * @param {string} mode
+   *        `readonly` or `readwrite`
+   * @param {Function} operation
+   *        Called with the transaction, returns the request whose result is passed to
+   *        the callback, if any
+   * @param {Function} callback
+   *        Called with an error, if any, and the result once the transaction completes
+   * @private
+   */
+  transaction_(storeNames, mode, operation, callback) {
+    this.open_((error, db) => {
+      if (error) {
+        return callback(error);
+      }
+
+      let transaction;
+      let request;
+      let finished = false;
+
+      const finish = (transactionError) => {
+        if (finished) {
+          return;
+        }
+        finished = true;
+        callback(transactionError, request ? request.result : undefined);
+      };
+
+      try {
+        transaction = db.transaction(storeNames, mode);
+        request = operation(transaction);
+      } catch (e) {
+        return finish(e);
+      }
+
+      transaction.oncomplete = () => finish(null);
+      transaction.onerror = () => finish(transaction.error);
+      transaction.onabort = () => finish(transaction.error);
+    });
+  }
+
+  /**
+   * Reads a stored response
+   *
+   * @param {string} key
+   *        The key of the response, see resourceKey
+   * @param {Function} callback
+   *        Called with an error, if any, and the stored resource or null
+   */
+  getResource(key, callback) {
+    this.transaction_('resources', 'readonly', (transaction) => {
+      return transaction.objectStore('resources').get(key);
+    }, (error, resource) => callback(error, resource || null));
+  }
+
+  /**
+   * Adds a download to the downloads a stored response belongs to
+   *
+   * @param {string} key
+   *        The key of the response, see resourceKey
+   * @param {string} download
+   *        The URI of the download
+   * @param {Function} callback
+   *        Called with an error, if any, and whether the response is stored
+   */
+  addResourceDownload(key, download, callback) {
+    let stored = false;
+
+    this.transaction_('resources', 'readwrite', (transaction) => {
+      const resources = transaction.objectStore('resources');
+      const getRequest = resources.get(key);
+
+      getRequest.onsuccess = () => {
+        const resource = getRequest.result;
+
+        if (!resource) {
+          return;
+        }
+
+        stored = true;
+        if (resource.downloads.indexOf(download) === -1) {
+          resource.downloads.push(download);
+          resources.put(resource);
+        }
+      };
+    }, (error) => callback(error, stored));
+  }
+
+  /**
+   * Stores a response, which keeps the other downloads it belongs to
+   *
+   * @param {Object} resource
+   *        The `key` of the response, the `uri` of the `download` it belongs to and its
+   *        `body`, text or an ArrayBuffer
+   * @param {Function} callback
+   *        Called with an error, if any
+   */
+  putResource(resource, callback) {
+    this.transaction_('resources', 'readwrite', (transaction) => {
+      const resources = transaction.objectStore('resources');
+      const getRequest = resources.get(resource.key);
+
+      getRequest.onsuccess = () => {
+        const downloads = getRequest.result ? getRequest.result.downloads : [];
+
+        if (downloads.indexOf(resource.download) === -1) {
+          downloads.push(resource.download);
+        }
+        resources.put({ key: resource.key, downloads, body: resource.body });
+      };
+    }, (error) => callback(error));
+  }
+
+  /**
+   * Reads the record of a download
+   *
+   * @param {string} uri
+   *        The URI of the downloaded source
+   * @param {Function} callback
+   *        Called with an error, if any, and the record or null
+   */
+  getDownload(uri, callback) {
+    this.transaction_('downloads', 'readonly', (transaction) => {
+      return transaction.objectStore('downloads').get(uri);
+    }, (error, download) => callback(error, download || null));
+  }
+
+  /**
+   * Stores the record of a download
+   *
+   * @param {Object} download
+   *        The record, keyed by its `uri`
+   * @param {Function} callback
+   *        Called with an error, if any
+   */
+  putDownload(download, callback) {
+    this.transaction_('downloads', 'readwrite', (transaction) => {
+      transaction.objectStore('downloads').put(download);
+    }, (error) => callback(error));
+  }
+
+  /**
+   * Lists the records of all downloads
+   *
+   * @param {Function} callback
+   *        Called with an error, if any, and the records
+   */
+  listDownloads(callback) {
+    this.transaction_('downloads', 'readonly', (transaction) => {
+      return transaction.objectStore('downloads').getAll();
+    }, (error, downloads) => callback(error, downloads || []));
+  }
+
+  /**
+   * Deletes a download and the responses that no other download belongs to
+   *
+   * @param {string} uri
+   *        The URI of the downloaded source
+   * @param {Function} callback
+   *        Called with an error, if any
+   */
+  removeDownload(uri, callback) {
+    this.transaction_(['downloads', 'resources'], 'readwrite', (transaction) => {
+      const cursorRequest =
+        transaction.objectStore('resources').index('downloads').openCursor(uri);
+
+      transaction.objectStore('downloads').delete(uri);
+      cursorRequest.onsuccess = () => {
+        const cursor = cursorRequest.result;
+
+        if (!cursor) {
+          return;
+        }
+
+        const resource = cursor.value;
+
+        resource.downloads = resource.downloads.filter((download) => download !== uri);
+        if (resource.downloads.length) {
+          cursor.update(resource);
+        } else {
+          cursor.delete();
+        }
+        cursor.continue();
+      };
+    }, (error) => callback(error));
+  }
+}
@@ -0,0 +1,41 @@
+/**
+ * @file pause-mixin.js
+ */
+
+/**
+ * A mixin function that adds `pause` and `resume` to a monitor of the tech, so that it
+ * leaves out what the tech plays besides the source, e.g. an interstitial. A paused
+ * monitor stops listening to the tech.
+ *
+ * @param {Object} monitor
+ *        The monitor, with a `listen_` function that starts or stops listening to the
+ *        tech when called with `on` or `off`
+ * @param {Function=} onPause
+ *        Called when the monitor is paused, e.g. to end what it was measuring
+ */
+const pauseMixin = function(monitor, onPause) {
+  monitor.paused_ = false;
+
+  monitor.pause = () => {
+    if (monitor.paused_) {
+      return;
+    }
+
+    monitor.paused_ = true;
+    monitor.listen_('off');
+    if (onPause) {
+      onPause();
+    }
+  };
+
+  monitor.resume = () => {
+    if (!monitor.paused_) {
+      return;
+    }
+
+    monitor.paused_ = false;
+    monitor.listen_('on');
+  };
+};
+
+export default pauseMixin;
@@ -33,6 +33,7 @@ export default class PlaybackWatcher {
   constructor(options) {
     this.tech_ = options.tech;
     this.seekable = options.seekable;
+    this.onStall_ = options.onStall || (() => {});
 
     this.consecutiveUpdates = 0;
     this.lastRecordedTime = null;
@@ -242,6 +243,9 @@ export default class PlaybackWatcher {
       return true;
     }
 
+    // playback stopped for lack of data, which is reported for monitoring QoE
+    this.onStall_();
+
     if (this.beforeSeekableWindow_(seekable, currentTime)) {
       let livePoint = seekable.end(seekable.length - 1);
 
@@ -7,7 +7,8 @@
  */
 import resolveUrl from './resolve-url';
 import videojs from 'video.js';
-import { Parser as M3u8Parser } from 'm3u8-parser';
+import { parseManifest } from './manifest';
+import { responseBody } from './xhr';
 import window from 'global/window';
 
 const { mergeOptions, EventTarget, log } = videojs;
@@ -60,6 +61,22 @@ export const updateSegments = (original, update, offset) => {
   return result;
 };
 
+/**
+ * Resolves the URIs of the low-latency parts and preload hints of a segment
+ *
+ * @param {Object} segment
+ *        A segment or preload segment
+ * @param {String} baseUri
+ *        The URI of the playlist the segment belongs to
+ */
+const resolvePartUris = (segment, baseUri) => {
+  (segment.parts || []).concat(segment.preloadHints || []).forEach((part) => {
+    if (!part.resolvedUri) {
+      part.resolvedUri = resolveUrl(baseUri, part.uri);
+    }
+  });
+};
+
 export const resolveSegmentUris = (segment, baseUri) => {
   if (!segment.resolvedUri) {
     segment.resolvedUri = resolveUrl(baseUri, segment.uri);
@@ -70,6 +87,22 @@ export const resolveSegmentUris = (segment, baseUri) => {
   if (segment.map && !segment.map.resolvedUri) {
     segment.map.resolvedUri = resolveUrl(baseUri, segment.map.uri);
   }
+  resolvePartUris(segment, baseUri);
+};
+
+/**
+ * Returns the number of parts that have been announced for the segment the server is
+ * still producing.
+ *
+ * @param {Object} playlist
+ *        A media playlist object
+ * @return {Number}
+ *         The number of parts in the playlist's preload segment
+ */
+const preloadPartCount = (playlist) => {
+  const preloadSegment = playlist.preloadSegment;
+
+  return preloadSegment && preloadSegment.parts ? preloadSegment.parts.length : 0;
 };
 
 /**
@@ -92,17 +125,27 @@ export const updateMaster = (master, media) => {
     return null;
   }
 
-  // consider the playlist unchanged if the number of segments is equal and the media
-  // sequence number is unchanged
+  // consider the playlist unchanged if the number of segments and parts is equal and
+  // the media sequence number is unchanged
   if (playlist.segments &&
       media.segments &&
       playlist.segments.length === media.segments.length &&
+      preloadPartCount(playlist) === preloadPartCount(media) &&
       playlist.mediaSequence === media.mediaSequence) {
     return null;
   }
 
   const mergedPlaylist = mergeOptions(playlist, media);
 
+  // the preload segment is replaced, never merged, as it only describes the segment
+  // the server is producing at the time of the request
+  if (media.preloadSegment) {
+    mergedPlaylist.preloadSegment = media.preloadSegment;
+    resolvePartUris(mergedPlaylist.preloadSegment, mergedPlaylist.resolvedUri);
+  } else {
+    delete mergedPlaylist.preloadSegment;
+  }
+
   // if the update could overlap existing segment information, merge the two segment lists
   if (playlist.segments) {
     mergedPlaylist.segments = updateSegments(
@@ -154,6 +197,50 @@ export const setupMediaPlaylists = (master) => {
   }
 };
 
+/**
+ * Groups the variants of a master playlist that only differ by their URI. Such
+ * redundant variants are backups of the same rendition, usually on another host. The
+ * first variant of each group is used and the others are marked `inactiveRedundant`
+ * until it fails. Every variant of a group lists the URIs of the group in
+ * `redundantUris`.
+ *
+ * @param {Object} master
+ *        The parsed master manifest object
+ */
+export const setupRedundantPlaylists = (master) => {
+  const groups = {};
+
+  master.playlists.forEach((playlist) => {
+    const attributes = playlist.attributes;
+    const key = Object.keys(attributes).sort().map((name) => {
+      return name + '=' + JSON.stringify(attributes[name]);
+    }).join(',');
+
+    if (!groups[key]) {
+      groups[key] = [];
+    }
+
+    if (groups[key].indexOf(playlist.uri) === -1) {
+      groups[key].push(playlist.uri);
+    }
+  });
+
+  Object.keys(groups).forEach((key) => {
+    const uris = groups[key];
+
+    if (uris.length < 2) {
+      return;
+    }
+
+    uris.forEach((uri, i) => {
+      const playlist = master.playlists[uri];
+
+      playlist.redundantUris = uris;
+      playlist.inactiveRedundant = i > 0;
+    });
+  });
+};
+
 export const resolveMediaGroupUris = (master) => {
   forEachMediaGroup(master, (properties) => {
     if (properties.uri) {
@@ -162,6 +249,18 @@ export const resolveMediaGroupUris = (master) => {
   });
 };
 
+/**
+ * Resolves the URIs of the I-frame playlists of a master playlist
+ *
+ * @param {Object} master
+ *        The master playlist
+ */
+export const resolveIFramePlaylistUris = (master) => {
+  (master.iFramePlaylists || []).forEach((playlist) => {
+    playlist.resolvedUri = resolveUrl(master.uri, playlist.uri);
+  });
+};
+
 /**
  * Calculates the time to wait before refreshing a live playlist
  *
@@ -186,6 +285,42 @@ export const refreshDelay = (media, update) => {
   return delay;
 };
 
+/**
+ * Returns true if the server for a live media playlist will hold playlist requests until
+ * the next segment or part is available.
+ *
+ * @param {Object} media
+ *        The current media
+ * @return {Boolean}
+ *         Whether blocking playlist reloads can be used
+ */
+export const canBlockReload = (media) => {
+  return !media.endList && !!media.serverControl && media.serverControl.canBlockReload;
+};
+
+/**
+ * Adds the low-latency HLS delivery directives to a playlist URI so that the server
+ * responds once the segment or part following the ones listed in the current media
+ * becomes available.
+ *
+ * @param {String} uri
+ *        The playlist URI to request
+ * @param {Object} media
+ *        The current media
+ * @return {String}
+ *         The URI with `_HLS_msn` and, for playlists with parts, `_HLS_part` added
+ */
+export const addLLHLSQueryDirectives = (uri, media) => {
+  const nextMediaSequence = media.mediaSequence + media.segments.length;
+  let query = '_HLS_msn=' + nextMediaSequence;
+
+  if (media.partTargetDuration) {
+    query += '&_HLS_part=' + preloadPartCount(media);
+  }
+
+  return uri + (uri.indexOf('?') === -1 ? '?' : '&') + query;
+};
+
 /**
  * Load a playlist from a remote location
  *
@@ -193,15 +328,19 @@ export const refreshDelay = (media, update) => {
  * @extends Stream
  * @param {String} srcUrl the url to start with
  * @param {Boolean} withCredentials the withCredentials xhr option
+ * @param {Object=} options
+ * @param {Boolean=} options.llhls
+ *        Whether low-latency HLS features such as blocking playlist reloads are used
  * @constructor
  */
 export default class PlaylistLoader extends EventTarget {
-  constructor(srcUrl, hls, withCredentials) {
+  constructor(srcUrl, hls, withCredentials, options = {}) {
     super();
 
     this.srcUrl = srcUrl;
     this.hls_ = hls;
     this.withCredentials = withCredentials;
+    this.llhls_ = !!options.llhls;
 
     if (!this.srcUrl) {
       throw new Error('A non-empty playlist URL is required');
@@ -219,9 +358,17 @@ export default class PlaylistLoader extends EventTarget {
 
       this.state = 'HAVE_CURRENT_METADATA';
 
+      let uri = resolveUrl(this.master.uri, this.media().uri);
+
+      if (this.llhls_ && canBlockReload(this.media())) {
+        uri = addLLHLSQueryDirectives(uri, this.media());
+      }
+
       this.request = this.hls_.xhr({
-        uri: resolveUrl(this.master.uri, this.media().uri),
-        withCredentials: this.withCredentials
+        uri,
+        withCredentials: this.withCredentials,
+        requestType: 'playlist',
+        rendition: this.media().id
       }, (error, req) => {
         // disposed
         if (!this.request) {
@@ -264,33 +411,39 @@ export default class PlaylistLoader extends EventTarget {
     this.request = null;
     this.state = 'HAVE_METADATA';
 
-    const parser = new M3u8Parser();
+    const manifest = parseManifest(responseBody(xhr, xhr.responseText));
 
-    parser.push(xhr.responseText);
-    parser.end();
-    parser.manifest.uri = url;
+    manifest.uri = url;
     // m3u8-parser does not attach an attributes property to media playlists so make
     // sure that the property is attached to avoid undefined reference errors
-    parser.manifest.attributes = parser.manifest.attributes || {};
+    manifest.attributes = manifest.attributes || {};
 
     // merge this playlist into the master
-    const update = updateMaster(this.master, parser.manifest);
+    const update = updateMaster(this.master, manifest);
 
-    this.targetDuration = parser.manifest.targetDuration;
+    this.targetDuration = manifest.targetDuration;
 
     if (update) {
       this.master = update;
-      this.media_ = this.master.playlists[parser.manifest.uri];
+      this.media_ = this.master.playlists[manifest.uri];
     } else {
       this.trigger('playlistunchanged');
     }
 
     // refresh live playlists after a target duration passes
     if (!this.media().endList) {
+      let delay = refreshDelay(this.media(), !!update);
+
+      // the server holds blocking reloads until there is something new, so the next
+      // request can go out right away
+      if (this.llhls_ && update && canBlockReload(this.media())) {
+        delay = 0;
+      }
+
       window.clearTimeout(this.mediaUpdateTimeout);
       this.mediaUpdateTimeout = window.setTimeout(() => {
         this.trigger('mediaupdatetimeout');
-      }, refreshDelay(this.media(), !!update));
+      }, delay);
     }
 
     this.trigger('loadedplaylist');
@@ -314,6 +467,15 @@ export default class PlaylistLoader extends EventTarget {
     }
   }
 
+  /**
+   * Keeps the loader from selecting the first media playlist itself once the master
+   * playlist is loaded, for listeners of `loadedplaylist` that select the initial
+   * media playlist asynchronously
+   */
+  deferMediaSelection() {
+    this.mediaSelectionDeferred_ = true;
+  }
+
    /**
     * When called without any arguments, returns the currently
     * active media playlist. When called with a single argument,
@@ -337,6 +499,8 @@ export default class PlaylistLoader extends EventTarget {
       throw new Error('Cannot switch media playlist from ' + this.state);
     }
 
+    this.mediaSelectionDeferred_ = false;
+
     const startingState = this.state;
 
     // find the playlist object if the target playlist has been
@@ -395,7 +559,9 @@ export default class PlaylistLoader extends EventTarget {
 
     this.request = this.hls_.xhr({
       uri: resolveUrl(this.master.uri, playlist.uri),
-      withCredentials: this.withCredentials
+      withCredentials: this.withCredentials,
+      requestType: 'playlist',
+      rendition: playlist.id
     }, (error, req) => {
       // disposed
       if (!this.request) {
@@ -417,6 +583,49 @@ export default class PlaylistLoader extends EventTarget {
     });
   }
 
+  /**
+   * Moves from a playlist that failed to the next of its redundant playlists that has
+   * not failed recently. The failed playlist is skipped for the given duration.
+   *
+   * @param {Object} playlist
+   *        The playlist that failed
+   * @param {number} duration
+   *        Seconds to skip the failed playlist for
+   * @return {Object|null}
+   *         The redundant playlist that was switched to, or null if there is none left
+   */
+  switchToRedundant(playlist, duration) {
+    const uris = playlist.redundantUris;
+
+    if (!uris) {
+      return null;
+    }
+
+    const now = Date.now();
+    const index = uris.indexOf(playlist.uri);
+    let next = null;
+
+    playlist.redundantExcludeUntil = now + (duration * 1000);
+
+    for (let i = 1; i < uris.length && !next; i++) {
+      const candidate = this.master.playlists[uris[(index + i) % uris.length]];
+
+      if (!(candidate.redundantExcludeUntil > now)) {
+        next = candidate;
+      }
+    }
+
+    if (!next) {
+      return null;
+    }
+
+    playlist.inactiveRedundant = true;
+    next.inactiveRedundant = false;
+    this.media(next);
+
+    return next;
+  }
+
   /**
    * pause loading of the playlist
    */
@@ -479,7 +688,8 @@ export default class PlaylistLoader extends EventTarget {
     // request the specified URL
     this.request = this.hls_.xhr({
       uri: this.srcUrl,
-      withCredentials: this.withCredentials
+      withCredentials: this.withCredentials,
+      requestType: 'manifest'
     }, (error, req) => {
       // disposed
       if (!this.request) {
@@ -503,27 +713,26 @@ export default class PlaylistLoader extends EventTarget {
         return this.trigger('error');
       }
 
-      const parser = new M3u8Parser();
-
-      parser.push(req.responseText);
-      parser.end();
+      const manifest = parseManifest(responseBody(req, req.responseText));
 
       this.state = 'HAVE_MASTER';
 
-      parser.manifest.uri = this.srcUrl;
+      manifest.uri = this.srcUrl;
 
       // loaded a master playlist
-      if (parser.manifest.playlists) {
-        this.master = parser.manifest;
+      if (manifest.playlists) {
+        this.master = manifest;
 
         setupMediaPlaylists(this.master);
+        setupRedundantPlaylists(this.master);
         resolveMediaGroupUris(this.master);
+        resolveIFramePlaylistUris(this.master);
 
         this.trigger('loadedplaylist');
-        if (!this.request) {
+        if (!this.request && !this.mediaSelectionDeferred_) {
           // no media playlist was specifically selected so start
           // from the first listed one
-          this.media(parser.manifest.playlists[0]);
+          this.media(manifest.playlists[0]);
         }
         return;
       }
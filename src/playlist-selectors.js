@@ -2,6 +2,7 @@ import window from 'global/window';
 import Config from './config';
 import Playlist from './playlist';
 import { parseCodecs } from './util/codecs.js';
+import { findRange } from './ranges';
 
 // Utilities
 
@@ -424,3 +425,171 @@ export const lowestBitrateCompatibleVariantSelector = function() {
 
   return playlistsWithVideo[0] || null;
 };
+
+// ABR Strategies
+
+/**
+ * Describes the current playback conditions to an ABR strategy.
+ *
+ * Expects to be called within the context of an instance of HlsHandler
+ *
+ * @return {Object}
+ *         {Object} return.master
+ *         The master playlist
+ *         {Object} return.media
+ *         The active media playlist
+ *         {Object[]} return.renditions
+ *         The playlists that may be selected, sorted by ascending bandwidth
+ *         {Number} return.bufferLevel
+ *         Seconds of content buffered ahead of the current time
+ *         {Number} return.bandwidth
+ *         The current bandwidth estimate in bits per second
+ *         {Number[]} return.throughputHistory
+ *         The throughput of the most recent segment downloads in bits per second,
+ *         oldest first
+ *         {Number|null} return.timeToFirstByte
+ *         The average time in milliseconds before the response to a segment request
+ *         starts arriving, or null if it is not known yet
+ *         {Number} return.droppedFrames
+ *         The number of video frames dropped so far
+ *         {Number} return.totalFrames
+ *         The number of video frames decoded so far
+ *         {Number} return.playerWidth
+ *         Current width of the player element
+ *         {Number} return.playerHeight
+ *         Current height of the player element
+ */
+export const abrContext = function() {
+  const master = this.playlists.master;
+  const buffered = this.tech_.buffered();
+  const currentTime = this.tech_.currentTime();
+  const range = findRange(buffered, currentTime);
+  const quality = typeof this.tech_.getVideoPlaybackQuality === 'function' ?
+    this.tech_.getVideoPlaybackQuality() : {};
+  const mainSegmentLoader = this.masterPlaylistController_.mainSegmentLoader_;
+
+  // filter out any playlists that have been excluded due to
+  // incompatible configurations
+  const compatiblePlaylists = master.playlists.filter(
+    playlist => !Playlist.isIncompatible(playlist));
+  let renditions = compatiblePlaylists.filter(Playlist.isEnabled);
+
+  if (!renditions.length) {
+    // if there are no enabled playlists, then they have all been blacklisted or disabled
+    // by the user through the representations api. In this case, ignore blacklisting and
+    // fallback to what the user wants by using playlists the user has not disabled.
+    renditions = compatiblePlaylists.filter(playlist => !Playlist.isDisabled(playlist));
+  }
+
+  stableSort(renditions, comparePlaylistBandwidth);
+
+  return {
+    master,
+    media: this.playlists.media(),
+    renditions,
+    bufferLevel: range.length ? range.end(0) - currentTime : 0,
+    bandwidth: this.systemBandwidth,
+    throughputHistory: mainSegmentLoader.bandwidthHistory.slice(),
+    timeToFirstByte: mainSegmentLoader.bandwidthEstimator.timeToFirstByte(),
+    droppedFrames: quality.droppedVideoFrames || 0,
+    totalFrames: quality.totalVideoFrames || 0,
+    playerWidth: parseInt(safeGetComputedStyle(this.tech_.el(), 'width'), 10),
+    playerHeight: parseInt(safeGetComputedStyle(this.tech_.el(), 'height'), 10)
+  };
+};
+
+/**
+ * Creates a playlist selector from an ABR strategy. A strategy is a function that is
+ * passed the current playback conditions (see abrContext) and returns the playlist to
+ * switch to, or null to fall back to lastBandwidthSelector.
+ *
+ * Like any playlist selector, it is only called once a segment has downloaded or the
+ * playlist is excluded. Aborting a download early is left to the segment loader's own
+ * bandwidth heuristic.
+ *
+ * @param {Function} strategy
+ *        The ABR strategy
+ * @return {Function}
+ *         A playlist selector, to be called within the context of an instance of
+ *         HlsHandler
+ */
+export const abrStrategySelector = function(strategy) {
+  return function() {
+    return strategy(abrContext.call(this)) || lastBandwidthSelector.call(this);
+  };
+};
+
+/**
+ * A buffer-based ABR strategy implementing BOLA.
+ *
+ * Each rendition is scored by its utility (the log of its bitrate relative to the
+ * lowest bitrate) against the level of the buffer, so that the lowest rendition is
+ * chosen with BOLA_MINIMUM_BUFFER seconds of buffer and the highest once the buffer
+ * reaches the goal buffer length. Until the buffer reaches BOLA_MINIMUM_BUFFER, e.g. at
+ * startup or after a seek, the highest rendition the bandwidth estimate allows is
+ * chosen instead. BOLA does not switch up to a rendition above that one, unless it is
+ * already playing it.
+ *
+ * @param {Object} context
+ *        The playback conditions, as returned by abrContext
+ * @return {Object|null}
+ *         The playlist to switch to
+ * @see https://arxiv.org/abs/1601.06748
+ */
+export const bolaStrategy = function(context) {
+  const renditions = context.renditions.filter(
+    Playlist.hasAttribute.bind(null, 'BANDWIDTH'));
+
+  if (renditions.length < 2) {
+    return renditions[0] || null;
+  }
+
+  const bitrates = renditions.map((playlist) => playlist.attributes.BANDWIDTH);
+  const minimumBuffer = Config.BOLA_MINIMUM_BUFFER;
+  let throughputIndex = 0;
+
+  bitrates.forEach((bitrate, i) => {
+    if (bitrate * Config.BANDWIDTH_VARIANCE < context.bandwidth) {
+      throughputIndex = i;
+    }
+  });
+
+  if (context.bufferLevel < minimumBuffer ||
+      bitrates[0] === bitrates[bitrates.length - 1]) {
+    return renditions[throughputIndex];
+  }
+
+  const utilities = bitrates.map((bitrate) => Math.log(bitrate / bitrates[0]) + 1);
+  const bufferTarget = Math.max(
+    Config.GOAL_BUFFER_LENGTH,
+    minimumBuffer + Config.BOLA_MINIMUM_BUFFER_PER_LEVEL * renditions.length);
+  const gp = (utilities[utilities.length - 1] - 1) / (bufferTarget / minimumBuffer - 1);
+  const vp = minimumBuffer / gp;
+  let bolaIndex = 0;
+  let bestScore = -Infinity;
+
+  utilities.forEach((utility, i) => {
+    const score = (vp * (utility + gp) - context.bufferLevel) / bitrates[i];
+
+    if (score >= bestScore) {
+      bestScore = score;
+      bolaIndex = i;
+    }
+  });
+
+  if (bolaIndex > throughputIndex) {
+    bolaIndex =
+      Math.min(bolaIndex, Math.max(throughputIndex, renditions.indexOf(context.media)));
+  }
+
+  return renditions[bolaIndex];
+};
+
+/**
+ * Chooses the appropriate media playlist with the BOLA buffer-based ABR strategy.
+ *
+ * Expects to be called within the context of an instance of HlsHandler
+ *
+ * @return {Playlist} the playlist chosen by bolaStrategy
+ */
+export const bolaSelector = abrStrategySelector(bolaStrategy);
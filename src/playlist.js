@@ -433,7 +433,8 @@ export const isIncompatible = function(playlist) {
 };
 
 /**
- * Check whether the playlist is enabled or not.
+ * Check whether the playlist is enabled or not. Playlists on a content steering pathway
+ * other than the current one and backups of a redundant playlist are not enabled.
  *
  * @param {Object} playlist the media playlist object
  * @return {boolean} whether the playlist is enabled or not
@@ -442,7 +443,10 @@ export const isIncompatible = function(playlist) {
 export const isEnabled = function(playlist) {
   const blacklisted = isBlacklisted(playlist);
 
-  return (!playlist.disabled && !blacklisted);
+  return (!playlist.disabled &&
+          !blacklisted &&
+          !playlist.inactivePathway &&
+          !playlist.inactiveRedundant);
 };
 
 /**
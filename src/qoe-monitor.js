@@ -0,0 +1,240 @@
+/**
+ * @file qoe-monitor.js
+ *
+ * Tracks the quality of experience of a source: how long the first frame took to
+ * render, how often and how long playback rebuffered, which renditions were played and
+ * why, the bytes thrown away by requests that were aborted early and the errors that
+ * occurred. A summary is available at any time and is triggered as a `qoesummary`
+ * event on the tech when the source is disposed.
+ */
+import pauseMixin from './pause-mixin';
+
+/**
+ * Creates the QoE record of an error
+ *
+ * @param {Object} error
+ *        The error, a MediaError or an error of the master playlist controller
+ * @param {boolean} fatal
+ *        Whether playback stopped because of the error
+ * @param {number} currentTime
+ *        The current time when the error occurred
+ * @return {Object}
+ *         The record of the error
+ */
+const errorEntry = (error, fatal, currentTime) => {
+  return {
+    time: Date.now(),
+    currentTime,
+    fatal,
+    code: typeof error.code === 'undefined' ? null : error.code,
+    status: typeof error.status === 'number' ? error.status : null,
+    message: error.message || null
+  };
+};
+
+/**
+ * @class QoeMonitor
+ */
+export default class QoeMonitor {
+  /**
+   * @constructor
+   * @param {Object} options
+   * @param {Tech} options.tech
+   *        The tech to follow playback on
+   * @param {MasterPlaylistController} options.masterPlaylistController
+   *        The master playlist controller of the source
+   */
+  constructor(options) {
+    this.tech_ = options.tech;
+    this.masterPlaylistController_ = options.masterPlaylistController;
+
+    this.loadStart_ = Date.now();
+    this.playRequested_ = null;
+    this.timeToFirstFrame_ = null;
+    this.rebufferCount_ = 0;
+    this.rebufferDuration_ = 0;
+    this.rebufferStart_ = null;
+    this.rebufferTime_ = null;
+    this.switches_ = [];
+    this.lastPlaylist_ = null;
+    this.wastedBytes_ = 0;
+    this.errors_ = [];
+
+    const mpc = this.masterPlaylistController_;
+
+    this.playHandler_ = () => {
+      if (this.playRequested_ === null) {
+        this.playRequested_ = Date.now();
+      }
+    };
+    this.playingHandler_ = () => {
+      if (this.timeToFirstFrame_ === null) {
+        // autoplaying sources are measured from when they were loaded
+        const start =
+          this.playRequested_ === null ? this.loadStart_ : this.playRequested_;
+
+        this.timeToFirstFrame_ = Date.now() - start;
+        return;
+      }
+      this.endRebuffer_();
+    };
+    this.timeupdateHandler_ = () => {
+      if (this.rebufferStart_ !== null &&
+          this.tech_.currentTime() !== this.rebufferTime_) {
+        this.endRebuffer_();
+      }
+    };
+    // a rebuffer is interrupted by the viewer seeking or pausing
+    this.interruptHandler_ = () => this.endRebuffer_();
+    this.techErrorHandler_ = () => this.addError_(this.tech_.error(), true);
+    this.fatalErrorHandler_ = () => this.addError_(mpc.error, true);
+    this.playlistErrorHandler_ = (event) => this.addError_(event.error, false);
+    this.mediaChangeHandler_ = () => this.addSwitch_();
+    this.earlyAbortHandler_ = (event) => {
+      this.wastedBytes_ += event.bytesReceived || 0;
+    };
+
+    pauseMixin(this, () => this.endRebuffer_());
+    this.listen_('on');
+    mpc.on('error', this.fatalErrorHandler_);
+    mpc.on('playlisterror', this.playlistErrorHandler_);
+    mpc.masterPlaylistLoader_.on(['loadedmetadata', 'mediachange'],
+                                 this.mediaChangeHandler_);
+    mpc.mainSegmentLoader_.on('earlyabort', this.earlyAbortHandler_);
+    mpc.audioSegmentLoader_.on('earlyabort', this.earlyAbortHandler_);
+  }
+
+  /**
+   * Starts or stops following playback on the tech
+   *
+   * @param {string} method
+   *        `on` or `off`
+   * @private
+   */
+  listen_(method) {
+    this.tech_[method]('play', this.playHandler_);
+    this.tech_[method]('playing', this.playingHandler_);
+    this.tech_[method]('timeupdate', this.timeupdateHandler_);
+    this.tech_[method](['seeking', 'pause', 'ended'], this.interruptHandler_);
+    this.tech_[method]('error', this.techErrorHandler_);
+  }
+
+  /**
+   * Records that playback stalled for lack of data. Stalls before the first frame are
+   * part of the startup time, and a stall is only counted once.
+   */
+  stall() {
+    if (this.paused_ ||
+        this.timeToFirstFrame_ === null ||
+        this.rebufferStart_ !== null ||
+        this.tech_.seeking()) {
+      return;
+    }
+
+    this.rebufferCount_++;
+    this.rebufferStart_ = Date.now();
+    this.rebufferTime_ = this.tech_.currentTime();
+  }
+
+  /**
+   * Ends the current rebuffer, if any
+   *
+   * @private
+   */
+  endRebuffer_() {
+    if (this.rebufferStart_ === null) {
+      return;
+    }
+
+    this.rebufferDuration_ += Date.now() - this.rebufferStart_;
+    this.rebufferStart_ = null;
+    this.rebufferTime_ = null;
+  }
+
+  /**
+   * Records an error
+   *
+   * @param {Object} error
+   *        The error
+   * @param {boolean} fatal
+   *        Whether playback stopped because of the error
+   * @private
+   */
+  addError_(error, fatal) {
+    if (error) {
+      this.errors_.push(errorEntry(error, fatal, this.tech_.currentTime()));
+    }
+  }
+
+  /**
+   * Records a switch to another main playlist, with the reason the master playlist
+   * controller gave for it. The reason is cleared once read so that it is not
+   * attributed to a later switch the controller gave no reason for.
+   *
+   * @private
+   */
+  addSwitch_() {
+    const mpc = this.masterPlaylistController_;
+    const media = mpc.masterPlaylistLoader_.media();
+    const reason = mpc.switchReason_;
+
+    mpc.switchReason_ = null;
+
+    if (!media || media === this.lastPlaylist_) {
+      return;
+    }
+
+    const from = this.lastPlaylist_;
+
+    this.switches_.push({
+      time: Date.now(),
+      currentTime: this.tech_.currentTime(),
+      from: from ? from.id : null,
+      to: media.id,
+      bandwidth: (media.attributes && media.attributes.BANDWIDTH) || null,
+      reason: reason || (from ? 'abr' : 'initial')
+    });
+    this.lastPlaylist_ = media;
+  }
+
+  /**
+   * The QoE of the source so far
+   *
+   * @return {Object}
+   *         The time to first frame, rebuffering, rendition switches, wasted bytes and
+   *         errors
+   */
+  summary() {
+    const ongoingRebuffer =
+      this.rebufferStart_ === null ? 0 : Date.now() - this.rebufferStart_;
+
+    return {
+      timeToFirstFrame: this.timeToFirstFrame_,
+      rebufferCount: this.rebufferCount_,
+      rebufferDuration: this.rebufferDuration_ + ongoingRebuffer,
+      switches: this.switches_.slice(),
+      wastedBytes: this.wastedBytes_,
+      errors: this.errors_.slice()
+    };
+  }
+
+  /**
+   * Triggers the final summary and stops monitoring
+   */
+  dispose() {
+    const mpc = this.masterPlaylistController_;
+
+    this.tech_.trigger({
+      type: 'qoesummary',
+      summary: this.summary()
+    });
+
+    this.listen_('off');
+    mpc.off('error', this.fatalErrorHandler_);
+    mpc.off('playlisterror', this.playlistErrorHandler_);
+    mpc.masterPlaylistLoader_.off(['loadedmetadata', 'mediachange'],
+                                  this.mediaChangeHandler_);
+    mpc.mainSegmentLoader_.off('earlyabort', this.earlyAbortHandler_);
+    mpc.audioSegmentLoader_.off('earlyabort', this.earlyAbortHandler_);
+  }
+}
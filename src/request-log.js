@@ -0,0 +1,84 @@
+/**
+ * @file request-log.js
+ *
+ * Keeps a record of the recent network requests of a source, with their timings, so
+ * that a waterfall of the requests can be built.
+ */
+import Config from './config';
+
+/**
+ * Creates the log entry of a completed request
+ *
+ * @param {Request} request
+ *        The request, after its last attempt
+ * @param {Object} options
+ *        The options the request was made with
+ * @param {number} startTime
+ *        When the first attempt was sent, in milliseconds since the epoch
+ * @param {boolean} failed
+ *        Whether the request failed
+ * @return {Object}
+ *         The log entry
+ */
+export const requestEntry = (request, options, startTime, failed) => {
+  const byterange = options.byterange;
+
+  return {
+    uri: request.uri,
+    type: options.requestType || null,
+    byterange: byterange ? { offset: byterange.offset, length: byterange.length } : null,
+    rendition: typeof options.rendition === 'undefined' ? null : options.rendition,
+    startTime,
+    responseStart: request.responseStart || request.responseTime || null,
+    responseEnd: Date.now(),
+    bytes: request.bytesReceived || 0,
+    status: request.status,
+    retries: request.retries,
+    aborted: !!request.aborted,
+    timedout: !!request.timedout,
+    failed
+  };
+};
+
+/**
+ * @class RequestLog
+ */
+export default class RequestLog {
+  /**
+   * @constructor
+   * @param {Tech} tech
+   *        The tech to trigger `requestcomplete` on
+   */
+  constructor(tech) {
+    this.tech_ = tech;
+    this.entries_ = [];
+  }
+
+  /**
+   * Records a completed request
+   *
+   * @param {Object} entry
+   *        The entry of the request, see requestEntry
+   */
+  add(entry) {
+    this.entries_.push(entry);
+    if (this.entries_.length > Config.REQUEST_LOG_LENGTH) {
+      this.entries_.shift();
+    }
+
+    this.tech_.trigger({
+      type: 'requestcomplete',
+      request: entry
+    });
+  }
+
+  /**
+   * The recorded requests
+   *
+   * @return {Object[]}
+   *         The entries of the most recent requests, oldest first
+   */
+  entries() {
+    return this.entries_.slice();
+  }
+}
@@ -12,6 +12,10 @@ import { mediaSegmentRequest, REQUEST_ERRORS } from './media-segment-request';
 import { TIME_FUDGE_FACTOR, timeUntilRebuffer as timeUntilRebuffer_ } from './ranges';
 import { minRebufferMaxBandwidthSelector } from './playlist-selectors';
 import logger from './util/logger';
+import { makeMimeTypeString } from './util/codecs.js';
+import { translateLegacyCodecs } from './mse/codec-utils';
+import { parseEmsgBoxes, emsgEvents } from './dash-events';
+import BandwidthEstimator from './bandwidth-estimator';
 
 // in ms
 const CHECK_BUFFER_DELAY = 500;
@@ -47,6 +51,40 @@ const detectEndOfStream = function(playlist, mediaSource, segmentIndex) {
 
 const finite = (num) => typeof num === 'number' && isFinite(num);
 
+/**
+ * @param {String} codecs a comma separated list of codecs
+ * @return {Array} the codecs, with the old apple-style AVC codecs translated like those
+ * of the MIME types the source buffers are created with
+ */
+const parseCodecList = (codecs) => {
+  return translateLegacyCodecs(codecs.split(',')
+    .map((codec) => codec.trim())
+    .filter((codec) => codec));
+};
+
+/**
+ * @param {Array} codecs a list of codecs
+ * @return {String} a key to compare lists of codecs by, regardless of order and case
+ */
+const codecsKey = (codecs) => {
+  return codecs.map((codec) => codec.toLowerCase()).sort().join(',');
+};
+
+/**
+ * Returns the segment at the provided index of a playlist. The index one past the last
+ * complete segment refers to the low-latency preload segment, if the playlist has one.
+ *
+ * @param {Object} playlist a media playlist object
+ * @param {Number} mediaIndex the index of the segment
+ * @return {Object|undefined} the segment, if there is one at that index
+ */
+const segmentAtIndex = (playlist, mediaIndex) => {
+  if (mediaIndex === playlist.segments.length) {
+    return playlist.preloadSegment;
+  }
+  return playlist.segments[mediaIndex];
+};
+
 export const illegalMediaSwitch = (loaderType, startingMedia, newSegmentMedia) => {
   // Although these checks should most likely cover non 'main' types, for now it narrows
   // the scope of our checks.
@@ -105,6 +143,48 @@ export const safeBackBufferTrimTime = (seekable, currentTime, targetDuration) =>
   return Math.min(removeToTime, currentTime - targetDuration);
 };
 
+/**
+ * Finds how much of a partially downloaded fMP4 segment can be appended: its complete
+ * top level boxes up to the end of the last complete mdat box, so that every moof
+ * box appended is followed by its media data.
+ *
+ * @param {Uint8Array} bytes
+ *        The bytes downloaded so far that were not appended yet
+ * @return {number}
+ *         The number of bytes that can be appended
+ */
+export const appendableMp4Length = (bytes) => {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  let offset = 0;
+  let length = 0;
+
+  while (offset + 8 <= bytes.length) {
+    let size = view.getUint32(offset);
+    const type = String.fromCharCode(bytes[offset + 4], bytes[offset + 5],
+                                     bytes[offset + 6], bytes[offset + 7]);
+
+    if (size === 1) {
+      if (offset + 16 > bytes.length) {
+        break;
+      }
+      size = view.getUint32(offset + 8) * Math.pow(2, 32) + view.getUint32(offset + 12);
+    }
+
+    // a size of 0 means the box runs to the end of the segment, which is not known
+    // until the download completes
+    if (size < 8 || offset + size > bytes.length) {
+      break;
+    }
+
+    offset += size;
+    if (type === 'mdat') {
+      length = offset;
+    }
+  }
+
+  return length;
+};
+
 const segmentInfoString = (segmentInfo) => {
   const {
     segment: {
@@ -148,10 +228,13 @@ export default class SegmentLoader extends videojs.EventTarget {
     }
     // public properties
     this.bandwidth = settings.bandwidth;
+    this.bandwidthEstimator = new BandwidthEstimator();
+    this.bandwidthHistory = [];
     this.throughput = {rate: 0, count: 0};
     this.roundTrip = NaN;
     this.resetStats_();
     this.mediaIndex = null;
+    this.partIndex = null;
 
     // private settings
     this.hasPlayed_ = settings.hasPlayed;
@@ -166,6 +249,10 @@ export default class SegmentLoader extends videojs.EventTarget {
     this.segmentMetadataTrack_ = settings.segmentMetadataTrack;
     this.goalBufferLength_ = settings.goalBufferLength;
     this.sourceType_ = settings.sourceType;
+    this.llhls_ = settings.llhls;
+    this.contentSteering_ = settings.contentSteering;
+    this.progressive_ = settings.progressive;
+    this.useBandwidthEstimator_ = !!settings.useBandwidthEstimator;
     this.state_ = 'INIT';
 
     // private instance variables
@@ -174,6 +261,8 @@ export default class SegmentLoader extends videojs.EventTarget {
     this.currentTimeline_ = -1;
     this.pendingSegment_ = null;
     this.mimeType_ = null;
+    // the codecs the source buffer is set up for
+    this.sourceBufferCodecs_ = null;
     this.sourceUpdater_ = null;
     this.xhrOptions_ = null;
 
@@ -242,6 +331,34 @@ export default class SegmentLoader extends videojs.EventTarget {
     this.resetStats_();
   }
 
+  /**
+   * Switches the loader to another media source, e.g. after the media element played
+   * a different source. The source buffer is created again once the mime type is set,
+   * so the loader returns to the INIT state.
+   *
+   * @param {MediaSource} mediaSource
+   *        The media source to append to
+   */
+  resetMediaSource(mediaSource) {
+    this.abort_();
+    if (this.sourceUpdater_) {
+      this.sourceUpdater_.dispose();
+      this.sourceUpdater_ = null;
+    }
+    this.mimeType_ = null;
+    this.sourceBufferCodecs_ = null;
+    this.sourceBufferEmitter_ = null;
+    this.startingMedia_ = void 0;
+    this.activeInitSegmentId_ = null;
+    this.currentTimeline_ = -1;
+    this.ended_ = false;
+    this.state = 'INIT';
+    this.resetLoader();
+
+    this.mediaSource_ = mediaSource;
+    this.mediaSource_.addEventListener('sourceopen', () => this.ended_ = false);
+  }
+
   /**
    * abort anything that is currently doing on with the SegmentLoader
    * and reset to a default state
@@ -275,8 +392,12 @@ export default class SegmentLoader extends videojs.EventTarget {
    * @private
    */
   abort_() {
-    if (this.pendingSegment_) {
-      this.pendingSegment_.abortRequests();
+    const segmentInfo = this.pendingSegment_;
+
+    if (segmentInfo) {
+      // the callback of an aborted request may clear pendingSegment_
+      segmentInfo.abortRequests();
+      this.removeAppendedFragments_(segmentInfo);
     }
 
     // clear out the segment being processed
@@ -483,8 +604,9 @@ export default class SegmentLoader extends videojs.EventTarget {
 
       // we need to update the referenced segment so that timing information is
       // saved for the new playlist's segment, however, if the segment fell off the
-      // playlist, we can leave the old reference and just lose the timing info
-      if (segmentInfo.mediaIndex >= 0) {
+      // playlist, we can leave the old reference and just lose the timing info. Part
+      // requests reference their part rather than the segment, so they are left alone.
+      if (segmentInfo.mediaIndex >= 0 && segmentInfo.partIndex === null) {
         segmentInfo.segment = newPlaylist.segments[segmentInfo.mediaIndex];
       }
     }
@@ -528,7 +650,10 @@ export default class SegmentLoader extends videojs.EventTarget {
       return;
     }
 
+    const codecs = (/codecs="([^"]*)"/).exec(mimeType);
+
     this.mimeType_ = mimeType;
+    this.sourceBufferCodecs_ = codecs ? codecsKey(parseCodecList(codecs[1])) : null;
     this.sourceBufferEmitter_ = sourceBufferEmitter;
     // if we were unpaused but waiting for a sourceUpdater, start
     // buffering now
@@ -564,6 +689,7 @@ export default class SegmentLoader extends videojs.EventTarget {
    */
   resyncLoader() {
     this.mediaIndex = null;
+    this.partIndex = null;
     this.syncPoint_ = null;
     this.abort();
   }
@@ -725,13 +851,39 @@ export default class SegmentLoader extends videojs.EventTarget {
 
     // Under normal playback conditions fetching is a simple walk forward
     if (mediaIndex !== null) {
-      let segment = playlist.segments[mediaIndex];
+      let segment = segmentAtIndex(playlist, mediaIndex);
 
       if (segment && segment.end) {
         startOfSegment = segment.end;
       } else {
         startOfSegment = lastBufferedEnd;
       }
+
+      // keep appending parts until the segment they belong to is complete
+      if (this.partIndex !== null) {
+        if (segment && segment.parts && this.partIndex + 1 < segment.parts.length) {
+          return this.generatePartInfo_(playlist,
+                                        mediaIndex,
+                                        this.partIndex + 1,
+                                        startOfSegment);
+        }
+
+        // request the hinted part, or wait for the next playlist refresh to announce
+        // more parts
+        if (mediaIndex >= playlist.segments.length) {
+          return this.generatePartInfo_(playlist,
+                                        mediaIndex,
+                                        this.partIndex + 1,
+                                        startOfSegment);
+        }
+      }
+
+      // once the last complete segment is buffered, move on to the parts of the
+      // segment the server is still producing
+      if (this.llhls_ && mediaIndex + 1 === playlist.segments.length) {
+        return this.generatePartInfo_(playlist, mediaIndex + 1, 0, startOfSegment);
+      }
+
       return this.generateSegmentInfo_(playlist, mediaIndex + 1, startOfSegment, false);
     }
 
@@ -803,6 +955,8 @@ export default class SegmentLoader extends videojs.EventTarget {
       uri: segment.resolvedUri,
       // the segment's mediaIndex at the time it was requested
       mediaIndex,
+      // the index of the part within the segment, or null for complete segments
+      partIndex: null,
       // whether or not to update the SegmentLoader's state with this
       // segment's mediaIndex
       isSyncRequest,
@@ -825,6 +979,71 @@ export default class SegmentLoader extends videojs.EventTarget {
     };
   }
 
+  /**
+   * Generates the request information for a low-latency HLS part. The part takes the
+   * place of the segment for the rest of the pipeline so that timing information probed
+   * from its bytes is saved on the part and not the (possibly incomplete) segment. The
+   * part that follows the last announced part is requested from its EXT-X-PRELOAD-HINT,
+   * if the playlist has one, so that the server can send it as soon as it is produced.
+   *
+   * @param {Object} playlist
+   *        The playlist object to fetch the part from
+   * @param {Number} mediaIndex
+   *        The index of the segment the part belongs to
+   * @param {Number} partIndex
+   *        The index of the part within the segment
+   * @param {Number} startOfSegment
+   *        The expected start time of the part
+   * @return {Object}
+   *         A segment request object for the part or null if it cannot be loaded
+   * @private
+   */
+  generatePartInfo_(playlist, mediaIndex, partIndex, startOfSegment) {
+    const segment = segmentAtIndex(playlist, mediaIndex);
+
+    // parts of encrypted segments cannot be decrypted on their own
+    if (!segment || segment.key) {
+      return null;
+    }
+
+    const parts = segment.parts || [];
+    const hint = partIndex === parts.length && (segment.preloadHints || [])
+      .filter((preloadHint) => preloadHint.type === 'PART')[0];
+    // the duration of a hinted part is only known once it is announced
+    const part = parts[partIndex] || (hint && {
+      resolvedUri: hint.resolvedUri,
+      byterange: hint.byterange,
+      duration: playlist.partTargetDuration || 0
+    });
+
+    if (!part) {
+      return null;
+    }
+
+    return {
+      requestId: 'segment-loader-' + Math.random(),
+      uri: part.resolvedUri,
+      mediaIndex,
+      partIndex,
+      isSyncRequest: false,
+      startOfSegment,
+      playlist,
+      bytes: null,
+      encryptedBytes: null,
+      timestampOffset: null,
+      timeline: segment.timeline,
+      duration: part.duration,
+      segment: {
+        resolvedUri: part.resolvedUri,
+        byterange: part.byterange,
+        duration: part.duration,
+        timeline: segment.timeline,
+        discontinuity: partIndex === 0 && segment.discontinuity,
+        map: segment.map
+      }
+    };
+  }
+
   /**
    * Determines if the network has enough bandwidth to complete the current segment
    * request in a timely manner. If not, the request will be aborted early and bandwidth
@@ -842,7 +1061,10 @@ export default class SegmentLoader extends videojs.EventTarget {
         //       the lowestEnabledRendition.
         !this.xhrOptions_.timeout ||
         // Don't abort if we have no bandwidth information to estimate segment sizes
-        !(this.playlist_.attributes.BANDWIDTH)) {
+        !(this.playlist_.attributes.BANDWIDTH) ||
+        // Don't abort once the start of the segment was appended, it would have to be
+        // removed from the buffer again
+        (this.pendingSegment_.progressive && this.pendingSegment_.progressive.appended)) {
       return false;
     }
 
@@ -916,7 +1138,10 @@ export default class SegmentLoader extends videojs.EventTarget {
     this.bandwidth =
       switchCandidate.playlist.attributes.BANDWIDTH * Config.BANDWIDTH_VARIANCE + 1;
     this.abort();
-    this.trigger('earlyabort');
+    this.trigger({
+      type: 'earlyabort',
+      bytesReceived: stats.bytesReceived
+    });
     return true;
   }
 
@@ -936,9 +1161,143 @@ export default class SegmentLoader extends videojs.EventTarget {
       return;
     }
 
+    // an afterResponse hook transforms whole segments, so they can not be appended
+    // before they complete
+    if (event.chunk && !event.target.afterResponse) {
+      this.handleChunk_(simpleSegment, event.chunk);
+    }
+
     this.trigger('progress');
   }
 
+  /**
+   * Appends the complete fragments of an fMP4 segment while the rest of it downloads,
+   * when the network loader provides the chunks of the response. This lets playback
+   * start before the whole segment is loaded, e.g. with CMAF chunked transfer.
+   *
+   * @param {Object} simpleSegment
+   *        A simplified segment object copy
+   * @param {Uint8Array} chunk
+   *        The bytes received since the last chunk
+   * @private
+   */
+  handleChunk_(simpleSegment, chunk) {
+    const segmentInfo = this.pendingSegment_;
+    const segment = segmentInfo.segment;
+
+    // TS segments are transmuxed and probed for their timing as a whole, encrypted
+    // segments are decrypted as a whole, and sync requests are never appended
+    if (!this.progressive_ ||
+        !segment.map ||
+        segment.key ||
+        segmentInfo.isSyncRequest ||
+        !simpleSegment.map.bytes) {
+      return;
+    }
+
+    if (!segmentInfo.progressive) {
+      segmentInfo.progressive = {
+        pending: new Uint8Array(0),
+        appended: 0,
+        failed: false
+      };
+    }
+
+    const progressive = segmentInfo.progressive;
+
+    if (progressive.failed) {
+      return;
+    }
+
+    const pending = new Uint8Array(progressive.pending.length + chunk.length);
+
+    pending.set(progressive.pending);
+    pending.set(chunk, progressive.pending.length);
+
+    const length = appendableMp4Length(pending);
+
+    progressive.pending = pending.subarray(length);
+    if (!length) {
+      return;
+    }
+
+    const bytes = pending.subarray(0, length);
+
+    if (!progressive.appended) {
+      simpleSegment.map = this.initSegment(simpleSegment.map, true);
+      segment.map.bytes = simpleSegment.map.bytes;
+      segmentInfo.bytes = bytes;
+
+      if (!this.prepareAppend_(segmentInfo)) {
+        progressive.failed = true;
+        return;
+      }
+    } else {
+      this.handleEmsg_(segmentInfo,
+                       this.syncController_.mappingForTimeline(segmentInfo.timeline),
+                       bytes);
+    }
+
+    progressive.appended += length;
+    this.sourceUpdater_.appendBuffer(bytes, (error) => {
+      if (error) {
+        this.handleAppendError_(segmentInfo, error);
+      }
+    });
+  }
+
+  /**
+   * Removes the fragments of a segment that were appended while it downloaded, when
+   * the rest of it will not be appended
+   *
+   * @param {Object} segmentInfo
+   *        The segment that was not completely appended
+   * @private
+   */
+  removeAppendedFragments_(segmentInfo) {
+    const progressive = segmentInfo.progressive;
+    const segment = segmentInfo.segment;
+
+    if (!progressive || !progressive.appended) {
+      return;
+    }
+
+    const start = typeof segment.start === 'number' ?
+      segment.start : segmentInfo.startOfSegment;
+    const end = typeof segment.end === 'number' ? segment.end : start + segment.duration;
+
+    progressive.appended = 0;
+    this.remove(start, end);
+  }
+
+  /**
+   * Reports an append that the source buffer did not accept, e.g. because it is full,
+   * and stops the segment it belongs to
+   *
+   * @param {Object} segmentInfo
+   *        The segment that was being appended
+   * @param {Error} error
+   *        The error the source buffer threw
+   * @private
+   */
+  handleAppendError_(segmentInfo, error) {
+    // the segment was aborted already
+    if (segmentInfo !== this.pendingSegment_) {
+      return;
+    }
+
+    if (this.state === 'WAITING') {
+      segmentInfo.abortRequests();
+    }
+    this.removeAppendedFragments_(segmentInfo);
+    this.state = 'READY';
+    this.pause();
+    this.error({
+      message: `Failed to append segment ${segmentInfo.mediaIndex}: ${error.name}`
+    });
+    this.trigger('error');
+  }
+
   /**
    * load a specific segment from a request into the buffer
    *
@@ -949,7 +1308,7 @@ export default class SegmentLoader extends videojs.EventTarget {
     this.pendingSegment_ = segmentInfo;
     this.trimBackBuffer_(segmentInfo);
 
-    segmentInfo.abortRequests = mediaSegmentRequest(this.hls_.xhr,
+    segmentInfo.abortRequests = mediaSegmentRequest(this.segmentXhr_.bind(this),
       this.xhrOptions_,
       this.decrypter_,
       this.createSimplifiedSegmentObj_(segmentInfo),
@@ -958,6 +1317,64 @@ export default class SegmentLoader extends videojs.EventTarget {
       this.segmentRequestFinished_.bind(this));
   }
 
+  /**
+   * Makes a request for a segment, key or init segment, describing the segment for
+   * the request log and CMCD. With content steering the request is sent to the
+   * current pathway, while the segment keeps its URI.
+   *
+   * @param {Object} options
+   *        The xhr options
+   * @param {Function} callback
+   *        Called when the request completes
+   * @return {Object}
+   *         The request
+   * @private
+   */
+  segmentXhr_(options, callback) {
+    if (this.pendingSegment_) {
+      const { playlist, segment } = this.pendingSegment_;
+
+      options = videojs.mergeOptions(options, {
+        rendition: playlist.id,
+        cmcd: {
+          ot: this.cmcdObjectType_(),
+          br: playlist.attributes && playlist.attributes.BANDWIDTH ?
+            Math.round(playlist.attributes.BANDWIDTH / 1000) : null,
+          d: Math.round(segment.duration * 1000)
+        }
+      });
+    }
+
+    if (this.contentSteering_) {
+      options = videojs.mergeOptions(options, {
+        uri: this.contentSteering_.resolveUri(options.uri)
+      });
+    }
+
+    return this.hls_.xhr(options, callback);
+  }
+
+  /**
+   * The CMCD object type of the segments of this loader
+   *
+   * @return {string}
+   *         `a` for audio, `v` for video, `av` for muxed audio and video and `c` for
+   *         captions
+   * @private
+   */
+  cmcdObjectType_() {
+    if (this.loaderType_ === 'audio') {
+      return 'a';
+    }
+    if (this.loaderType_ === 'vtt') {
+      return 'c';
+    }
+    if (this.startingMedia_ && !this.startingMedia_.containsAudio) {
+      return 'v';
+    }
+    return 'av';
+  }
+
   /**
    * trim the back buffer so that we don't have too much data
    * in the source buffer
@@ -1051,6 +1468,7 @@ export default class SegmentLoader extends videojs.EventTarget {
 
     // an error occurred from the active pendingSegment_ so reset everything
     if (error) {
+      this.removeAppendedFragments_(this.pendingSegment_);
       this.pendingSegment_ = null;
       this.state = 'READY';
 
@@ -1085,8 +1503,18 @@ export default class SegmentLoader extends videojs.EventTarget {
 
     // the response was a success so set any bandwidth stats the request
     // generated for ABR purposes
+    this.bandwidthEstimator.sample(simpleSegment.stats);
     this.bandwidth = simpleSegment.stats.bandwidth;
+    // responses that arrived too quickly to be timed are not sampled, so the request's
+    // own measurement is used until there is an estimate
+    if (this.useBandwidthEstimator_ && this.bandwidthEstimator.bandwidth() !== null) {
+      this.bandwidth = this.bandwidthEstimator.bandwidth();
+    }
     this.roundTrip = simpleSegment.stats.roundTripTime;
+    this.bandwidthHistory.push(simpleSegment.stats.bandwidth);
+    if (this.bandwidthHistory.length > Config.BANDWIDTH_HISTORY_LENGTH) {
+      this.bandwidthHistory.shift();
+    }
 
     // if this request included an initialization segment, save that data
     // to the initSegment cache
@@ -1115,6 +1543,35 @@ export default class SegmentLoader extends videojs.EventTarget {
     this.handleSegment_();
   }
 
+  /**
+   * Triggers an `emsg` event with the DASH events carried by the emsg boxes of an fMP4
+   * segment, timed in player time
+   *
+   * @param {Object} segmentInfo
+   *        The segment being appended
+   * @param {number|null} timelineMapping
+   *        The offset from media time to player time of the segment's timeline
+   * @param {Uint8Array=} bytes
+   *        The part of the segment to look in, the whole segment by default
+   * @private
+   */
+  handleEmsg_(segmentInfo, timelineMapping, bytes = segmentInfo.bytes) {
+    const boxes = parseEmsgBoxes(bytes);
+
+    if (!boxes.length) {
+      return;
+    }
+
+    const events = emsgEvents(boxes, segmentInfo.segment.start, timelineMapping);
+
+    if (events.length) {
+      this.trigger({
+        type: 'emsg',
+        events
+      });
+    }
+  }
+
   /**
    * append a decrypted segement to the SourceBuffer through a SourceUpdater
    *
@@ -1127,6 +1584,57 @@ export default class SegmentLoader extends videojs.EventTarget {
     }
 
     const segmentInfo = this.pendingSegment_;
+    const segment = segmentInfo.segment;
+    const progressive = segmentInfo.progressive;
+    let bytes = segmentInfo.bytes;
+
+    if (progressive && progressive.failed) {
+      // the error was reported when the first fragment was appended
+      return;
+    }
+
+    if (progressive && progressive.appended) {
+      // the start of the segment was appended while it downloaded
+      bytes = bytes.subarray(progressive.appended);
+      this.handleEmsg_(segmentInfo,
+                       this.syncController_.mappingForTimeline(segmentInfo.timeline),
+                       bytes);
+    } else if (!this.prepareAppend_(segmentInfo)) {
+      return;
+    }
+
+    this.state = 'APPENDING';
+
+    segmentInfo.byteLength = segmentInfo.bytes.byteLength;
+    if (typeof segment.start === 'number' && typeof segment.end === 'number') {
+      this.mediaSecondsLoaded += segment.end - segment.start;
+    } else {
+      this.mediaSecondsLoaded += segment.duration;
+    }
+
+    this.logger_(segmentInfoString(segmentInfo));
+
+    this.sourceUpdater_.appendBuffer(bytes, (error) => {
+      if (error) {
+        this.handleAppendError_(segmentInfo, error);
+        return;
+      }
+
+      this.handleUpdateEnd_();
+    });
+  }
+
+  /**
+   * Probes the timing of a segment and prepares the source buffer for it: sets the
+   * timestamp offset and codecs and appends the init segment if it changed.
+   *
+   * @param {Object} segmentInfo
+   *        The segment to append, with at least its first fragment in `bytes`
+   * @return {boolean}
+   *         Whether the segment should be appended
+   * @private
+   */
+  prepareAppend_(segmentInfo) {
     const segment = segmentInfo.segment;
     const timingInfo = this.syncController_.probeSegmentInfo(segmentInfo);
 
@@ -1153,14 +1661,14 @@ export default class SegmentLoader extends videojs.EventTarget {
         blacklistDuration: Infinity
       });
       this.trigger('error');
-      return;
+      return false;
     }
 
     if (segmentInfo.isSyncRequest) {
       this.trigger('syncinfoupdate');
       this.pendingSegment_ = null;
       this.state = 'READY';
-      return;
+      return false;
     }
 
     if (segmentInfo.timestampOffset !== null &&
@@ -1179,7 +1687,13 @@ export default class SegmentLoader extends videojs.EventTarget {
       });
     }
 
-    this.state = 'APPENDING';
+    if (segment.map) {
+      this.handleEmsg_(segmentInfo, timelineMapping);
+    }
+
+    if (segment.codecs) {
+      this.updateSourceBufferCodecs_(segmentInfo);
+    }
 
     // if the media initialization segment is changing, append it
     // before the content segment
@@ -1190,23 +1704,49 @@ export default class SegmentLoader extends videojs.EventTarget {
           this.activeInitSegmentId_ !== initId) {
         const initSegment = this.initSegment(segment.map);
 
-        this.sourceUpdater_.appendBuffer(initSegment.bytes, () => {
+        this.sourceUpdater_.appendBuffer(initSegment.bytes, (error) => {
+          if (error) {
+            this.handleAppendError_(segmentInfo, error);
+            return;
+          }
+
           this.activeInitSegmentId_ = initId;
         });
       }
     }
 
-    segmentInfo.byteLength = segmentInfo.bytes.byteLength;
-    if (typeof segment.start === 'number' && typeof segment.end === 'number') {
-      this.mediaSecondsLoaded += segment.end - segment.start;
-    } else {
-      this.mediaSecondsLoaded += segment.duration;
+    return true;
+  }
+
+  /**
+   * Changes the type of the source buffer when the codecs of a segment differ from
+   * those of the content appended before it, as can happen between the Periods of a
+   * DASH presentation.
+   *
+   * @param {Object} segmentInfo the segment being appended
+   * @private
+   */
+  updateSourceBufferCodecs_(segmentInfo) {
+    const codecs = parseCodecList(segmentInfo.segment.codecs);
+    const key = codecsKey(codecs);
+
+    if (key === this.sourceBufferCodecs_) {
+      return;
     }
 
-    this.logger_(segmentInfoString(segmentInfo));
+    const initialCodecs = this.sourceBufferCodecs_;
+
+    this.sourceBufferCodecs_ = key;
+    // without codecs in its MIME type, the source buffer takes those of the first
+    // segment appended to it
+    if (initialCodecs === null) {
+      return;
+    }
 
-    this.sourceUpdater_.appendBuffer(segmentInfo.bytes,
-                                     this.handleUpdateEnd_.bind(this));
+    const [type, container] = this.mimeType_.split(';')[0].split('/');
+
+    this.sourceUpdater_.changeType(makeMimeTypeString(type, container, codecs),
+      (error) => this.handleAppendError_(segmentInfo, error));
   }
 
   /**
@@ -1236,6 +1776,7 @@ export default class SegmentLoader extends videojs.EventTarget {
     this.state = 'READY';
 
     this.mediaIndex = segmentInfo.mediaIndex;
+    this.partIndex = segmentInfo.partIndex;
     this.fetchAtBuffer_ = true;
     this.currentTimeline_ = segmentInfo.timeline;
 
@@ -1261,13 +1802,21 @@ export default class SegmentLoader extends videojs.EventTarget {
       this.trigger('bandwidthupdate');
     }
     this.trigger('progress');
+    this.trigger('appended');
+
+    let isSegmentComplete = true;
+
+    if (segmentInfo.partIndex !== null) {
+      isSegmentComplete = this.updatePartTiming_(segmentInfo);
+    }
 
     // any time an update finishes and the last segment is in the
     // buffer, end the stream. this ensures the "ended" event will
     // fire if playback reaches that point.
-    const isEndOfStream = detectEndOfStream(segmentInfo.playlist,
-                                            this.mediaSource_,
-                                            segmentInfo.mediaIndex + 1);
+    const isEndOfStream = isSegmentComplete &&
+      detectEndOfStream(segmentInfo.playlist,
+                        this.mediaSource_,
+                        segmentInfo.mediaIndex + 1);
 
     if (isEndOfStream) {
       this.endOfStream();
@@ -1278,6 +1827,31 @@ export default class SegmentLoader extends videojs.EventTarget {
     }
   }
 
+  /**
+   * Copies the timing of an appended part to the segment it belongs to so that the
+   * segment covers every part buffered so far.
+   *
+   * @private
+   * @param {Object} segmentInfo the object returned by generatePartInfo_
+   * @return {Boolean} true if the part was the last part of a complete segment
+   */
+  updatePartTiming_(segmentInfo) {
+    const part = segmentInfo.segment;
+    const segment = segmentAtIndex(this.playlist_, segmentInfo.mediaIndex);
+
+    if (!segment) {
+      return false;
+    }
+
+    if (segmentInfo.partIndex === 0 || typeof segment.start !== 'number') {
+      segment.start = part.start;
+    }
+    segment.end = part.end;
+
+    return segmentInfo.mediaIndex < this.playlist_.segments.length &&
+      (!segment.parts || segmentInfo.partIndex === segment.parts.length - 1);
+  }
+
   /**
    * Records the current throughput of the decrypt, transmux, and append
    * portion of the semgment pipeline. `throughput.rate` is a the cumulative
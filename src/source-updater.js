@@ -104,13 +104,25 @@ export default class SourceUpdater {
    * Queue an update to append an ArrayBuffer.
    *
    * @param {ArrayBuffer} bytes
-   * @param {Function} done the function to call when done
+   * @param {Function} done the function to call when done, with the error if the
+   * source buffer did not accept the bytes, e.g. a QuotaExceededError when it is full
    * @see http://www.w3.org/TR/media-source/#widl-SourceBuffer-appendBuffer-void-ArrayBuffer-data
    */
   appendBuffer(bytes, done) {
     this.processedAppend_ = true;
     this.queueCallback_(() => {
-      this.sourceBuffer_.appendBuffer(bytes);
+      try {
+        this.sourceBuffer_.appendBuffer(bytes);
+      } catch (error) {
+        this.logger_(`append failed: ${error.name}`);
+
+        // no updateend follows an append that threw
+        this.pendingCallback_ = null;
+        if (done) {
+          done(error);
+        }
+        this.runCallback_();
+      }
     }, done);
   }
 
@@ -166,6 +178,42 @@ export default class SourceUpdater {
     return this.timestampOffset_;
   }
 
+  /**
+   * Queue a change of the MIME type of the SourceBuffer, for instance when the codecs
+   * of the content change. The type is left as is if the browser does not support
+   * changing the type of a SourceBuffer.
+   *
+   * @param {String} mimeType the new MIME type
+   * @param {Function} failed the function to call with the error if the source buffer
+   * did not accept the type, e.g. a NotSupportedError
+   * @see https://w3c.github.io/media-source/#dom-sourcebuffer-changetype
+   */
+  changeType(mimeType, failed) {
+    if (mimeType === this.mimeType_) {
+      return;
+    }
+
+    this.mimeType_ = mimeType;
+    this.queueCallback_(() => {
+      if (typeof this.sourceBuffer_.changeType !== 'function') {
+        this.logger_(`unable to change type to ${mimeType}`);
+      } else {
+        this.logger_(`changing type to ${mimeType}`);
+        try {
+          this.sourceBuffer_.changeType(mimeType);
+        } catch (error) {
+          this.logger_(`changing type failed: ${error.name}`);
+          if (failed) {
+            failed(error);
+          }
+        }
+      }
+
+      // no updateend follows a change of type
+      this.runCallback_();
+    });
+  }
+
   /**
    * Queue a callback to run
    */
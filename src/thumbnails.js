@@ -0,0 +1,326 @@
+/**
+ * @file thumbnails.js
+ *
+ * Image playlists carry the thumbnails shown while scrubbing. HLS lists them with
+ * EXT-X-IMAGE-STREAM-INF tags and DASH with image AdaptationSets. Each image may be a
+ * grid of tiles, which split the duration of their segment between them.
+ */
+import window from 'global/window';
+import { parse as parseMpd } from 'mpd-parser';
+import PlaylistLoader from './playlist-loader';
+import { getMediaInfoForTime, sumDurations } from './playlist';
+import { parseMpdXml, findPeriods, findChildren, splitPeriods } from './dash-periods';
+import resolveUrl from './resolve-url';
+import logger from './util/logger';
+
+// the schemes of the EssentialProperty that gives the tile layout of a Representation
+const DASH_TILE_SCHEMES = [
+  'http://dashif.org/thumbnail_tile',
+  'http://dashif.org/guidelines/thumbnail_tile'
+];
+
+const isImageSet = (adaptationSet) => {
+  return adaptationSet.getAttribute('contentType') === 'image' ||
+    (/^image\//).test(adaptationSet.getAttribute('mimeType') || '');
+};
+
+/**
+ * Reads the tile layout of an image Representation
+ *
+ * @param {Element} representation
+ *        The Representation element
+ * @return {Object}
+ *         The `columns` and `rows` of its tiles, one of each without a layout
+ */
+const dashTileLayout = (representation) => {
+  const property = findChildren(representation, 'EssentialProperty')
+    .concat(findChildren(representation.parentNode, 'EssentialProperty'))
+    .filter((candidate) => {
+      return DASH_TILE_SCHEMES.indexOf(candidate.getAttribute('schemeIdUri')) !== -1;
+    })[0];
+  const match = property && (/^(\d+)x(\d+)$/).exec(property.getAttribute('value'));
+
+  return {
+    columns: match ? parseInt(match[1], 10) : 1,
+    rows: match ? parseInt(match[2], 10) : 1
+  };
+};
+
+/**
+ * Parses the image Representations of a single period MPD. mpd-parser only lists
+ * video, audio and text, so they are parsed as video Representations of an MPD
+ * without the other AdaptationSets.
+ *
+ * @param {string} manifestString
+ *        XML string of the MPD manifest
+ * @param {string} manifestUri
+ *        The URI of the MPD
+ * @return {Object[]}
+ *         The image playlists
+ */
+const parsePeriodImagePlaylists = (manifestString, manifestUri) => {
+  const mpd = parseMpdXml(manifestString);
+  const period = mpd && findPeriods(mpd)[0];
+
+  if (!period || !window.XMLSerializer) {
+    return [];
+  }
+
+  const layouts = {};
+  let hasImages = false;
+
+  findChildren(period, 'AdaptationSet').forEach((adaptationSet) => {
+    if (!isImageSet(adaptationSet)) {
+      period.removeChild(adaptationSet);
+      return;
+    }
+
+    hasImages = true;
+    adaptationSet.setAttribute('contentType', 'video');
+    adaptationSet.setAttribute('mimeType', 'video/mp4');
+    findChildren(adaptationSet, 'Representation').forEach((representation) => {
+      layouts[representation.getAttribute('id')] = dashTileLayout(representation);
+      representation.removeAttribute('mimeType');
+    });
+  });
+
+  if (!hasImages) {
+    return [];
+  }
+
+  const master =
+    parseMpd(new window.XMLSerializer().serializeToString(mpd), { manifestUri });
+
+  return (master.playlists || []).map((playlist) => {
+    const layout = layouts[playlist.attributes.NAME];
+    const resolution = playlist.attributes.RESOLUTION;
+
+    playlist.segments.forEach((segment) => {
+      segment.tiles = {
+        columns: layout.columns,
+        rows: layout.rows
+      };
+      if (resolution.width && resolution.height) {
+        segment.tiles.width = resolution.width / layout.columns;
+        segment.tiles.height = resolution.height / layout.rows;
+      }
+    });
+
+    return {
+      uri: playlist.attributes.NAME,
+      attributes: {
+        NAME: playlist.attributes.NAME,
+        BANDWIDTH: playlist.attributes.BANDWIDTH,
+        RESOLUTION: resolution
+      },
+      endList: playlist.endList,
+      targetDuration: playlist.targetDuration,
+      segments: playlist.segments
+    };
+  });
+};
+
+/**
+ * Finds the image playlists of an MPD. The segments of the Representations of every
+ * Period are joined by Representation id.
+ *
+ * @param {string} manifestString
+ *        XML string of the MPD manifest
+ * @param {string} manifestUri
+ *        The URI of the MPD
+ * @return {Object[]}
+ *         The image playlists, with their `attributes` and `segments`. Each segment
+ *         has the `tiles` of its image.
+ */
+export const dashImagePlaylists = (manifestString, manifestUri) => {
+  const periods = splitPeriods(manifestString);
+  const manifests = periods.length ?
+    periods.map((period) => period.manifest) : [manifestString];
+  const playlists = [];
+
+  manifests.forEach((manifest) => {
+    parsePeriodImagePlaylists(manifest, manifestUri).forEach((periodPlaylist) => {
+      const playlist = playlists.filter((candidate) => {
+        return candidate.uri === periodPlaylist.uri;
+      })[0];
+
+      if (!playlist) {
+        playlists.push(periodPlaylist);
+        return;
+      }
+
+      playlist.segments = playlist.segments.concat(periodPlaylist.segments);
+      playlist.endList = periodPlaylist.endList;
+    });
+  });
+
+  return playlists;
+};
+
+/**
+ * Finds the thumbnail of an image playlist at a time
+ *
+ * @param {Object} playlist
+ *        The image playlist
+ * @param {number} time
+ *        The time of the thumbnail, in seconds from the start of the playlist
+ * @param {Object=} resolution
+ *        The resolution of the images of the playlist, for images without tiles
+ * @return {Object|null}
+ *         The `uri` of the image, the `x`, `y`, `width` and `height` of the tile in
+ *         it, and the `startTime` and `duration` of the tile, or null if the playlist
+ *         has no image at that time
+ */
+export const thumbnailAt = (playlist, time, resolution) => {
+  const segments = playlist.segments;
+  const end = sumDurations(playlist, 0, segments.length);
+
+  if (!segments.length || time < 0 || time >= end) {
+    return null;
+  }
+
+  const mediaIndex = getMediaInfoForTime(playlist, time, 0, 0).mediaIndex;
+  const segment = segments[mediaIndex];
+  const segmentStart = sumDurations(playlist, 0, mediaIndex);
+  const tiles = segment.tiles || { columns: 1, rows: 1 };
+  const count = tiles.columns * tiles.rows;
+  const tileDuration = tiles.duration || segment.duration / count;
+  const index = Math.max(0, Math.min(
+    Math.floor((time - segmentStart) / tileDuration),
+    count - 1
+  ));
+  const width = tiles.width || (resolution && resolution.width) || null;
+  const height = tiles.height || (resolution && resolution.height) || null;
+
+  return {
+    uri: segment.resolvedUri,
+    x: width === null ? 0 : (index % tiles.columns) * width,
+    y: height === null ? 0 : Math.floor(index / tiles.columns) * height,
+    width,
+    height,
+    startTime: segmentStart + index * tileDuration,
+    duration: tileDuration
+  };
+};
+
+/**
+ * Keeps the first image playlist of a source up to date, loading it first for HLS,
+ * and finds its thumbnails
+ *
+ * @class ThumbnailController
+ */
+export default class ThumbnailController {
+  /**
+   * @constructor
+   * @param {Object} options
+   * @param {Object} options.hls
+   *        The HlsHandler, used for its xhr
+   * @param {boolean} options.withCredentials
+   *        The withCredentials xhr option
+   * @param {Function} options.seekable
+   *        Returns the seekable range of the source, which live image playlists cover
+   */
+  constructor(options) {
+    this.hls_ = options.hls;
+    this.withCredentials_ = options.withCredentials;
+    this.seekable_ = options.seekable;
+
+    // the entry of the image playlist in the master playlist
+    this.imagePlaylist_ = null;
+    // the image playlist with its segments
+    this.playlist_ = null;
+    this.loader_ = null;
+    this.logger_ = logger('ThumbnailController');
+  }
+
+  /**
+   * Follows the image playlists of a loaded or refreshed master playlist
+   *
+   * @param {Object} master
+   *        The master playlist
+   */
+  setMaster(master) {
+    const imagePlaylist = master && master.imagePlaylists && master.imagePlaylists[0];
+
+    if (!imagePlaylist) {
+      return;
+    }
+
+    // the segments of DASH image playlists are in the MPD
+    if (imagePlaylist.segments) {
+      this.imagePlaylist_ = imagePlaylist;
+      this.playlist_ = imagePlaylist;
+      return;
+    }
+
+    if (this.imagePlaylist_ && this.imagePlaylist_.uri === imagePlaylist.uri) {
+      return;
+    }
+
+    this.imagePlaylist_ = imagePlaylist;
+    this.load_(resolveUrl(master.uri, imagePlaylist.uri));
+  }
+
+  /**
+   * Loads an HLS image playlist, which is refreshed while it is live
+   *
+   * @param {string} uri
+   *        The URI of the image playlist
+   * @private
+   */
+  load_(uri) {
+    if (this.loader_) {
+      this.loader_.dispose();
+    }
+
+    this.playlist_ = null;
+    this.loader_ = new PlaylistLoader(uri, this.hls_, this.withCredentials_);
+    this.loader_.on('loadedplaylist', () => {
+      this.playlist_ = this.loader_.media();
+    });
+    this.loader_.on('error', () => {
+      this.logger_(`could not load the image playlist ${uri}`, this.loader_.error);
+    });
+    this.loader_.load();
+  }
+
+  /**
+   * Finds the thumbnail at a time. The window of a live image playlist slides with the
+   * seekable range, so its times are relative to the start of the seekable range.
+   *
+   * @param {number} time
+   *        The time of the thumbnail, in seconds on the timeline of the player
+   * @return {Object|null}
+   *         See thumbnailAt, with the `startTime` on the timeline of the player, or null
+   *         until the image playlist is loaded
+   */
+  thumbnailAt(time) {
+    const playlist = this.playlist_;
+
+    if (!playlist) {
+      return null;
+    }
+
+    const seekable = this.seekable_ ? this.seekable_() : null;
+    const start = !playlist.endList && seekable && seekable.length ?
+      seekable.start(0) : 0;
+    const thumbnail =
+      thumbnailAt(playlist, time - start, this.imagePlaylist_.attributes.RESOLUTION);
+
+    if (thumbnail) {
+      thumbnail.startTime += start;
+    }
+
+    return thumbnail;
+  }
+
+  /**
+   * Stops loading the image playlist
+   */
+  dispose() {
+    if (this.loader_) {
+      this.loader_.dispose();
+      this.loader_ = null;
+    }
+  }
+}
@@ -0,0 +1,420 @@
+/**
+ * @file trick-play.js
+ *
+ * Fast-forwards and rewinds with the I-frame playlists of an HLS master playlist. While
+ * trick play is on, playback is paused, the main segment loader loads the I-frame
+ * playlist instead of the selected rendition and the position moves by the trick play
+ * rate, showing the I-frame at each step. The I-frames are appended to a media source
+ * with a video source buffer only, as the buffered range of a media source is where all
+ * of its source buffers have data. The media source, rendition and playback state are
+ * restored when it is turned off.
+ */
+import window from 'global/window';
+import videojs from 'video.js';
+import Config from './config';
+import PlaylistLoader from './playlist-loader';
+import { getMediaInfoForTime, sumDurations } from './playlist';
+import { parseCodecs, getContainerType, makeMimeTypeString } from './util/codecs';
+import { findRange } from './ranges';
+import logger from './util/logger';
+
+/**
+ * Whether a playback rate is shown with I-frames only
+ *
+ * @param {number} rate
+ *        The playback rate
+ * @return {boolean}
+ *         true for negative rates and rates of at least Config.TRICK_PLAY_MIN_RATE
+ */
+export const isTrickPlayRate = (rate) => {
+  return typeof rate === 'number' && (rate < 0 || rate >= Config.TRICK_PLAY_MIN_RATE);
+};
+
+/**
+ * Chooses the I-frame playlist to show
+ *
+ * @param {Object[]} iFramePlaylists
+ *        The I-frame playlists of the master playlist
+ * @param {number} bandwidth
+ *        The current bandwidth estimate
+ * @return {Object}
+ *         The playlist with the highest bandwidth that fits the estimate, or the one
+ *         with the lowest bandwidth if none fits
+ */
+export const selectIFramePlaylist = (iFramePlaylists, bandwidth) => {
+  const sorted = iFramePlaylists.slice().sort((a, b) => {
+    return a.attributes.BANDWIDTH - b.attributes.BANDWIDTH;
+  });
+  const fitting = sorted.filter((playlist) => playlist.attributes.BANDWIDTH <= bandwidth);
+
+  return fitting.length ? fitting[fitting.length - 1] : sorted[0];
+};
+
+/**
+ * Builds the type of the source buffer that shows the I-frames of an I-frame playlist
+ *
+ * @param {Object} iFramePlaylist
+ *        The I-frame playlist of the master playlist, with its CODECS attribute
+ * @param {Object} media
+ *        The loaded I-frame playlist
+ * @return {string}
+ *         The MIME type with the video codec of the I-frame playlist
+ */
+export const iFrameMimeType = (iFramePlaylist, media) => {
+  const codecs = parseCodecs(iFramePlaylist.attributes.CODECS);
+  const videoCodec = codecs.videoCodec ?
+    `${codecs.videoCodec}${codecs.videoObjectTypeIndicator}` : 'avc1.4d400d';
+
+  return makeMimeTypeString('video', getContainerType(media), [videoCodec]);
+};
+
+/**
+ * @class TrickPlayController
+ * @extends videojs.EventTarget
+ */
+export default class TrickPlayController extends videojs.EventTarget {
+  /**
+   * @constructor
+   * @param {Object} options
+   * @param {Tech} options.tech
+   *        The tech to pause and seek
+   * @param {Object} options.hls
+   *        The HlsHandler, used for its xhr
+   * @param {boolean} options.withCredentials
+   *        The withCredentials xhr option
+   * @param {MasterPlaylistController} options.masterPlaylistController
+   *        The master playlist controller whose main segment loader shows the I-frames
+   * @param {Function} options.attachMediaSource
+   *        Attaches a media source to the tech
+   */
+  constructor(options) {
+    super();
+
+    this.tech_ = options.tech;
+    this.hls_ = options.hls;
+    this.withCredentials_ = options.withCredentials;
+    this.masterPlaylistController_ = options.masterPlaylistController;
+    this.attachMediaSource_ = options.attachMediaSource;
+
+    this.rate_ = null;
+    // the position of trick play, which the shown I-frame is at or before
+    this.time_ = null;
+    this.wasPaused_ = true;
+    this.hadStarted_ = false;
+    this.playlist_ = null;
+    // whether the I-frames are shown with a media source of their own
+    this.attached_ = false;
+    // whether a media source is being attached, which resets the playback rate
+    this.attaching_ = false;
+    // the playback rate to restore once the media source is attached
+    this.playbackRate_ = 1;
+    this.loader_ = null;
+    this.lastStep_ = null;
+    this.frameTime_ = null;
+    // whether the tech is still seeking to the last I-frame
+    this.seekingFrame_ = false;
+    this.stepTimeout_ = null;
+    this.logger_ = logger('TrickPlayController');
+
+    this.ratechangeHandler_ = () => {
+      const rate = this.tech_.playbackRate();
+
+      if (this.attaching_) {
+        return;
+      }
+
+      // a new playback rate ends trick play started with hls.trickPlay() too
+      if (isTrickPlayRate(rate) || this.active()) {
+        this.setRate(rate);
+      }
+    };
+    this.loadstartHandler_ = () => {
+      const player = videojs.players[this.tech_.options_.playerId];
+
+      this.attaching_ = false;
+      // loading a source resets the playback rate of the media element
+      if (this.tech_.playbackRate() !== this.playbackRate_) {
+        this.tech_.setPlaybackRate(this.playbackRate_);
+      }
+
+      // the player shows its poster again when a source starts loading while paused
+      if (player) {
+        player.hasStarted(this.active() || this.hadStarted_);
+      }
+    };
+    this.seekedHandler_ = () => {
+      this.seekingFrame_ = false;
+    };
+    // a seek before the metadata loaded only set the position the media element starts
+    // at, which it seeks to now unless that is the start
+    this.loadedmetadataHandler_ = () => {
+      if (!this.tech_.seeking()) {
+        this.seekingFrame_ = false;
+      }
+    };
+    // once the I-frame at the position is appended, the ones after it are not needed
+    this.appendedHandler_ = () => {
+      const mainSegmentLoader = this.masterPlaylistController_.mainSegmentLoader_;
+
+      if (this.active() &&
+          findRange(mainSegmentLoader.buffered_(), this.frameTime_).length) {
+        mainSegmentLoader.pause();
+      }
+    };
+
+    this.tech_.on('ratechange', this.ratechangeHandler_);
+    this.tech_.on('seeked', this.seekedHandler_);
+    this.tech_.on('loadedmetadata', this.loadedmetadataHandler_);
+    this.masterPlaylistController_.mainSegmentLoader_
+      .on('appended', this.appendedHandler_);
+  }
+
+  /**
+   * @return {boolean}
+   *         Whether trick play is on
+   */
+  active() {
+    return this.rate_ !== null;
+  }
+
+  /**
+   * @return {number|null}
+   *         The trick play rate, or null if trick play is off
+   */
+  rate() {
+    return this.rate_;
+  }
+
+  /**
+   * Turns trick play on for negative rates and rates of at least
+   * Config.TRICK_PLAY_MIN_RATE, changes its rate if it is on, and turns it off for other
+   * rates. A playback rate of the tech of at least Config.TRICK_PLAY_MIN_RATE turns it on
+   * as well, but media elements do not accept negative playback rates.
+   *
+   * @param {number} rate
+   *        The playback rate, e.g. -8 to rewind at eight times the normal speed
+   * @return {boolean}
+   *         Whether trick play is on. It cannot be turned on without I-frame playlists.
+   */
+  setRate(rate) {
+    if (!isTrickPlayRate(rate)) {
+      this.stop_();
+      return false;
+    }
+
+    if (this.active()) {
+      if (rate !== this.rate_) {
+        this.rate_ = rate;
+        this.tech_.trigger({ type: 'trickplaychange', rate });
+      }
+      return true;
+    }
+
+    const mpc = this.masterPlaylistController_;
+    const master = mpc.master();
+    const iFramePlaylists = master && master.iFramePlaylists;
+
+    if (!iFramePlaylists ||
+        !iFramePlaylists.length ||
+        !mpc.masterPlaylistLoader_.media()) {
+      this.logger_(`no I-frame playlists for trick play at ${rate}`);
+      return false;
+    }
+
+    const player = videojs.players[this.tech_.options_.playerId];
+
+    this.rate_ = rate;
+    this.time_ = this.tech_.currentTime();
+    this.wasPaused_ = this.tech_.paused();
+    this.hadStarted_ = !!player && player.hasStarted();
+    this.lastStep_ = null;
+    this.frameTime_ = null;
+    this.seekingFrame_ = false;
+
+    this.tech_.trigger({type: 'usage', name: 'hls-trick-play'});
+    if (!this.wasPaused_) {
+      this.tech_.pause();
+    }
+    mpc.audioSegmentLoader_.pause();
+    mpc.subtitleSegmentLoader_.pause();
+
+    this.load_(selectIFramePlaylist(iFramePlaylists, mpc.mainSegmentLoader_.bandwidth));
+    this.tech_.trigger({ type: 'trickplaychange', rate });
+    return true;
+  }
+
+  /**
+   * Loads an I-frame playlist and shows its I-frames once it is loaded. Live playlists
+   * are refreshed.
+   *
+   * @param {Object} iFramePlaylist
+   *        The I-frame playlist of the master playlist
+   * @private
+   */
+  load_(iFramePlaylist) {
+    const mainSegmentLoader = this.masterPlaylistController_.mainSegmentLoader_;
+
+    this.playlist_ = null;
+    this.loader_ =
+      new PlaylistLoader(iFramePlaylist.resolvedUri, this.hls_, this.withCredentials_);
+    this.loader_.on('loadedplaylist', () => {
+      const firstLoad = !this.playlist_;
+
+      this.playlist_ = this.loader_.media();
+      mainSegmentLoader.playlist(
+        this.playlist_,
+        this.masterPlaylistController_.requestOptions_
+      );
+      if (firstLoad) {
+        this.attach_(this.masterPlaylistController_.resetMediaSource(
+          iFrameMimeType(iFramePlaylist, this.playlist_)));
+        this.attached_ = true;
+        mainSegmentLoader.load();
+        this.step_();
+      }
+    });
+    this.loader_.on('error', () => {
+      videojs.log.warn(`Problem loading the I-frame playlist ${iFramePlaylist.uri}`);
+      this.stop_();
+    });
+    this.loader_.load();
+  }
+
+  /**
+   * Attaches a media source to the tech
+   *
+   * @param {MediaSource} mediaSource
+   *        The media source
+   * @private
+   */
+  attach_(mediaSource) {
+    this.playbackRate_ = this.tech_.playbackRate();
+    this.attaching_ = true;
+    this.tech_.one('loadstart', this.loadstartHandler_);
+    this.attachMediaSource_(mediaSource);
+  }
+
+  /**
+   * Moves the position by the trick play rate and shows the I-frame there, unless the
+   * previous one is still being loaded. Trick play ends at the edges of the seekable
+   * range.
+   *
+   * @private
+   */
+  step_() {
+    const now = Date.now();
+    const seekable = this.masterPlaylistController_.seekable();
+
+    if (this.lastStep_ !== null) {
+      this.time_ += this.rate_ * (now - this.lastStep_) / 1000;
+    }
+    this.lastStep_ = now;
+
+    if (seekable.length) {
+      const start = seekable.start(0);
+      const end = seekable.end(seekable.length - 1);
+
+      if ((this.rate_ < 0 && this.time_ <= start) ||
+          (this.rate_ > 0 && this.time_ >= end)) {
+        this.time_ = Math.min(Math.max(this.time_, start), end);
+        this.stop_();
+        return;
+      }
+    }
+
+    if (!this.seekingFrame_) {
+      this.showFrame_();
+    }
+
+    this.stepTimeout_ = window.setTimeout(() => this.step_(), Config.TRICK_PLAY_INTERVAL);
+  }
+
+  /**
+   * Seeks to the start of the I-frame at the position, which loads and shows it. Until
+   * the media source has loaded its metadata, the seek sets the position the media
+   * element starts at.
+   *
+   * @private
+   */
+  showFrame_() {
+    const playlist = this.playlist_;
+    const seekable = this.masterPlaylistController_.seekable();
+    // live I-frame playlists cover the seekable range
+    const start = !playlist.endList && seekable.length ? seekable.start(0) : 0;
+    const mediaIndex = getMediaInfoForTime(playlist, this.time_ - start, 0, 0).mediaIndex;
+    const frameTime = start + sumDurations(playlist, 0, mediaIndex);
+
+    if (frameTime === this.frameTime_) {
+      return;
+    }
+
+    this.frameTime_ = frameTime;
+    this.seekingFrame_ = true;
+    this.tech_.setCurrentTime(frameTime);
+  }
+
+  /**
+   * Turns trick play off, returning to the selected rendition at the position trick
+   * play reached, and resumes playback if it was playing before
+   *
+   * @private
+   */
+  stop_() {
+    if (!this.active()) {
+      return;
+    }
+
+    const mpc = this.masterPlaylistController_;
+
+    window.clearTimeout(this.stepTimeout_);
+    this.stepTimeout_ = null;
+    if (this.loader_) {
+      this.loader_.dispose();
+      this.loader_ = null;
+    }
+    this.rate_ = null;
+    this.playlist_ = null;
+
+    mpc.mainSegmentLoader_.playlist(
+      mpc.masterPlaylistLoader_.media(),
+      mpc.requestOptions_
+    );
+    if (this.attached_) {
+      this.attached_ = false;
+      this.attach_(mpc.resetMediaSource());
+    } else {
+      mpc.mainSegmentLoader_.resetEverything();
+      if (mpc.mediaTypes_.AUDIO.activePlaylistLoader) {
+        mpc.audioSegmentLoader_.resetEverything();
+      }
+    }
+    if (mpc.mediaTypes_.SUBTITLES.activePlaylistLoader) {
+      mpc.subtitleSegmentLoader_.resetEverything();
+    }
+    mpc.load();
+
+    this.tech_.setCurrentTime(this.time_);
+    if (!this.wasPaused_) {
+      this.tech_.play();
+    }
+    this.tech_.trigger({ type: 'trickplaychange', rate: null });
+  }
+
+  /**
+   * Stops trick play, without restoring playback, and stops listening to the tech
+   */
+  dispose() {
+    window.clearTimeout(this.stepTimeout_);
+    if (this.loader_) {
+      this.loader_.dispose();
+      this.loader_ = null;
+    }
+    this.rate_ = null;
+    this.tech_.off('ratechange', this.ratechangeHandler_);
+    this.tech_.off('loadstart', this.loadstartHandler_);
+    this.tech_.off('seeked', this.seekedHandler_);
+    this.tech_.off('loadedmetadata', this.loadedmetadataHandler_);
+    this.masterPlaylistController_.mainSegmentLoader_
+      .off('appended', this.appendedHandler_);
+  }
+}
@@ -14,26 +14,116 @@ const defaultCodecs = {
   audioProfile: '2'
 };
 
+// the codec families of the sample entries that start video and audio codec strings
+const videoCodecFamilies = {
+  avc1: 'avc',
+  avc3: 'avc',
+  hvc1: 'hevc',
+  hev1: 'hevc',
+  av01: 'av1',
+  vp09: 'vp9',
+  vp9: 'vp9',
+  vp08: 'vp8',
+  vp8: 'vp8'
+};
+const audioCodecFamilies = {
+  'mp4a': 'aac',
+  'opus': 'opus',
+  'ac-3': 'ac-3',
+  'ec-3': 'ec-3',
+  'ac-4': 'ac-4',
+  'flac': 'flac'
+};
+// the codec families of mp4a codec strings with an object type other than AAC
+const mp4aObjectTypeFamilies = {
+  'a5': 'ac-3',
+  'a6': 'ec-3',
+  'ad': 'opus',
+  '69': 'mp3',
+  '6b': 'mp3'
+};
+
+/**
+ * Finds the codec family of a single codec string
+ *
+ * @param {Object} families
+ *        Codec families by sample entry
+ * @param {String} codec
+ *        The codec string, e.g. `hvc1.1.6.L93.B0`
+ * @return {String|null}
+ *         The codec family, or null if the codec is not in it
+ */
+const codecFamily = function(families, codec) {
+  const sampleEntry = codec.trim().split('.')[0].toLowerCase();
+
+  return families.hasOwnProperty(sampleEntry) ? families[sampleEntry] : null;
+};
+
+/**
+ * @param {String} codec
+ *        A single codec string
+ * @return {String|null}
+ *         The video codec family, e.g. `hevc` for `hvc1.1.6.L93.B0`, or null if it is
+ *         not a known video codec
+ */
+export const videoCodecFamily = function(codec) {
+  return codecFamily(videoCodecFamilies, codec);
+};
+
 /**
- * Parses a codec string to retrieve the number of codecs specified,
- * the video codec and object type indicator, and the audio profile.
+ * @param {String} codec
+ *        A single codec string
+ * @return {String|null}
+ *         The audio codec family, e.g. `aac` for `mp4a.40.2`, or null if it is not a
+ *         known audio codec
  */
+export const audioCodecFamily = function(codec) {
+  const objectType = (/^\s*mp4a\.([0-9a-f]+)\s*$/i).exec(codec);
+
+  if (objectType && mp4aObjectTypeFamilies.hasOwnProperty(objectType[1].toLowerCase())) {
+    return mp4aObjectTypeFamilies[objectType[1].toLowerCase()];
+  }
+  return codecFamily(audioCodecFamilies, codec);
+};
 
+/**
+ * Parses a codec string to retrieve the number of codecs specified, the video codec
+ * and object type indicator, the audio codec and, for AAC, the audio profile. H.264,
+ * HEVC, AV1, VP8 and VP9 video and AAC, Opus, AC-3, E-AC-3, AC-4 and FLAC audio are
+ * recognized.
+ *
+ * @param {String} codecs
+ *        The codec string, e.g. `hvc1.1.6.L93.B0,ec-3`
+ * @return {Object}
+ *         The `codecCount`, and where present the `videoCodec` sample entry, the
+ *         `videoObjectTypeIndicator` following it and the `videoCodecFamily`, and the
+ *         full `audioCodec`, its `audioCodecFamily` and the `audioProfile` of AAC
+ */
 export const parseCodecs = function(codecs = '') {
   let result = {
     codecCount: 0
   };
-  let parsed;
 
   result.codecCount = codecs.split(',').length;
   result.codecCount = result.codecCount || 2;
 
-  // parse the video codec
-  parsed = (/(^|\s|,)+(avc[13])([^ ,]*)/i).exec(codecs);
-  if (parsed) {
-    result.videoCodec = parsed[2];
-    result.videoObjectTypeIndicator = parsed[3];
-  }
+  codecs.split(',').forEach((codec) => {
+    codec = codec.trim();
+
+    const videoFamily = videoCodecFamily(codec);
+    const audioFamily = audioCodecFamily(codec);
+
+    if (videoFamily && !result.videoCodec) {
+      const dot = codec.indexOf('.');
+
+      result.videoCodec = dot === -1 ? codec : codec.slice(0, dot);
+      result.videoObjectTypeIndicator = dot === -1 ? '' : codec.slice(dot);
+      result.videoCodecFamily = videoFamily;
+    } else if (audioFamily && !result.audioCodec) {
+      result.audioCodec = codec;
+      result.audioCodecFamily = audioFamily;
+    }
+  });
 
   // parse the last field of the audio codec
   result.audioProfile =
@@ -58,6 +148,40 @@ export const mapLegacyAvcCodecs = function(codecString) {
   });
 };
 
+/**
+ * mux.js transmuxes H.264 video and AAC audio only, so MPEG-TS segments with other
+ * codecs cannot be played
+ *
+ * @param {String} codecs
+ *        The codec string of a variant
+ * @return {boolean}
+ *         Whether MPEG-TS segments with the codecs can be transmuxed
+ */
+export const canTransmux = function(codecs) {
+  const codecInfo = parseCodecs(codecs);
+
+  return (!codecInfo.videoCodecFamily || codecInfo.videoCodecFamily === 'avc') &&
+    (!codecInfo.audioCodecFamily || codecInfo.audioCodecFamily === 'aac');
+};
+
+/**
+ * Builds the MIME type to check the browser support of a variant with. Segments are
+ * appended as fMP4, so the mp4 container is used for MPEG-TS variants as well. Whether
+ * MPEG-TS segments can be transmuxed is only known once the media playlist is loaded,
+ * see canTransmux.
+ *
+ * @param {Object} variant
+ *        A variant of the master playlist with a CODECS attribute
+ * @return {String}
+ *         The MIME type, `audio/mp4` for variants with only an audio codec
+ */
+export const variantMimeType = function(variant) {
+  const codecs = parseCodecs(variant.attributes.CODECS);
+  const type = !codecs.videoCodec && codecs.audioCodec ? 'audio' : 'video';
+
+  return `${type}/mp4; codecs="${mapLegacyAvcCodecs(variant.attributes.CODECS)}"`;
+};
+
 /**
  * Build a media mime-type string from a set of parameters
  * @param {String} type either 'audio' or 'video'
@@ -105,7 +229,23 @@ const getCodecs = function(media) {
   return defaultCodecs;
 };
 
-const audioProfileFromDefault = (master, audioGroupId) => {
+/**
+ * Builds the audio codec string for parsed codecs. AAC is described by its profile, the
+ * other codecs by their codec string as given.
+ *
+ * @param {Object} codecInfo
+ *        Codecs parsed by parseCodecs
+ * @return {String|null}
+ *         The audio codec string, or null without an audio codec
+ */
+const audioCodecString = function(codecInfo) {
+  if (codecInfo.audioProfile) {
+    return `mp4a.40.${codecInfo.audioProfile}`;
+  }
+  return codecInfo.audioCodec || null;
+};
+
+const audioCodecFromDefault = (master, audioGroupId) => {
   if (!master.mediaGroups.AUDIO || !audioGroupId) {
     return null;
   }
@@ -121,7 +261,7 @@ const audioProfileFromDefault = (master, audioGroupId) => {
 
     if (audioType.default && audioType.playlists) {
       // codec should be the same for all playlists within the audio type
-      return parseCodecs(audioType.playlists[0].attributes.CODECS).audioProfile;
+      return audioCodecString(parseCodecs(audioType.playlists[0].attributes.CODECS));
     }
   }
 
@@ -178,33 +318,31 @@ export const mimeTypesForPlaylist = function(master, media) {
 
   // HLS with multiple-audio tracks must always get an audio codec.
   // Put another way, there is no way to have a video-only multiple-audio HLS!
-  if (isMaat && !codecInfo.audioProfile) {
+  // Generate the final codec strings from the codec object generated above
+  let codecStrings = {};
+
+  if (codecInfo.videoCodec) {
+    codecStrings.video = `${codecInfo.videoCodec}${codecInfo.videoObjectTypeIndicator}`;
+  }
+
+  codecStrings.audio = audioCodecString(codecInfo);
+
+  if (isMaat && !codecStrings.audio) {
     if (!isMuxed) {
       // It is possible for codecs to be specified on the audio media group playlist but
       // not on the rendition playlist. This is mostly the case for DASH, where audio and
       // video are always separate (and separately specified).
-      codecInfo.audioProfile = audioProfileFromDefault(master, mediaAttributes.AUDIO);
+      codecStrings.audio = audioCodecFromDefault(master, mediaAttributes.AUDIO);
     }
 
-    if (!codecInfo.audioProfile) {
+    if (!codecStrings.audio) {
       videojs.log.warn(
         'Multiple audio tracks present but no audio codec string is specified. ' +
         'Attempting to use the default audio codec (mp4a.40.2)');
-      codecInfo.audioProfile = defaultCodecs.audioProfile;
+      codecStrings.audio = audioCodecString(defaultCodecs);
     }
   }
 
-  // Generate the final codec strings from the codec object generated above
-  let codecStrings = {};
-
-  if (codecInfo.videoCodec) {
-    codecStrings.video = `${codecInfo.videoCodec}${codecInfo.videoObjectTypeIndicator}`;
-  }
-
-  if (codecInfo.audioProfile) {
-    codecStrings.audio = `mp4a.40.${codecInfo.audioProfile}`;
-  }
-
   // Finally, make and return an array with proper mime-types depending on
   // the configuration
   let justAudio = makeMimeTypeString('audio', containerType, [codecStrings.audio]);
@@ -17,12 +17,25 @@ import { MasterPlaylistController } from './master-playlist-controller';
 import Config from './config';
 import renditionSelectionMixin from './rendition-mixin';
 import PlaybackWatcher from './playback-watcher';
+import LiveLatencyController from './live-latency-controller';
+import DroppedFramesMonitor from './dropped-frames-monitor';
+import RequestLog from './request-log';
+import Cmcd from './cmcd';
+import QoeMonitor from './qoe-monitor';
+import OfflineStore, { isOfflineSupported } from './offline-store';
+import offlineLoader from './offline-loader';
+import OfflineDownload from './offline-download';
+import InterstitialController from './interstitials';
+import { loadBandwidthEstimate } from './bandwidth-estimator';
 import reloadSourceOnError from './reload-source-on-error';
 import {
   lastBandwidthSelector,
   lowestBitrateCompatibleVariantSelector,
   comparePlaylistBandwidth,
-  comparePlaylistResolution
+  comparePlaylistResolution,
+  abrStrategySelector,
+  bolaStrategy,
+  bolaSelector
 } from './playlist-selectors.js';
 import { version } from '../package.json';
 
@@ -38,6 +51,9 @@ const Hls = {
   INITIAL_PLAYLIST_SELECTOR: lowestBitrateCompatibleVariantSelector,
   comparePlaylistBandwidth,
   comparePlaylistResolution,
+  abrStrategySelector,
+  bolaStrategy,
+  bolaSelector,
 
   xhr: xhrFactory()
 };
@@ -247,6 +263,57 @@ Hls.isSupported = function() {
     'your player\'s techOrder.');
 };
 
+/**
+ * Downloads VOD sources for playback without a network connection. Downloaded
+ * sources are played with the `offline` source option.
+ */
+Hls.offline = {
+  isSupported: isOfflineSupported,
+  store: new OfflineStore(),
+
+  /**
+   * Starts downloading a source
+   *
+   * @param {Object} source
+   *        The `src` and `type` of the source
+   * @param {Object=} options
+   *        The `rendition`, `audio` and `subtitles` to download and `withCredentials`
+   * @return {OfflineDownload}
+   *         The download, which triggers `progress`, `complete` and `error` events
+   */
+  download(source, options = {}) {
+    const download = new OfflineDownload(source, videojs.mergeOptions(options, {
+      sourceType: simpleTypeFromSourceType(source.type),
+      store: Hls.offline.store
+    }));
+
+    download.start();
+    return download;
+  },
+
+  /**
+   * Lists the downloaded sources
+   *
+   * @param {Function} callback
+   *        Called with an error, if any, and the records of the downloads
+   */
+  list(callback) {
+    Hls.offline.store.listDownloads(callback);
+  },
+
+  /**
+   * Deletes a downloaded source
+   *
+   * @param {string} uri
+   *        The `src` of the source
+   * @param {Function} callback
+   *        Called with an error, if any
+   */
+  remove(uri, callback) {
+    Hls.offline.store.removeDownload(uri, callback);
+  }
+};
+
 const Component = videojs.getComponent('Component');
 
 /**
@@ -314,7 +381,7 @@ class HlsHandler extends Component {
         document.msFullscreenElement;
 
       if (fullscreenElement && fullscreenElement.contains(this.tech_.el())) {
-        this.masterPlaylistController_.fastQualityChange_();
+        this.masterPlaylistController_.fastQualityChange_('fullscreen');
       }
     });
 
@@ -343,7 +410,22 @@ class HlsHandler extends Component {
       this.options_.blacklistDuration = 5 * 60;
     }
 
-    // start playlist selection at a reasonable bandwidth for
+    this.options_.retryPolicy =
+      videojs.mergeOptions(Config.RETRY_POLICY, this.options_.retryPolicy);
+
+    // start playlist selection at the bandwidth estimated for previous sources if it
+    // was stored
+    if (typeof this.options_.bandwidth !== 'number' &&
+        this.options_.useBandwidthFromLocalStorage) {
+      const estimate = loadBandwidthEstimate();
+
+      if (estimate) {
+        this.options_.bandwidth = estimate.bandwidth;
+        this.tech_.trigger({type: 'usage', name: 'hls-bandwidth-from-local-storage'});
+      }
+    }
+
+    // otherwise start playlist selection at a reasonable bandwidth for
     // broadband internet (0.5 MB/s) or mobile (0.0625 MB/s)
     if (typeof this.options_.bandwidth !== 'number') {
       this.options_.bandwidth = INITIAL_BANDWIDTH;
@@ -356,12 +438,29 @@ class HlsHandler extends Component {
       this.options_.bandwidth === INITIAL_BANDWIDTH;
 
     // grab options passed to player.src
-    ['withCredentials', 'bandwidth'].forEach((option) => {
+    [
+      'withCredentials',
+      'bandwidth',
+      'networkLoader',
+      'cmcd',
+      'offline'
+    ].forEach((option) => {
       if (typeof this.source_[option] !== 'undefined') {
         this.options_[option] = this.source_[option];
       }
     });
 
+    // downloaded sources are read from the offline store, with the requests that were
+    // made when they were downloaded
+    if (this.options_.offline) {
+      this.options_.networkLoader = offlineLoader(Hls.offline.store);
+      this.options_.cmcd = null;
+    // progressive appends need the chunks of responses, which the fetch loader
+    // provides
+    } else if (this.options_.progressive && !this.options_.networkLoader) {
+      this.options_.networkLoader = 'fetch';
+    }
+
     this.bandwidth = this.options_.bandwidth;
   }
   /**
@@ -375,17 +474,60 @@ class HlsHandler extends Component {
       return;
     }
     this.setOptions_();
+    this.xhr.retryPolicy = this.options_.retryPolicy;
+    this.xhr.networkLoader = this.options_.networkLoader;
+    this.requestLog_ = new RequestLog(this.tech_);
+    this.xhr.requestLog = this.requestLog_;
     // add master playlist controller options
     this.options_.url = this.source_.src;
     this.options_.tech = this.tech_;
     this.options_.externHls = Hls;
     this.options_.sourceType = simpleTypeFromSourceType(type);
+    this.options_.attachMediaSource = (mediaSource) => {
+      this.mediaSource = mediaSource;
+      this.tech_.src(videojs.URL.createObjectURL(mediaSource));
+    };
+
+    // created before the master playlist controller, which requests the manifest
+    if (this.options_.cmcd) {
+      this.cmcd_ = new Cmcd(videojs.mergeOptions(this.options_.cmcd, {
+        tech: this.tech_,
+        sourceType: this.options_.sourceType,
+        masterPlaylistController: () => this.masterPlaylistController_
+      }));
+      this.xhr.cmcd = this.cmcd_;
+      this.tech_.trigger({type: 'usage', name: 'hls-cmcd'});
+    }
+
+    if (this.options_.offline) {
+      this.tech_.trigger({type: 'usage', name: 'hls-offline'});
+    }
 
     this.masterPlaylistController_ = new MasterPlaylistController(this.options_);
+    this.qoeMonitor_ = new QoeMonitor({
+      tech: this.tech_,
+      masterPlaylistController: this.masterPlaylistController_
+    });
     this.playbackWatcher_ = new PlaybackWatcher(
       videojs.mergeOptions(this.options_, {
+        seekable: () => this.seekable(),
+        onStall: () => this.qoeMonitor_.stall()
+      }));
+    this.liveLatencyController_ = new LiveLatencyController(
+      videojs.mergeOptions(this.options_, {
+        liveEdge: () => this.masterPlaylistController_.liveEdge(),
         seekable: () => this.seekable()
       }));
+    if (this.options_.excludeOnDroppedFrames) {
+      this.droppedFramesMonitor_ = new DroppedFramesMonitor({
+        tech: this.tech_,
+        master: () => this.masterPlaylistController_.master(),
+        segmentMetadataTrack: this.masterPlaylistController_.segmentMetadataTrack_,
+        onExclude: () => {
+          this.masterPlaylistController_.fastQualityChange_('dropped-frames');
+        }
+      });
+    }
 
     this.masterPlaylistController_.on('error', () => {
       let player = videojs.players[this.tech_.options_.playerId];
@@ -393,11 +535,47 @@ class HlsHandler extends Component {
       player.error(this.masterPlaylistController_.error);
     });
 
+    if (this.options_.interstitials) {
+      this.interstitials_ = new InterstitialController({
+        tech: this.tech_,
+        hls: this,
+        withCredentials: this.options_.withCredentials,
+        masterPlaylistController: this.masterPlaylistController_,
+        createMasterPlaylistController: (url) => {
+          return new MasterPlaylistController(videojs.mergeOptions(this.options_, {
+            url,
+            sourceType: 'hls',
+            useCueTags: false
+          }));
+        },
+        attachMediaSource: this.options_.attachMediaSource
+      });
+
+      // the tech plays something else than the source during an interstitial
+      const monitors = [
+        this.qoeMonitor_,
+        this.liveLatencyController_,
+        this.droppedFramesMonitor_,
+        this.cmcd_
+      ].filter((monitor) => monitor);
+
+      this.on(this.tech_, 'interstitialstart', function() {
+        monitors.forEach((monitor) => monitor.pause());
+      });
+      this.on(this.tech_, 'interstitialend', function() {
+        monitors.forEach((monitor) => monitor.resume());
+      });
+    }
+
+    let playlistSelector = this.selectPlaylist || Hls.STANDARD_PLAYLIST_SELECTOR;
+
+    if (!this.selectPlaylist && typeof this.options_.abrStrategy === 'function') {
+      playlistSelector = abrStrategySelector(this.options_.abrStrategy);
+    }
+
     // `this` in selectPlaylist should be the HlsHandler for backwards
     // compatibility with < v2
-    this.masterPlaylistController_.selectPlaylist =
-      this.selectPlaylist ?
-        this.selectPlaylist.bind(this) : Hls.STANDARD_PLAYLIST_SELECTOR.bind(this);
+    this.masterPlaylistController_.selectPlaylist = playlistSelector.bind(this);
 
     this.masterPlaylistController_.selectInitialPlaylist =
       Hls.INITIAL_PLAYLIST_SELECTOR.bind(this);
@@ -471,6 +649,46 @@ class HlsHandler extends Component {
         set() {
           videojs.log.error('The "systemBandwidth" property is read-only');
         }
+      },
+      targetLatency: {
+        get() {
+          return this.liveLatencyController_.targetLatency();
+        },
+        set(targetLatency) {
+          this.liveLatencyController_.targetLatency(targetLatency);
+        }
+      },
+      liveLatency: {
+        get() {
+          return this.liveLatencyController_.latency;
+        },
+        set() {
+          videojs.log.error('The "liveLatency" property is read-only');
+        }
+      },
+      requestLog: {
+        get() {
+          return this.requestLog_.entries();
+        },
+        set() {
+          videojs.log.error('The "requestLog" property is read-only');
+        }
+      },
+      qoe: {
+        get() {
+          return this.qoeMonitor_.summary();
+        },
+        set() {
+          videojs.log.error('The "qoe" property is read-only');
+        }
+      },
+      interstitials: {
+        get() {
+          return this.interstitials_ ? this.interstitials_.schedule() : [];
+        },
+        set() {
+          videojs.log.error('The "interstitials" property is read-only');
+        }
       }
     });
 
@@ -604,32 +822,75 @@ class HlsHandler extends Component {
     }
   }
 
+  /**
+   * The master playlist controller of the interstitial being played, if any, or else
+   * of the source
+   *
+   * @return {MasterPlaylistController}
+   *         The master playlist controller playing on the tech
+   * @private
+   */
+  activeMasterPlaylistController_() {
+    if (this.interstitials_) {
+      return this.interstitials_.activeMasterPlaylistController();
+    }
+    return this.masterPlaylistController_;
+  }
+
   /**
    * Begin playing the video.
    */
   play() {
-    this.masterPlaylistController_.play();
+    this.activeMasterPlaylistController_().play();
   }
 
   /**
    * a wrapper around the function in MasterPlaylistController
    */
   setCurrentTime(currentTime) {
-    this.masterPlaylistController_.setCurrentTime(currentTime);
+    this.activeMasterPlaylistController_().setCurrentTime(currentTime);
   }
 
   /**
    * a wrapper around the function in MasterPlaylistController
    */
   duration() {
-    return this.masterPlaylistController_.duration();
+    return this.activeMasterPlaylistController_().duration();
   }
 
   /**
    * a wrapper around the function in MasterPlaylistController
    */
   seekable() {
-    return this.masterPlaylistController_.seekable();
+    return this.activeMasterPlaylistController_().seekable();
+  }
+
+  /**
+   * Finds the thumbnail to preview a time with while scrubbing
+   *
+   * @param {number} time
+   *        The time to preview, in seconds
+   * @return {Object|null}
+   *         The `uri` of the image and the `x`, `y`, `width` and `height` of the tile
+   *         in it, or null if the source has no thumbnail at that time
+   */
+  getThumbnailAt(time) {
+    return this.masterPlaylistController_.thumbnailAt(time);
+  }
+
+  /**
+   * Fast-forwards or rewinds by showing the I-frames of the source only. Changing the
+   * playbackRate of the player to 4 or more fast-forwards as well, but rewinding is only
+   * possible with this method as media elements do not accept negative rates.
+   *
+   * @param {number} rate
+   *        A negative rate to rewind, a rate of at least 4 to fast-forward or any other
+   *        rate to return to normal playback
+   * @return {boolean}
+   *         Whether trick play is on
+   */
+  trickPlay(rate) {
+    return this.masterPlaylistController_.trickPlay(rate);
   }
 
   /**
@@ -639,6 +900,21 @@ class HlsHandler extends Component {
     if (this.playbackWatcher_) {
       this.playbackWatcher_.dispose();
     }
+    if (this.liveLatencyController_) {
+      this.liveLatencyController_.dispose();
+    }
+    if (this.cmcd_) {
+      this.cmcd_.dispose();
+    }
+    if (this.qoeMonitor_) {
+      this.qoeMonitor_.dispose();
+    }
+    if (this.droppedFramesMonitor_) {
+      this.droppedFramesMonitor_.dispose();
+    }
+    if (this.interstitials_) {
+      this.interstitials_.dispose();
+    }
     if (this.masterPlaylistController_) {
       this.masterPlaylistController_.dispose();
     }
@@ -3,25 +3,141 @@
  */
 
 /**
- * A wrapper for videojs.xhr that tracks bandwidth.
+ * A wrapper for videojs.xhr that tracks bandwidth and retries failed requests. The
+ * request itself is made by the network loader, videojs.xhr unless another one is set
+ * on `networkLoader`.
  *
  * @param {Object} options options for the XHR
+ * @param {string=} options.requestType the type of the request (`manifest`,
+ * `playlist`, `key` or `segment`), which selects its timeout from the retry policy
  * @param {Function} callback the callback to call when done
  * @return {Request} the xhr request that is going to be made
  */
 import videojs from 'video.js';
+import window from 'global/window';
+import Config from './config';
+import fetchLoader, { isFetchSupported } from './fetch-loader';
+import { requestEntry } from './request-log';
 
 const {
   xhr: videojsXHR,
   mergeOptions
 } = videojs;
 
+/**
+ * Calculates the time to wait before retrying a request
+ *
+ * @param {Object} retryPolicy
+ *        The retry policy, see Config.RETRY_POLICY
+ * @param {number} retries
+ *        The number of retries made so far
+ * @return {number}
+ *         The delay in milliseconds
+ */
+export const retryDelay = (retryPolicy, retries) => {
+  const delay = Math.min(
+    retryPolicy.initialDelay * Math.pow(retryPolicy.backoffFactor, retries),
+    retryPolicy.maxDelay
+  );
+
+  // spread out the retries of requests that failed at the same time
+  return delay * (1 + retryPolicy.jitter * (Math.random() * 2 - 1));
+};
+
+/**
+ * Checks whether a failed request should be retried
+ *
+ * @param {Object} retryPolicy
+ *        The retry policy, see Config.RETRY_POLICY
+ * @param {Request} request
+ *        The failed request
+ * @param {number} statusCode
+ *        The status code of the response, 0 for network errors
+ * @param {boolean} policyTimeout
+ *        Whether the request timed out after the timeout of the retry policy
+ * @return {boolean}
+ *         Whether to retry the request
+ */
+const isRetryable = (retryPolicy, request, statusCode, policyTimeout) => {
+  // a request with a timeout of its own handles the timeout itself, e.g. by switching
+  // to a lower rendition
+  if (request.timedout) {
+    return policyTimeout;
+  }
+
+  if (request.aborted) {
+    return false;
+  }
+
+  return retryPolicy.retryableStatusCodes.indexOf(statusCode) !== -1;
+};
+
+/**
+ * Finds the function that makes requests for a network loader option
+ *
+ * @param {string|Function=} networkLoader
+ *        `xhr`, `fetch` or a function with the signature of videojs.xhr
+ * @return {Function}
+ *         The network loader, videojs.xhr when fetch is not supported or the option is
+ *         not set
+ */
+export const resolveNetworkLoader = (networkLoader) => {
+  if (typeof networkLoader === 'function') {
+    return networkLoader;
+  }
+
+  if (networkLoader === 'fetch' && isFetchSupported()) {
+    return fetchLoader;
+  }
+
+  return videojsXHR;
+};
+
+/**
+ * Passes the body of a response through the `afterResponse` hook that was in place
+ * when the request was made, which can replace it, e.g. to rewrite a manifest or
+ * decrypt a segment.
+ *
+ * @param {Request} request
+ *        The completed request
+ * @param {string|ArrayBuffer} body
+ *        The body of the response, text for manifests and playlists and an ArrayBuffer
+ *        for keys and segments
+ * @return {string|ArrayBuffer|Uint8Array}
+ *         The body returned by the hook, or the original body
+ */
+export const responseBody = (request, body) => {
+  if (typeof request.afterResponse !== 'function') {
+    return body;
+  }
+
+  const newBody = request.afterResponse({
+    uri: request.uri,
+    requestType: request.requestType,
+    headers: request.responseHeaders || {},
+    body
+  });
+
+  return typeof newBody === 'undefined' ? body : newBody;
+};
+
 const xhrFactory = function() {
   const xhr = function XhrFunction(options, callback) {
+    const retryPolicy = XhrFunction.retryPolicy || Config.RETRY_POLICY;
+    // a timeout of null means that the request does not time out
+    const policyTimeout = typeof options.timeout === 'undefined';
+    const networkLoader = resolveNetworkLoader(XhrFunction.networkLoader);
+
     // Add a default timeout for all hls requests
-    options = mergeOptions({
-      timeout: 45e3
-    }, options);
+    options = mergeOptions(options, {
+      timeout: policyTimeout ?
+        (retryPolicy.timeouts[options.requestType] || 45e3) : options.timeout
+    });
+
+    // add the Common Media Client Data of the player
+    if (XhrFunction.cmcd) {
+      options = XhrFunction.cmcd.annotate(options);
+    }
 
     // Allow an optional user-specified function to modify the option
     // object before we construct the xhr request
@@ -35,52 +151,136 @@ const xhrFactory = function() {
       }
     }
 
-    let request = videojsXHR(options, function(error, response) {
-      let reqResponse = request.response;
+    const afterResponse = XhrFunction.afterResponse || videojs.Hls.xhr.afterResponse;
+    const requestLog = XhrFunction.requestLog;
 
-      if (!error && reqResponse) {
-        request.responseTime = Date.now();
-        request.roundTripTime = request.responseTime - request.requestTime;
-        request.bytesReceived = reqResponse.byteLength || reqResponse.length;
-        if (!request.bandwidth) {
-          request.bandwidth =
-            Math.floor((request.bytesReceived / request.roundTripTime) * 8 * 1000);
-        }
-      }
+    let request;
+    let retryTimeout = null;
+    let startTime;
+    let logged = false;
 
-      if (response.headers) {
-        request.responseHeaders = response.headers;
+    const log = (failed) => {
+      if (requestLog && !logged) {
+        logged = true;
+        requestLog.add(requestEntry(request, options, startTime, failed));
       }
+    };
+
+    const send = (firstAttempt) => {
+      let loaderReturned = false;
+      let earlyResponse = null;
+
+      const onResponse = (error, response) => {
+        let reqResponse = request.response;
+
+        if (!error && reqResponse) {
+          request.responseTime = Date.now();
+          request.roundTripTime = request.responseTime - request.requestTime;
+          request.bytesReceived = reqResponse.byteLength || reqResponse.length;
+          if (!request.bandwidth) {
+            request.bandwidth =
+              Math.floor((request.bytesReceived / request.roundTripTime) * 8 * 1000);
+          }
+        }
 
-      // videojs.xhr now uses a specific code on the error
-      // object to signal that a request has timed out instead
-      // of setting a boolean on the request object
-      if (error && error.code === 'ETIMEDOUT') {
-        request.timedout = true;
+        if (response.headers) {
+          request.responseHeaders = response.headers;
+        }
+
+        // videojs.xhr now uses a specific code on the error
+        // object to signal that a request has timed out instead
+        // of setting a boolean on the request object
+        if (error && error.code === 'ETIMEDOUT') {
+          request.timedout = true;
+        }
+
+        // videojs.xhr no longer considers status codes outside of 200 and 0
+        // (for file uris) to be errors, but the old XHR did, so emulate that
+        // behavior. Status 206 may be used in response to byterange requests.
+        if (!error &&
+            !request.aborted &&
+            response.statusCode !== 200 &&
+            response.statusCode !== 206 &&
+            response.statusCode !== 0) {
+          error = new Error('XHR Failed with a response of: ' +
+                            (request && (reqResponse || request.responseText)));
+        }
+
+        if (error &&
+            request.retries + 1 < retryPolicy.maxAttempts &&
+            isRetryable(retryPolicy, request, response.statusCode, policyTimeout)) {
+          retryTimeout = window.setTimeout(() => {
+            retryTimeout = null;
+            request.retries++;
+            request.aborted = false;
+            request.timedout = false;
+            send();
+          }, retryDelay(retryPolicy, request.retries));
+          return;
+        }
+
+        log(!!error);
+        callback(error, request);
+      };
+
+      // retries reuse the request object, so that its listeners and references
+      // held by the caller stay valid
+      const loaderOptions = mergeOptions(options, { xhr: request });
+
+      request = networkLoader(loaderOptions, (error, response) => {
+        // network loaders may call back before returning the request, e.g. when the
+        // response is cached
+        if (!loaderReturned) {
+          earlyResponse = [error, response];
+          return;
+        }
+        onResponse(error, response);
+      });
+      loaderReturned = true;
+      request.requestTime = Date.now();
+      request.responseStart = null;
+
+      if (firstAttempt) {
+        const originalAbort = request.abort;
+
+        request.abort = function() {
+          // videojs.xhr aborts requests that time out with a reason of `timeout`, the
+          // outcome of which is handled, and logged, by onResponse
+          if (arguments[0] === 'timeout') {
+            return originalAbort.apply(request, arguments);
+          }
+
+          request.aborted = true;
+          window.clearTimeout(retryTimeout);
+          retryTimeout = null;
+
+          const result = originalAbort.apply(request, arguments);
+
+          log(true);
+          return result;
+        };
+        // the time of the first byte of the response
+        if (requestLog && typeof request.addEventListener === 'function') {
+          request.addEventListener('progress', () => {
+            request.responseStart = request.responseStart || Date.now();
+          });
+        }
+        startTime = request.requestTime;
+        request.uri = options.uri;
+        request.retries = 0;
+        request.requestType = options.requestType;
+        if (typeof afterResponse === 'function') {
+          request.afterResponse = afterResponse;
+        }
       }
 
-      // videojs.xhr no longer considers status codes outside of 200 and 0
-      // (for file uris) to be errors, but the old XHR did, so emulate that
-      // behavior. Status 206 may be used in response to byterange requests.
-      if (!error &&
-          !request.aborted &&
-          response.statusCode !== 200 &&
-          response.statusCode !== 206 &&
-          response.statusCode !== 0) {
-        error = new Error('XHR Failed with a response of: ' +
-                          (request && (reqResponse || request.responseText)));
+      if (earlyResponse) {
+        onResponse(earlyResponse[0], earlyResponse[1]);
       }
+    };
 
-      callback(error, request);
-    });
-    const originalAbort = request.abort;
+    send(true);
 
-    request.abort = function() {
-      request.aborted = true;
-      return originalAbort.apply(request, arguments);
-    };
-    request.uri = options.uri;
-    request.requestTime = Date.now();
     return request;
   };
 
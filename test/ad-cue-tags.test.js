@@ -1,5 +1,5 @@
 import QUnit from 'qunit';
-import { updateAdCues, findAdCue } from '../src/ad-cue-tags';
+import { updateAdCues, findAdCue, updateDateRangeCues } from '../src/ad-cue-tags';
 import window from 'global/window';
 
 QUnit.module('AdCueTags', {
@@ -297,3 +297,128 @@ QUnit.test('findAdCue returns correct cue', function(assert) {
   cue = findAdCue(this.track, 45);
   assert.equal(cue.adStartTime, 45, 'returned correct cue');
 });
+
+QUnit.module('DateRangeCues', {
+  beforeEach() {
+    this.track = {
+      cues: [],
+      addCue(cue) {
+        this.cues.push(cue);
+      }
+    };
+    this.start = new Date('2018-01-01T00:00:00.000Z');
+    // the first segment is displayed at time 0
+    this.datetimeToDisplayTime = -this.start.getTime() / 1000;
+    this.media = {
+      segments: [{
+        duration: 10,
+        dateTimeObject: this.start
+      }, {
+        duration: 10
+      }, {
+        duration: 10
+      }]
+    };
+  }
+});
+
+QUnit.test('maps date ranges to cues using the program date time', function(assert) {
+  this.media.dateRanges = [{
+    id: 'ad-1',
+    class: 'com.example.ad',
+    startDate: new Date('2018-01-01T00:00:05.000Z'),
+    duration: 10,
+    scte35Out: '0xFC002F',
+    clientAttributes: { 'X-AD-ID': '1234' }
+  }, {
+    id: 'info',
+    startDate: new Date('2018-01-01T00:00:12.000Z'),
+    endDate: new Date('2018-01-01T00:00:14.000Z'),
+    clientAttributes: {}
+  }];
+
+  updateDateRangeCues(this.media, this.track, this.datetimeToDisplayTime);
+
+  assert.equal(this.track.cues.length, 2, 'added a cue per date range');
+  assert.equal(this.track.cues[0].id, 'ad-1', 'used the date range ID');
+  assert.equal(this.track.cues[0].text, 'com.example.ad', 'used the class as text');
+  assert.equal(this.track.cues[0].startTime, 5, 'mapped the start time');
+  assert.equal(this.track.cues[0].endTime, 15, 'used the duration');
+  assert.equal(this.track.cues[0].dateRange.clientAttributes['X-AD-ID'], '1234',
+               'attached the attributes');
+  assert.equal(findAdCue(this.track, 10), this.track.cues[0],
+               'SCTE35-OUT date ranges are ad cues');
+  assert.equal(this.track.cues[1].startTime, 12, 'mapped the start time');
+  assert.equal(this.track.cues[1].endTime, 14, 'mapped the end date');
+  assert.notOk('adStartTime' in this.track.cues[1], 'not an ad cue');
+
+  updateDateRangeCues(this.media, this.track, this.datetimeToDisplayTime);
+  assert.equal(this.track.cues.length, 2, 'did not add duplicate cues');
+});
+
+QUnit.test('extends date ranges that have not ended yet', function(assert) {
+  this.media.dateRanges = [{
+    id: 'ad-1',
+    startDate: new Date('2018-01-01T00:00:15.000Z'),
+    scte35Out: '0xFC002F',
+    clientAttributes: {}
+  }];
+
+  updateDateRangeCues(this.media, this.track, this.datetimeToDisplayTime);
+
+  const cue = this.track.cues[0];
+
+  assert.equal(cue.endTime, 30, 'lasts until the end of the playlist');
+  assert.equal(cue.adEndTime, 30, 'ad lasts until the end of the playlist');
+
+  this.media.segments.push({ duration: 10 });
+  updateDateRangeCues(this.media, this.track, this.datetimeToDisplayTime);
+  assert.equal(cue.endTime, 40, 'extended with the playlist');
+
+  this.media.dateRanges[0].duration = 20;
+  this.media.dateRanges[0].scte35In = '0xFC003A';
+  updateDateRangeCues(this.media, this.track, this.datetimeToDisplayTime);
+  assert.equal(this.track.cues.length, 1, 'updated the existing cue');
+  assert.equal(cue.endTime, 35, 'ended the cue once the duration is known');
+  assert.equal(cue.dateRange.scte35In, '0xFC003A', 'updated the attributes');
+});
+
+QUnit.test('ends END-ON-NEXT date ranges at the next of the same class',
+function(assert) {
+  this.media.dateRanges = [{
+    id: 'chapter-1',
+    class: 'chapter',
+    startDate: new Date('2018-01-01T00:00:00.000Z'),
+    endOnNext: true,
+    clientAttributes: {}
+  }, {
+    id: 'other',
+    class: 'other',
+    startDate: new Date('2018-01-01T00:00:04.000Z'),
+    duration: 1,
+    clientAttributes: {}
+  }, {
+    id: 'chapter-2',
+    class: 'chapter',
+    startDate: new Date('2018-01-01T00:00:08.000Z'),
+    endOnNext: true,
+    clientAttributes: {}
+  }];
+
+  updateDateRangeCues(this.media, this.track, this.datetimeToDisplayTime);
+
+  assert.equal(this.track.cues[0].endTime, 8, 'ended at the next chapter');
+  assert.equal(this.track.cues[2].endTime, 30, 'last chapter is open ended');
+});
+
+QUnit.test('does not add cues without a program date time mapping', function(assert) {
+  this.media.dateRanges = [{
+    id: 'ad-1',
+    startDate: new Date('2018-01-01T00:00:05.000Z'),
+    clientAttributes: {}
+  }];
+
+  updateDateRangeCues(this.media, this.track);
+
+  assert.equal(this.track.cues.length, 0, 'no cues');
+});
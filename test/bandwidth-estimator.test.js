@@ -0,0 +1,65 @@
+import QUnit from 'qunit';
+import window from 'global/window';
+import BandwidthEstimator, {
+  saveBandwidthEstimate,
+  loadBandwidthEstimate
+} from '../src/bandwidth-estimator';
+
+QUnit.module('BandwidthEstimator', {
+  beforeEach() {
+    this.estimator = new BandwidthEstimator();
+  }
+});
+
+QUnit.test('estimates the bandwidth of the transfer time', function(assert) {
+  assert.strictEqual(this.estimator.bandwidth(), null, 'no estimate without samples');
+  assert.strictEqual(this.estimator.timeToFirstByte(), null, 'no time to first byte');
+
+  this.estimator.sample({ transferBytes: 1000, transferTime: 100, timeToFirstByte: 900 });
+
+  assert.equal(this.estimator.bandwidth(), 80000,
+               'the time to the first byte does not lower the bandwidth');
+  assert.equal(this.estimator.timeToFirstByte(), 900, 'recorded the time to first byte');
+
+  this.estimator.sample({ transferBytes: 1000, transferTime: 0 });
+  assert.equal(this.estimator.bandwidth(), 80000, 'ignored a download without time');
+});
+
+QUnit.test('drops quickly and recovers slowly', function(assert) {
+  for (let i = 0; i < 10; i++) {
+    this.estimator.sample({ transferBytes: 1e6, transferTime: 1000 });
+  }
+  assert.equal(this.estimator.bandwidth(), 8e6, 'estimate of a steady network');
+
+  this.estimator.sample({ transferBytes: 1e5, transferTime: 1000 });
+  const dropped = this.estimator.bandwidth();
+
+  assert.ok(dropped < 8e6 * 0.8, 'a slow download lowers the estimate');
+
+  this.estimator.sample({ transferBytes: 1e6, transferTime: 1000 });
+  assert.ok(this.estimator.bandwidth() > dropped, 'a fast download raises it');
+  assert.ok(this.estimator.bandwidth() < 8e6, 'but not back to where it was');
+});
+
+QUnit.test('averages the time to first byte', function(assert) {
+  this.estimator.sample({ transferBytes: 1000, transferTime: 100, timeToFirstByte: 100 });
+  this.estimator.sample({ transferBytes: 1000, transferTime: 100, timeToFirstByte: 200 });
+
+  assert.equal(Math.round(this.estimator.timeToFirstByte()), 130,
+               'weighted the newest sample');
+  assert.equal(this.estimator.bandwidth(), 80000, 'bandwidth is unaffected');
+});
+
+QUnit.test('stores the estimate in localStorage', function(assert) {
+  window.localStorage.removeItem('videojs-vhs-bandwidth');
+  assert.strictEqual(loadBandwidthEstimate(), null, 'nothing stored');
+
+  saveBandwidthEstimate({ bandwidth: 1234, timeToFirstByte: 50 });
+  assert.deepEqual(loadBandwidthEstimate(), { bandwidth: 1234, timeToFirstByte: 50 },
+                   'loaded the stored estimate');
+
+  window.localStorage.setItem('videojs-vhs-bandwidth', '{');
+  assert.strictEqual(loadBandwidthEstimate(), null, 'ignored an invalid estimate');
+
+  window.localStorage.removeItem('videojs-vhs-bandwidth');
+});
@@ -0,0 +1,97 @@
+import QUnit from 'qunit';
+import videojs from 'video.js';
+import Cmcd, { encodeCmcd, cmcdHeaders, cmcdUri, createSessionId } from '../src/cmcd';
+
+QUnit.module('CMCD');
+
+QUnit.test('encodes the data of a request', function(assert) {
+  const data = {
+    sid: 'session "1"',
+    ot: 'v',
+    br: 3200,
+    su: true,
+    bs: false,
+    cid: null
+  };
+
+  assert.equal(encodeCmcd(data), 'br=3200,ot=v,sid="session \\"1\\"",su',
+               'sorted the keys and left out false and null values');
+  assert.deepEqual(cmcdHeaders(data), {
+    'CMCD-Object': 'br=3200,ot=v',
+    'CMCD-Request': 'su',
+    'CMCD-Session': 'sid="session \\"1\\""'
+  }, 'split the data into headers');
+  assert.equal(cmcdUri('https://example.com/a.ts?token=1#t=1', { ot: 'v', su: true }),
+               'https://example.com/a.ts?token=1&CMCD=ot%3Dv%2Csu#t=1',
+               'added the query parameter');
+  assert.ok(/^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/
+    .test(createSessionId()), 'created a UUID');
+});
+
+QUnit.test('annotates requests with the player state', function(assert) {
+  const tech = new videojs.EventTarget();
+  const mpc = {
+    masterPlaylistLoader_: { media: () => ({ endList: false }) },
+    master: () => ({
+      playlists: [
+        { attributes: { BANDWIDTH: 1e6 } },
+        { attributes: { BANDWIDTH: 4e6 } }
+      ]
+    }),
+    mainSegmentLoader_: { bandwidth: 5432100 }
+  };
+
+  tech.seeking = () => false;
+  tech.currentTime = () => 10;
+  tech.buffered = () => videojs.createTimeRanges([[0, 22.53]]);
+
+  const cmcd = new Cmcd({
+    tech,
+    sourceType: 'hls',
+    masterPlaylistController: () => mpc,
+    sessionId: 'abc',
+    contentId: 'movie'
+  });
+  const segmentOptions = {
+    uri: 'segment.ts',
+    requestType: 'segment',
+    cmcd: { ot: 'av', br: 1000, d: 10000 }
+  };
+
+  assert.equal(
+    decodeURIComponent(cmcd.annotate(segmentOptions).uri),
+    'segment.ts?CMCD=bl=12500,br=1000,cid="movie",d=10000,mtp=5400,ot=av,sf=h,' +
+      'sid="abc",st=l,su,tb=4000',
+    'annotated a segment request during startup'
+  );
+
+  tech.trigger('playing');
+  tech.trigger('waiting');
+  assert.equal(
+    decodeURIComponent(cmcd.annotate({ uri: 'key.php', requestType: 'key' }).uri),
+    'key.php?CMCD=bs,cid="movie",mtp=5400,ot=k,sf=h,sid="abc",st=l,su,tb=4000',
+    'reported the buffer starvation'
+  );
+  assert.notEqual(decodeURIComponent(cmcd.annotate(segmentOptions).uri).indexOf(',bs,'),
+                  -1,
+                  'reported the buffer starvation with the next segment request');
+  assert.equal(
+    decodeURIComponent(cmcd.annotate(segmentOptions).uri),
+    'segment.ts?CMCD=bl=12500,br=1000,cid="movie",d=10000,mtp=5400,ot=av,sf=h,' +
+      'sid="abc",st=l,tb=4000',
+    'playback is no longer starting or starved'
+  );
+
+  cmcd.useHeaders_ = true;
+  assert.deepEqual(cmcd.annotate({ uri: 'media.m3u8', requestType: 'playlist' }), {
+    uri: 'media.m3u8',
+    requestType: 'playlist',
+    headers: {
+      'CMCD-Object': 'ot=m,tb=4000',
+      'CMCD-Request': 'mtp=5400',
+      'CMCD-Session': 'cid="movie",sf=h,sid="abc",st=l'
+    }
+  }, 'sent the data as headers');
+
+  cmcd.dispose();
+});
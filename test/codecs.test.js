@@ -1,5 +1,11 @@
 import QUnit from 'qunit';
-import { mimeTypesForPlaylist, mapLegacyAvcCodecs } from '../src/util/codecs';
+import {
+  mimeTypesForPlaylist,
+  mapLegacyAvcCodecs,
+  parseCodecs,
+  canTransmux,
+  variantMimeType
+} from '../src/util/codecs';
 
 const generateMedia = function(isMaat, isMuxed, hasVideoCodec, hasAudioCodec, isFMP4) {
   const codec = (hasVideoCodec ? 'avc1.deadbeef' : '') +
@@ -215,6 +221,99 @@ function(assert) {
     'uses default audio codec');
 });
 
+QUnit.test('builds mime types for HEVC, AV1, VP9, Opus and E-AC-3', function(assert) {
+  const master = { mediaGroups: {}, playlists: [] };
+  const fmp4 = (codecs) => {
+    return { attributes: { CODECS: codecs }, segments: [{ map: 'test' }] };
+  };
+
+  assert.deepEqual(mimeTypesForPlaylist(master, fmp4('hvc1.1.6.L93.B0,ec-3')),
+                   ['video/mp4; codecs="hvc1.1.6.L93.B0, ec-3"'],
+                   'HEVC with E-AC-3');
+  assert.deepEqual(mimeTypesForPlaylist(master, fmp4('av01.0.05M.08,opus')),
+                   ['video/mp4; codecs="av01.0.05M.08, opus"'],
+                   'AV1 with Opus');
+  assert.deepEqual(mimeTypesForPlaylist(master, fmp4('vp09.00.10.08')),
+                   ['video/mp4; codecs="vp09.00.10.08"'],
+                   'VP9 alone');
+  assert.deepEqual(mimeTypesForPlaylist(master, fmp4('Opus')),
+                   ['audio/mp4; codecs="Opus"'],
+                   'Opus alone is audio only');
+});
+
+QUnit.test('uses a non-AAC audio codec from the default group', function(assert) {
+  const media = {
+    attributes: { AUDIO: 'test', CODECS: 'hev1.2.4.L120.B0' },
+    segments: [{ map: 'test' }]
+  };
+  const master = {
+    mediaGroups: {
+      AUDIO: {
+        test: {
+          surround: {
+            default: true,
+            playlists: [{ attributes: { CODECS: 'ec-3' } }]
+          }
+        }
+      }
+    },
+    playlists: [media]
+  };
+
+  assert.deepEqual(mimeTypesForPlaylist(master, media),
+                   ['video/mp4; codecs="hev1.2.4.L120.B0"', 'audio/mp4; codecs="ec-3"'],
+                   'uses the E-AC-3 codec of the media group');
+});
+
+QUnit.module('Parse Codecs');
+
+QUnit.test('parses video and audio codec families', function(assert) {
+  let codecs = parseCodecs('avc1.4d400d, mp4a.40.2');
+
+  assert.equal(codecs.codecCount, 2, 'counted the codecs');
+  assert.equal(codecs.videoCodec, 'avc1', 'parsed the video codec');
+  assert.equal(codecs.videoObjectTypeIndicator, '.4d400d', 'parsed the indicator');
+  assert.equal(codecs.videoCodecFamily, 'avc', 'H.264');
+  assert.equal(codecs.audioCodec, 'mp4a.40.2', 'parsed the audio codec');
+  assert.equal(codecs.audioCodecFamily, 'aac', 'AAC');
+  assert.equal(codecs.audioProfile, '2', 'parsed the audio profile');
+
+  codecs = parseCodecs('hvc1.1.6.L93.B0,ec-3');
+  assert.equal(codecs.videoCodec, 'hvc1', 'parsed the HEVC sample entry');
+  assert.equal(codecs.videoObjectTypeIndicator, '.1.6.L93.B0',
+               'kept the HEVC parameters');
+  assert.equal(codecs.videoCodecFamily, 'hevc', 'HEVC');
+  assert.equal(codecs.audioCodec, 'ec-3', 'parsed E-AC-3');
+  assert.equal(codecs.audioCodecFamily, 'ec-3', 'E-AC-3');
+  assert.notOk(codecs.audioProfile, 'no AAC profile');
+
+  assert.equal(parseCodecs('hev1.2.4.L120.B0').videoCodecFamily, 'hevc', 'hev1');
+  assert.equal(parseCodecs('av01.0.05M.08').videoCodecFamily, 'av1', 'AV1');
+  assert.equal(parseCodecs('vp09.00.10.08').videoCodecFamily, 'vp9', 'VP9');
+  assert.equal(parseCodecs('opus').audioCodecFamily, 'opus', 'Opus');
+  assert.equal(parseCodecs('mp4a.a6').audioCodecFamily, 'ec-3',
+               'E-AC-3 as an mp4a object type');
+  assert.equal(parseCodecs('fLaC').audioCodecFamily, 'flac', 'FLAC');
+  assert.notOk(parseCodecs('unsupporte.dc0dec').videoCodec, 'unknown codec');
+});
+
+QUnit.test('builds the mime type to check variant support with', function(assert) {
+  assert.equal(variantMimeType({ attributes: { CODECS: 'avc1.66.30,mp4a.40.2' } }),
+               'video/mp4; codecs="avc1.42001e,mp4a.40.2"',
+               'video variants use video/mp4 with modern AVC codecs');
+  assert.equal(variantMimeType({ attributes: { CODECS: 'ec-3' } }),
+               'audio/mp4; codecs="ec-3"',
+               'audio only variants use audio/mp4');
+});
+
+QUnit.test('only transmuxes H.264 and AAC', function(assert) {
+  assert.ok(canTransmux('avc1.4d400d,mp4a.40.2'), 'H.264 and AAC');
+  assert.ok(canTransmux('avc1.66.30'), 'H.264 only');
+  assert.ok(canTransmux('mp4a.40.5'), 'AAC only');
+  assert.notOk(canTransmux('hvc1.1.6.L93.B0,mp4a.40.2'), 'not HEVC');
+  assert.notOk(canTransmux('avc1.4d400d,ec-3'), 'not E-AC-3');
+});
+
 QUnit.module('Map Legacy AVC Codec');
 
 QUnit.test('maps legacy AVC codecs', function(assert) {
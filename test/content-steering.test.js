@@ -0,0 +1,166 @@
+import QUnit from 'qunit';
+import { useFakeEnvironment } from './test-helpers.js';
+import xhrFactory from '../src/xhr';
+import ContentSteeringController, {
+  hlsContentSteering,
+  dashContentSteering,
+  keepServiceLocation
+} from '../src/content-steering';
+import Config from '../src/config';
+
+const MPD = `<?xml version="1.0"?>
+<MPD xmlns="urn:mpeg:dash:schema:mpd:2011" type="static">
+  <BaseURL serviceLocation="alpha">https://a.example.com/video/</BaseURL>
+  <BaseURL serviceLocation="beta">https://b.example.com/video/</BaseURL>
+  <ContentSteering defaultServiceLocation="beta">steering.json</ContentSteering>
+  <Period id="1" duration="PT10S"/>
+</MPD>`;
+
+QUnit.module('Content Steering');
+
+QUnit.test('finds the pathways of an HLS master playlist', function(assert) {
+  const master = {
+    uri: 'https://example.com/master.m3u8',
+    contentSteering: { serverUri: 'steering.json' },
+    playlists: [
+      { attributes: { 'PATHWAY-ID': 'cdn-a' } },
+      { attributes: { 'PATHWAY-ID': 'cdn-b' } },
+      { attributes: { 'PATHWAY-ID': 'cdn-a' } },
+      { attributes: {} }
+    ]
+  };
+
+  assert.deepEqual(hlsContentSteering(master), {
+    serverUri: 'https://example.com/steering.json',
+    defaultPathway: 'cdn-a',
+    pathways: ['cdn-a', 'cdn-b', '.']
+  }, 'listed the pathways and defaulted to the first');
+
+  master.contentSteering.pathwayId = 'cdn-b';
+  assert.equal(hlsContentSteering(master).defaultPathway, 'cdn-b',
+               'used the PATHWAY-ID of the tag');
+  assert.strictEqual(hlsContentSteering({ playlists: [] }), null,
+                     'no content steering');
+});
+
+QUnit.test('finds the service locations of an MPD', function(assert) {
+  assert.deepEqual(dashContentSteering(MPD, 'https://example.com/dash.mpd'), {
+    serverUri: 'https://example.com/steering.json',
+    defaultPathway: 'beta',
+    pathways: ['alpha', 'beta'],
+    baseUrls: {
+      alpha: 'https://a.example.com/video/',
+      beta: 'https://b.example.com/video/'
+    }
+  }, 'parsed the content steering');
+  assert.strictEqual(
+    dashContentSteering(MPD.replace(/<ContentSteering.*ContentSteering>/, ''), ''),
+    null,
+    'no content steering'
+  );
+
+  const manifest = keepServiceLocation(MPD, 'beta');
+
+  assert.equal(manifest.indexOf('a.example.com'), -1, 'removed the other BaseURL');
+  assert.notEqual(manifest.indexOf('b.example.com'), -1, 'kept the BaseURL');
+});
+
+QUnit.module('ContentSteeringController', {
+  beforeEach(assert) {
+    this.env = useFakeEnvironment(assert);
+    this.clock = this.env.clock;
+    this.requests = this.env.requests;
+    this.bandwidth = 1e6;
+    this.pathwayChanges = 0;
+    this.controller = new ContentSteeringController({
+      hls: { xhr: xhrFactory() },
+      withCredentials: false,
+      queryPrefix: '_HLS',
+      bandwidth: () => this.bandwidth
+    });
+    this.controller.on('pathwaychange', () => this.pathwayChanges++);
+    this.respond = (manifest) => {
+      this.requests.shift().respond(200, null, JSON.stringify(manifest));
+    };
+  },
+  afterEach() {
+    this.controller.dispose();
+    this.env.restore();
+  }
+});
+
+QUnit.test('applies the pathway priority of the steering manifest', function(assert) {
+  this.controller.setSteering({
+    serverUri: 'https://example.com/steering.json',
+    defaultPathway: 'cdn-a',
+    pathways: ['cdn-a', 'cdn-b']
+  });
+
+  assert.equal(this.controller.currentPathway(), 'cdn-a', 'starts on the default');
+  assert.equal(this.requests[0].uri,
+               'https://example.com/steering.json?_HLS_pathway=cdn-a' +
+               '&_HLS_throughput=1000000',
+               'requested the steering manifest');
+
+  this.respond({
+    'VERSION': 1,
+    'TTL': 10,
+    'RELOAD-URI': 'reload.json?session=1',
+    'PATHWAY-PRIORITY': ['cdn-c', 'cdn-b', 'cdn-a']
+  });
+
+  assert.equal(this.controller.currentPathway(), 'cdn-b',
+               'moved to the first known pathway');
+  assert.equal(this.pathwayChanges, 1, 'triggered pathwaychange');
+
+  this.clock.tick(9999);
+  assert.equal(this.requests.length, 0, 'waits for the TTL');
+  this.clock.tick(1);
+  assert.equal(this.requests[0].uri,
+               'https://example.com/reload.json?session=1&_HLS_pathway=cdn-b' +
+               '&_HLS_throughput=1000000',
+               'reloaded from the RELOAD-URI');
+
+  this.requests.shift().respond(500, null, '');
+  assert.equal(this.controller.currentPathway(), 'cdn-b', 'kept the pathway on error');
+  this.clock.tick(10000);
+  assert.equal(this.requests.length, 1, 'retried after the TTL');
+});
+
+QUnit.test('excludes pathways that failed', function(assert) {
+  this.controller.setSteering({
+    serverUri: 'https://example.com/steering.json',
+    defaultPathway: 'cdn-a',
+    pathways: ['cdn-a', 'cdn-b']
+  });
+  this.respond({ 'VERSION': 1, 'PATHWAY-PRIORITY': ['cdn-a', 'cdn-b'] });
+
+  assert.ok(this.controller.excludePathway('cdn-a', 60), 'moved to another pathway');
+  assert.equal(this.controller.currentPathway(), 'cdn-b', 'moved to the next pathway');
+  assert.notOk(this.controller.excludePathway('cdn-b', 60),
+               'no pathway left to move to');
+  assert.equal(this.controller.currentPathway(), 'cdn-b', 'kept the last pathway');
+
+  this.clock.tick(Config.CONTENT_STEERING_TTL * 1000);
+  assert.equal(this.requests.length, 1, 'reloaded after the default TTL');
+
+  this.respond({ 'VERSION': 1, 'PATHWAY-PRIORITY': ['cdn-a', 'cdn-b'] });
+  assert.equal(this.controller.currentPathway(), 'cdn-a',
+               'returned to the pathway after the exclusion');
+});
+
+QUnit.test('points DASH requests to the current service location', function(assert) {
+  const steering = dashContentSteering(MPD, 'https://example.com/dash.mpd');
+  const uri = 'https://b.example.com/video/segment-1.m4s';
+
+  this.controller.setSteering(steering);
+  assert.equal(this.controller.resolveUri(uri), uri, 'unchanged on the default');
+
+  this.controller.excludePathway('beta', 60);
+  assert.equal(this.controller.resolveUri(uri),
+               'https://a.example.com/video/segment-1.m4s',
+               'moved to the other service location');
+  assert.equal(this.controller.resolveUri('https://example.com/other.m4s'),
+               'https://example.com/other.m4s',
+               'left other URIs unchanged');
+});
@@ -0,0 +1,191 @@
+import QUnit from 'qunit';
+import {
+  parseEmsgBoxes,
+  parseEventStreams,
+  emsgEvents,
+  addEventCues
+} from '../src/dash-events';
+import { emsgBox, MockTextTrack } from './test-helpers';
+
+const concat = (...arrays) => {
+  const length = arrays.reduce((total, array) => total + array.length, 0);
+  const result = new Uint8Array(length);
+  let offset = 0;
+
+  arrays.forEach((array) => {
+    result.set(array, offset);
+    offset += array.length;
+  });
+  return result;
+};
+
+// an empty moof box and an mdat box that runs to the end of the segment
+const MOOF = new Uint8Array([0x00, 0x00, 0x00, 0x08, 0x6D, 0x6F, 0x6F, 0x66]);
+const MDAT = new Uint8Array([0x00, 0x00, 0x00, 0x00, 0x6D, 0x64, 0x61, 0x74, 0xFF]);
+
+const MPD = `<?xml version="1.0"?>
+<MPD xmlns="urn:mpeg:dash:schema:mpd:2011" type="static">
+  <Period id="1" duration="PT10S">
+    <EventStream schemeIdUri="urn:example:events" value="1" timescale="1000">
+      <Event presentationTime="2000" duration="1500" id="a" messageData="hello"/>
+      <Event presentationTime="5000" id="b">world</Event>
+    </EventStream>
+    <AdaptationSet mimeType="video/mp4"/>
+  </Period>
+  <Period id="2" duration="PT10S">
+    <EventStream schemeIdUri="urn:scte:scte35:2014:xml+bin">
+      <Event presentationTime="3" duration="2" id="c"><Signal><Binary>/DA=</Binary>
+</Signal></Event>
+    </EventStream>
+  </Period>
+</MPD>`;
+
+QUnit.module('DASH Events');
+
+QUnit.test('parses version 0 and version 1 emsg boxes', function(assert) {
+  const boxes = parseEmsgBoxes(concat(
+    emsgBox({
+      version: 0,
+      schemeIdUri: 'urn:example:v0',
+      value: 'x',
+      timescale: 1000,
+      presentationTimeDelta: 500,
+      eventDuration: 2000,
+      id: 7,
+      messageData: [1, 2, 3]
+    }),
+    MOOF,
+    emsgBox({
+      version: 1,
+      schemeIdUri: 'urn:example:v1',
+      value: '',
+      timescale: 90000,
+      presentationTime: Math.pow(2, 33) + 90000,
+      eventDuration: 0xFFFFFFFF,
+      id: 8
+    }),
+    MDAT
+  ));
+
+  assert.equal(boxes.length, 2, 'found both boxes');
+  assert.equal(boxes[0].version, 0, 'version 0');
+  assert.equal(boxes[0].schemeIdUri, 'urn:example:v0', 'parsed the scheme');
+  assert.equal(boxes[0].value, 'x', 'parsed the value');
+  assert.equal(boxes[0].timescale, 1000, 'parsed the timescale');
+  assert.equal(boxes[0].presentationTimeDelta, 500, 'parsed the time delta');
+  assert.equal(boxes[0].eventDuration, 2000, 'parsed the duration');
+  assert.equal(boxes[0].id, 7, 'parsed the id');
+  assert.deepEqual(Array.prototype.slice.call(boxes[0].messageData), [1, 2, 3],
+                   'parsed the message data');
+
+  assert.equal(boxes[1].version, 1, 'version 1');
+  assert.equal(boxes[1].schemeIdUri, 'urn:example:v1', 'parsed the scheme');
+  assert.equal(boxes[1].presentationTime, Math.pow(2, 33) + 90000,
+               'parsed the 64 bit presentation time');
+  assert.equal(boxes[1].id, 8, 'parsed the id');
+  assert.equal(boxes[1].messageData.length, 0, 'no message data');
+});
+
+QUnit.test('finds no emsg boxes in segments without them', function(assert) {
+  assert.deepEqual(parseEmsgBoxes(concat(MOOF, MDAT)), [], 'no boxes');
+  assert.deepEqual(parseEmsgBoxes(new Uint8Array(3)), [], 'too short for a box');
+});
+
+QUnit.test('times emsg events in player time', function(assert) {
+  const boxes = parseEmsgBoxes(concat(
+    emsgBox({
+      version: 0,
+      schemeIdUri: 'urn:example',
+      value: '',
+      timescale: 1000,
+      presentationTimeDelta: 500,
+      eventDuration: 2000,
+      id: 1
+    }),
+    emsgBox({
+      version: 1,
+      schemeIdUri: 'urn:example',
+      value: '',
+      timescale: 1000,
+      presentationTime: 14000,
+      eventDuration: 0xFFFFFFFF,
+      id: 2
+    })
+  ));
+  let events = emsgEvents(boxes, 10, -11);
+
+  assert.deepEqual(events.map((event) => [event.id, event.startTime, event.endTime]), [
+    [1, 10.5, 12.5],
+    [2, 3, 3]
+  ], 'timed version 0 from the segment start and version 1 with the mapping');
+
+  events = emsgEvents(boxes, undefined, null);
+  assert.equal(events.length, 0, 'no events without segment timing');
+});
+
+QUnit.test('parses the EventStreams of every period', function(assert) {
+  const periods = parseEventStreams(MPD);
+
+  assert.equal(periods.length, 2, 'events for each period');
+  assert.deepEqual(periods[0], [{
+    schemeIdUri: 'urn:example:events',
+    value: '1',
+    id: 'a',
+    messageData: 'hello',
+    startTime: 2,
+    endTime: 3.5
+  }, {
+    schemeIdUri: 'urn:example:events',
+    value: '1',
+    id: 'b',
+    messageData: 'world',
+    startTime: 5,
+    endTime: 5
+  }], 'parsed the events of the first period');
+  assert.equal(periods[1][0].startTime, 3, 'default timescale of 1');
+  assert.equal(periods[1][0].endTime, 5, 'parsed the duration');
+  assert.equal(periods[1][0].messageData,
+               '<Signal xmlns="urn:mpeg:dash:schema:mpd:2011"><Binary>/DA=</Binary>\n' +
+               '</Signal>',
+               'serialized the event content');
+
+  assert.deepEqual(parseEventStreams('not xml'), [], 'invalid xml');
+});
+
+QUnit.test('adds a cue for each new event', function(assert) {
+  const track = new MockTextTrack();
+  const messageData = new Uint8Array([1]);
+  const event = {
+    schemeIdUri: 'urn:example',
+    value: 'v',
+    id: 1,
+    messageData,
+    startTime: 3,
+    endTime: 4
+  };
+
+  addEventCues(track, [event]);
+
+  assert.equal(track.cues.length, 1, 'added a cue');
+  assert.equal(track.cues[0].startTime, 3, 'cue start');
+  assert.equal(track.cues[0].endTime, 4, 'cue end');
+  assert.equal(track.cues[0].text, 'urn:example', 'cue text is the scheme');
+  assert.deepEqual(track.cues[0].value, {
+    schemeIdUri: 'urn:example',
+    value: 'v',
+    id: 1,
+    messageData
+  }, 'cue value describes the event');
+
+  addEventCues(track, [event, {
+    schemeIdUri: 'urn:example',
+    value: 'v',
+    id: 2,
+    messageData,
+    startTime: 5,
+    endTime: 5
+  }]);
+
+  assert.equal(track.cues.length, 2, 'did not add the same event twice');
+  assert.equal(track.cues[1].value.id, 2, 'added the new event');
+});
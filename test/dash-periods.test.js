@@ -0,0 +1,111 @@
+import QUnit from 'qunit';
+import { parse as parseMpd } from 'mpd-parser';
+import { parseDuration, splitPeriods, mergePeriods } from '../src/dash-periods';
+import testDataManifests from './test-manifests.js';
+
+const parsePeriods = (manifest) => {
+  const periods = splitPeriods(manifest);
+
+  periods.forEach((period, i) => {
+    period.master = parseMpd(period.manifest, { manifestUri: 'http://example.com/' });
+    period.timeline = i;
+  });
+
+  return periods;
+};
+
+QUnit.module('DASH Periods');
+
+QUnit.test('parses durations', function(assert) {
+  assert.strictEqual(parseDuration('PT4S'), 4, 'parsed seconds');
+  assert.strictEqual(parseDuration('PT1H2M3.5S'), 3723.5, 'parsed hours and minutes');
+  assert.strictEqual(parseDuration('P1DT1S'), 86401, 'parsed days');
+  assert.strictEqual(parseDuration(null), null, 'missing attribute');
+});
+
+QUnit.test('does not split MPDs with a single period', function(assert) {
+  assert.deepEqual(splitPeriods(testDataManifests.dash), [], 'single period');
+  assert.deepEqual(splitPeriods('not xml'), [], 'invalid xml');
+  assert.deepEqual(splitPeriods(''), [], 'empty manifest');
+});
+
+QUnit.test('splits MPDs with multiple periods', function(assert) {
+  const periods = splitPeriods(testDataManifests['dash-multi-period']);
+
+  assert.equal(periods.length, 3, 'split every period');
+  assert.deepEqual(periods.map((period) => [period.id, period.start, period.duration]), [
+    ['content', 0, 4],
+    ['ad', 4, 2],
+    ['content-2', 6, 3]
+  ], 'derived the start and duration of each period');
+
+  periods.forEach((period) => {
+    const presentationDuration = `mediaPresentationDuration="PT${period.duration}S"`;
+
+    assert.equal(period.manifest.match(/<Period/g).length, 1,
+                 'one period in each manifest');
+    assert.ok(period.manifest.indexOf(`<Period id="${period.id}"`) !== -1,
+              'kept the period');
+    assert.ok(period.manifest.indexOf(presentationDuration) !== -1,
+              'used the period duration as presentation duration');
+  });
+});
+
+QUnit.test('stitches periods onto consecutive timelines', function(assert) {
+  const master = mergePeriods(parsePeriods(testDataManifests['dash-multi-period']));
+  const playlist = master.playlists[0];
+
+  assert.equal(master.duration, 9, 'summed the period durations');
+  assert.deepEqual(master.periods, [
+    { id: 'content', start: 0, duration: 4, timeline: 0 },
+    { id: 'ad', start: 4, duration: 2, timeline: 1 },
+    { id: 'content-2', start: 6, duration: 3, timeline: 2 }
+  ], 'listed the periods');
+
+  assert.equal(master.playlists.length, 2, 'kept the playlists of the first period');
+  assert.equal(playlist.segments.length, 9, 'appended the segments of every period');
+  assert.deepEqual(playlist.discontinuityStarts, [4, 6], 'discontinuity at each period');
+  assert.equal(playlist.discontinuitySequence, 0, 'starts at the first timeline');
+  assert.deepEqual(playlist.segments.map((segment) => segment.timeline),
+                   [0, 0, 0, 0, 1, 1, 2, 2, 2],
+                   'placed each segment on the timeline of its period');
+  assert.deepEqual(playlist.segments.map((segment) => !!segment.discontinuity),
+                   [false, false, false, false, true, false, true, false, false],
+                   'marked the first segment of each later period');
+  assert.equal(playlist.segments[4].resolvedUri,
+               'http://example.com/main/ad/ad-720p-segment-0.mp4',
+               'used the closest representation of the ad period');
+  assert.equal(playlist.segments[6].resolvedUri,
+               'http://example.com/main/1080p-segment-4.mp4',
+               'used the same representation when it continues');
+  assert.deepEqual(playlist.segments.map((segment) => segment.codecs), [
+    'avc1.4d401f', 'avc1.4d401f', 'avc1.4d401f', 'avc1.4d401f',
+    'avc1.64001f', 'avc1.64001f',
+    'avc1.4d401f', 'avc1.4d401f', 'avc1.4d401f'
+  ], 'recorded the codecs of each period');
+  assert.strictEqual(master.playlists[1].segments[4].resolvedUri,
+                     playlist.segments[4].resolvedUri,
+                     'playlists may share a representation of a period');
+  assert.notStrictEqual(master.playlists[1].segments[4], playlist.segments[4],
+                        'but not its segments');
+
+  const audio = master.mediaGroups.AUDIO.audio['en (main)'].playlists[0];
+
+  assert.equal(audio.segments.length, 9, 'appended the audio of every period');
+  assert.deepEqual(audio.discontinuityStarts, [4, 6], 'audio discontinuities');
+  assert.equal(audio.segments[4].codecs, 'mp4a.40.5', 'recorded the audio codecs');
+});
+
+QUnit.test('ends playlists that do not continue into a period', function(assert) {
+  const periods = parsePeriods(testDataManifests['dash-multi-period']);
+
+  // the ad period has no audio
+  periods[1].master.mediaGroups.AUDIO = {};
+
+  const master = mergePeriods(periods);
+  const audio = master.mediaGroups.AUDIO.audio['en (main)'].playlists[0];
+
+  assert.equal(audio.segments.length, 4, 'audio ends with the first period');
+  assert.deepEqual(audio.discontinuityStarts, [], 'no discontinuities');
+  assert.equal(master.playlists[0].segments.length, 9, 'video continues');
+});
@@ -1,5 +1,10 @@
 import QUnit from 'qunit';
-import { default as DashPlaylistLoader, updateMaster } from '../src/dash-playlist-loader';
+import {
+  default as DashPlaylistLoader,
+  updateMaster,
+  alignMediaSequence
+} from '../src/dash-playlist-loader';
+import testDataManifests from './test-manifests.js';
 import xhrFactory from '../src/xhr';
 import {
   useFakeEnvironment,
@@ -233,6 +238,122 @@ function(assert) {
     'set reference by uri for easy access');
 });
 
+QUnit.test('parseMasterXml places the periods of an mpd on their own timelines',
+function(assert) {
+  let loader = new DashPlaylistLoader('dash-multi-period.mpd', this.fakeHls);
+
+  loader.load();
+
+  standardXHRResponse(this.requests.shift());
+
+  const playlist = loader.master.playlists[0];
+
+  assert.deepEqual(loader.master.periods.map((period) => period.timeline), [0, 1, 2],
+                   'listed the periods with their timelines');
+  assert.equal(playlist.uri, 'placeholder-uri-0', 'setup phony uri for media playlist');
+  assert.deepEqual(playlist.discontinuityStarts, [4, 6],
+                   'started a timeline for each period');
+  assert.equal(
+    loader.master.playlists['placeholder-uri-AUDIO-audio-en (main)'].segments.length,
+    9,
+    'stitched the audio playlist');
+});
+
+QUnit.test('periods keep their timelines when the mpd is refreshed', function(assert) {
+  let loader = new DashPlaylistLoader('dash-multi-period.mpd', this.fakeHls);
+
+  loader.load();
+
+  standardXHRResponse(this.requests.shift());
+
+  // the first period was removed and a new one added
+  loader.masterXml_ = loader.masterXml_
+    .replace('mediaPresentationDuration="PT9S"', 'mediaPresentationDuration="PT12S"')
+    .replace(/<Period id="content" [\s\S]*?<\/Period>/, '')
+    .replace('<Period id="ad"', '<Period id="ad" start="PT4S"')
+    .replace('<Period id="content-2">', '<Period id="content-2" duration="PT3S">')
+    .replace('</MPD>', '<Period id="next"><AdaptationSet mimeType="video/mp4">' +
+      '<Representation id="720p" bandwidth="2400000"><SegmentTemplate ' +
+      'media="$Number$.mp4" duration="10" timescale="10" /></Representation>' +
+      '</AdaptationSet></Period></MPD>');
+
+  const master = loader.parseMasterXml();
+
+  assert.deepEqual(master.periods.map((period) => [period.id, period.timeline]), [
+    ['ad', 1],
+    ['content-2', 2],
+    ['next', 3]
+  ], 'kept the timelines and placed the new period on the next one');
+  assert.equal(master.playlists[0].discontinuitySequence, 1,
+               'discontinuity sequence follows the first period');
+});
+
+QUnit.test('lists the EventStream events of each period with its timeline',
+function(assert) {
+  let loader = new DashPlaylistLoader('dash-multi-period.mpd', this.fakeHls);
+
+  loader.load();
+
+  standardXHRResponse(this.requests.shift());
+
+  assert.notOk(loader.master.events, 'no events');
+
+  loader.masterXml_ = loader.masterXml_.replace(
+    '<Period id="ad" duration="PT2S">',
+    '<Period id="ad" duration="PT2S"><EventStream schemeIdUri="urn:example" ' +
+    'timescale="10"><Event presentationTime="5" duration="10" id="1"/></EventStream>');
+
+  const master = loader.parseMasterXml();
+
+  assert.deepEqual(master.events, [{
+    schemeIdUri: 'urn:example',
+    value: null,
+    id: '1',
+    messageData: '',
+    startTime: 0.5,
+    endTime: 1.5,
+    timeline: 1
+  }], 'listed the event on the timeline of the ad period');
+
+  loader.master = updateMaster(loader.master, master);
+  assert.strictEqual(loader.master.events, master.events, 'added the events');
+
+  loader.master = updateMaster(loader.master, loader.parseMasterXml());
+  assert.deepEqual(loader.master.events, master.events, 'kept the events');
+
+  loader.masterXml_ = loader.masterXml_.replace(/<EventStream[\s\S]*<\/EventStream>/, '');
+  loader.master = updateMaster(loader.master, loader.parseMasterXml());
+  assert.notOk(loader.master.events, 'removed the events');
+});
+
+QUnit.test('parses the playlists of the default service location only',
+function(assert) {
+  let loader = new DashPlaylistLoader('dash-multi-period.mpd', this.fakeHls);
+
+  loader.load();
+
+  standardXHRResponse(this.requests.shift());
+
+  const playlistCount = loader.master.playlists.length;
+
+  assert.notOk(loader.master.contentSteering, 'no content steering');
+
+  loader.masterXml_ = loader.masterXml_.replace(
+    '<BaseURL>main/</BaseURL>',
+    '<BaseURL serviceLocation="a">https://a.example.com/main/</BaseURL>' +
+    '<BaseURL serviceLocation="b">https://b.example.com/main/</BaseURL>' +
+    '<ContentSteering defaultServiceLocation="b">steering.json</ContentSteering>');
+
+  const master = loader.parseMasterXml();
+
+  assert.equal(master.contentSteering.defaultPathway, 'b', 'parsed the steering');
+  assert.deepEqual(master.contentSteering.pathways, ['a', 'b'], 'listed the pathways');
+  assert.equal(master.playlists.length, playlistCount,
+               'did not add playlists for the other service location');
+  assert.equal(master.playlists[0].segments[0].resolvedUri.indexOf(
+    'https://b.example.com/main/'), 0, 'resolved segments on the default location');
+});
+
 QUnit.test('updateMaster updates playlists and mediaGroups', function(assert) {
   const master = {
     duration: 10,
@@ -397,3 +518,160 @@ QUnit.test('media playlists "refresh" by re-parsing master xml', function(assert
 
   assert.equal(refreshes, 1, 'refreshed playlist after last segment duration');
 });
+
+QUnit.test('aligns the media sequence of refreshed playlists by segment uri',
+function(assert) {
+  const playlist = (mediaSequence, times) => {
+    return {
+      mediaSequence,
+      segments: times.map((time) => {
+        return { resolvedUri: `${time}.mp4`, duration: 2 };
+      })
+    };
+  };
+  let refreshed = playlist(1, [12, 14, 16]);
+
+  alignMediaSequence(playlist(5, [10, 12, 14]), refreshed);
+  assert.equal(refreshed.mediaSequence, 6, 'matched the first segment');
+
+  refreshed = playlist(1, [10, 12, 14, 16]);
+  alignMediaSequence(playlist(5, [10, 12, 14]), refreshed);
+  assert.equal(refreshed.mediaSequence, 5, 'kept the media sequence of a longer window');
+
+  refreshed = playlist(1, [20, 22]);
+  alignMediaSequence(playlist(5, [10, 12, 14]), refreshed);
+  assert.equal(refreshed.mediaSequence, 8, 'continued after the old playlist');
+
+  refreshed = playlist(6, [10, 12]);
+  alignMediaSequence(playlist(5, [10, 12, 14]), refreshed);
+  assert.equal(refreshed.mediaSequence, 6, 'trusted a media sequence moving forward');
+
+  refreshed = playlist(1, [12]);
+  alignMediaSequence(null, refreshed);
+  assert.equal(refreshed.mediaSequence, 1, 'no playlist to align with');
+});
+
+QUnit.test('updateMaster preserves segment timing of renumbered segments',
+function(assert) {
+  const master = (times) => {
+    const playlist = {
+      uri: 'placeholder-uri-0',
+      resolvedUri: urlTo('dash-live-timeline.mpd'),
+      mediaSequence: 1,
+      attributes: {},
+      segments: times.map((time) => {
+        return { uri: `${time}.mp4`, resolvedUri: urlTo(`${time}.mp4`), duration: 2 };
+      })
+    };
+    const result = {
+      mediaGroups: { AUDIO: {}, SUBTITLES: {} },
+      playlists: [playlist]
+    };
+
+    result.playlists[playlist.uri] = playlist;
+    return result;
+  };
+  const oldMaster = master([10, 12, 14]);
+
+  oldMaster.playlists[0].segments[1].start = 2;
+  oldMaster.playlists[0].segments[1].end = 4;
+
+  const update = updateMaster(oldMaster, master([12, 14, 16]));
+  const playlist = update.playlists[0];
+
+  assert.equal(playlist.mediaSequence, 2, 'moved the media sequence forward');
+  assert.equal(playlist.segments.length, 3, 'kept the refreshed segments');
+  assert.equal(playlist.segments[0].start, 2, 'preserved the segment start');
+  assert.equal(playlist.segments[0].end, 4, 'preserved the segment end');
+  assert.strictEqual(update.playlists['placeholder-uri-0'], playlist,
+                     'updated the uri reference');
+});
+
+QUnit.test('refreshes a dynamic mpd every segment when minimumUpdatePeriod is 0',
+function(assert) {
+  let loader = new DashPlaylistLoader('dash-live-timeline.mpd', this.fakeHls);
+  let minimumUpdatePeriods = 0;
+
+  loader.on('minimumUpdatePeriod', () => minimumUpdatePeriods++);
+  loader.load();
+
+  standardXHRResponse(this.requests.shift());
+
+  this.clock.tick(1999);
+  assert.equal(minimumUpdatePeriods, 0, 'no refresh before the segment duration');
+
+  this.clock.tick(1);
+  assert.equal(minimumUpdatePeriods, 1, 'refreshed after the last segment duration');
+  assert.equal(this.requests[0].uri, 'dash-live-timeline.mpd', 'requested the mpd');
+
+  standardXHRResponse(
+    this.requests.shift(),
+    testDataManifests['dash-live-timeline'].replace('t="10000"', 't="12000"'));
+
+  const playlist = loader.master.playlists[0];
+
+  assert.equal(playlist.mediaSequence, 2, 'slid the window forward');
+  assert.equal(playlist.segments[2].uri, '720p-16000.mp4', 'added the new segment');
+
+  this.clock.tick(2000);
+  assert.equal(minimumUpdatePeriods, 2, 'refreshed again');
+});
+
+QUnit.test('refreshes a dynamic mpd once the deferred media playlist is selected',
+function(assert) {
+  let loader = new DashPlaylistLoader('dash-live-timeline.mpd', this.fakeHls);
+  let minimumUpdatePeriods = 0;
+
+  loader.on('minimumUpdatePeriod', () => minimumUpdatePeriods++);
+  loader.deferMediaSelection();
+  loader.load();
+
+  standardXHRResponse(this.requests.shift());
+
+  this.clock.tick(2000);
+  assert.equal(minimumUpdatePeriods, 0, 'no refresh without a media playlist');
+  assert.notOk(loader.media(), 'no media playlist was selected');
+
+  loader.media(loader.master.playlists[0]);
+  this.clock.tick(1999);
+  assert.equal(minimumUpdatePeriods, 0, 'no refresh before the segment duration');
+
+  this.clock.tick(1);
+  assert.equal(minimumUpdatePeriods, 1, 'refreshed after the last segment duration');
+  assert.equal(this.requests[0].uri, 'dash-live-timeline.mpd', 'requested the mpd');
+});
+
+QUnit.test('does not refresh a static mpd without a minimumUpdatePeriod',
+function(assert) {
+  let loader = new DashPlaylistLoader('dash.mpd', this.fakeHls);
+  let minimumUpdatePeriods = 0;
+
+  loader.on('minimumUpdatePeriod', () => minimumUpdatePeriods++);
+  loader.load();
+
+  standardXHRResponse(this.requests.shift());
+
+  this.clock.tick(60 * 1000);
+  assert.equal(minimumUpdatePeriods, 0, 'did not refresh');
+  assert.equal(this.requests.length, 0, 'made no requests');
+});
+
+QUnit.test('syncs the client clock again when the mpd is refreshed', function(assert) {
+  let loader = new DashPlaylistLoader('dash-live.mpd', this.fakeHls);
+
+  loader.load();
+
+  this.requests.shift().respond(200, {
+    Date: new Date(10 * 1000).toUTCString()
+  }, testDataManifests['dash-live']);
+
+  assert.equal(loader.clientOffset_, 10 * 1000, 'synced to the server clock');
+
+  this.clock.tick(4 * 1000);
+
+  this.requests.shift().respond(200, {
+    Date: new Date(20 * 1000).toUTCString()
+  }, testDataManifests['dash-live']);
+
+  assert.equal(loader.clientOffset_, 16 * 1000, 'synced to the server clock again');
+});
@@ -0,0 +1,226 @@
+import videojs from 'video.js';
+import QUnit from 'qunit';
+import document from 'global/document';
+import { useFakeEnvironment, useFakePlayer, MockTextTrack } from './test-helpers.js';
+import DroppedFramesMonitor from '../src/dropped-frames-monitor';
+import Config from '../src/config';
+/* eslint-disable no-unused-vars */
+// we need this so that it can register hls with videojs
+import { Hls } from '../src/videojs-http-streaming';
+/* eslint-enable no-unused-vars */
+
+const MASTER_PLAYLIST =
+  '#EXTM3U\n' +
+  '#EXT-X-STREAM-INF:BANDWIDTH=1000000\n' +
+  'low.m3u8\n' +
+  '#EXT-X-STREAM-INF:BANDWIDTH=2000000\n' +
+  'high.m3u8\n';
+
+const MEDIA_PLAYLIST =
+  '#EXTM3U\n' +
+  '#EXT-X-TARGETDURATION:4\n' +
+  '#EXTINF:4,\n' +
+  '0.ts\n' +
+  '#EXTINF:4,\n' +
+  '1.ts\n' +
+  '#EXT-X-ENDLIST\n';
+
+const createTech = () => {
+  const tech = new videojs.EventTarget();
+
+  tech.currentTime_ = 0;
+  tech.quality_ = { droppedVideoFrames: 0, totalVideoFrames: 0 };
+  tech.currentTime = () => tech.currentTime_;
+  tech.getVideoPlaybackQuality = () => tech.quality_;
+
+  return tech;
+};
+
+const playlist = (uri, bandwidth) => {
+  return { uri, attributes: { BANDWIDTH: bandwidth } };
+};
+
+QUnit.module('DroppedFramesMonitor', {
+  beforeEach(assert) {
+    this.env = useFakeEnvironment(assert);
+    this.clock = this.env.clock;
+    this.tech = createTech();
+    this.track = new MockTextTrack();
+    this.master = {
+      playlists: [
+        playlist('low.m3u8', 1e6),
+        playlist('mid.m3u8', 2e6),
+        playlist('high.m3u8', 4e6)
+      ]
+    };
+    this.master.playlists.forEach((media) => {
+      this.master.playlists[media.uri] = media;
+    });
+    this.excludes = 0;
+    this.usageEvents = [];
+    this.excludedEvents = [];
+
+    this.tech.on('usage', (event) => this.usageEvents.push(event.name));
+    this.tech.on('renditionexcluded', (event) => this.excludedEvents.push(event));
+
+    this.monitor = new DroppedFramesMonitor({
+      tech: this.tech,
+      master: () => this.master,
+      segmentMetadataTrack: this.track,
+      onExclude: () => this.excludes++
+    });
+
+    // renders a second of playback of a playlist
+    this.render = (uri, totalFrames, droppedFrames) => {
+      this.track.cues = [{
+        startTime: this.tech.currentTime_,
+        endTime: this.tech.currentTime_ + 1,
+        value: { playlist: uri }
+      }];
+      this.tech.quality_ = {
+        totalVideoFrames: this.tech.quality_.totalVideoFrames + totalFrames,
+        droppedVideoFrames: this.tech.quality_.droppedVideoFrames + droppedFrames
+      };
+      this.clock.tick(1000);
+      this.tech.currentTime_ += 1;
+    };
+  },
+  afterEach() {
+    this.monitor.dispose();
+    this.env.restore();
+  }
+});
+
+QUnit.test('tracks the frames dropped by each rendition', function(assert) {
+  this.tech.trigger('playing');
+  this.render('high.m3u8', 30, 3);
+  this.render('mid.m3u8', 30, 0);
+
+  assert.deepEqual(this.monitor.stats, {
+    'high.m3u8': { droppedFrames: 3, totalFrames: 30 },
+    'mid.m3u8': { droppedFrames: 0, totalFrames: 30 }
+  }, 'attributed the frames to the rendered renditions');
+
+  this.tech.trigger('pause');
+  this.tech.quality_.totalVideoFrames += 100;
+  this.tech.trigger('playing');
+  this.render('mid.m3u8', 30, 0);
+
+  assert.deepEqual(this.monitor.stats['mid.m3u8'],
+                   { droppedFrames: 0, totalFrames: 60 },
+                   'did not attribute frames rendered while not monitoring');
+});
+
+QUnit.test('does not count frames while the page is hidden', function(assert) {
+  this.tech.trigger('playing');
+  this.render('high.m3u8', 30, 0);
+
+  Object.defineProperty(document, 'hidden', { configurable: true, value: true });
+  this.render('high.m3u8', 30, 30);
+  delete document.hidden;
+  this.render('high.m3u8', 30, 30);
+  this.render('high.m3u8', 30, 0);
+
+  assert.deepEqual(this.monitor.stats['high.m3u8'],
+                   { droppedFrames: 0, totalFrames: 60 },
+                   'did not attribute frames rendered while hidden');
+});
+
+QUnit.test('excludes renditions that drop too many frames', function(assert) {
+  const framesPerSecond = Config.DROPPED_FRAMES_MIN_FRAMES / 5;
+
+  this.tech.trigger('playing');
+
+  for (let i = 0; i < 5; i++) {
+    this.render('high.m3u8', framesPerSecond, framesPerSecond / 10);
+  }
+
+  assert.equal(this.excludes, 0, 'a few dropped frames are tolerated');
+  assert.deepEqual(this.monitor.stats['high.m3u8'],
+                   { droppedFrames: 0, totalFrames: 0 },
+                   'started a new window');
+
+  for (let i = 0; i < 5; i++) {
+    this.render('mid.m3u8', framesPerSecond, framesPerSecond / 2);
+  }
+
+  assert.equal(this.excludes, 1, 'excluded the rendition');
+  assert.ok(this.master.playlists[1].excludeUntil > Date.now(), 'excluded mid');
+  assert.ok(this.master.playlists[2].excludeUntil > Date.now(), 'excluded higher');
+  assert.notOk(this.master.playlists[0].excludeUntil, 'kept the lower rendition');
+  assert.equal(this.excludedEvents.length, 1, 'triggered renditionexcluded');
+  assert.equal(this.excludedEvents[0].reason, 'dropped-frames', 'gave the reason');
+  assert.deepEqual(this.excludedEvents[0].playlists,
+                   [this.master.playlists[1], this.master.playlists[2]],
+                   'listed the excluded renditions');
+  assert.equal(this.excludedEvents[0].droppedFrames, framesPerSecond * 5 / 2,
+               'reported the dropped frames');
+  assert.deepEqual(this.usageEvents, ['hls-dropped-frames-exclude'],
+                   'triggered the usage event');
+
+  this.clock.tick(Config.DROPPED_FRAMES_EXCLUDE_DURATION * 1000);
+  assert.ok(this.master.playlists[1].excludeUntil <= Date.now(),
+            'the exclusion is temporary');
+});
+
+QUnit.test('never excludes the lowest enabled rendition', function(assert) {
+  this.tech.trigger('playing');
+
+  for (let i = 0; i < 5; i++) {
+    this.render('low.m3u8', Config.DROPPED_FRAMES_MIN_FRAMES / 5,
+                Config.DROPPED_FRAMES_MIN_FRAMES / 5);
+  }
+
+  assert.equal(this.excludes, 0, 'did not exclude');
+  assert.notOk(this.master.playlists[0].excludeUntil, 'lowest rendition is enabled');
+});
+
+QUnit.module('DroppedFramesMonitor - player', {
+  beforeEach(assert) {
+    Object.assign(this, useFakePlayer(assert, {
+      src: 'master.m3u8',
+      type: 'application/vnd.apple.mpegurl'
+    }, { excludeOnDroppedFrames: true }));
+    this.requests.shift().respond(200, null, MASTER_PLAYLIST);
+    this.requests.shift().respond(200, null, MEDIA_PLAYLIST);
+    this.clock.tick(1);
+    this.requests.length = 0;
+  },
+  afterEach() {
+    this.restore();
+  }
+});
+
+QUnit.test('switches away from a rendition that drops too many frames',
+function(assert) {
+  const media = this.hls.playlists.media();
+  const framesPerSecond = Config.DROPPED_FRAMES_MIN_FRAMES / 5;
+  const excludedEvents = [];
+  let quality = { droppedVideoFrames: 0, totalVideoFrames: 0 };
+
+  assert.equal(media.uri, 'high.m3u8', 'plays the high rendition');
+
+  this.tech.on('renditionexcluded', (event) => excludedEvents.push(event));
+  this.tech.getVideoPlaybackQuality = () => quality;
+  this.hls.masterPlaylistController_.segmentMetadataTrack_.addCue({
+    startTime: 0,
+    endTime: 8,
+    value: { playlist: media.uri }
+  });
+
+  this.tech.trigger('playing');
+  for (let i = 0; i < 5; i++) {
+    quality = {
+      droppedVideoFrames: quality.droppedVideoFrames + framesPerSecond / 2,
+      totalVideoFrames: quality.totalVideoFrames + framesPerSecond
+    };
+    this.clock.tick(1000);
+  }
+
+  assert.equal(excludedEvents.length, 1, 'excluded the rendition');
+  assert.deepEqual(excludedEvents[0].playlists, [media], 'only the high rendition');
+  assert.ok(media.excludeUntil > Date.now(), 'excluded it for a while');
+  assert.equal(this.requests.length, 1, 'switched renditions');
+  assert.equal(this.requests[0].url, 'http://localhost/low.m3u8',
+               'requested the low rendition');
+});
@@ -0,0 +1,144 @@
+import QUnit from 'qunit';
+import window from 'global/window';
+import fetchLoader, { FetchRequest } from '../src/fetch-loader';
+
+class FakeAbortController {
+  constructor() {
+    this.signal = { aborted: false, onabort: null };
+  }
+
+  abort() {
+    this.signal.aborted = true;
+    if (this.signal.onabort) {
+      this.signal.onabort();
+    }
+  }
+}
+
+const fakeResponse = (status, chunks) => {
+  let read = 0;
+
+  return {
+    status,
+    url: 'https://example.com/redirected.ts',
+    headers: {
+      get: (name) => name === 'content-length' ? '6' : null,
+      forEach(fn) {
+        fn('6', 'Content-Length');
+      }
+    },
+    body: {
+      getReader: () => ({
+        read() {
+          if (read < chunks.length) {
+            return Promise.resolve({ done: false, value: chunks[read++] });
+          }
+          return Promise.resolve({ done: true });
+        },
+        cancel() {}
+      })
+    },
+    text: () => Promise.resolve('#EXTM3U')
+  };
+};
+
+QUnit.module('fetch loader', {
+  beforeEach() {
+    this.fetch = window.fetch;
+    this.AbortController = window.AbortController;
+    this.fetches = [];
+
+    window.AbortController = FakeAbortController;
+    window.fetch = (uri, init) => new Promise((resolve, reject) => {
+      init.signal.onabort = () => reject(new Error('aborted'));
+      this.fetches.push({ uri, init, resolve });
+    });
+  },
+  afterEach() {
+    window.fetch = this.fetch;
+    window.AbortController = this.AbortController;
+  }
+});
+
+QUnit.test('reads array buffers from the response stream', function(assert) {
+  const done = assert.async();
+  const progress = [];
+  const request = fetchLoader({
+    uri: 'https://example.com/segment.ts',
+    responseType: 'arraybuffer',
+    headers: { Range: 'bytes=0-5' },
+    withCredentials: true
+  }, (error, response) => {
+    assert.strictEqual(error, null, 'no error');
+    assert.equal(response.statusCode, 206, 'passed the status code');
+    assert.deepEqual(response.headers, { 'content-length': '6' },
+                     'passed the headers');
+    assert.deepEqual(Array.prototype.slice.call(new Uint8Array(request.response)),
+                     [0, 1, 2, 3, 4, 5],
+                     'concatenated the chunks');
+    assert.equal(request.status, 206, 'set the status');
+    assert.equal(request.url, 'https://example.com/redirected.ts', 'set the URL');
+    assert.deepEqual(progress, [3, 6], 'triggered progress events');
+    done();
+  });
+
+  assert.ok(request instanceof FetchRequest, 'returned a request');
+  request.addEventListener('progress', (event) => {
+    assert.strictEqual(event.target, request, 'targets the request');
+    progress.push(event.loaded);
+  });
+
+  assert.equal(this.fetches.length, 1, 'made a request');
+  assert.equal(this.fetches[0].uri, 'https://example.com/segment.ts',
+               'requested the URI');
+  assert.equal(this.fetches[0].init.headers.Range, 'bytes=0-5', 'passed the headers');
+  assert.equal(this.fetches[0].init.credentials, 'include', 'sent credentials');
+
+  this.fetches[0].resolve(fakeResponse(206, [
+    new Uint8Array([0, 1, 2]),
+    new Uint8Array([3, 4, 5])
+  ]));
+});
+
+QUnit.test('reads text responses', function(assert) {
+  const done = assert.async();
+  const request = fetchLoader({ uri: 'media.m3u8' }, (error, response) => {
+    assert.strictEqual(error, null, 'no error');
+    assert.equal(request.responseText, '#EXTM3U', 'set the response text');
+    assert.equal(response.body, '#EXTM3U', 'passed the body');
+    done();
+  });
+
+  this.fetches[0].resolve(fakeResponse(200, []));
+});
+
+QUnit.test('does not call back when aborted', function(assert) {
+  const done = assert.async();
+  let callbacks = 0;
+  const request = fetchLoader({ uri: 'segment.ts' }, () => callbacks++);
+
+  request.abort();
+  assert.ok(this.fetches[0].init.signal.aborted, 'aborted the fetch');
+
+  window.setTimeout(() => {
+    assert.equal(callbacks, 0, 'did not call back');
+    done();
+  }, 1);
+});
+
+QUnit.test('times out and reuses the request of a retry', function(assert) {
+  const done = assert.async();
+  const request = fetchLoader({ uri: 'segment.ts', timeout: 1 }, (error) => {
+    assert.equal(error.code, 'ETIMEDOUT', 'timed out');
+    assert.ok(this.fetches[0].init.signal.aborted, 'aborted the fetch');
+
+    const retry = fetchLoader({ uri: 'segment.ts', xhr: request }, (err) => {
+      assert.strictEqual(err, null, 'no error');
+      assert.equal(request.status, 200, 'updated the request');
+      done();
+    });
+
+    assert.strictEqual(retry, request, 'reused the request');
+    this.fetches[1].resolve(fakeResponse(200, []));
+  });
+});
@@ -0,0 +1,412 @@
+import document from 'global/document';
+import window from 'global/window';
+import videojs from 'video.js';
+import QUnit from 'qunit';
+import InterstitialController, {
+  interstitialSchedule,
+  parseAssetList
+} from '../src/interstitials';
+import { parseManifest } from '../src/manifest';
+import xhrFactory from '../src/xhr';
+import { useFakeEnvironment, useFakePlayer } from './test-helpers';
+/* eslint-disable no-unused-vars */
+// we need this so that it can register hls with videojs
+import { Hls } from '../src/videojs-http-streaming';
+/* eslint-enable no-unused-vars */
+
+const PLAYLIST =
+  '#EXTM3U\n' +
+  '#EXT-X-TARGETDURATION:10\n' +
+  '#EXT-X-PROGRAM-DATE-TIME:2018-01-01T00:00:00.000Z\n' +
+  '#EXT-X-DATERANGE:ID="preroll",CLASS="com.apple.hls.interstitial",' +
+    'START-DATE="2018-01-01T00:00:00.000Z",X-ASSET-URI="ads/preroll.m3u8"\n' +
+  '#EXT-X-DATERANGE:ID="midroll",CLASS="com.apple.hls.interstitial",' +
+    'START-DATE="2018-01-01T00:00:20.000Z",DURATION=15,' +
+    'X-ASSET-LIST="https://ads.example.com/list.json",' +
+    'X-RESTRICT="SKIP,JUMP",X-SNAP="OUT",X-PLAYOUT-LIMIT=30\n' +
+  '#EXT-X-DATERANGE:ID="chapter",CLASS="com.example.chapter",' +
+    'START-DATE="2018-01-01T00:00:10.000Z"\n' +
+  '#EXTINF:10,\n' +
+  '0.ts\n' +
+  '#EXTINF:10,\n' +
+  '1.ts\n' +
+  '#EXTINF:10,\n' +
+  '2.ts\n' +
+  '#EXT-X-ENDLIST\n';
+
+const PRIMARY_PLAYLIST =
+  '#EXTM3U\n' +
+  '#EXT-X-TARGETDURATION:4\n' +
+  '#EXT-X-PROGRAM-DATE-TIME:2018-01-01T00:00:00.000Z\n' +
+  '#EXT-X-DATERANGE:ID="midroll",CLASS="com.apple.hls.interstitial",' +
+    'START-DATE="2018-01-01T00:00:08.000Z",X-ASSET-URI="ad.m3u8",X-RESTRICT="SKIP"\n' +
+  '#EXTINF:4,\n' +
+  '0.ts\n' +
+  '#EXTINF:4,\n' +
+  '1.ts\n' +
+  '#EXTINF:4,\n' +
+  '2.ts\n' +
+  '#EXTINF:4,\n' +
+  '3.ts\n' +
+  '#EXT-X-ENDLIST\n';
+
+const AD_PLAYLIST =
+  '#EXTM3U\n' +
+  '#EXT-X-TARGETDURATION:4\n' +
+  '#EXTINF:4,\n' +
+  'ad-0.ts\n' +
+  '#EXTINF:4,\n' +
+  'ad-1.ts\n' +
+  '#EXT-X-ENDLIST\n';
+
+const parsePlaylist = () => {
+  const media = parseManifest(PLAYLIST);
+
+  media.resolvedUri = 'https://example.com/media.m3u8';
+  return media;
+};
+
+const createTech = () => {
+  const tech = new videojs.EventTarget();
+  const el = document.createElement('video');
+
+  tech.currentTime_ = 0;
+  tech.paused_ = true;
+  tech.seeks = [];
+  tech.sources = [];
+  tech.el = () => el;
+  tech.seeking = () => false;
+  tech.currentTime = () => tech.currentTime_;
+  tech.play = () => {
+    tech.paused_ = false;
+  };
+  tech.setCurrentTime = (time) => {
+    tech.currentTime_ = time;
+    tech.seeks.push(time);
+  };
+
+  return tech;
+};
+
+const createMasterPlaylistController = (uri) => {
+  const mpc = new videojs.EventTarget();
+
+  mpc.uri = uri;
+  mpc.mediaSource = { uri };
+  mpc.disposed = false;
+  mpc.paused = false;
+  mpc.loads = 0;
+  mpc.masterPlaylistLoader_ = new videojs.EventTarget();
+  mpc.masterPlaylistLoader_.media_ = null;
+  mpc.masterPlaylistLoader_.media = () => mpc.masterPlaylistLoader_.media_;
+  mpc.mainSegmentLoader_ = { bandwidth: 1000 };
+  mpc.syncController_ = {
+    datetimeToDisplayTime: null,
+    setDateTimeMapping(media) {
+      this.datetimeToDisplayTime = -media.segments[0].dateTimeObject.getTime() / 1000;
+    }
+  };
+  mpc.seekable = () => videojs.createTimeRanges([[0, 30]]);
+  mpc.pauseLoading = () => {
+    mpc.paused = true;
+  };
+  mpc.load = () => {
+    mpc.paused = false;
+    mpc.loads++;
+  };
+  mpc.resetMediaSource = () => {
+    mpc.mediaSource = { uri: mpc.uri, reset: true };
+    return mpc.mediaSource;
+  };
+  mpc.setupFirstPlay = () => {};
+  mpc.dispose = () => {
+    mpc.disposed = true;
+  };
+
+  return mpc;
+};
+
+QUnit.module('Interstitials', {
+  beforeEach(assert) {
+    this.env = useFakeEnvironment(assert);
+    this.requests = this.env.requests;
+    this.tech = createTech();
+    this.mpc = createMasterPlaylistController('https://example.com/master.m3u8');
+    this.assets = [];
+    this.controller = new InterstitialController({
+      tech: this.tech,
+      hls: { xhr: xhrFactory() },
+      withCredentials: false,
+      masterPlaylistController: this.mpc,
+      createMasterPlaylistController: (uri) => {
+        const mpc = createMasterPlaylistController(uri);
+
+        this.assets.push(mpc);
+        return mpc;
+      },
+      attachMediaSource: (mediaSource) => this.tech.sources.push(mediaSource)
+    });
+    this.events = [];
+    this.tech.on([
+      'interstitialschedulechange',
+      'interstitialstart',
+      'interstitialassetstart',
+      'interstitialend',
+      'interstitialerror'
+    ], (event) => this.events.push(event));
+
+    this.mpc.masterPlaylistLoader_.media_ = parsePlaylist();
+    this.mpc.masterPlaylistLoader_.trigger('loadedplaylist');
+  },
+  afterEach() {
+    this.controller.dispose();
+    this.env.restore();
+  }
+});
+
+QUnit.test('lists the interstitials of a playlist in player time', function(assert) {
+  const schedule = interstitialSchedule(parsePlaylist(), -1514764800);
+
+  assert.equal(schedule.length, 2, 'listed the interstitials only');
+  assert.equal(schedule[0].id, 'preroll', 'listed the preroll first');
+  assert.equal(schedule[0].startTime, 0, 'the preroll starts at 0');
+  assert.equal(schedule[0].assetUri, 'https://example.com/ads/preroll.m3u8',
+               'resolved the asset URI');
+  assert.strictEqual(schedule[0].resumeOffset, null, 'no resume offset');
+  assert.strictEqual(schedule[0].playoutLimit, null, 'no playout limit');
+  assert.deepEqual(schedule[0].restrict, { skip: false, jump: false },
+                   'no restrictions');
+
+  assert.equal(schedule[1].startTime, 20, 'the midroll starts at 20');
+  assert.equal(schedule[1].assetListUri, 'https://ads.example.com/list.json',
+               'read the asset list URI');
+  assert.equal(schedule[1].resumeOffset, 15, 'resumes after the duration');
+  assert.equal(schedule[1].playoutLimit, 30, 'read the playout limit');
+  assert.deepEqual(schedule[1].restrict, { skip: true, jump: true },
+                   'read the restrictions');
+
+  assert.deepEqual(interstitialSchedule(parsePlaylist()), [],
+                   'nothing without a program date time mapping');
+});
+
+QUnit.test('parses asset lists', function(assert) {
+  assert.deepEqual(parseAssetList(JSON.stringify({
+    ASSETS: [
+      { URI: 'ad-1.m3u8', DURATION: 15 },
+      { URI: 'https://cdn.example.com/ad-2.m3u8' },
+      { DURATION: 5 }
+    ]
+  }), 'https://ads.example.com/list.json'), [
+    { uri: 'https://ads.example.com/ad-1.m3u8', duration: 15 },
+    { uri: 'https://cdn.example.com/ad-2.m3u8', duration: null }
+  ], 'parsed the assets with a URI');
+  assert.strictEqual(parseAssetList('{', 'list.json'), null, 'invalid JSON');
+  assert.strictEqual(parseAssetList('{}', 'list.json'), null, 'no assets');
+});
+
+QUnit.test('triggers schedule changes', function(assert) {
+  assert.equal(this.events.length, 1, 'triggered a schedule change');
+  assert.equal(this.events[0].schedule.length, 2, 'with the schedule');
+  assert.equal(this.controller.schedule().length, 2, 'the schedule is available');
+
+  this.mpc.masterPlaylistLoader_.trigger('loadedplaylist');
+  assert.equal(this.events.length, 1, 'no change for the same schedule');
+});
+
+QUnit.test('plays an interstitial and resumes the primary source', function(assert) {
+  this.tech.trigger('play');
+
+  assert.ok(this.mpc.paused, 'paused loading the primary source');
+  assert.equal(this.assets.length, 1, 'created a controller for the asset');
+  assert.equal(this.assets[0].uri, 'https://example.com/ads/preroll.m3u8',
+               'for the asset URI');
+  assert.strictEqual(this.controller.activeMasterPlaylistController(), this.assets[0],
+                     'the asset is active');
+  assert.deepEqual(this.tech.sources, [this.assets[0].mediaSource],
+                   'attached the asset');
+  assert.notOk(this.tech.paused_, 'plays the asset');
+  assert.deepEqual(this.events.slice(1).map((event) => event.type),
+                   ['interstitialstart', 'interstitialassetstart'],
+                   'triggered the start events');
+  assert.equal(this.events[1].interstitial.id, 'preroll', 'for the preroll');
+  assert.ok(this.controller.schedule()[0].played, 'the preroll was played');
+
+  const ended = [];
+
+  this.tech.el().addEventListener('ended', () => ended.push('ended'));
+  this.tech.currentTime_ = 10;
+  this.tech.el().dispatchEvent(new window.Event('ended'));
+
+  assert.deepEqual(ended, [], 'the end of the asset is not seen');
+  assert.ok(this.assets[0].disposed, 'disposed of the asset');
+  assert.strictEqual(this.controller.activeMasterPlaylistController(), this.mpc,
+                     'the primary source is active');
+  assert.ok(this.tech.sources[1].reset, 'attached a new primary media source');
+  assert.notOk(this.mpc.paused, 'loads the primary source');
+  assert.equal(this.events[3].type, 'interstitialend', 'triggered the end');
+  assert.equal(this.events[3].resumeTime, 0, 'resumes VOD where it started');
+
+  this.tech.trigger('loadedmetadata');
+  assert.deepEqual(this.tech.seeks, [0], 'seeked to the resume time');
+
+  this.tech.trigger('timeupdate');
+  assert.equal(this.assets.length, 1, 'played the preroll once');
+});
+
+QUnit.test('plays the assets of an asset list in turn', function(assert) {
+  this.controller.played_.preroll = true;
+  this.tech.currentTime_ = 20.25;
+  this.tech.trigger('timeupdate');
+
+  assert.equal(this.requests.length, 1, 'requested the asset list');
+  this.requests.shift().respond(200, null, JSON.stringify({
+    ASSETS: [{ URI: 'ad-1.m3u8' }, { URI: 'ad-2.m3u8' }]
+  }));
+
+  assert.equal(this.assets[0].uri, 'https://ads.example.com/ad-1.m3u8',
+               'plays the first asset');
+
+  this.tech.currentTime_ = 10;
+  this.tech.el().dispatchEvent(new window.Event('ended'));
+  assert.ok(this.assets[0].disposed, 'disposed of the first asset');
+  assert.equal(this.assets[1].uri, 'https://ads.example.com/ad-2.m3u8',
+               'plays the second asset');
+
+  this.tech.currentTime_ = 20;
+  this.tech.trigger('timeupdate');
+  assert.ok(this.assets[1].disposed, 'ended at the playout limit');
+
+  const end = this.events.filter((event) => event.type === 'interstitialend')[0];
+
+  assert.equal(end.resumeTime, 35, 'resumes after the duration of the date range');
+});
+
+QUnit.test('plays an interstitial jumped over before the seek target', function(assert) {
+  this.controller.played_.preroll = true;
+  this.tech.currentTime_ = 5;
+  this.tech.trigger('timeupdate');
+  this.tech.currentTime_ = 28;
+  this.tech.trigger('seeking');
+
+  assert.equal(this.requests.length, 1, 'started the midroll');
+  this.requests.shift().respond(404, null, '');
+
+  assert.equal(this.env.log.warn.callCount, 1, 'warned about the asset list');
+  this.env.log.warn.reset();
+
+  const types = this.events.map((event) => event.type);
+
+  assert.deepEqual(types.slice(1),
+                   ['interstitialstart', 'interstitialerror', 'interstitialend'],
+                   'the interstitial failed');
+  assert.equal(this.events[3].resumeTime, 28, 'resumes at the seek target');
+});
+
+QUnit.test('undoes seeks forward in an interstitial that may not be skipped',
+function(assert) {
+  this.controller.played_.preroll = true;
+  this.tech.currentTime_ = 20.25;
+  this.tech.trigger('timeupdate');
+  this.requests.shift().respond(200, null, JSON.stringify({
+    ASSETS: [{ URI: 'ad-1.m3u8' }]
+  }));
+
+  this.tech.currentTime_ = 4;
+  this.tech.trigger('timeupdate');
+  this.tech.currentTime_ = 2;
+  this.tech.trigger('seeking');
+  assert.deepEqual(this.tech.seeks, [], 'seeks back are allowed');
+
+  this.tech.currentTime_ = 12;
+  this.tech.trigger('seeking');
+  assert.deepEqual(this.tech.seeks, [4], 'seeked back to where the asset was');
+  this.tech.trigger('seeking');
+  assert.deepEqual(this.tech.seeks, [4], 'the seek back is allowed');
+});
+
+QUnit.module('Interstitials - player', {
+  beforeEach(assert) {
+    Object.assign(this, useFakePlayer(assert, {
+      src: 'media.m3u8',
+      type: 'application/vnd.apple.mpegurl',
+      cmcd: { sessionId: 'abc' }
+    }, {
+      interstitials: true,
+      excludeOnDroppedFrames: true
+    }));
+
+    // openMediaSource replaces the xhr of the source handler
+    this.hls.xhr.cmcd = this.hls.cmcd_;
+    this.requests.shift().respond(200, null, PRIMARY_PLAYLIST);
+    this.clock.tick(1);
+    this.requests.length = 0;
+
+    this.events = [];
+    this.tech.on([
+      'interstitialstart',
+      'interstitialassetstart',
+      'interstitialend'
+    ], (event) => this.events.push(event));
+  },
+  afterEach() {
+    this.restore();
+  }
+});
+
+QUnit.test('plays an interstitial in place of the source', function(assert) {
+  const primaryMediaSource = this.hls.mediaSource;
+  const ended = [];
+  let qualityChecks = 0;
+
+  this.player.on('ended', () => ended.push('ended'));
+  this.tech.getVideoPlaybackQuality = () => {
+    qualityChecks++;
+    return {};
+  };
+
+  assert.deepEqual(this.hls.interstitials.map((interstitial) => interstitial.startTime),
+                   [8], 'scheduled the interstitial');
+
+  this.tech.time_ = 8;
+  this.tech.trigger('timeupdate');
+
+  assert.deepEqual(this.events.map((event) => event.type),
+                   ['interstitialstart', 'interstitialassetstart'],
+                   'started the interstitial');
+  assert.notStrictEqual(this.hls.mediaSource, primaryMediaSource,
+                        'attached the media source of the asset');
+  assert.equal(this.requests.length, 1, 'requested the asset');
+  assert.equal(this.requests[0].url, 'http://localhost/ad.m3u8',
+               'without CMCD data of the source');
+
+  this.requests.shift().respond(200, null, AD_PLAYLIST);
+  this.tech.time_ = 0;
+  this.tech.trigger('playing');
+
+  assert.strictEqual(this.hls.qoe.timeToFirstFrame, null,
+                     'the first frame of the asset is not that of the source');
+  assert.equal(qualityChecks, 0, 'does not watch the frames of the asset');
+
+  this.tech.time_ = 2;
+  this.tech.trigger('timeupdate');
+  this.tech.setCurrentTime(6);
+  this.clock.tick(1);
+  assert.equal(this.tech.currentTime(), 2, 'the interstitial may not be skipped');
+  this.clock.tick(3);
+
+  this.tech.el().dispatchEvent(new window.Event('ended'));
+
+  assert.deepEqual(ended, [], 'the player did not end');
+  assert.equal(this.events[2].type, 'interstitialend', 'ended the interstitial');
+  assert.equal(this.events[2].resumeTime, 8, 'resumes where the interstitial started');
+  assert.notStrictEqual(this.hls.mediaSource, primaryMediaSource,
+                        'attached a new media source of the source');
+
+  this.tech.trigger('loadedmetadata');
+  assert.equal(this.tech.currentTime(), 8, 'seeked to the resume time');
+
+  this.tech.trigger('playing');
+  assert.notStrictEqual(this.hls.qoe.timeToFirstFrame, null,
+                        'measured the first frame of the source');
+  assert.equal(qualityChecks, 1, 'watches the frames of the source');
+});
@@ -0,0 +1,234 @@
+import videojs from 'video.js';
+import QUnit from 'qunit';
+import { useFakeEnvironment, useFakePlayer } from './test-helpers.js';
+import LiveLatencyController from '../src/live-latency-controller';
+import Config from '../src/config';
+/* eslint-disable no-unused-vars */
+// we need this so that it can register hls with videojs
+import { Hls } from '../src/videojs-http-streaming';
+/* eslint-enable no-unused-vars */
+
+const LIVE_PLAYLIST =
+  '#EXTM3U\n' +
+  '#EXT-X-TARGETDURATION:4\n' +
+  '#EXT-X-PROGRAM-DATE-TIME:2018-01-01T00:00:00.000Z\n' +
+  '#EXTINF:4,\n' +
+  '0.ts\n' +
+  '#EXTINF:4,\n' +
+  '1.ts\n' +
+  '#EXTINF:4,\n' +
+  '2.ts\n' +
+  '#EXTINF:4,\n' +
+  '3.ts\n' +
+  '#EXTINF:4,\n' +
+  '4.ts\n' +
+  '#EXTINF:4,\n' +
+  '5.ts\n';
+
+const createTech = () => {
+  const tech = new videojs.EventTarget();
+
+  tech.currentTime_ = 0;
+  tech.playbackRate_ = 1;
+  tech.seeking_ = false;
+  tech.paused_ = false;
+  tech.currentTime = () => tech.currentTime_;
+  tech.setCurrentTime = (time) => {
+    tech.currentTime_ = time;
+  };
+  tech.playbackRate = () => tech.playbackRate_;
+  tech.setPlaybackRate = (rate) => {
+    tech.playbackRate_ = rate;
+  };
+  tech.seeking = () => tech.seeking_;
+  tech.paused = () => tech.paused_;
+
+  return tech;
+};
+
+QUnit.module('LiveLatencyController', {
+  beforeEach(assert) {
+    this.env = useFakeEnvironment(assert);
+    this.clock = this.env.clock;
+    this.tech = createTech();
+    this.liveEdge = 30;
+    this.seekableEnd = 27;
+    this.usageEvents = [];
+    this.latencyEvents = [];
+
+    this.tech.on('usage', (event) => this.usageEvents.push(event.name));
+    this.tech.on('livelatencyupdate', (event) => this.latencyEvents.push(event));
+
+    this.createController = (options) => {
+      this.controller = new LiveLatencyController(videojs.mergeOptions({
+        tech: this.tech,
+        liveEdge: () => this.liveEdge,
+        seekable: () => videojs.createTimeRanges([[0, this.seekableEnd]])
+      }, options));
+      return this.controller;
+    };
+  },
+  afterEach() {
+    if (this.controller) {
+      this.controller.dispose();
+    }
+    this.env.restore();
+  }
+});
+
+QUnit.test('measures the latency while playing', function(assert) {
+  this.createController();
+  this.tech.currentTime_ = 20;
+
+  this.clock.tick(2000);
+  assert.equal(this.latencyEvents.length, 0, 'no measurements before playing');
+
+  this.tech.trigger('playing');
+  assert.equal(this.latencyEvents.length, 1, 'measured on playing');
+  assert.equal(this.latencyEvents[0].latency, 10, 'reported the latency');
+  assert.strictEqual(this.latencyEvents[0].targetLatency, null, 'no target latency');
+  assert.equal(this.controller.latency, 10, 'exposed the latency');
+
+  this.tech.currentTime_ = 21;
+  this.clock.tick(1000);
+  assert.equal(this.latencyEvents.length, 2, 'measured again after a second');
+  assert.equal(this.controller.latency, 9, 'updated the latency');
+  assert.equal(this.tech.playbackRate(), 1, 'did not adjust without a target');
+
+  this.tech.trigger('pause');
+  this.clock.tick(5000);
+  assert.equal(this.latencyEvents.length, 2, 'stopped measuring on pause');
+});
+
+QUnit.test('does not adjust playback without a target latency', function(assert) {
+  const seeks = [];
+
+  this.createController({ minLatency: 2, maxLatency: 5 });
+  this.tech.setCurrentTime = (time) => seeks.push(time);
+
+  assert.strictEqual(this.controller.targetLatency(), null, 'no target latency');
+
+  this.tech.currentTime_ = 29;
+  this.tech.trigger('playing');
+  assert.equal(this.tech.playbackRate(), 1, 'did not slow down near the live edge');
+
+  this.tech.currentTime_ = 10;
+  this.clock.tick(1000);
+  assert.equal(this.tech.playbackRate(), 1, 'did not speed up far from the live edge');
+  assert.deepEqual(seeks, [], 'did not seek');
+  assert.deepEqual(this.usageEvents, [], 'no usage events');
+});
+
+QUnit.test('does not measure without a live edge', function(assert) {
+  this.createController({ targetLatency: 3 });
+  this.liveEdge = null;
+
+  this.tech.trigger('playing');
+  this.clock.tick(1000);
+
+  assert.equal(this.latencyEvents.length, 0, 'no latency for VOD');
+  assert.equal(this.controller.latency, null, 'latency is unknown');
+});
+
+QUnit.test('speeds up and slows down towards the target latency', function(assert) {
+  this.createController({ targetLatency: 4, minLatency: 2, maxLatency: 10 });
+
+  this.tech.currentTime_ = 25;
+  this.tech.trigger('playing');
+  assert.equal(this.tech.playbackRate(), Config.LIVE_CATCH_UP_PLAYBACK_RATE,
+               'sped up when behind the target');
+  assert.deepEqual(this.usageEvents, ['hls-live-latency-rate-change'],
+                   'logged a usage event');
+
+  this.tech.currentTime_ = 25.6;
+  this.clock.tick(1000);
+  assert.equal(this.tech.playbackRate(), Config.LIVE_CATCH_UP_PLAYBACK_RATE,
+               'kept catching up until within the tolerance');
+
+  this.tech.currentTime_ = 26;
+  this.clock.tick(1000);
+  assert.equal(this.tech.playbackRate(), 1, 'restored the rate at the target');
+
+  this.tech.currentTime_ = 28.5;
+  this.clock.tick(1000);
+  assert.equal(this.tech.playbackRate(), Config.LIVE_SLOW_DOWN_PLAYBACK_RATE,
+               'slowed down when too close to the live edge');
+});
+
+QUnit.test('seeks forward when the latency exceeds the maximum', function(assert) {
+  this.createController({ targetLatency: 2 });
+
+  this.tech.currentTime_ = 10;
+  this.tech.trigger('playing');
+
+  assert.equal(this.tech.currentTime(), 27, 'seeked to the end of the seekable range');
+  assert.equal(this.tech.playbackRate(), 1, 'did not change the rate');
+  assert.deepEqual(this.usageEvents, ['hls-live-latency-seek'], 'logged a usage event');
+});
+
+QUnit.test('does not override playback rate changes made elsewhere', function(assert) {
+  this.createController({ targetLatency: 4 });
+
+  this.tech.currentTime_ = 25;
+  this.tech.setPlaybackRate(2);
+  this.tech.trigger('playing');
+
+  assert.equal(this.tech.playbackRate(), 2, 'left the playback rate alone');
+  assert.equal(this.usageEvents.length, 0, 'no usage events');
+});
+
+QUnit.test('keeps the target latency within the bounds', function(assert) {
+  this.createController({ minLatency: 2, maxLatency: 10 });
+
+  assert.equal(this.controller.targetLatency(), null, 'no target by default');
+  assert.equal(this.controller.targetLatency(1), 2, 'raised to the minimum');
+  assert.equal(this.controller.targetLatency(20), 10, 'lowered to the maximum');
+  assert.equal(this.controller.targetLatency(5), 5, 'kept a target within bounds');
+  assert.equal(this.controller.targetLatency(), 5, 'returned the target');
+});
+
+QUnit.module('LiveLatencyController - player', {
+  beforeEach(assert) {
+    Object.assign(this, useFakePlayer(assert, {
+      src: 'live.m3u8',
+      type: 'application/vnd.apple.mpegurl'
+    }, { targetLatency: 6 }));
+    this.requests.shift().respond(200, null, LIVE_PLAYLIST);
+    this.clock.tick(1);
+  },
+  afterEach() {
+    this.restore();
+  }
+});
+
+QUnit.test('keeps a live source at the target latency', function(assert) {
+  const latencyEvents = [];
+  let playbackRate = 1;
+
+  this.tech.on('livelatencyupdate', (event) => latencyEvents.push(event.latency));
+  this.tech.playbackRate = () => playbackRate;
+  this.tech.setPlaybackRate = (rate) => {
+    playbackRate = rate;
+  };
+
+  this.tech.play();
+  this.tech.trigger('playing');
+
+  assert.equal(this.tech.currentTime(), 12, 'started at the end of the seekable range');
+  assert.deepEqual(latencyEvents, [12], 'measured the distance to the live edge');
+  assert.equal(this.hls.liveLatency, 12, 'exposed the latency');
+  assert.equal(playbackRate, Config.LIVE_CATCH_UP_PLAYBACK_RATE, 'catches up');
+
+  this.tech.time_ = 18.25;
+  this.clock.tick(1000);
+  assert.equal(playbackRate, 1, 'plays normally at the target latency');
+
+  this.tech.time_ = 2;
+  this.clock.tick(1000);
+  assert.equal(this.tech.currentTime(), 12,
+               'seeked forward as far as the seekable range allows');
+
+  this.tech.pause();
+  this.clock.tick(1000);
+  assert.equal(latencyEvents.length, 3, 'stopped measuring while paused');
+});
@@ -0,0 +1,250 @@
+import QUnit from 'qunit';
+import { parseAttributes, parseManifest } from '../src/manifest';
+
+QUnit.module('manifest');
+
+QUnit.test('parses attribute lists', function(assert) {
+  assert.deepEqual(
+    parseAttributes('URI="part,1.mp4",DURATION=0.5,INDEPENDENT=YES'),
+    {
+      URI: 'part,1.mp4',
+      DURATION: '0.5',
+      INDEPENDENT: 'YES'
+    },
+    'parsed quoted and unquoted values'
+  );
+  assert.deepEqual(parseAttributes(''), {}, 'no attributes for an empty list');
+});
+
+QUnit.test('parses low-latency server control and part information', function(assert) {
+  const manifest = parseManifest(
+    '#EXTM3U\n' +
+    '#EXT-X-TARGETDURATION:4\n' +
+    '#EXT-X-SERVER-CONTROL:CAN-BLOCK-RELOAD=YES,PART-HOLD-BACK=1.5,HOLD-BACK=12\n' +
+    '#EXT-X-PART-INF:PART-TARGET=0.5\n' +
+    '#EXT-X-MEDIA-SEQUENCE:10\n' +
+    '#EXTINF:4,\n' +
+    'segment-10.mp4\n' +
+    '#EXT-X-PART:DURATION=0.5,URI="segment-11.0.mp4",INDEPENDENT=YES\n' +
+    '#EXT-X-PART:DURATION=0.5,URI="segment-11.1.mp4"\n' +
+    '#EXTINF:1,\n' +
+    'segment-11.mp4\n' +
+    '#EXT-X-PART:DURATION=0.5,URI="segment-12.0.mp4",INDEPENDENT=YES\n' +
+    '#EXT-X-PRELOAD-HINT:TYPE=PART,URI="segment-12.1.mp4"\n'
+  );
+
+  assert.deepEqual(manifest.serverControl, {
+    canBlockReload: true,
+    partHoldBack: 1.5,
+    holdBack: 12
+  }, 'parsed server control');
+  assert.equal(manifest.partTargetDuration, 0.5, 'parsed part target duration');
+  assert.equal(manifest.segments.length, 2, 'parsed complete segments');
+  assert.notOk(manifest.segments[0].parts, 'no parts for the first segment');
+  assert.deepEqual(manifest.segments[1].parts, [{
+    uri: 'segment-11.0.mp4',
+    duration: 0.5,
+    independent: true
+  }, {
+    uri: 'segment-11.1.mp4',
+    duration: 0.5
+  }], 'attached parts to the segment they belong to');
+  assert.deepEqual(manifest.preloadSegment, {
+    parts: [{
+      uri: 'segment-12.0.mp4',
+      duration: 0.5,
+      independent: true
+    }],
+    preloadHints: [{
+      type: 'PART',
+      uri: 'segment-12.1.mp4'
+    }],
+    timeline: 0
+  }, 'created a preload segment from the trailing part and hint');
+});
+
+QUnit.test('parts without a byterange offset continue the previous range',
+function(assert) {
+  const manifest = parseManifest(
+    '#EXTM3U\n' +
+    '#EXT-X-TARGETDURATION:4\n' +
+    '#EXT-X-PART-INF:PART-TARGET=1\n' +
+    '#EXTINF:4,\n' +
+    'segment-0.mp4\n' +
+    '#EXT-X-PART:DURATION=1,URI="segment-1.mp4",BYTERANGE=100@0\n' +
+    '#EXT-X-PART:DURATION=1,URI="segment-1.mp4",BYTERANGE=150\n' +
+    '#EXT-X-PRELOAD-HINT:TYPE=PART,URI="segment-1.mp4",BYTERANGE-START=250\n'
+  );
+  const preloadSegment = manifest.preloadSegment;
+
+  assert.deepEqual(preloadSegment.parts[0].byterange, { length: 100, offset: 0 },
+                   'used the explicit offset');
+  assert.deepEqual(preloadSegment.parts[1].byterange, { length: 150, offset: 100 },
+                   'continued from the previous part');
+  assert.deepEqual(preloadSegment.preloadHints[0].byterange,
+                   { length: Infinity, offset: 250 },
+                   'open ended preload hint byterange');
+});
+
+QUnit.test('preload segment follows a trailing discontinuity', function(assert) {
+  const manifest = parseManifest(
+    '#EXTM3U\n' +
+    '#EXT-X-TARGETDURATION:4\n' +
+    '#EXT-X-MAP:URI="init.mp4"\n' +
+    '#EXTINF:4,\n' +
+    'segment-0.mp4\n' +
+    '#EXT-X-DISCONTINUITY\n' +
+    '#EXT-X-PART:DURATION=1,URI="segment-1.0.mp4"\n'
+  );
+
+  assert.ok(manifest.preloadSegment.discontinuity, 'marked the discontinuity');
+  assert.equal(manifest.preloadSegment.timeline, 1, 'moved to the next timeline');
+  assert.equal(manifest.preloadSegment.map.uri, 'init.mp4', 'kept the init segment');
+});
+
+QUnit.test('playlists without low-latency tags are unchanged', function(assert) {
+  const manifest = parseManifest(
+    '#EXTM3U\n' +
+    '#EXT-X-TARGETDURATION:10\n' +
+    '#EXTINF:10,\n' +
+    'segment-0.ts\n' +
+    '#EXT-X-ENDLIST\n'
+  );
+
+  assert.notOk(manifest.serverControl, 'no server control');
+  assert.notOk(manifest.preloadSegment, 'no preload segment');
+  assert.notOk(manifest.segments[0].parts, 'no parts');
+});
+
+QUnit.test('parses date ranges', function(assert) {
+  const manifest = parseManifest(
+    '#EXTM3U\n' +
+    '#EXT-X-TARGETDURATION:10\n' +
+    '#EXT-X-PROGRAM-DATE-TIME:2018-01-01T00:00:00.000Z\n' +
+    '#EXT-X-DATERANGE:ID="ad-1",CLASS="com.example.ad",' +
+      'START-DATE="2018-01-01T00:00:05.000Z",PLANNED-DURATION=30,' +
+      'SCTE35-OUT=0xFC002F,X-AD-ID="1234"\n' +
+    '#EXTINF:10,\n' +
+    'segment-0.ts\n' +
+    '#EXT-X-DATERANGE:ID="ad-1",START-DATE="2018-01-01T00:00:05.000Z",' +
+      'DURATION=25.5,SCTE35-IN=0xFC003A\n' +
+    '#EXT-X-DATERANGE:ID="chapter-1",START-DATE="2018-01-01T00:00:00.000Z",' +
+      'END-ON-NEXT=YES,CLASS="com.example.chapter"\n' +
+    '#EXTINF:10,\n' +
+    'segment-1.ts\n'
+  );
+
+  assert.equal(manifest.segments.length, 2, 'parsed segments');
+  assert.deepEqual(manifest.dateRanges, [{
+    id: 'ad-1',
+    class: 'com.example.ad',
+    startDate: new Date('2018-01-01T00:00:05.000Z'),
+    plannedDuration: 30,
+    duration: 25.5,
+    scte35Out: '0xFC002F',
+    scte35In: '0xFC003A',
+    clientAttributes: {
+      'X-AD-ID': '1234'
+    }
+  }, {
+    id: 'chapter-1',
+    class: 'com.example.chapter',
+    startDate: new Date('2018-01-01T00:00:00.000Z'),
+    endOnNext: true,
+    clientAttributes: {}
+  }], 'parsed and merged the date ranges');
+});
+
+QUnit.test('parses content steering', function(assert) {
+  const manifest = parseManifest(
+    '#EXTM3U\n' +
+    '#EXT-X-CONTENT-STEERING:SERVER-URI="steering.json",PATHWAY-ID="cdn-b"\n' +
+    '#EXT-X-STREAM-INF:BANDWIDTH=100,PATHWAY-ID="cdn-a"\n' +
+    'a/media.m3u8\n' +
+    '#EXT-X-STREAM-INF:BANDWIDTH=100,PATHWAY-ID="cdn-b"\n' +
+    'b/media.m3u8\n'
+  );
+
+  assert.deepEqual(manifest.contentSteering, {
+    serverUri: 'steering.json',
+    pathwayId: 'cdn-b'
+  }, 'parsed the steering server and default pathway');
+  assert.equal(manifest.playlists[1].attributes['PATHWAY-ID'], 'cdn-b',
+               'variants keep their pathway');
+});
+
+QUnit.test('parses image playlists and tiles', function(assert) {
+  const master = parseManifest(
+    '#EXTM3U\n' +
+    '#EXT-X-STREAM-INF:BANDWIDTH=100\n' +
+    'media.m3u8\n' +
+    '#EXT-X-IMAGE-STREAM-INF:BANDWIDTH=1000,RESOLUTION=320x180,CODECS="jpeg",' +
+      'URI="images.m3u8"\n'
+  );
+
+  assert.deepEqual(master.imagePlaylists, [{
+    uri: 'images.m3u8',
+    attributes: {
+      BANDWIDTH: 1000,
+      RESOLUTION: { width: 320, height: 180 },
+      CODECS: 'jpeg'
+    }
+  }], 'parsed the image playlist');
+  assert.equal(master.playlists.length, 1, 'image playlists are not variants');
+
+  const media = parseManifest(
+    '#EXTM3U\n' +
+    '#EXT-X-TARGETDURATION:30\n' +
+    '#EXT-X-IMAGES-ONLY\n' +
+    '#EXT-X-TILES:RESOLUTION=160x90,LAYOUT=5x2,DURATION=3\n' +
+    '#EXTINF:30,\n' +
+    'tiles-0.jpg\n' +
+    '#EXTINF:30,\n' +
+    'tiles-1.jpg\n' +
+    '#EXT-X-ENDLIST\n'
+  );
+
+  assert.ok(media.imagesOnly, 'parsed the images only tag');
+  assert.deepEqual(media.segments[0].tiles, {
+    columns: 5,
+    rows: 2,
+    width: 160,
+    height: 90,
+    duration: 3
+  }, 'parsed the tiles of the segment');
+  assert.notOk(media.segments[1].tiles, 'tiles only apply to the next segment');
+});
+
+QUnit.test('parses I-frame playlists', function(assert) {
+  const master = parseManifest(
+    '#EXTM3U\n' +
+    '#EXT-X-STREAM-INF:BANDWIDTH=100\n' +
+    'media.m3u8\n' +
+    '#EXT-X-I-FRAME-STREAM-INF:BANDWIDTH=20,RESOLUTION=640x360,' +
+      'CODECS="avc1.4d401f",URI="iframes.m3u8"\n'
+  );
+
+  assert.deepEqual(master.iFramePlaylists, [{
+    uri: 'iframes.m3u8',
+    attributes: {
+      BANDWIDTH: 20,
+      RESOLUTION: { width: 640, height: 360 },
+      CODECS: 'avc1.4d401f'
+    }
+  }], 'parsed the I-frame playlist');
+  assert.equal(master.playlists.length, 1, 'I-frame playlists are not variants');
+
+  const media = parseManifest(
+    '#EXTM3U\n' +
+    '#EXT-X-TARGETDURATION:4\n' +
+    '#EXT-X-I-FRAMES-ONLY\n' +
+    '#EXTINF:4,\n' +
+    '#EXT-X-BYTERANGE:1000@376\n' +
+    'main.ts\n' +
+    '#EXT-X-ENDLIST\n'
+  );
+
+  assert.ok(media.iFramesOnly, 'parsed the I-frames only tag');
+  assert.deepEqual(media.segments[0].byterange, { length: 1000, offset: 376 },
+                   'I-frames are byteranges');
+});
@@ -1,5 +1,6 @@
 import QUnit from 'qunit';
 import videojs from 'video.js';
+import window from 'global/window';
 import {
   useFakeEnvironment,
   useFakeMediaSource,
@@ -18,6 +19,13 @@ import Config from '../src/config';
 import PlaylistLoader from '../src/playlist-loader';
 import DashPlaylistLoader from '../src/dash-playlist-loader';
 
+const testTsPlaylist =
+  '#EXTM3U\n' +
+  '#EXT-X-TARGETDURATION:10\n' +
+  '#EXTINF:10,\n' +
+  '0.ts\n' +
+  '#EXT-X-ENDLIST\n';
+
 QUnit.module('MasterPlaylistController', {
   beforeEach(assert) {
     this.env = useFakeEnvironment(assert);
@@ -834,6 +842,36 @@ QUnit.test('detects if the player is stuck at the playlist end', function(assert
   Hls.Playlist.playlistEnd = playlistCopy;
 });
 
+QUnit.test('calculates the live edge including low-latency parts', function(assert) {
+  const media = {
+    mediaSequence: 5,
+    segments: [{ duration: 4 }, { duration: 4 }],
+    preloadSegment: {
+      parts: [{ duration: 0.5 }, { duration: 0.5 }],
+      preloadHints: []
+    }
+  };
+
+  this.masterPlaylistController.mediaSource.trigger('sourceopen');
+  this.masterPlaylistController.masterPlaylistLoader_.media = () => media;
+  this.masterPlaylistController.syncController_.getExpiredTime = () => null;
+
+  assert.equal(this.masterPlaylistController.liveEdge(), null,
+               'no live edge without sync information');
+
+  this.masterPlaylistController.syncController_.getExpiredTime = () => 10;
+  assert.equal(this.masterPlaylistController.liveEdge(), 19,
+               'live edge is after the last part');
+
+  delete media.preloadSegment;
+  assert.equal(this.masterPlaylistController.liveEdge(), 18,
+               'live edge is after the last segment');
+
+  media.endList = true;
+  assert.equal(this.masterPlaylistController.liveEdge(), null,
+               'no live edge for VOD');
+});
+
 QUnit.test('blacklists switching from video+audio playlists to audio only',
 function(assert) {
   let audioPlaylist;
@@ -976,6 +1014,265 @@ function(assert) {
   this.standardXHRResponse(this.requests.shift());
 });
 
+QUnit.test('keeps the preferred supported video codec family', function(assert) {
+  const isTypeSupported = window.MediaSource.isTypeSupported;
+
+  window.MediaSource.isTypeSupported = (type) => type.indexOf('av01') === -1;
+  this.masterPlaylistController.selectPlaylist = () => {
+    const playlists = this.masterPlaylistController.master().playlists;
+
+    assert.equal(playlists[0].excludeUntil, Infinity, 'excluded H.264');
+    assert.equal(playlists[1].excludeUntil, undefined, 'kept HEVC');
+    assert.equal(playlists[2].excludeUntil, Infinity, 'excluded unsupported AV1');
+    return playlists[1];
+  };
+
+  openMediaSource(this.player, this.clock);
+
+  // master
+  this.requests.shift().respond(200, null,
+    '#EXTM3U\n' +
+    '#EXT-X-STREAM-INF:BANDWIDTH=1,CODECS="avc1.4d400d,mp4a.40.2"\n' +
+    'media.m3u8\n' +
+    '#EXT-X-STREAM-INF:BANDWIDTH=10,CODECS="hvc1.1.6.L93.B0,mp4a.40.2"\n' +
+    'media1.m3u8\n' +
+    '#EXT-X-STREAM-INF:BANDWIDTH=100,CODECS="av01.0.05M.08,mp4a.40.2"\n' +
+    'media2.m3u8\n');
+
+  window.MediaSource.isTypeSupported = isTypeSupported;
+});
+
+QUnit.test('falls back from a preferred codec family that cannot be transmuxed',
+function(assert) {
+  const isTypeSupported = window.MediaSource.isTypeSupported;
+  let selectedInitialMedia = 0;
+
+  window.MediaSource.isTypeSupported = () => true;
+  this.masterPlaylistController.on('selectedinitialmedia', () => selectedInitialMedia++);
+
+  openMediaSource(this.player, this.clock);
+
+  // master
+  this.requests.shift().respond(200, null,
+    '#EXTM3U\n' +
+    '#EXT-X-STREAM-INF:BANDWIDTH=1,CODECS="avc1.4d400d,mp4a.40.2"\n' +
+    'media.m3u8\n' +
+    '#EXT-X-STREAM-INF:BANDWIDTH=10,CODECS="hvc1.1.6.L93.B0,mp4a.40.2"\n' +
+    'media1.m3u8\n' +
+    '#EXT-X-STREAM-INF:BANDWIDTH=20,CODECS="hvc1.1.6.L120.B0,mp4a.40.2"\n' +
+    'media2.m3u8\n');
+
+  const playlists = this.masterPlaylistController.master().playlists;
+
+  assert.equal(playlists[0].excludeUntil, Infinity, 'preferred HEVC');
+  assert.ok(/media[12]\.m3u8/.test(this.requests[0].url), 'requested HEVC');
+
+  // an MPEG-TS media playlist
+  this.standardXHRResponse(this.requests.shift(), testTsPlaylist);
+
+  assert.equal(selectedInitialMedia, 0, 'did not set up the MPEG-TS HEVC playlist');
+  assert.equal(playlists[1].excludeUntil, Infinity, 'excluded HEVC');
+  assert.equal(playlists[2].excludeUntil, Infinity, 'excluded all of HEVC');
+  assert.equal(playlists[0].excludeUntil, undefined, 'H.264 may be selected again');
+  assert.equal(this.requests[0].url, 'http://localhost/manifest/media.m3u8',
+               'requested H.264');
+
+  this.standardXHRResponse(this.requests.shift(), testTsPlaylist);
+
+  assert.equal(selectedInitialMedia, 1, 'set up the H.264 playlist');
+  assert.strictEqual(this.masterPlaylistController.media(), playlists[0],
+                     'playing H.264');
+
+  window.MediaSource.isTypeSupported = isTypeSupported;
+});
+
+QUnit.test('reports an error when no variant stream can be transmuxed',
+function(assert) {
+  const isTypeSupported = window.MediaSource.isTypeSupported;
+  let selectedInitialMedia = 0;
+
+  window.MediaSource.isTypeSupported = () => true;
+  this.masterPlaylistController.on('selectedinitialmedia', () => selectedInitialMedia++);
+
+  openMediaSource(this.player, this.clock);
+
+  // master
+  this.requests.shift().respond(200, null,
+    '#EXTM3U\n' +
+    '#EXT-X-STREAM-INF:BANDWIDTH=10,CODECS="hvc1.1.6.L93.B0,mp4a.40.2"\n' +
+    'media.m3u8\n');
+
+  // an MPEG-TS media playlist
+  this.standardXHRResponse(this.requests.shift(), testTsPlaylist);
+
+  assert.equal(selectedInitialMedia, 0, 'did not set up the MPEG-TS HEVC playlist');
+  assert.equal(this.player.error().code, 3, 'reported a decode error');
+  assert.equal(this.player.error().message,
+               'No variant stream can be transmuxed, the codecs of ' +
+               'http://localhost/manifest/media.m3u8 are not H.264 and AAC',
+               'reported why');
+  assert.equal(this.env.log.error.callCount, 1, 'logged the error');
+  this.env.log.error.reset();
+
+  window.MediaSource.isTypeSupported = isTypeSupported;
+});
+
+QUnit.test('blacklists playlists MediaCapabilities cannot decode smoothly',
+function(assert) {
+  const done = assert.async();
+  const excluded = [];
+  const isTypeSupported = window.MediaSource.isTypeSupported;
+
+  window.MediaSource.isTypeSupported = () => true;
+  Object.defineProperty(window.navigator, 'mediaCapabilities', {
+    configurable: true,
+    value: {
+      decodingInfo: (configuration) => Promise.resolve({
+        supported: true,
+        smooth: configuration.video.height < 2160,
+        powerEfficient: true
+      })
+    }
+  });
+  this.masterPlaylistController.useMediaCapabilities_ = true;
+  this.player.tech_.on('renditionexcluded', (event) => excluded.push(event));
+  this.masterPlaylistController.selectPlaylist = () => {
+    const playlists = this.masterPlaylistController.master().playlists;
+
+    assert.equal(playlists[0].excludeUntil, Infinity, 'excluded the H.264 playlist');
+    assert.equal(playlists[1].excludeUntil, Infinity, 'excluded the 4K60 HEVC playlist');
+    assert.equal(playlists[2].excludeUntil, undefined, 'kept the HD HEVC playlist');
+    assert.equal(excluded.length, 1, 'triggered a renditionexcluded event');
+    assert.equal(excluded[0].reason, 'media-capabilities', 'with the reason');
+    assert.deepEqual(excluded[0].playlists, [playlists[1]], 'with the playlist');
+
+    window.MediaSource.isTypeSupported = isTypeSupported;
+    delete window.navigator.mediaCapabilities;
+    done();
+    return playlists[2];
+  };
+
+  openMediaSource(this.player, this.clock);
+
+  // master
+  this.requests.shift().respond(200, null,
+    '#EXTM3U\n' +
+    '#EXT-X-STREAM-INF:BANDWIDTH=1,CODECS="avc1.4d400d,mp4a.40.2",' +
+      'RESOLUTION=1920x1080\n' +
+    'media.m3u8\n' +
+    '#EXT-X-STREAM-INF:BANDWIDTH=10,CODECS="hvc1.2.4.L153.B0,mp4a.40.2",' +
+      'RESOLUTION=3840x2160,FRAME-RATE=60\n' +
+    'media1.m3u8\n' +
+    '#EXT-X-STREAM-INF:BANDWIDTH=5,CODECS="hvc1.2.4.L120.B0,mp4a.40.2",' +
+      'RESOLUTION=1920x1080\n' +
+    'media2.m3u8\n');
+
+  assert.equal(this.requests.length, 0, 'waits for MediaCapabilities');
+});
+
+QUnit.test('prefers codec families MediaCapabilities decodes power-efficiently on mobile',
+function(assert) {
+  const done = assert.async();
+  const isTypeSupported = window.MediaSource.isTypeSupported;
+
+  videojs.browser.IS_ANDROID = true;
+  window.MediaSource.isTypeSupported = () => true;
+  Object.defineProperty(window.navigator, 'mediaCapabilities', {
+    configurable: true,
+    value: {
+      decodingInfo: (configuration) => Promise.resolve({
+        supported: true,
+        smooth: true,
+        powerEfficient: configuration.video.contentType.indexOf('avc1') !== -1
+      })
+    }
+  });
+  this.masterPlaylistController.useMediaCapabilities_ = true;
+  this.masterPlaylistController.selectPlaylist = () => {
+    const playlists = this.masterPlaylistController.master().playlists;
+
+    assert.equal(playlists[0].excludeUntil, undefined, 'kept the H.264 playlist');
+    assert.equal(playlists[1].excludeUntil, Infinity, 'excluded the HEVC playlist');
+
+    window.MediaSource.isTypeSupported = isTypeSupported;
+    delete window.navigator.mediaCapabilities;
+    done();
+    return playlists[0];
+  };
+
+  openMediaSource(this.player, this.clock);
+
+  // master
+  this.requests.shift().respond(200, null,
+    '#EXTM3U\n' +
+    '#EXT-X-STREAM-INF:BANDWIDTH=1,CODECS="avc1.4d400d,mp4a.40.2",' +
+      'RESOLUTION=1920x1080\n' +
+    'media.m3u8\n' +
+    '#EXT-X-STREAM-INF:BANDWIDTH=10,CODECS="hvc1.2.4.L120.B0,mp4a.40.2",' +
+      'RESOLUTION=1920x1080\n' +
+    'media1.m3u8\n');
+});
+
+QUnit.test('selects the initial media when MediaCapabilities handling fails',
+function(assert) {
+  const done = assert.async();
+  const excludeVideoCodecFamilies =
+    this.masterPlaylistController.excludeVideoCodecFamilies_;
+
+  Object.defineProperty(window.navigator, 'mediaCapabilities', {
+    configurable: true,
+    value: {
+      decodingInfo: () => Promise.resolve({ supported: true, smooth: true })
+    }
+  });
+  this.masterPlaylistController.useMediaCapabilities_ = true;
+  this.masterPlaylistController.excludeVideoCodecFamilies_ = () => {
+    this.masterPlaylistController.excludeVideoCodecFamilies_ = excludeVideoCodecFamilies;
+    throw new Error('failed');
+  };
+  this.masterPlaylistController.selectPlaylist = () => {
+    const playlists = this.masterPlaylistController.master().playlists;
+
+    assert.equal(this.env.log.warn.calls, 1, 'warned about the failure');
+    delete window.navigator.mediaCapabilities;
+    done();
+    return playlists[0];
+  };
+
+  openMediaSource(this.player, this.clock);
+
+  // master
+  this.requests.shift().respond(200, null,
+    '#EXTM3U\n' +
+    '#EXT-X-STREAM-INF:BANDWIDTH=1,CODECS="avc1.4d400d,mp4a.40.2",' +
+      'RESOLUTION=1920x1080\n' +
+    'media.m3u8\n');
+});
+
+QUnit.test('blacklists switching between audio codec families', function(assert) {
+  openMediaSource(this.player, this.clock);
+
+  this.player.tech_.hls.bandwidth = 1;
+  // master
+  this.requests.shift()
+    .respond(200, null,
+             '#EXTM3U\n' +
+             '#EXT-X-STREAM-INF:BANDWIDTH=1,CODECS="avc1.4d400d,mp4a.40.2"\n' +
+             'media.m3u8\n' +
+             '#EXT-X-STREAM-INF:BANDWIDTH=10,CODECS="avc1.4d400d,ec-3"\n' +
+             'media1.m3u8\n');
+
+  // media
+  this.standardXHRResponse(this.requests.shift());
+  assert.equal(this.masterPlaylistController.masterPlaylistLoader_.media(),
+              this.masterPlaylistController.masterPlaylistLoader_.master.playlists[0],
+              'selected the AAC stream');
+  assert.equal(
+    this.masterPlaylistController.masterPlaylistLoader_.master.playlists[1].excludeUntil,
+    Infinity,
+    'excluded the E-AC-3 stream');
+});
+
 QUnit.test('updates the combined segment loader on media changes', function(assert) {
   let updates = [];
 
@@ -1279,6 +1576,166 @@ QUnit.test('blacklists playlist on earlyabort', function(assert) {
   videojs.log.warn = origWarn;
 });
 
+QUnit.test('records why the main playlist was switched', function(assert) {
+  const mpc = this.masterPlaylistController;
+  const origWarn = videojs.log.warn;
+  const playlistErrors = [];
+  const respond = (uri) => {
+    this.standardXHRResponse(this.requests.filter((request) => {
+      return (/[^\/]+$/).exec(request.uri)[0] === uri && request.readyState !== 4;
+    })[0]);
+  };
+  let warnings = 0;
+
+  videojs.log.warn = () => warnings++;
+  mpc.on('playlisterror', (event) => playlistErrors.push(event.error));
+  mpc.mediaSource.trigger('sourceopen');
+  // master
+  this.standardXHRResponse(this.requests.shift());
+  // media
+  this.standardXHRResponse(this.requests.shift());
+
+  mpc.selectPlaylist = () => mpc.master().playlists[1];
+  mpc.mainSegmentLoader_.trigger('bandwidthupdate');
+  respond('media1.m3u8');
+
+  mpc.selectPlaylist = () => mpc.master().playlists[0];
+  mpc.fastQualityChange_();
+  respond('media.m3u8');
+
+  mpc.selectPlaylist = () => mpc.master().playlists[1];
+  mpc.mainSegmentLoader_.trigger('earlyabort');
+  assert.deepEqual(this.player.tech_.hls.qoe.switches.map((entry) => entry.reason),
+                   ['initial', 'abr', 'manual', 'blacklist'],
+                   'recorded the reason of each switch');
+  assert.strictEqual(mpc.switchReason_, null, 'cleared the reason once recorded');
+  assert.equal(playlistErrors.length, 1, 'triggered a playlist error');
+  assert.equal(warnings, 1, 'logged a warning');
+
+  videojs.log.warn = origWarn;
+});
+
+QUnit.test('moves to the next pathway when a segment request fails', function(assert) {
+  const mpc = this.masterPlaylistController;
+  const usageEvents = [];
+  const pathwayChanges = [];
+  const findRequest = (uri) => {
+    return this.requests.filter((request) => request.uri === uri)[0];
+  };
+  const media = '#EXTM3U\n' +
+                '#EXT-X-TARGETDURATION:10\n' +
+                '#EXTINF:10,\n' +
+                '0.ts\n' +
+                '#EXT-X-ENDLIST\n';
+
+  this.player.tech_.on('usage', (event) => usageEvents.push(event.name));
+  this.player.tech_.on('pathwaychange', (event) => pathwayChanges.push(event.pathway));
+
+  openMediaSource(this.player, this.clock);
+  this.requests.shift().respond(200, null,
+                                '#EXTM3U\n' +
+                                '#EXT-X-CONTENT-STEERING:SERVER-URI="steering.json"\n' +
+                                '#EXT-X-STREAM-INF:BANDWIDTH=10,PATHWAY-ID="cdn-a"\n' +
+                                'https://a.example.com/media.m3u8\n' +
+                                '#EXT-X-STREAM-INF:BANDWIDTH=10,PATHWAY-ID="cdn-b"\n' +
+                                'https://b.example.com/media.m3u8\n');
+
+  assert.ok((/steering\.json\?_HLS_pathway=cdn-a&_HLS_throughput=\d+$/)
+    .test(this.requests[0].uri), 'requested the steering manifest');
+  assert.notEqual(usageEvents.indexOf('hls-content-steering'), -1,
+                  'content steering usage event');
+
+  findRequest('https://a.example.com/media.m3u8').respond(200, null, media);
+  this.clock.tick(1);
+
+  const aPlaylist = mpc.master().playlists[0];
+
+  assert.equal(mpc.media(), aPlaylist, 'started on the default pathway');
+  assert.ok(mpc.master().playlists[1].inactivePathway, 'other pathway is inactive');
+
+  findRequest('https://a.example.com/0.ts').respond(500, null, '');
+
+  assert.equal(this.env.log.warn.calls, 1, 'logged a warning');
+  assert.deepEqual(pathwayChanges, ['cdn-b'], 'moved to the next pathway');
+  assert.notEqual(usageEvents.indexOf('hls-pathway-failover'), -1,
+                  'failover usage event');
+  assert.notOk(aPlaylist.excludeUntil, 'did not blacklist the playlist');
+  assert.ok(aPlaylist.inactivePathway, 'failed pathway is inactive');
+  assert.ok(findRequest('https://b.example.com/media.m3u8'),
+            'requested the playlist of the next pathway');
+});
+
+QUnit.test('moves to a redundant playlist before blacklisting', function(assert) {
+  const mpc = this.masterPlaylistController;
+  const usageEvents = [];
+  const media = '#EXTM3U\n' +
+                '#EXT-X-TARGETDURATION:10\n' +
+                '#EXTINF:10,\n' +
+                '0.ts\n' +
+                '#EXT-X-ENDLIST\n';
+
+  this.player.tech_.on('usage', (event) => usageEvents.push(event.name));
+
+  openMediaSource(this.player, this.clock);
+  this.requests.shift().respond(200, null,
+                                '#EXTM3U\n' +
+                                '#EXT-X-STREAM-INF:BANDWIDTH=10\n' +
+                                'https://a.example.com/media.m3u8\n' +
+                                '#EXT-X-STREAM-INF:BANDWIDTH=10\n' +
+                                'https://b.example.com/media.m3u8\n' +
+                                '#EXT-X-STREAM-INF:BANDWIDTH=1000000000\n' +
+                                'https://a.example.com/high.m3u8\n');
+  this.requests.shift().respond(200, null, media);
+  this.clock.tick(1);
+
+  const playlists = mpc.master().playlists;
+
+  assert.equal(mpc.media(), playlists[0], 'started on the first variant');
+
+  // segment
+  this.requests.shift().respond(500, null, '');
+
+  assert.equal(this.env.log.warn.calls, 1, 'logged a warning');
+  assert.notEqual(usageEvents.indexOf('hls-redundant-failover'), -1,
+                  'redundant failover usage event');
+  assert.notOk(playlists[0].excludeUntil, 'did not blacklist the playlist');
+  assert.ok(playlists[0].inactiveRedundant, 'failed playlist is inactive');
+  assert.equal(this.requests[0].uri, 'https://b.example.com/media.m3u8',
+               'requested the redundant playlist');
+
+  this.requests.shift().respond(404, null, '');
+
+  assert.equal(this.env.log.warn.calls, 1, 'logged a warning');
+  assert.ok(playlists[1].excludeUntil > 0,
+            'blacklisted once every redundant playlist failed');
+  assert.equal(this.requests[0].uri, 'https://a.example.com/high.m3u8',
+               'switched to another rendition');
+});
+
+QUnit.test('follows the pathway priority of the steering manifest', function(assert) {
+  const mpc = this.masterPlaylistController;
+
+  openMediaSource(this.player, this.clock);
+  this.requests.shift().respond(200, null,
+                                '#EXTM3U\n' +
+                                '#EXT-X-CONTENT-STEERING:SERVER-URI="steering.json"\n' +
+                                '#EXT-X-STREAM-INF:BANDWIDTH=10,PATHWAY-ID="cdn-a"\n' +
+                                'https://a.example.com/media.m3u8\n' +
+                                '#EXT-X-STREAM-INF:BANDWIDTH=10,PATHWAY-ID="cdn-b"\n' +
+                                'https://b.example.com/media.m3u8\n');
+
+  // steering manifest
+  this.requests.shift().respond(200, null, JSON.stringify({
+    'VERSION': 1,
+    'PATHWAY-PRIORITY': ['cdn-b', 'cdn-a']
+  }));
+
+  assert.ok(mpc.master().playlists[0].inactivePathway, 'default pathway is inactive');
+  assert.equal(this.requests[this.requests.length - 1].uri,
+               'https://b.example.com/media.m3u8',
+               'requested the playlist of the prioritized pathway');
+});
+
 QUnit.test('does not get stuck in a loop due to inconsistent network/caching',
 function(assert) {
   /*
@@ -1812,6 +2269,123 @@ QUnit.test('calls to update cues on new media', function(assert) {
   videojs.options.hls = origHlsOptions;
 });
 
+QUnit.test('adds cues for date ranges using the program date time', function(assert) {
+  const start = new Date('2018-01-01T00:00:00.000Z');
+  const cues = [];
+
+  this.masterPlaylistController.cueTagsTrack_ = {
+    cues,
+    addCue(cue) {
+      cues.push(cue);
+    }
+  };
+  this.masterPlaylistController.updateAdCues_({
+    segments: [{ duration: 10, dateTimeObject: start }],
+    dateRanges: [{
+      id: 'ad-1',
+      startDate: new Date('2018-01-01T00:00:02.000Z'),
+      duration: 5,
+      clientAttributes: {}
+    }]
+  });
+
+  assert.equal(this.masterPlaylistController.syncController_.datetimeToDisplayTime,
+               -start.getTime() / 1000,
+               'set the program date time mapping');
+  assert.equal(cues.length, 1, 'added a cue');
+  assert.equal(cues[0].startTime, 2, 'mapped the start to player time');
+  assert.equal(cues[0].endTime, 7, 'mapped the end to player time');
+});
+
+QUnit.test('triggers periodchange when playback enters another period',
+function(assert) {
+  const periods = [];
+  const usageEvents = [];
+  let currentTime = 0;
+
+  this.requests.length = 0;
+  this.player.src({
+    src: 'dash-multi-period.mpd',
+    type: 'application/dash+xml'
+  });
+  this.clock.tick(1);
+
+  this.player.tech_.currentTime = () => currentTime;
+  this.player.tech_.on('periodchange', (event) => periods.push(event.period.id));
+  this.player.tech_.on('usage', (event) => usageEvents.push(event.name));
+
+  this.standardXHRResponse(this.requests.shift());
+
+  assert.ok(usageEvents.indexOf('hls-multi-period') !== -1,
+            'triggered the multi-period usage event');
+
+  [0.5, 1, 4.5, 5, 6.5, 8].forEach((time) => {
+    currentTime = time;
+    this.player.tech_.trigger('timeupdate');
+  });
+
+  assert.deepEqual(periods, ['ad', 'content-2'],
+                   'triggered periodchange for each period entered after the first');
+});
+
+QUnit.test('adds cues for DASH events to the dash-events track', function(assert) {
+  const usageEvents = [];
+  const mpc = this.masterPlaylistController;
+  const messageData = new Uint8Array([1]);
+
+  this.player.tech_.on('usage', (event) => usageEvents.push(event.name));
+
+  mpc.mainSegmentLoader_.trigger({
+    type: 'emsg',
+    events: [{
+      schemeIdUri: 'urn:example',
+      value: '',
+      id: 1,
+      messageData,
+      startTime: 2,
+      endTime: 3
+    }]
+  });
+
+  const track = this.player.textTracks().getTrackById(mpc.dashEventsTrack_.id);
+
+  assert.equal(track.kind, 'metadata', 'created a metadata track');
+  assert.equal(track.label, 'dash-events', 'labelled the track');
+  assert.equal(track.cues.length, 1, 'added a cue for the emsg event');
+  assert.deepEqual(track.cues[0].value, {
+    schemeIdUri: 'urn:example',
+    value: '',
+    id: 1,
+    messageData
+  }, 'described the event');
+  assert.deepEqual(usageEvents, ['hls-dash-events'], 'triggered the usage event');
+
+  mpc.masterPlaylistLoader_.master = {
+    events: [{
+      schemeIdUri: 'urn:example:stream',
+      value: '1',
+      id: 'a',
+      messageData: 'hello',
+      startTime: 10,
+      endTime: 12,
+      timeline: 1
+    }]
+  };
+  mpc.syncController_.trigger('timestampoffset');
+
+  assert.equal(track.cues.length, 1, 'waits for the timeline of the event');
+
+  mpc.syncController_.timelines[1] = { time: 4, mapping: -6 };
+  mpc.syncController_.trigger('timestampoffset');
+  mpc.syncController_.trigger('timestampoffset');
+
+  assert.equal(track.cues.length, 2, 'added a cue for the EventStream event once');
+  assert.equal(track.cues[1].startTime, 4, 'mapped the start to player time');
+  assert.equal(track.cues[1].endTime, 6, 'mapped the end to player time');
+  assert.equal(track.cues[1].value.messageData, 'hello', 'described the event');
+  assert.deepEqual(usageEvents, ['hls-dash-events'], 'triggered the usage event once');
+});
+
 QUnit.test('calls to update cues on media when no master', function(assert) {
   this.requests.length = 0;
 
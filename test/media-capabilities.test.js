@@ -0,0 +1,176 @@
+import QUnit from 'qunit';
+import window from 'global/window';
+import {
+  supportsDecodingInfo,
+  decodingConfiguration,
+  queryDecodingInfo,
+  undecodableVariants,
+  powerEfficientVariants
+} from '../src/media-capabilities';
+
+const variant = (uri, attributes) => {
+  return { uri, attributes };
+};
+
+QUnit.module('MediaCapabilities', {
+  beforeEach() {
+    this.configurations = [];
+    this.infos = {};
+    // navigator.mediaCapabilities is a getter on the prototype in browsers
+    Object.defineProperty(window.navigator, 'mediaCapabilities', {
+      configurable: true,
+      value: {
+        decodingInfo: (configuration) => {
+          this.configurations.push(configuration);
+
+          // too large a resolution for a valid configuration
+          if (configuration.video.width > 3840) {
+            throw new TypeError();
+          }
+
+          const info = this.infos[configuration.video.width];
+
+          return info ? Promise.resolve(info) : Promise.reject(new TypeError());
+        }
+      }
+    });
+  },
+  afterEach() {
+    delete window.navigator.mediaCapabilities;
+  }
+});
+
+QUnit.test('detects decodingInfo', function(assert) {
+  assert.ok(supportsDecodingInfo(), 'supported');
+
+  delete window.navigator.mediaCapabilities;
+  Object.defineProperty(window.navigator, 'mediaCapabilities', {
+    configurable: true,
+    value: {}
+  });
+  assert.notOk(supportsDecodingInfo(), 'not supported without decodingInfo');
+});
+
+QUnit.test('describes variants as decoding configurations', function(assert) {
+  assert.deepEqual(decodingConfiguration(variant('hevc.m3u8', {
+    'BANDWIDTH': 20000000,
+    'CODECS': 'hvc1.2.4.L153.B0,ec-3',
+    'RESOLUTION': { width: 3840, height: 2160 },
+    'FRAME-RATE': 59.94
+  })), {
+    type: 'media-source',
+    video: {
+      contentType: 'video/mp4; codecs="hvc1.2.4.L153.B0"',
+      width: 3840,
+      height: 2160,
+      bitrate: 20000000,
+      framerate: 59.94
+    },
+    audio: {
+      contentType: 'audio/mp4; codecs="ec-3"'
+    }
+  }, 'described the video and audio');
+
+  assert.deepEqual(decodingConfiguration(variant('avc.m3u8', {
+    BANDWIDTH: 1000000,
+    CODECS: 'avc1.77.30',
+    RESOLUTION: { width: 640, height: 360 }
+  })).video, {
+    contentType: 'video/mp4; codecs="avc1.4d001e"',
+    width: 640,
+    height: 360,
+    bitrate: 1000000,
+    framerate: 30
+  }, 'translated legacy codecs and assumed a frame rate');
+
+  assert.deepEqual(decodingConfiguration(variant('audio.m3u8', {
+    BANDWIDTH: 64000,
+    CODECS: 'opus'
+  })), {
+    type: 'media-source',
+    audio: {
+      contentType: 'audio/mp4; codecs="opus"'
+    }
+  }, 'described audio only variants');
+
+  assert.strictEqual(decodingConfiguration(variant('media.m3u8', {
+    BANDWIDTH: 1000000
+  })), null, 'no configuration without codecs');
+  assert.strictEqual(decodingConfiguration(variant('media.m3u8', {
+    BANDWIDTH: 1000000,
+    CODECS: 'avc1.4d400d,mp4a.40.2'
+  })), null, 'no configuration for video without a resolution');
+});
+
+QUnit.test('queries every variant', function(assert) {
+  const done = assert.async();
+  const variants = [
+    variant('low.m3u8', {
+      BANDWIDTH: 1000000,
+      CODECS: 'avc1.4d400d',
+      RESOLUTION: { width: 640, height: 360 }
+    }),
+    variant('unknown.m3u8', { BANDWIDTH: 2000000 }),
+    variant('high.m3u8', {
+      BANDWIDTH: 4000000,
+      CODECS: 'avc1.4d400d',
+      RESOLUTION: { width: 1920, height: 1080 }
+    }),
+    variant('huge.m3u8', {
+      BANDWIDTH: 8000000,
+      CODECS: 'avc1.4d400d',
+      RESOLUTION: { width: 7680, height: 4320 }
+    })
+  ];
+
+  this.infos[640] = { supported: true, smooth: true, powerEfficient: true };
+
+  queryDecodingInfo(variants).then((infos) => {
+    assert.equal(this.configurations.length, 3, 'queried the described variants');
+    assert.deepEqual(infos, [this.infos[640], null, null, null],
+                     'resolved with the info of each variant, or null');
+    done();
+  });
+});
+
+QUnit.test('finds the variants to exclude', function(assert) {
+  const variants = [
+    variant('low.m3u8', { BANDWIDTH: 1 }),
+    variant('mid.m3u8', { BANDWIDTH: 2 }),
+    variant('high.m3u8', { BANDWIDTH: 3 }),
+    variant('unknown.m3u8', { BANDWIDTH: 4 })
+  ];
+  const infos = [
+    { supported: true, smooth: true, powerEfficient: true },
+    { supported: true, smooth: true, powerEfficient: false },
+    { supported: true, smooth: false, powerEfficient: false },
+    null
+  ];
+
+  assert.deepEqual(undecodableVariants(variants, infos), [variants[2]],
+                   'excluded the variant that is not smooth');
+  assert.deepEqual(powerEfficientVariants(variants, infos), [variants[0]],
+                   'found the power-efficient variant');
+});
+
+QUnit.test('keeps the lowest supported variant', function(assert) {
+  const variants = [
+    variant('unsupported.m3u8', { BANDWIDTH: 1 }),
+    variant('low.m3u8', { BANDWIDTH: 2 }),
+    variant('high.m3u8', { BANDWIDTH: 3 })
+  ];
+  const infos = [
+    { supported: false, smooth: false, powerEfficient: false },
+    { supported: true, smooth: false, powerEfficient: false },
+    { supported: true, smooth: false, powerEfficient: false }
+  ];
+
+  assert.deepEqual(undecodableVariants(variants, infos),
+                   [variants[0], variants[2]],
+                   'kept the lowest supported variant');
+
+  infos[1].supported = false;
+  infos[2].supported = false;
+  assert.deepEqual(undecodableVariants(variants, infos), variants,
+                   'excluded every unsupported variant');
+});
@@ -1,5 +1,9 @@
 import QUnit from 'qunit';
-import {mediaSegmentRequest, REQUEST_ERRORS} from '../src/media-segment-request';
+import {
+  mediaSegmentRequest,
+  segmentXhrHeaders,
+  REQUEST_ERRORS
+} from '../src/media-segment-request';
 import xhrFactory from '../src/xhr';
 import {useFakeEnvironment} from './test-helpers';
 import Decrypter from 'worker!../src/decrypter-worker.worker.js';
@@ -39,6 +43,16 @@ QUnit.module('Media Segment Request', {
   }
 });
 
+QUnit.test('requests byte ranges', function(assert) {
+  assert.deepEqual(segmentXhrHeaders({ byterange: { offset: 10, length: 20 } }),
+                   { Range: 'bytes=10-29' },
+                   'requested the range');
+  assert.deepEqual(segmentXhrHeaders({ byterange: { offset: 10, length: Infinity } }),
+                   { Range: 'bytes=10-' },
+                   'requested the rest of the resource without a length');
+  assert.deepEqual(segmentXhrHeaders({}), {}, 'no range without a byterange');
+});
+
 QUnit.test('cancels outstanding segment request on abort', function(assert) {
   const done = assert.async();
 
@@ -229,6 +243,34 @@ QUnit.test('the key response is converted to the correct format', function(asser
   keyReq.respond(200, null, '');
 });
 
+QUnit.test('passes segments through afterResponse', function(assert) {
+  const done = assert.async();
+  const responses = [];
+
+  this.xhr.afterResponse = (response) => {
+    responses.push([response.uri, response.requestType, response.body.byteLength]);
+    return new Uint8Array([1, 2, 3]);
+  };
+
+  mediaSegmentRequest(
+    this.xhr,
+    this.xhrOptions,
+    this.noop,
+    { resolvedUri: '0-test.ts' },
+    this.noop,
+    (error, segmentData) => {
+      assert.notOk(error, 'there are no errors');
+      assert.deepEqual(responses, [['0-test.ts', 'segment', 10]],
+                       'passed the response');
+      assert.deepEqual(Array.prototype.slice.call(segmentData.bytes), [1, 2, 3],
+                       'used the returned bytes');
+      done();
+    });
+
+  this.requests[0].response = new Uint8Array(10).buffer;
+  this.requests.shift().respond(200, null, '');
+});
+
 QUnit.test('segment with key has bytes decrypted', function(assert) {
   const done = assert.async();
 
@@ -329,3 +371,56 @@ function(assert) {
   // Allow the decrypter to decrypt
   this.clock.tick(100);
 });
+
+QUnit.test('separates the time to first byte from the transfer time', function(assert) {
+  const done = assert.async();
+
+  mediaSegmentRequest(
+    this.xhr,
+    this.xhrOptions,
+    this.noop,
+    { resolvedUri: '0-test.ts' },
+    this.noop,
+    (error, segmentData) => {
+      assert.notOk(error, 'there are no errors');
+      assert.equal(segmentData.stats.roundTripTime, 500, 'whole round trip');
+      assert.equal(segmentData.stats.timeToFirstByte, 300, 'time to first byte');
+      assert.equal(segmentData.stats.transferTime, 200, 'time after the first byte');
+      assert.equal(segmentData.stats.transferBytes, 8, 'bytes after the first byte');
+      done();
+    });
+
+  const segmentReq = this.requests.shift();
+
+  this.clock.tick(300);
+  segmentReq.downloadProgress({ target: segmentReq, total: 10, loaded: 2 });
+  this.clock.tick(200);
+  segmentReq.response = new Uint8Array(10).buffer;
+  segmentReq.respond(200, null, '');
+});
+
+QUnit.test('uses the round trip as transfer time without progress', function(assert) {
+  const done = assert.async();
+
+  mediaSegmentRequest(
+    this.xhr,
+    this.xhrOptions,
+    this.noop,
+    { resolvedUri: '0-test.ts' },
+    this.noop,
+    (error, segmentData) => {
+      assert.notOk(error, 'there are no errors');
+      assert.strictEqual(segmentData.stats.timeToFirstByte, undefined,
+                         'time to first byte is unknown');
+      assert.equal(segmentData.stats.transferTime, 500,
+                   'transfer time is the round trip');
+      assert.equal(segmentData.stats.transferBytes, 10, 'all bytes were transferred');
+      done();
+    });
+
+  const segmentReq = this.requests.shift();
+
+  this.clock.tick(500);
+  segmentReq.response = new Uint8Array(10).buffer;
+  segmentReq.respond(200, null, '');
+});
@@ -1,5 +1,5 @@
 import Qunit from 'qunit';
-import { addTextTrackData } from '../../src/mse/add-text-track-data';
+import { addTextTrackData, addScte35Data } from '../../src/mse/add-text-track-data';
 
 const { module, test } = Qunit;
 
@@ -73,3 +73,30 @@ test('creates cues for timed metadata', function(assert) {
   assert.strictEqual(this.sourceHandler.inbandTextTracks_.CC1.cues.length, 0, 'added no 608 cues');
   assert.strictEqual(this.sourceHandler.metadataTrack_.cues.length, 1, 'added one metadata cues');
 });
+
+test('creates cues for SCTE-35 splice information', function(assert) {
+  this.sourceHandler.scte35Track_ = new MockTextTrack();
+  this.sourceHandler.timeMapping_ = 10;
+
+  addScte35Data(this.sourceHandler, [{
+    pts: 90000,
+    duration: 30,
+    spliceCommandTypeName: 'splice_insert'
+  }, {
+    pts: 180000,
+    spliceCommandTypeName: 'time_signal'
+  }, {
+    pts: null,
+    spliceCommandTypeName: 'splice_insert'
+  }]);
+
+  const cues = this.sourceHandler.scte35Track_.cues;
+
+  assert.strictEqual(cues.length, 2, 'added cues for sections with a time');
+  assert.strictEqual(cues[0].startTime, 11, 'mapped the splice time');
+  assert.strictEqual(cues[0].endTime, 41, 'lasts for the break duration');
+  assert.strictEqual(cues[0].value.spliceCommandTypeName, 'splice_insert',
+                     'attached the section');
+  assert.strictEqual(cues[1].startTime, 12, 'mapped the splice time');
+  assert.strictEqual(cues[1].endTime, 12, 'no duration');
+});
@@ -1,5 +1,9 @@
 import Qunit from 'qunit';
-import { translateLegacyCodecs } from '../../src/mse/codec-utils';
+import {
+  isAudioCodec,
+  isVideoCodec,
+  translateLegacyCodecs
+} from '../../src/mse/codec-utils';
 
 const { module, test } = Qunit;
 
@@ -26,3 +30,26 @@ test('translates legacy codecs', function(assert) {
              'avc1.42001e', 'avc1.420015', 'avc1.42C01e'],
             'translates a whole bunch');
 });
+
+test('recognizes audio and video codecs', function(assert) {
+  const videoCodecs = [
+    'avc1.4d400d', 'avc3.640028', 'hvc1.1.6.L93.B0', 'hev1.2.4.L120.B0',
+    'av01.0.05M.08', 'vp09.00.10.08', 'vp8'
+  ];
+  const audioCodecs = [
+    'mp4a.40.2', ' mp4a.40.5', 'mp4a.a6', 'opus', 'Opus', 'ac-3', 'ec-3', 'fLaC'
+  ];
+
+  videoCodecs.forEach((codec) => {
+    assert.ok(isVideoCodec(codec), `${codec} is a video codec`);
+    assert.notOk(isAudioCodec(codec), `${codec} is not an audio codec`);
+  });
+
+  audioCodecs.forEach((codec) => {
+    assert.ok(isAudioCodec(codec), `${codec} is an audio codec`);
+    assert.notOk(isVideoCodec(codec), `${codec} is not a video codec`);
+  });
+
+  assert.notOk(isVideoCodec('unsupporte.dc0dec'), 'unknown codecs are not video');
+  assert.notOk(isAudioCodec('unsupporte.dc0dec'), 'unknown codecs are not audio');
+});
@@ -0,0 +1,228 @@
+import QUnit from 'qunit';
+import window from 'global/window';
+import { parseSpliceInfoSection, Scte35Parser } from '../../src/mse/scte35';
+
+const { module, test } = QUnit;
+
+const base64ToBytes = (base64) => {
+  const binary = window.atob(base64);
+  const bytes = new Uint8Array(binary.length);
+
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+};
+
+// splice_insert example from the SCTE-35 specification
+const SPLICE_INSERT =
+  '/DAvAAAAAAAA///wFAVIAACPf+/+c2nALv4AUsz1AAAAAAAKAAhDVUVJAAABNWLbowo=';
+// time_signal with a segmentation_descriptor example from the SCTE-35 specification
+const TIME_SIGNAL =
+  '/DA0AAAAAAAA///wBQb+cr0AUAAeAhxDVUVJSAAAjn/PAAGlmbAICAAAAAAsoKGKNAIAmsnRfg==';
+
+const VIDEO_PID = 0x100;
+const SCTE35_PID = 0x1F0;
+const PMT_PID = 0x1000;
+
+/**
+ * Creates a transport stream packet with the payload padded with 0xFF, or with an
+ * adaptation field filling the packet before the payload when `fill` is set
+ */
+const packet = (pid, payload, payloadUnitStart, fill) => {
+  const bytes = new Uint8Array(188);
+
+  bytes.fill(0xFF);
+  bytes[0] = 0x47;
+  bytes[1] = (payloadUnitStart ? 0x40 : 0) | (pid >> 8);
+  bytes[2] = pid & 0xFF;
+  bytes[3] = 0x10;
+
+  if (fill) {
+    bytes[3] = 0x30;
+    bytes[4] = 188 - 5 - payload.length;
+    bytes[5] = 0x00;
+    bytes.set(payload, 188 - payload.length);
+    return bytes;
+  }
+
+  bytes.set(payload, 4);
+  return bytes;
+};
+
+const pat = () => packet(0, [
+  0x00,
+  0x00, 0xB0, 0x0D, 0x00, 0x01, 0xC1, 0x00, 0x00,
+  0x00, 0x01, 0xE0 | (PMT_PID >> 8), PMT_PID & 0xFF,
+  0x00, 0x00, 0x00, 0x00
+], true);
+
+const pmt = () => packet(PMT_PID, [
+  0x00,
+  0x02, 0xB0, 0x17, 0x00, 0x01, 0xC1, 0x00, 0x00,
+  0xE1, 0x00, 0xF0, 0x00,
+  0x1B, 0xE0 | (VIDEO_PID >> 8), VIDEO_PID & 0xFF, 0xF0, 0x00,
+  0x86, 0xE0 | (SCTE35_PID >> 8), SCTE35_PID & 0xFF, 0xF0, 0x00,
+  0x00, 0x00, 0x00, 0x00
+], true);
+
+// a video PES header with a PTS, 90000 by default
+const pes = (pts = 90000) => packet(VIDEO_PID, [
+  0x00, 0x00, 0x01, 0xE0, 0x00, 0x00, 0x80, 0x80, 0x05,
+  0x21 | (Math.floor(pts / 1073741824) << 1),
+  (pts >>> 22) & 0xFF,
+  ((pts >>> 14) & 0xFE) | 0x01,
+  (pts >>> 7) & 0xFF,
+  ((pts << 1) & 0xFE) | 0x01
+], true);
+
+const concat = (...arrays) => {
+  const length = arrays.reduce((total, array) => total + array.length, 0);
+  const result = new Uint8Array(length);
+  let offset = 0;
+
+  arrays.forEach((array) => {
+    result.set(array, offset);
+    offset += array.length;
+  });
+  return result;
+};
+
+module('SCTE-35');
+
+test('parses a splice_insert', function(assert) {
+  const section = parseSpliceInfoSection(base64ToBytes(SPLICE_INSERT));
+
+  assert.equal(section.spliceCommandType, 5, 'parsed the command type');
+  assert.equal(section.spliceCommandTypeName, 'splice_insert', 'named the command');
+  assert.equal(section.ptsAdjustment, 0, 'parsed the pts adjustment');
+  assert.equal(section.tier, 0xFFF, 'parsed the tier');
+  assert.deepEqual(section.spliceCommand, {
+    spliceEventId: 0x4800008F,
+    spliceEventCancelIndicator: false,
+    outOfNetworkIndicator: true,
+    programSpliceFlag: true,
+    spliceImmediateFlag: false,
+    ptsTime: 0x07369C02E,
+    breakDuration: {
+      autoReturn: true,
+      duration: 0x00052CCF5
+    },
+    uniqueProgramId: 0,
+    availNum: 0,
+    availsExpected: 0
+  }, 'parsed the splice_insert');
+  assert.equal(section.descriptors.length, 1, 'parsed the descriptor');
+  assert.equal(section.descriptors[0].spliceDescriptorTag, 0, 'avail_descriptor');
+  assert.equal(section.descriptors[0].identifier, 0x43554549, 'CUEI identifier');
+});
+
+test('parses a time_signal with a segmentation_descriptor', function(assert) {
+  const section = parseSpliceInfoSection(base64ToBytes(TIME_SIGNAL));
+  const descriptor = section.descriptors[0];
+
+  assert.equal(section.spliceCommandTypeName, 'time_signal', 'named the command');
+  assert.deepEqual(section.spliceCommand, { ptsTime: 0x072BD0050 },
+                   'parsed the splice time');
+  assert.equal(descriptor.spliceDescriptorTag, 2, 'segmentation_descriptor');
+  assert.equal(descriptor.segmentationEventId, 0x4800008E, 'parsed the event id');
+  assert.equal(descriptor.segmentationDuration, 0x0001A599B0, 'parsed the duration');
+  assert.equal(descriptor.segmentationUpidType, 8, 'parsed the upid type');
+  assert.deepEqual(Array.prototype.slice.call(descriptor.segmentationUpid),
+                   [0, 0, 0, 0, 0x2C, 0xA0, 0xA1, 0x8A],
+                   'parsed the upid');
+  assert.equal(descriptor.segmentationTypeId, 0x34, 'parsed the segmentation type');
+  assert.equal(descriptor.segmentNum, 2, 'parsed the segment number');
+  assert.equal(descriptor.segmentsExpected, 0, 'parsed the segments expected');
+});
+
+test('ignores sections that are not splice_info_sections', function(assert) {
+  assert.equal(parseSpliceInfoSection(new Uint8Array([0x00, 0xB0, 0x0D])), null,
+               'not a splice_info_section');
+});
+
+test('finds sections on the SCTE-35 PID of a transport stream', function(assert) {
+  const parser = new Scte35Parser();
+  const section = base64ToBytes(SPLICE_INSERT);
+  const messages = parser.parse(concat(
+    pat(),
+    pmt(),
+    pes(),
+    packet(SCTE35_PID, concat([0x00], section), true)
+  ));
+
+  assert.equal(messages.length, 1, 'found the section');
+  assert.equal(messages[0].spliceCommand.spliceEventId, 0x4800008F, 'parsed it');
+  assert.equal(messages[0].pts, 0x07369C02E, 'timed it with the splice time');
+  assert.equal(messages[0].duration, 0x00052CCF5 / 90000,
+               'used the break duration in seconds');
+});
+
+test('reassembles sections split across packets and segments', function(assert) {
+  const parser = new Scte35Parser();
+  const section = base64ToBytes(TIME_SIGNAL);
+
+  let messages = parser.parse(concat(
+    pat(),
+    pmt(),
+    packet(SCTE35_PID, concat([0x00], section.subarray(0, 20)), true, true)
+  ));
+
+  assert.equal(messages.length, 0, 'waiting for the rest of the section');
+
+  messages = parser.parse(concat(
+    packet(SCTE35_PID, section.subarray(20), false)
+  ));
+
+  assert.equal(messages.length, 1, 'found the section');
+  assert.equal(messages[0].pts, 0x072BD0050, 'timed it with the splice time');
+  assert.equal(messages[0].duration, 0x0001A599B0 / 90000,
+               'used the segmentation duration in seconds');
+});
+
+test('times immediate splices with the last PES packet', function(assert) {
+  const parser = new Scte35Parser();
+  // splice_insert, splice_immediate_flag set, no break duration
+  const section = new Uint8Array([
+    0xFC, 0x30, 0x1B, 0x00, 0x00, 0x00, 0x00, 0x00,
+    0x00, 0x00, 0xFF, 0xF0, 0x0A, 0x05,
+    0x00, 0x00, 0x00, 0x01, 0x7F,
+    0xDF, 0x00, 0x00, 0x00, 0x00,
+    0x00, 0x00,
+    0x00, 0x00, 0x00, 0x00
+  ]);
+  const messages = parser.parse(concat(
+    pat(),
+    pmt(),
+    pes(),
+    packet(SCTE35_PID, concat([0x00], section), true)
+  ));
+
+  assert.equal(messages.length, 1, 'found the section');
+  assert.ok(messages[0].spliceCommand.spliceImmediateFlag, 'immediate splice');
+  assert.equal(messages[0].pts, 90000, 'timed it with the PES packet');
+  assert.notOk('duration' in messages[0], 'no duration');
+});
+
+test('keeps splice times continuous across timestamp rollovers', function(assert) {
+  const parser = new Scte35Parser();
+  // the PTS of the PES packets is about to roll over
+  const lastPts = Math.pow(2, 33) - 90000;
+  let messages = parser.parse(concat(
+    pat(),
+    pmt(),
+    pes(lastPts),
+    packet(SCTE35_PID, concat([0x00], base64ToBytes(TIME_SIGNAL)), true)
+  ));
+
+  assert.equal(messages[0].pts, 0x072BD0050 + Math.pow(2, 33),
+               'the splice time rolled over');
+
+  messages = parser.parse(concat(
+    pes(90000),
+    packet(SCTE35_PID, concat([0x00], base64ToBytes(SPLICE_INSERT)), true)
+  ));
+
+  assert.equal(messages[0].pts, 0x07369C02E + Math.pow(2, 33),
+               'the splice time is continuous with the rolled over PES packets');
+});
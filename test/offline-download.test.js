@@ -0,0 +1,264 @@
+import QUnit from 'qunit';
+import OfflineDownload, {
+  selectMedia,
+  rewriteHlsMaster
+} from '../src/offline-download';
+import { useFakeEnvironment } from './test-helpers.js';
+
+const masterPlaylist =
+  '#EXTM3U\n' +
+  '#EXT-X-MEDIA:TYPE=AUDIO,GROUP-ID="aud",NAME="en",DEFAULT=YES,URI="en.m3u8"\n' +
+  '#EXT-X-MEDIA:TYPE=AUDIO,GROUP-ID="aud",NAME="fr",URI="fr.m3u8"\n' +
+  '#EXT-X-STREAM-INF:BANDWIDTH=1000,AUDIO="aud"\n' +
+  'low.m3u8\n' +
+  '#EXT-X-STREAM-INF:BANDWIDTH=5000,AUDIO="aud"\n' +
+  'high.m3u8\n' +
+  '#EXT-X-I-FRAME-STREAM-INF:BANDWIDTH=500,URI="iframes.m3u8"\n';
+
+const mediaPlaylist = (name, endList = true) => {
+  return '#EXTM3U\n' +
+    '#EXT-X-TARGETDURATION:10\n' +
+    '#EXT-X-MAP:URI="' + name + '-init.mp4"\n' +
+    '#EXTINF:10,\n' +
+    name + '-0.m4s\n' +
+    '#EXTINF:10,\n' +
+    name + '-1.m4s\n' +
+    (endList ? '#EXT-X-ENDLIST\n' : '');
+};
+
+/**
+ * An offline store that keeps downloads in memory and calls back synchronously
+ */
+const createMemoryStore = () => {
+  const store = {
+    downloads: {},
+    resources: {}
+  };
+
+  store.getResource = (key, callback) => callback(null, store.resources[key] || null);
+  store.addResourceDownload = (key, download, callback) => {
+    const resource = store.resources[key];
+
+    if (resource && resource.downloads.indexOf(download) === -1) {
+      resource.downloads.push(download);
+    }
+    callback(null, !!resource);
+  };
+  store.putResource = (resource, callback) => {
+    const stored = store.resources[resource.key];
+
+    store.resources[resource.key] = {
+      key: resource.key,
+      downloads: stored ? stored.downloads : [],
+      body: resource.body
+    };
+    store.addResourceDownload(resource.key, resource.download, callback);
+  };
+  store.putDownload = (download, callback) => {
+    store.downloads[download.uri] = download;
+    callback(null);
+  };
+
+  return store;
+};
+
+QUnit.module('OfflineDownload', {
+  beforeEach(assert) {
+    this.env = useFakeEnvironment(assert);
+    this.requests = this.env.requests;
+    this.store = createMemoryStore();
+    this.respond = (uri, body) => {
+      const request = this.requests.shift();
+
+      assert.equal(request.uri, uri, `requested ${uri}`);
+      if (typeof body === 'string') {
+        request.respond(200, null, body);
+      } else {
+        request.response = body;
+        request.respond(200, null, '');
+      }
+    };
+  },
+  afterEach() {
+    this.env.restore();
+  }
+});
+
+QUnit.test('selects the rendition and tracks to download', function(assert) {
+  const en = { default: true };
+  const fr = { default: false };
+  const low = { attributes: { BANDWIDTH: 1000, AUDIO: 'aud' } };
+  const high = { attributes: { BANDWIDTH: 5000, AUDIO: 'aud' } };
+  const master = {
+    playlists: [low, high],
+    mediaGroups: {
+      AUDIO: { aud: { en, fr } },
+      SUBTITLES: {}
+    }
+  };
+
+  assert.deepEqual(selectMedia(master, {}), {
+    playlist: high,
+    audio: [en],
+    subtitles: []
+  }, 'the highest rendition and the default audio by default');
+  assert.deepEqual(selectMedia(master, { rendition: 0, audio: ['fr', 'de'] }), {
+    playlist: low,
+    audio: [fr],
+    subtitles: []
+  }, 'the rendition at an index and audio by label');
+  assert.equal(selectMedia(master, {
+    rendition: (playlists) => playlists[0]
+  }).playlist, low, 'the rendition a function chooses');
+});
+
+QUnit.test('only lists the downloaded playlists in a master playlist', function(assert) {
+  assert.equal(
+    rewriteHlsMaster(masterPlaylist, ['high.m3u8', 'en.m3u8']),
+    '#EXTM3U\n' +
+    '#EXT-X-MEDIA:TYPE=AUDIO,GROUP-ID="aud",NAME="en",DEFAULT=YES,URI="en.m3u8"\n' +
+    '#EXT-X-STREAM-INF:BANDWIDTH=5000,AUDIO="aud"\n' +
+    'high.m3u8\n',
+    'removed the other playlists'
+  );
+});
+
+QUnit.test('downloads the playlists and resources of a source', function(assert) {
+  const progress = [];
+  let completed = 0;
+  const download = new OfflineDownload({ src: 'http://example.com/master.m3u8' }, {
+    sourceType: 'hls',
+    store: this.store
+  });
+
+  download.on('progress', (event) => progress.push(event.loaded + '/' + event.total));
+  download.on('complete', () => completed++);
+  download.start();
+
+  this.respond('http://example.com/master.m3u8', masterPlaylist);
+  this.respond('http://example.com/high.m3u8', mediaPlaylist('high'));
+  this.respond('http://example.com/en.m3u8', mediaPlaylist('en'));
+
+  assert.equal(download.total, 6, 'listed the init segments and segments');
+
+  ['high-init.mp4', 'high-0.m4s', 'high-1.m4s', 'en-init.mp4', 'en-0.m4s', 'en-1.m4s']
+    .forEach((name) => {
+      this.respond('http://example.com/' + name, new Uint8Array(10).buffer);
+    });
+
+  assert.equal(this.requests.length, 0, 'made no other requests');
+  assert.equal(completed, 1, 'completed the download');
+  assert.deepEqual(progress, ['1/6', '2/6', '3/6', '4/6', '5/6', '6/6'],
+                   'triggered progress');
+  assert.equal(this.store.downloads['http://example.com/master.m3u8'].state, 'complete',
+               'recorded the download');
+  assert.equal(this.store.downloads['http://example.com/master.m3u8'].bytes, 60,
+               'recorded the size of the download');
+  assert.equal(
+    this.store.resources['http://example.com/master.m3u8'].body,
+    rewriteHlsMaster(masterPlaylist, ['high.m3u8', 'en.m3u8']),
+    'stored the rewritten master playlist'
+  );
+  assert.equal(this.store.resources['http://example.com/high.m3u8'].body,
+               mediaPlaylist('high'), 'stored the media playlist');
+  assert.equal(this.store.resources['http://example.com/en-1.m4s'].body.byteLength, 10,
+               'stored the segment');
+  assert.deepEqual(this.store.resources['http://example.com/en-1.m4s'].downloads,
+                   ['http://example.com/master.m3u8'],
+                   'the segment belongs to the download');
+});
+
+QUnit.test('pauses and resumes a download', function(assert) {
+  const download = new OfflineDownload({ src: 'http://example.com/media.m3u8' }, {
+    sourceType: 'hls',
+    store: this.store
+  });
+
+  download.start();
+  this.respond('http://example.com/media.m3u8', mediaPlaylist('media'));
+  this.respond('http://example.com/media-init.mp4', new Uint8Array(10).buffer);
+
+  const request = this.requests[0];
+
+  download.pause();
+  assert.equal(download.state, 'paused', 'paused the download');
+  assert.ok(request.aborted, 'aborted the pending request');
+  assert.equal(this.requests.length, 1, 'made no new request');
+  assert.equal(this.store.downloads['http://example.com/media.m3u8'].loaded, 1,
+               'recorded the progress');
+
+  download.resume();
+  this.requests.shift();
+  this.respond('http://example.com/media-0.m4s', new Uint8Array(10).buffer);
+  this.respond('http://example.com/media-1.m4s', new Uint8Array(10).buffer);
+
+  assert.equal(download.state, 'complete', 'completed the download');
+  assert.equal(download.loaded, 3, 'downloaded every resource once');
+});
+
+QUnit.test('shares stored resources between downloads', function(assert) {
+  const first = new OfflineDownload({ src: 'http://example.com/media.m3u8' }, {
+    sourceType: 'hls',
+    store: this.store
+  });
+  const second = new OfflineDownload({ src: 'http://example.com/copy.m3u8' }, {
+    sourceType: 'hls',
+    store: this.store
+  });
+
+  first.start();
+  this.respond('http://example.com/media.m3u8', mediaPlaylist('media'));
+  this.respond('http://example.com/media-init.mp4', new Uint8Array(10).buffer);
+  this.respond('http://example.com/media-0.m4s', new Uint8Array(10).buffer);
+  this.respond('http://example.com/media-1.m4s', new Uint8Array(10).buffer);
+
+  second.start();
+  this.respond('http://example.com/copy.m3u8', mediaPlaylist('media'));
+
+  assert.equal(second.state, 'complete', 'completed the download');
+  assert.equal(second.bytes, 0, 'requested no stored resource again');
+  assert.deepEqual(this.store.resources['http://example.com/media-0.m4s'].downloads,
+                   ['http://example.com/media.m3u8', 'http://example.com/copy.m3u8'],
+                   'the segment belongs to both downloads');
+});
+
+QUnit.test('starts a failed download again', function(assert) {
+  const download = new OfflineDownload({ src: 'http://example.com/media.m3u8' }, {
+    sourceType: 'hls',
+    store: this.store
+  });
+
+  download.start();
+  this.respond('http://example.com/media.m3u8', mediaPlaylist('media'));
+  this.respond('http://example.com/media-init.mp4', new Uint8Array(10).buffer);
+  this.requests.shift().respond(404, null, '');
+
+  assert.equal(download.state, 'error', 'the download failed');
+
+  download.resume();
+  assert.equal(download.state, 'downloading', 'resumed the download');
+  assert.strictEqual(download.error, null, 'cleared the error');
+  this.respond('http://example.com/media-0.m4s', new Uint8Array(10).buffer);
+  this.respond('http://example.com/media-1.m4s', new Uint8Array(10).buffer);
+
+  assert.equal(download.state, 'complete', 'completed the download');
+  assert.equal(download.loaded, 3, 'downloaded every resource once');
+});
+
+QUnit.test('does not download live sources', function(assert) {
+  let errors = 0;
+  const download = new OfflineDownload({ src: 'http://example.com/media.m3u8' }, {
+    sourceType: 'hls',
+    store: this.store
+  });
+
+  download.on('error', () => errors++);
+  download.start();
+  this.respond('http://example.com/media.m3u8', mediaPlaylist('media', false));
+
+  assert.equal(errors, 1, 'triggered an error');
+  assert.equal(download.state, 'error', 'the download failed');
+  assert.equal(download.error.message, 'Only VOD sources can be downloaded',
+               'explained the error');
+  assert.equal(this.requests.length, 0, 'requested no segments');
+});
@@ -0,0 +1,62 @@
+import QUnit from 'qunit';
+import offlineLoader from '../src/offline-loader';
+import { resourceKey } from '../src/offline-store';
+
+QUnit.module('offlineLoader', {
+  beforeEach() {
+    this.reads = [];
+    this.resources = {};
+    this.store = {
+      getResource: (key, callback) => {
+        this.reads.push(() => callback(null, this.resources[key] || null));
+      }
+    };
+    this.loader = offlineLoader(this.store);
+  }
+});
+
+QUnit.test('answers requests with stored responses', function(assert) {
+  const done = [];
+  const segment = new Uint8Array(4).buffer;
+
+  this.resources['http://example.com/media.m3u8'] = { body: '#EXTM3U\n' };
+  this.resources[resourceKey('http://example.com/0.ts', { Range: 'bytes=0-3' })] = {
+    body: segment
+  };
+
+  const playlistRequest = this.loader({ uri: 'http://example.com/media.m3u8' },
+                                      (error, response) => done.push(error || response));
+  const segmentRequest = this.loader({
+    uri: 'http://example.com/0.ts',
+    headers: { Range: 'bytes=0-3' }
+  }, (error, response) => done.push(error || response));
+
+  this.reads.forEach((read) => read());
+
+  assert.equal(done.length, 2, 'called back');
+  assert.equal(done[0].statusCode, 200, 'found the playlist');
+  assert.equal(playlistRequest.responseText, '#EXTM3U\n', 'has the text of the playlist');
+  assert.equal(done[1].statusCode, 200, 'found the byte range');
+  assert.equal(segmentRequest.response, segment, 'has the body of the segment');
+});
+
+QUnit.test('fails requests that were not downloaded', function(assert) {
+  let response;
+
+  this.loader({ uri: 'http://example.com/0.ts' }, (error, res) => {
+    response = error || res;
+  });
+  this.reads.forEach((read) => read());
+
+  assert.equal(response.statusCode, 404, 'not found');
+});
+
+QUnit.test('does not call back aborted requests', function(assert) {
+  let calls = 0;
+
+  this.resources['http://example.com/0.ts'] = { body: new Uint8Array(4).buffer };
+  this.loader({ uri: 'http://example.com/0.ts' }, () => calls++).abort();
+  this.reads.forEach((read) => read());
+
+  assert.equal(calls, 0, 'ignored the read');
+});
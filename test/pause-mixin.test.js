@@ -0,0 +1,59 @@
+import QUnit from 'qunit';
+import videojs from 'video.js';
+import pauseMixin from '../src/pause-mixin.js';
+
+const createMonitor = function(tech, onPause) {
+  const monitor = {
+    events: [],
+    handler: (event) => monitor.events.push(event.type),
+    listen_(method) {
+      tech[method]('playing', monitor.handler);
+    }
+  };
+
+  pauseMixin(monitor, onPause);
+  monitor.listen_('on');
+  return monitor;
+};
+
+QUnit.module('Pause Mixin', {
+  beforeEach() {
+    this.tech = new videojs.EventTarget();
+  }
+});
+
+QUnit.test('stops listening to the tech while paused', function(assert) {
+  const monitor = createMonitor(this.tech);
+
+  assert.notOk(monitor.paused_, 'not paused');
+  this.tech.trigger('playing');
+  assert.deepEqual(monitor.events, ['playing'], 'listens to the tech');
+
+  monitor.pause();
+  assert.ok(monitor.paused_, 'paused');
+  this.tech.trigger('playing');
+  assert.deepEqual(monitor.events, ['playing'], 'does not listen while paused');
+
+  monitor.resume();
+  assert.notOk(monitor.paused_, 'resumed');
+  this.tech.trigger('playing');
+  assert.deepEqual(monitor.events, ['playing', 'playing'], 'listens again');
+});
+
+QUnit.test('pauses and resumes once', function(assert) {
+  let pauses = 0;
+  const monitor = createMonitor(this.tech, () => pauses++);
+
+  monitor.resume();
+  this.tech.trigger('playing');
+  assert.deepEqual(monitor.events, ['playing'], 'did not listen twice');
+
+  monitor.pause();
+  monitor.pause();
+  assert.equal(pauses, 1, 'called back once');
+
+  monitor.resume();
+  monitor.resume();
+  this.tech.trigger('playing');
+  assert.deepEqual(monitor.events, ['playing', 'playing'], 'listens once');
+});
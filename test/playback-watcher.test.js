@@ -124,6 +124,43 @@ QUnit.test('skips over gap in chrome without waiting event', function(assert) {
   assert.equal(hlsGapSkipEvents, 1, 'there is one skipped gap');
 });
 
+QUnit.test('reports stalls at the end of the buffer as rebuffering', function(assert) {
+  this.player.tech_.buffered = function() {
+    return videojs.createTimeRanges([[0, 10]]);
+  };
+
+  this.player.src({
+    src: 'master.m3u8',
+    type: 'application/vnd.apple.mpegurl'
+  });
+
+  this.player.tech_.triggerReady();
+  this.clock.tick(1);
+  standardXHRResponse(this.requests.shift());
+  openMediaSource(this.player, this.clock);
+  this.player.tech_.trigger('canplay');
+  this.player.tech_.trigger('play');
+  this.player.tech_.trigger('playing');
+  this.clock.tick(1);
+
+  // playback stops at the end of the buffer without a waiting event
+  this.player.currentTime(10);
+  this.clock.tick(2000);
+  assert.equal(this.player.tech_.hls.qoe.rebufferCount, 1, 'reported the stall');
+
+  this.player.tech_.buffered = function() {
+    return videojs.createTimeRanges([[0, 20]]);
+  };
+  this.player.tech_.trigger('playing');
+  this.clock.tick(200);
+
+  const qoe = this.player.tech_.hls.qoe;
+
+  assert.equal(qoe.rebufferCount, 1, 'counted one rebuffer');
+  assert.ok(qoe.rebufferDuration > 0 && qoe.rebufferDuration <= 2000,
+            'rebuffer ended when playback resumed');
+});
+
 QUnit.test('skips over gap in Chrome due to video underflow', function(assert) {
   let hlsVideoUnderflowEvents = 0;
 
@@ -4,8 +4,11 @@ import {
   updateSegments,
   updateMaster,
   setupMediaPlaylists,
+  setupRedundantPlaylists,
   resolveMediaGroupUris,
-  refreshDelay
+  resolveIFramePlaylistUris,
+  refreshDelay,
+  addLLHLSQueryDirectives
 } from '../src/playlist-loader';
 import xhrFactory from '../src/xhr';
 import { useFakeEnvironment, urlTo } from './test-helpers';
@@ -637,6 +640,35 @@ QUnit.test('setupMediaPlaylists resolves playlist URIs', function(assert) {
   assert.equal(master.playlists[1].resolvedUri, urlTo('uri-1'), 'resolves URI');
 });
 
+QUnit.test('setupRedundantPlaylists groups variants that only differ by URI',
+function(assert) {
+  const master = {
+    uri: 'master-uri',
+    playlists: [{
+      attributes: { BANDWIDTH: 10, CODECS: 'avc1.4d400d' },
+      uri: 'a/uri-0'
+    }, {
+      attributes: { BANDWIDTH: 100 },
+      uri: 'a/uri-1'
+    }, {
+      attributes: { CODECS: 'avc1.4d400d', BANDWIDTH: 10 },
+      uri: 'b/uri-0'
+    }]
+  };
+
+  setupMediaPlaylists(master);
+  setupRedundantPlaylists(master);
+
+  assert.deepEqual(master.playlists[0].redundantUris, ['a/uri-0', 'b/uri-0'],
+                   'grouped the redundant variants');
+  assert.strictEqual(master.playlists[2].redundantUris, master.playlists[0].redundantUris,
+                     'the variants share the group');
+  assert.notOk(master.playlists[0].inactiveRedundant, 'first variant is active');
+  assert.ok(master.playlists[2].inactiveRedundant, 'backup variant is inactive');
+  assert.notOk(master.playlists[1].redundantUris, 'no group for a single variant');
+  assert.notOk(master.playlists[1].inactiveRedundant, 'single variant is active');
+});
+
 QUnit.test('resolveMediaGroupUris does nothing when no media groups', function(assert) {
   const master = {
     uri: 'master-uri',
@@ -778,6 +810,26 @@ QUnit.test('resolveMediaGroupUris resolves media group URIs', function(assert) {
   }, 'resolved URIs of certain media groups');
 });
 
+QUnit.test('resolveIFramePlaylistUris resolves I-frame playlist URIs', function(assert) {
+  const master = {
+    uri: 'http://example.com/master.m3u8',
+    playlists: [],
+    iFramePlaylists: [{
+      attributes: { BANDWIDTH: 10 },
+      uri: 'iframes/low.m3u8'
+    }]
+  };
+
+  resolveIFramePlaylistUris(master);
+
+  assert.equal(master.iFramePlaylists[0].resolvedUri,
+               'http://example.com/iframes/low.m3u8',
+               'resolved the I-frame playlist URI');
+
+  // masters without I-frame playlists are left alone
+  resolveIFramePlaylistUris({ uri: 'master-uri', playlists: [] });
+});
+
 QUnit.test('uses last segment duration for refresh delay', function(assert) {
   const media = { targetDuration: 7, segments: [] };
 
@@ -1061,6 +1113,34 @@ function(assert) {
   assert.strictEqual(loader.state, 'HAVE_METADATA', 'the state is correct');
 });
 
+QUnit.test('passes playlists through afterResponse', function(assert) {
+  const responses = [];
+  const loader = new PlaylistLoader('master.m3u8', this.fakeHls);
+
+  this.fakeHls.xhr.afterResponse = (response) => {
+    responses.push(response.requestType);
+    if (response.requestType === 'playlist') {
+      return response.body.replace('0.ts', '0.ts?token=1');
+    }
+  };
+  loader.load();
+
+  this.requests.pop().respond(200, null,
+                              '#EXTM3U\n' +
+                              '#EXT-X-STREAM-INF:BANDWIDTH=1\n' +
+                              'media.m3u8\n');
+  this.requests.pop().respond(200, null,
+                              '#EXTM3U\n' +
+                              '#EXTINF:10,\n' +
+                              '0.ts\n' +
+                              '#EXT-X-ENDLIST\n');
+
+  assert.deepEqual(responses, ['manifest', 'playlist'], 'called for both playlists');
+  assert.equal(loader.master.playlists.length, 1, 'kept the master playlist');
+  assert.equal(loader.media().segments[0].uri, '0.ts?token=1',
+               'used the rewritten media playlist');
+});
+
 QUnit.test('moves to HAVE_METADATA after loading a media playlist', function(assert) {
   let loadedPlaylist = 0;
   let loadedMetadata = 0;
@@ -1172,6 +1252,88 @@ QUnit.test('refreshes the playlist after last segment duration', function(assert
   assert.equal(refreshes, 1, 'refreshed playlist after last segment duration');
 });
 
+QUnit.test('adds low-latency delivery directives to playlist URIs', function(assert) {
+  const media = {
+    mediaSequence: 10,
+    segments: [{ duration: 4 }, { duration: 4 }]
+  };
+
+  assert.equal(addLLHLSQueryDirectives('live.m3u8', media),
+               'live.m3u8?_HLS_msn=12',
+               'requested the next media sequence number');
+
+  media.partTargetDuration = 1;
+  media.preloadSegment = { parts: [{ duration: 1 }, { duration: 1 }] };
+  assert.equal(addLLHLSQueryDirectives('live.m3u8?token=1', media),
+               'live.m3u8?token=1&_HLS_msn=12&_HLS_part=2',
+               'requested the next part and kept the existing query');
+});
+
+QUnit.test('uses blocking playlist reloads for low-latency playlists', function(assert) {
+  let loader = new PlaylistLoader('live.m3u8', this.fakeHls, false, { llhls: true });
+
+  loader.load();
+
+  this.requests.pop().respond(200, null,
+                              '#EXTM3U\n' +
+                              '#EXT-X-TARGETDURATION:4\n' +
+                              '#EXT-X-SERVER-CONTROL:CAN-BLOCK-RELOAD=YES\n' +
+                              '#EXT-X-PART-INF:PART-TARGET=1\n' +
+                              '#EXT-X-MEDIA-SEQUENCE:5\n' +
+                              '#EXTINF:4,\n' +
+                              '5.mp4\n' +
+                              '#EXT-X-PART:DURATION=1,URI="6.0.mp4"\n');
+
+  assert.equal(loader.media().preloadSegment.parts[0].resolvedUri,
+               urlTo('6.0.mp4'),
+               'resolved part URIs');
+
+  this.clock.tick(1);
+  assert.equal(this.requests.length, 1, 'requested the playlist right away');
+  assert.equal(this.requests[0].url,
+               urlTo('live.m3u8?_HLS_msn=6&_HLS_part=1'),
+               'requested the next part');
+
+  this.requests.pop().respond(200, null,
+                              '#EXTM3U\n' +
+                              '#EXT-X-TARGETDURATION:4\n' +
+                              '#EXT-X-SERVER-CONTROL:CAN-BLOCK-RELOAD=YES\n' +
+                              '#EXT-X-PART-INF:PART-TARGET=1\n' +
+                              '#EXT-X-MEDIA-SEQUENCE:5\n' +
+                              '#EXTINF:4,\n' +
+                              '5.mp4\n' +
+                              '#EXT-X-PART:DURATION=1,URI="6.0.mp4"\n' +
+                              '#EXT-X-PART:DURATION=1,URI="6.1.mp4"\n');
+
+  assert.equal(loader.media().preloadSegment.parts.length, 2,
+               'a new part is treated as an update');
+
+  this.clock.tick(1);
+  assert.equal(this.requests[0].url,
+               urlTo('live.m3u8?_HLS_msn=6&_HLS_part=2'),
+               'requested the following part');
+});
+
+QUnit.test('does not block playlist reloads unless low-latency is enabled',
+function(assert) {
+  let loader = new PlaylistLoader('live.m3u8', this.fakeHls);
+
+  loader.load();
+
+  this.requests.pop().respond(200, null,
+                              '#EXTM3U\n' +
+                              '#EXT-X-TARGETDURATION:4\n' +
+                              '#EXT-X-SERVER-CONTROL:CAN-BLOCK-RELOAD=YES\n' +
+                              '#EXTINF:4,\n' +
+                              '0.mp4\n');
+
+  this.clock.tick(1);
+  assert.equal(this.requests.length, 0, 'waited to refresh the playlist');
+
+  this.clock.tick(4 * 1000);
+  assert.equal(this.requests[0].url, urlTo('live.m3u8'), 'no delivery directives');
+});
+
 QUnit.test('emits an error when an initial playlist request fails', function(assert) {
   let errors = [];
   let loader = new PlaylistLoader('master.m3u8', this.fakeHls);
@@ -1387,6 +1549,45 @@ QUnit.test('switches media playlists when requested', function(assert) {
                     'updated the active media');
 });
 
+QUnit.test('switches to the redundant playlists of a failed playlist', function(assert) {
+  let loader = new PlaylistLoader('master.m3u8', this.fakeHls);
+
+  loader.load();
+
+  this.requests.pop().respond(200, null,
+                              '#EXTM3U\n' +
+                              '#EXT-X-STREAM-INF:BANDWIDTH=1\n' +
+                              'a/low.m3u8\n' +
+                              '#EXT-X-STREAM-INF:BANDWIDTH=1\n' +
+                              'b/low.m3u8\n' +
+                              '#EXT-X-STREAM-INF:BANDWIDTH=1\n' +
+                              'c/low.m3u8\n');
+
+  const playlists = loader.master.playlists;
+
+  assert.equal(this.requests[0].url, urlTo('a/low.m3u8'), 'requested the first variant');
+
+  this.requests.pop().respond(404, null, '');
+  assert.strictEqual(loader.switchToRedundant(loader.error.playlist, 10), playlists[1],
+                     'switched to the next redundant playlist');
+  assert.ok(playlists[0].inactiveRedundant, 'failed playlist is inactive');
+  assert.notOk(playlists[1].inactiveRedundant, 'redundant playlist is active');
+  assert.equal(this.requests[0].url, urlTo('b/low.m3u8'), 'requested the backup');
+
+  this.requests.pop().respond(404, null, '');
+  assert.strictEqual(loader.switchToRedundant(loader.error.playlist, 10), playlists[2],
+                     'switched to the last redundant playlist');
+
+  this.requests.pop().respond(404, null, '');
+  assert.strictEqual(loader.switchToRedundant(loader.error.playlist, 10), null,
+                     'every redundant playlist failed');
+  assert.notOk(playlists[2].inactiveRedundant, 'kept the last playlist active');
+
+  this.clock.tick(10000);
+  assert.strictEqual(loader.switchToRedundant(playlists[2], 10), playlists[0],
+                     'retries the first playlist after the duration');
+});
+
 QUnit.test('can switch playlists immediately after the master is downloaded',
 function(assert) {
   let loader = new PlaylistLoader('master.m3u8', this.fakeHls);
@@ -3,9 +3,12 @@ import {
   simpleSelector,
   movingAverageBandwidthSelector,
   minRebufferMaxBandwidthSelector,
-  lowestBitrateCompatibleVariantSelector
+  lowestBitrateCompatibleVariantSelector,
+  abrStrategySelector,
+  bolaStrategy
 } from '../src/playlist-selectors';
 import Config from '../src/config';
+import videojs from 'video.js';
 
 module('Playlist Selectors', {
   beforeEach(assert) {
@@ -167,3 +170,81 @@ test('simpleSelector switches up even without resolution information', function(
 
   assert.equal(selectedPlaylist, master.playlists[1], 'selected the correct playlist');
 });
+
+test('abrStrategySelector passes the playback conditions to the strategy',
+function(assert) {
+  const contexts = [];
+  const master = this.hls.playlists.master;
+  const selector = abrStrategySelector((context) => {
+    contexts.push(context);
+    return context.renditions[context.renditions.length - 1];
+  });
+
+  master.playlists = [
+    { attributes: { BANDWIDTH: 100 } },
+    { attributes: { BANDWIDTH: 10 } },
+    { attributes: { BANDWIDTH: 50 }, excludeUntil: Infinity }
+  ];
+  this.hls.playlists.media = () => master.playlists[1];
+  this.hls.systemBandwidth = 1000;
+  this.hls.tech_.currentTime = () => 5;
+  this.hls.tech_.buffered = () => videojs.createTimeRanges([[0, 12]]);
+  this.hls.tech_.getVideoPlaybackQuality = () => {
+    return { droppedVideoFrames: 3, totalVideoFrames: 300 };
+  };
+  this.hls.masterPlaylistController_ = {
+    mainSegmentLoader_: {
+      bandwidthHistory: [800, 1200],
+      bandwidthEstimator: { timeToFirstByte: () => 40 }
+    }
+  };
+
+  assert.strictEqual(selector.call(this.hls), master.playlists[0],
+                     'selected the playlist chosen by the strategy');
+  assert.deepEqual(contexts[0].renditions, [master.playlists[1], master.playlists[0]],
+                   'listed the enabled renditions by ascending bandwidth');
+  assert.strictEqual(contexts[0].master, master, 'passed the master');
+  assert.strictEqual(contexts[0].media, master.playlists[1], 'passed the media');
+  assert.equal(contexts[0].bufferLevel, 7, 'passed the buffer level');
+  assert.equal(contexts[0].bandwidth, 1000, 'passed the bandwidth');
+  assert.deepEqual(contexts[0].throughputHistory, [800, 1200],
+                   'passed the throughput history');
+  assert.equal(contexts[0].timeToFirstByte, 40, 'passed the time to first byte');
+  assert.equal(contexts[0].droppedFrames, 3, 'passed the dropped frames');
+  assert.equal(contexts[0].totalFrames, 300, 'passed the decoded frames');
+
+  const fallback = abrStrategySelector(() => null);
+
+  this.hls.systemBandwidth = 50;
+
+  assert.strictEqual(fallback.call(this.hls), master.playlists[1],
+                     'fell back to the last bandwidth selector');
+});
+
+test('bolaStrategy chooses renditions by buffer level', function(assert) {
+  const renditions = [
+    { attributes: { BANDWIDTH: 1e6 } },
+    { attributes: { BANDWIDTH: 2e6 } },
+    { attributes: { BANDWIDTH: 4e6 } }
+  ];
+  const context = (bufferLevel, bandwidth, media) => {
+    return { renditions, bufferLevel, bandwidth, media };
+  };
+
+  assert.strictEqual(bolaStrategy(context(12, 1e9)), renditions[0],
+                     'lowest rendition with little buffer');
+  assert.strictEqual(bolaStrategy(context(20, 1e9)), renditions[1],
+                     'middle rendition with more buffer');
+  assert.strictEqual(bolaStrategy(context(30, 1e9)), renditions[2],
+                     'highest rendition at the goal buffer length');
+  assert.strictEqual(bolaStrategy(context(5, 3e6)), renditions[1],
+                     'chose by bandwidth before reaching the minimum buffer');
+  assert.strictEqual(bolaStrategy(context(30, 3e6)), renditions[1],
+                     'did not switch above the bandwidth estimate');
+  assert.strictEqual(bolaStrategy(context(30, 3e6, renditions[2])), renditions[2],
+                     'stayed on a rendition above the bandwidth estimate');
+  assert.strictEqual(bolaStrategy(context(20, 3e6, renditions[2])), renditions[1],
+                     'switched down when the buffer drained');
+  assert.strictEqual(bolaStrategy({ renditions: [], bufferLevel: 30 }), null,
+                     'no renditions');
+});
@@ -0,0 +1,272 @@
+import videojs from 'video.js';
+import QUnit from 'qunit';
+import { useFakeEnvironment, useFakePlayer } from './test-helpers.js';
+import QoeMonitor from '../src/qoe-monitor';
+/* eslint-disable no-unused-vars */
+// we need this so that it can register hls with videojs
+import { Hls } from '../src/videojs-http-streaming';
+/* eslint-enable no-unused-vars */
+
+const MASTER_PLAYLIST =
+  '#EXTM3U\n' +
+  '#EXT-X-STREAM-INF:BANDWIDTH=1000000\n' +
+  'low.m3u8\n' +
+  '#EXT-X-STREAM-INF:BANDWIDTH=2000000\n' +
+  'high.m3u8\n';
+
+const MEDIA_PLAYLIST =
+  '#EXTM3U\n' +
+  '#EXT-X-TARGETDURATION:4\n' +
+  '#EXTINF:4,\n' +
+  '0.ts\n' +
+  '#EXTINF:4,\n' +
+  '1.ts\n' +
+  '#EXT-X-ENDLIST\n';
+
+const createTech = () => {
+  const tech = new videojs.EventTarget();
+
+  tech.currentTime_ = 0;
+  tech.seeking_ = false;
+  tech.error_ = null;
+  tech.currentTime = () => tech.currentTime_;
+  tech.seeking = () => tech.seeking_;
+  tech.error = () => tech.error_;
+
+  return tech;
+};
+
+const createMasterPlaylistController = () => {
+  const mpc = new videojs.EventTarget();
+
+  mpc.media_ = null;
+  mpc.switchReason_ = null;
+  mpc.masterPlaylistLoader_ = new videojs.EventTarget();
+  mpc.masterPlaylistLoader_.media = () => mpc.media_;
+  mpc.mainSegmentLoader_ = new videojs.EventTarget();
+  mpc.audioSegmentLoader_ = new videojs.EventTarget();
+
+  return mpc;
+};
+
+QUnit.module('QoeMonitor', {
+  beforeEach(assert) {
+    this.env = useFakeEnvironment(assert);
+    this.clock = this.env.clock;
+    this.tech = createTech();
+    this.mpc = createMasterPlaylistController();
+    this.monitor = new QoeMonitor({
+      tech: this.tech,
+      masterPlaylistController: this.mpc
+    });
+
+    this.switchTo = (id, bandwidth, reason, event) => {
+      this.mpc.media_ = { id, attributes: { BANDWIDTH: bandwidth } };
+      this.mpc.switchReason_ = reason;
+      this.mpc.masterPlaylistLoader_.trigger(event || 'mediachange');
+    };
+  },
+  afterEach() {
+    this.env.restore();
+  }
+});
+
+QUnit.test('measures the time to first frame and rebuffering', function(assert) {
+  this.clock.tick(500);
+  this.tech.trigger('play');
+  // stalls before the first frame are part of the startup
+  this.monitor.stall();
+  this.clock.tick(1200);
+  this.tech.trigger('playing');
+
+  assert.equal(this.monitor.summary().timeToFirstFrame, 1200,
+               'measured from the play request');
+  assert.equal(this.monitor.summary().rebufferCount, 0, 'no rebuffers');
+
+  this.tech.currentTime_ = 10;
+  this.monitor.stall();
+  this.clock.tick(1000);
+  this.monitor.stall();
+  assert.equal(this.monitor.summary().rebufferCount, 1, 'counted the stall once');
+  assert.equal(this.monitor.summary().rebufferDuration, 1000,
+               'includes the ongoing rebuffer');
+
+  this.clock.tick(500);
+  this.tech.trigger('timeupdate');
+  assert.equal(this.monitor.summary().rebufferDuration, 1500,
+               'rebuffer goes on while the time is unchanged');
+
+  this.tech.currentTime_ = 10.25;
+  this.tech.trigger('timeupdate');
+  this.clock.tick(500);
+  assert.equal(this.monitor.summary().rebufferDuration, 1500,
+               'rebuffer ends once the time moves');
+
+  this.monitor.stall();
+  this.clock.tick(300);
+  this.tech.trigger('seeking');
+  this.tech.seeking_ = true;
+  this.monitor.stall();
+  this.clock.tick(300);
+
+  const summary = this.monitor.summary();
+
+  assert.equal(summary.rebufferCount, 2, 'stalls while seeking are not rebuffers');
+  assert.equal(summary.rebufferDuration, 1800, 'seeking ends the rebuffer');
+});
+
+QUnit.test('records rendition switches with their reasons', function(assert) {
+  this.tech.currentTime_ = 0;
+  this.switchTo(0, 1e6, 'initial', 'loadedmetadata');
+  this.clock.tick(4000);
+  this.tech.currentTime_ = 4;
+  this.switchTo(1, 2e6, 'abr');
+  // playlist refreshes keep the same playlist
+  this.mpc.masterPlaylistLoader_.trigger('mediachange');
+  this.clock.tick(2000);
+  this.tech.currentTime_ = 6;
+  this.switchTo(0, 1e6, 'blacklist');
+
+  assert.deepEqual(this.monitor.summary().switches, [{
+    time: 0,
+    currentTime: 0,
+    from: null,
+    to: 0,
+    bandwidth: 1e6,
+    reason: 'initial'
+  }, {
+    time: 4000,
+    currentTime: 4,
+    from: 0,
+    to: 1,
+    bandwidth: 2e6,
+    reason: 'abr'
+  }, {
+    time: 6000,
+    currentTime: 6,
+    from: 1,
+    to: 0,
+    bandwidth: 1e6,
+    reason: 'blacklist'
+  }], 'recorded the switches');
+});
+
+QUnit.test('does not reuse the reason of an earlier switch', function(assert) {
+  this.switchTo(0, 1e6, 'initial', 'loadedmetadata');
+  this.switchTo(1, 2e6, 'blacklist');
+  assert.strictEqual(this.mpc.switchReason_, null, 'cleared the reason once recorded');
+
+  // a switch the controller gave no reason for
+  this.mpc.media_ = { id: 2, attributes: { BANDWIDTH: 3e6 } };
+  this.mpc.masterPlaylistLoader_.trigger('mediachange');
+
+  assert.deepEqual(this.monitor.summary().switches.map((entry) => entry.reason),
+                   ['initial', 'blacklist', 'abr'],
+                   'defaulted to abr');
+});
+
+QUnit.test('records wasted bytes and errors', function(assert) {
+  this.mpc.mainSegmentLoader_.trigger({ type: 'earlyabort', bytesReceived: 1000 });
+  this.mpc.audioSegmentLoader_.trigger({ type: 'earlyabort', bytesReceived: 200 });
+
+  this.tech.currentTime_ = 5;
+  this.mpc.trigger({
+    type: 'playlisterror',
+    error: { status: 404, message: 'HLS request errored' }
+  });
+  this.mpc.error = { message: 'Playback cannot continue.' };
+  this.mpc.trigger('error');
+  this.tech.error_ = { code: 3, message: 'decode error' };
+  this.tech.trigger('error');
+
+  const summary = this.monitor.summary();
+
+  assert.equal(summary.wastedBytes, 1200, 'counted the bytes of early aborts');
+  assert.deepEqual(summary.errors, [{
+    time: 0,
+    currentTime: 5,
+    fatal: false,
+    code: null,
+    status: 404,
+    message: 'HLS request errored'
+  }, {
+    time: 0,
+    currentTime: 5,
+    fatal: true,
+    code: null,
+    status: null,
+    message: 'Playback cannot continue.'
+  }, {
+    time: 0,
+    currentTime: 5,
+    fatal: true,
+    code: 3,
+    status: null,
+    message: 'decode error'
+  }], 'recorded the errors');
+});
+
+QUnit.test('triggers the summary when disposed', function(assert) {
+  let summary;
+
+  this.tech.on('qoesummary', (event) => {
+    summary = event.summary;
+  });
+  this.mpc.mainSegmentLoader_.trigger({ type: 'earlyabort', bytesReceived: 1000 });
+  this.monitor.dispose();
+
+  assert.equal(summary.wastedBytes, 1000, 'triggered the summary');
+
+  this.mpc.mainSegmentLoader_.trigger({ type: 'earlyabort', bytesReceived: 1000 });
+  assert.equal(this.monitor.summary().wastedBytes, 1000, 'stopped monitoring');
+});
+
+QUnit.module('QoeMonitor - player', {
+  beforeEach(assert) {
+    Object.assign(this, useFakePlayer(assert, {
+      src: 'master.m3u8',
+      type: 'application/vnd.apple.mpegurl'
+    }));
+  },
+  afterEach() {
+    this.restore();
+  }
+});
+
+QUnit.test('follows the playback of a source', function(assert) {
+  let summary = null;
+
+  this.requests.shift().respond(200, null, MASTER_PLAYLIST);
+  this.requests.shift().respond(200, null, MEDIA_PLAYLIST);
+
+  assert.deepEqual(this.hls.qoe.switches.map((entry) => [entry.to, entry.reason]),
+                   [[1, 'initial']],
+                   'recorded the initial rendition');
+
+  this.clock.tick(1);
+  this.requests.shift().respond(404, null, '');
+  this.requests.shift().respond(200, null, MEDIA_PLAYLIST);
+
+  assert.deepEqual(this.hls.qoe.switches.map((entry) => [entry.to, entry.reason]),
+                   [[1, 'initial'], [0, 'blacklist']],
+                   'recorded the switch away from the failed rendition');
+  assert.equal(this.env.log.warn.callCount, 1, 'warned about the failed rendition');
+  this.env.log.warn.reset();
+
+  this.tech.play();
+  this.clock.tick(1000);
+  this.tech.trigger('playing');
+  assert.equal(this.hls.qoe.timeToFirstFrame, 1000,
+               'measured the time to the first frame');
+
+  this.tech.on('qoesummary', (event) => {
+    summary = event.summary;
+  });
+  this.player.src({
+    src: 'other.m3u8',
+    type: 'application/vnd.apple.mpegurl'
+  });
+  this.clock.tick(1);
+  assert.equal(summary.timeToFirstFrame, 1000,
+               'triggered the summary when the source was replaced');
+});
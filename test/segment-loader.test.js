@@ -2,13 +2,16 @@ import QUnit from 'qunit';
 import {
   default as SegmentLoader,
   illegalMediaSwitch,
-  safeBackBufferTrimTime
+  safeBackBufferTrimTime,
+  appendableMp4Length
 } from '../src/segment-loader';
 import videojs from 'video.js';
+import Config from '../src/config';
 import mp4probe from 'mux.js/lib/mp4/probe';
 import {
   playlistWithDuration,
-  MockTextTrack
+  MockTextTrack,
+  emsgBox
 } from './test-helpers.js';
 import {
   LoaderCommonHooks,
@@ -24,6 +27,20 @@ const ogAddSegmentMetadataCue_ = SegmentLoader.prototype.addSegmentMetadataCue_;
 
 SegmentLoader.prototype.addSegmentMetadataCue_ = function() {};
 
+const mp4Box = (type, size) => {
+  const bytes = new Uint8Array(size);
+
+  new DataView(bytes.buffer).setUint32(0, size);
+  bytes.set(type.split('').map((c) => c.charCodeAt(0)), 4);
+  return bytes;
+};
+
+const concatBytes = (...arrays) => {
+  return new Uint8Array(arrays.reduce((bytes, array) => {
+    return bytes.concat(Array.prototype.slice.call(array));
+  }, []));
+};
+
 QUnit.module('SegmentLoader Isolated Functions');
 
 QUnit.test('illegalMediaSwitch detects illegal media switches', function(assert) {
@@ -129,6 +146,19 @@ function(assert) {
     'within target duration');
 });
 
+QUnit.test('appendableMp4Length finds the complete fragments', function(assert) {
+  const fragment = concatBytes(mp4Box('moof', 16), mp4Box('mdat', 24));
+  const bytes = concatBytes(mp4Box('styp', 8), fragment, fragment);
+
+  assert.equal(appendableMp4Length(bytes), 88, 'all of the fragments');
+  assert.equal(appendableMp4Length(bytes.subarray(0, 80)), 48,
+               'up to the end of the last complete mdat');
+  assert.equal(appendableMp4Length(bytes.subarray(0, 30)), 0,
+               'nothing without a complete mdat');
+  assert.equal(appendableMp4Length(concatBytes(mp4Box('moof', 16), [0, 0, 0, 0])), 0,
+               'nothing with a partial box header');
+});
+
 QUnit.module('SegmentLoader', function(hooks) {
   hooks.beforeEach(LoaderCommonHooks.beforeEach);
   hooks.afterEach(LoaderCommonHooks.afterEach);
@@ -251,6 +281,416 @@ QUnit.module('SegmentLoader', function(hooks) {
                    'segment end time not shifted by mp4 start time');
     });
 
+    QUnit.test('changes the source buffer type when segment codecs change',
+    function(assert) {
+      let playlist = playlistWithDuration(30);
+
+      playlist.segments.forEach((segment, i) => {
+        segment.codecs = i === 0 ? 'avc1.4d401f' : 'avc1.64001f,mp4a.40.2';
+        segment.map = {
+          resolvedUri: `init-${i}.mp4`,
+          byterange: { length: Infinity, offset: 0 }
+        };
+      });
+      loader.playlist(playlist);
+      loader.mimeType('video/mp4; codecs="avc1.4d401f"');
+      loader.load();
+
+      this.startTime.returns(0);
+
+      this.clock.tick(100);
+      // init
+      this.requests[0].response = new Uint8Array(10).buffer;
+      this.requests.shift().respond(200, null, '');
+      // segment
+      this.requests[0].response = new Uint8Array(10).buffer;
+      this.requests.shift().respond(200, null, '');
+      this.updateend();
+      this.updateend();
+      this.clock.tick(1);
+
+      const updates = this.mediaSource.sourceBuffers[0].updates_;
+
+      assert.equal(updates.filter((update) => update.changeType).length, 0,
+                   'did not change the type for the same codecs');
+
+      // init
+      this.requests[0].response = new Uint8Array(10).buffer;
+      this.requests.shift().respond(200, null, '');
+      // segment
+      this.requests[0].response = new Uint8Array(10).buffer;
+      this.requests.shift().respond(200, null, '');
+
+      assert.deepEqual(updates.filter((update) => update.changeType), [{
+        changeType: 'video/mp4; codecs="avc1.64001f, mp4a.40.2"'
+      }], 'changed the type to the new codecs');
+      assert.ok(updates[updates.length - 1].append,
+                'changed the type before appending the new init segment');
+      this.updateend();
+      this.updateend();
+      this.clock.tick(1);
+
+      // init
+      this.requests[0].response = new Uint8Array(10).buffer;
+      this.requests.shift().respond(200, null, '');
+      // segment
+      this.requests[0].response = new Uint8Array(10).buffer;
+      this.requests.shift().respond(200, null, '');
+
+      assert.equal(updates.filter((update) => update.changeType).length, 1,
+                   'did not change the type again for the same codecs');
+    });
+
+    QUnit.test('does not change the source buffer type for the same codecs written ' +
+               'differently', function(assert) {
+      let playlist = playlistWithDuration(10);
+
+      playlist.segments[0].codecs = 'mp4a.40.2, avc1.77.31';
+      loader.playlist(playlist);
+      loader.mimeType('video/mp4; codecs="avc1.4D001F, mp4a.40.2"');
+      loader.load();
+
+      this.startTime.returns(0);
+
+      this.clock.tick(100);
+      this.requests[0].response = new Uint8Array(10).buffer;
+      this.requests.shift().respond(200, null, '');
+
+      const updates = this.mediaSource.sourceBuffers[0].updates_;
+
+      assert.equal(updates.filter((update) => update.changeType).length, 0,
+                   'did not change the type');
+      assert.equal(updates.filter((update) => update.append).length, 1,
+                   'appended the segment');
+    });
+
+    QUnit.test('translates legacy codecs when changing the source buffer type',
+    function(assert) {
+      let playlist = playlistWithDuration(10);
+
+      playlist.segments[0].codecs = 'avc1.100.31';
+      loader.playlist(playlist);
+      loader.mimeType('video/mp4; codecs="avc1.4d401f"');
+      loader.load();
+
+      this.startTime.returns(0);
+
+      this.clock.tick(100);
+      this.requests[0].response = new Uint8Array(10).buffer;
+      this.requests.shift().respond(200, null, '');
+
+      assert.deepEqual(
+        this.mediaSource.sourceBuffers[0].updates_.filter((update) => update.changeType),
+        [{ changeType: 'video/mp4; codecs="avc1.64001f"' }],
+        'changed the type to the translated codecs');
+    });
+
+    QUnit.test('errors when the source buffer type cannot be changed', function(assert) {
+      let playlist = playlistWithDuration(10);
+      const errors = [];
+
+      playlist.segments[0].codecs = 'hvc1.1.6.L93.B0';
+      loader.on('error', () => errors.push(loader.error()));
+      loader.playlist(playlist);
+      loader.mimeType('video/mp4; codecs="avc1.4d401f"');
+      loader.load();
+
+      this.startTime.returns(0);
+
+      this.clock.tick(100);
+      this.mediaSource.sourceBuffers[0].changeType = () => {
+        const error = new Error('unsupported type');
+
+        error.name = 'NotSupportedError';
+        throw error;
+      };
+      this.requests[0].response = new Uint8Array(10).buffer;
+      this.requests.shift().respond(200, null, '');
+
+      assert.equal(errors.length, 1, 'one error');
+      assert.equal(errors[0].message, 'Failed to append segment 0: NotSupportedError',
+                   'reported the failed change of type');
+      assert.ok(loader.paused(), 'paused the loader');
+    });
+
+    QUnit.test('keeps a history of the bandwidth of recent segments', function(assert) {
+      const historyLength = Config.BANDWIDTH_HISTORY_LENGTH;
+
+      Config.BANDWIDTH_HISTORY_LENGTH = 2;
+      loader.playlist(playlistWithDuration(40));
+      loader.mimeType(this.mimeType);
+      loader.load();
+      this.clock.tick(1);
+
+      [100, 200, 400].forEach((duration) => {
+        this.clock.tick(duration);
+        this.requests[0].response = new Uint8Array(10).buffer;
+        this.requests.shift().respond(200, null, '');
+        this.updateend();
+        this.clock.tick(1);
+      });
+
+      assert.deepEqual(loader.bandwidthHistory, [
+        (10 / 200) * 8 * 1000,
+        (10 / 400) * 8 * 1000
+      ], 'kept the most recent measurements');
+
+      Config.BANDWIDTH_HISTORY_LENGTH = historyLength;
+    });
+
+    QUnit.test('estimates bandwidth without the time to first byte', function(assert) {
+      loader.playlist(playlistWithDuration(20));
+      loader.mimeType(this.mimeType);
+      loader.load();
+      this.clock.tick(1);
+
+      this.clock.tick(900);
+      this.requests[0].downloadProgress({
+        target: this.requests[0],
+        total: 20,
+        loaded: 10
+      });
+      this.clock.tick(100);
+      this.requests[0].response = new Uint8Array(20).buffer;
+      this.requests.shift().respond(200, null, '');
+
+      assert.equal(loader.bandwidthEstimator.bandwidth(), (10 / 100) * 8 * 1000,
+                   'measured the bytes after the first byte');
+      assert.equal(loader.bandwidthEstimator.timeToFirstByte(), 900,
+                   'recorded the time to first byte');
+      assert.equal(loader.bandwidth, (20 / 1000) * 8 * 1000,
+                   'the bandwidth is the rate of the download');
+      assert.equal(loader.roundTrip, 1000, 'the round trip is unchanged');
+    });
+
+    QUnit.test('uses the bandwidth estimate with useBandwidthEstimator',
+    function(assert) {
+      loader = new SegmentLoader(LoaderCommonSettings.call(this, {
+        loaderType: 'main',
+        segmentMetadataTrack: this.segmentMetadataTrack,
+        useBandwidthEstimator: true
+      }), {});
+      loader.playlist(playlistWithDuration(20));
+      loader.mimeType(this.mimeType);
+      loader.load();
+      this.clock.tick(1);
+
+      this.clock.tick(900);
+      this.requests[0].downloadProgress({
+        target: this.requests[0],
+        total: 20,
+        loaded: 10
+      });
+      this.clock.tick(100);
+      this.requests[0].response = new Uint8Array(20).buffer;
+      this.requests.shift().respond(200, null, '');
+
+      assert.equal(loader.bandwidth, (10 / 100) * 8 * 1000,
+                   'the bandwidth is the estimate');
+    });
+
+    QUnit.test('triggers emsg with the events of fmp4 segments', function(assert) {
+      let playlist = playlistWithDuration(10);
+      let events = [];
+
+      playlist.segments.forEach((segment) => {
+        segment.map = {
+          resolvedUri: 'init.mp4',
+          byterange: { length: Infinity, offset: 0 }
+        };
+      });
+      loader.on('emsg', (event) => {
+        events = events.concat(event.events);
+      });
+      loader.playlist(playlist);
+      loader.mimeType(this.mimeType);
+      loader.load();
+
+      this.startTime.returns(11);
+
+      this.clock.tick(100);
+      // init
+      this.requests[0].response = new Uint8Array(10).buffer;
+      this.requests.shift().respond(200, null, '');
+      // segment
+      this.requests[0].response = new Uint8Array(Array.prototype.slice.call(emsgBox({
+        version: 0,
+        schemeIdUri: 'urn:example',
+        value: '',
+        timescale: 1000,
+        presentationTimeDelta: 1000,
+        eventDuration: 500,
+        id: 1
+      })).concat(Array.prototype.slice.call(emsgBox({
+        version: 1,
+        schemeIdUri: 'urn:example',
+        value: '',
+        timescale: 1000,
+        presentationTime: 14000,
+        eventDuration: 500,
+        id: 2
+      })))).buffer;
+      this.requests.shift().respond(200, null, '');
+
+      const times = events.map((event) => [event.id, event.startTime, event.endTime]);
+
+      assert.deepEqual(times, [
+        [1, 1, 1.5],
+        [2, 3, 3.5]
+      ], 'timed the events in player time');
+    });
+
+    QUnit.test('appends fmp4 fragments while the segment downloads', function(assert) {
+      const playlist = playlistWithDuration(10);
+      const fragment = concatBytes(mp4Box('moof', 16), mp4Box('mdat', 24));
+      const appends = () => this.mediaSource.sourceBuffers[0].updates_
+        .filter((update) => update.append)
+        .map((update) => update.append.byteLength);
+
+      loader = new SegmentLoader(LoaderCommonSettings.call(this, {
+        loaderType: 'main',
+        segmentMetadataTrack: this.segmentMetadataTrack,
+        progressive: true
+      }), {});
+      playlist.segments.forEach((segment) => {
+        segment.map = {
+          resolvedUri: 'init.mp4',
+          byterange: { length: Infinity, offset: 0 }
+        };
+      });
+      loader.playlist(playlist);
+      loader.mimeType(this.mimeType);
+      loader.load();
+      this.startTime.returns(0);
+      this.clock.tick(100);
+
+      // init
+      this.requests[0].response = new Uint8Array(10).buffer;
+      this.requests.shift().respond(200, null, '');
+
+      const request = this.requests.shift();
+      const progress = (chunk, loaded) => {
+        request.dispatchEvent({ type: 'progress', target: request, loaded, chunk });
+      };
+
+      progress(fragment.subarray(0, 30), 30);
+      assert.deepEqual(appends(), [], 'waits for a complete fragment');
+
+      progress(concatBytes(fragment.subarray(30), fragment.subarray(0, 10)), 50);
+      this.updateend();
+      assert.deepEqual(appends(), [10, 40], 'appended the init segment and fragment');
+      assert.equal(loader.state, 'WAITING', 'still downloading');
+
+      request.response = concatBytes(fragment, fragment).buffer;
+      request.respond(200, null, '');
+      this.updateend();
+
+      assert.deepEqual(appends(), [10, 40, 40], 'appended the rest of the segment');
+      this.updateend();
+      assert.equal(loader.state, 'READY', 'finished the segment');
+      assert.equal(loader.mediaBytesTransferred, 80, 'counted the whole segment');
+    });
+
+    QUnit.test('removes appended fragments when the download is aborted',
+    function(assert) {
+      const playlist = playlistWithDuration(10);
+      const fragment = concatBytes(mp4Box('moof', 16), mp4Box('mdat', 24));
+      const removes = () => this.mediaSource.sourceBuffers[0].updates_
+        .filter((update) => update.remove)
+        .map((update) => update.remove);
+
+      loader = new SegmentLoader(LoaderCommonSettings.call(this, {
+        loaderType: 'main',
+        segmentMetadataTrack: this.segmentMetadataTrack,
+        progressive: true
+      }), {});
+      playlist.segments[0].map = {
+        resolvedUri: 'init.mp4',
+        byterange: { length: Infinity, offset: 0 }
+      };
+      loader.playlist(playlist);
+      loader.mimeType(this.mimeType);
+      loader.load();
+      this.startTime.returns(0);
+      this.clock.tick(100);
+
+      // init
+      this.requests[0].response = new Uint8Array(10).buffer;
+      this.requests.shift().respond(200, null, '');
+
+      const request = this.requests.shift();
+
+      request.dispatchEvent({
+        type: 'progress',
+        target: request,
+        loaded: 40,
+        chunk: fragment
+      });
+      this.updateend();
+      assert.deepEqual(removes(), [], 'removed nothing while downloading');
+
+      loader.abort();
+      this.updateend();
+
+      assert.ok(request.aborted, 'aborted the download');
+      assert.deepEqual(removes(), [[0, 10]], 'removed the appended fragments');
+    });
+
+    QUnit.test('reports appends the source buffer does not accept', function(assert) {
+      const playlist = playlistWithDuration(10);
+      const fragment = concatBytes(mp4Box('moof', 16), mp4Box('mdat', 24));
+      let errors = 0;
+
+      loader = new SegmentLoader(LoaderCommonSettings.call(this, {
+        loaderType: 'main',
+        segmentMetadataTrack: this.segmentMetadataTrack,
+        progressive: true
+      }), {});
+      loader.on('error', () => errors++);
+      playlist.segments[0].map = {
+        resolvedUri: 'init.mp4',
+        byterange: { length: Infinity, offset: 0 }
+      };
+      loader.playlist(playlist);
+      loader.mimeType(this.mimeType);
+      loader.load();
+      this.startTime.returns(0);
+      this.clock.tick(100);
+
+      // init
+      this.requests[0].response = new Uint8Array(10).buffer;
+      this.requests.shift().respond(200, null, '');
+
+      const request = this.requests.shift();
+      const sourceBuffer = this.mediaSource.sourceBuffers[0];
+
+      sourceBuffer.appendBuffer = (bytes) => {
+        if (bytes.byteLength === fragment.byteLength) {
+          const error = new Error('full');
+
+          error.name = 'QuotaExceededError';
+          throw error;
+        }
+        sourceBuffer.updates_.push({ append: bytes });
+        sourceBuffer.updating = true;
+      };
+      request.dispatchEvent({
+        type: 'progress',
+        target: request,
+        loaded: 40,
+        chunk: fragment
+      });
+      this.updateend();
+
+      assert.equal(errors, 1, 'triggered an error');
+      assert.equal(loader.error().message,
+                   'Failed to append segment 0: QuotaExceededError',
+                   'described the error');
+      assert.ok(request.aborted, 'aborted the download');
+      assert.equal(loader.state, 'READY', 'stopped the segment');
+      assert.ok(loader.paused(), 'paused the loader');
+    });
+
     QUnit.test('triggers syncinfoupdate before attempting a resync', function(assert) {
       let syncInfoUpdates = 0;
 
@@ -707,6 +1147,139 @@ QUnit.module('SegmentLoader', function(hooks) {
       assert.ok(!playlist.segments[1].end, 'did not set end on segment of old playlist');
     });
 
+    QUnit.test('appends low-latency parts after the last complete segment',
+    function(assert) {
+      let playlist = playlistWithDuration(20, { endList: false });
+      let buffered = videojs.createTimeRanges();
+      let partStart = 20;
+
+      loader = new SegmentLoader(LoaderCommonSettings.call(this, {
+        loaderType: 'main',
+        segmentMetadataTrack: this.segmentMetadataTrack,
+        llhls: true
+      }), {});
+      loader.buffered_ = () => buffered;
+
+      playlist.preloadSegment = {
+        timeline: 0,
+        parts: [
+          { uri: '2.0.ts', resolvedUri: '2.0.ts', duration: 1 },
+          { uri: '2.1.ts', resolvedUri: '2.1.ts', duration: 1 }
+        ]
+      };
+
+      loader.playlist(playlist);
+      loader.mimeType(this.mimeType);
+      loader.load();
+      this.clock.tick(1);
+
+      ['0.ts', '1.ts'].forEach((uri, i) => {
+        assert.equal(this.requests[0].url, uri, 'requested complete segment ' + i);
+        this.requests[0].response = new Uint8Array(10).buffer;
+        this.requests.shift().respond(200, null, '');
+        buffered = videojs.createTimeRanges([[0, (i + 1) * 10]]);
+        this.updateend();
+        this.clock.tick(1);
+      });
+
+      // mock probeSegmentInfo as the response bytes aren't parsable
+      loader.syncController_.probeSegmentInfo = (segmentInfo) => {
+        segmentInfo.segment.start = partStart;
+        segmentInfo.segment.end = partStart + segmentInfo.duration;
+        partStart = segmentInfo.segment.end;
+      };
+
+      ['2.0.ts', '2.1.ts'].forEach((uri, i) => {
+        assert.equal(this.requests[0].url, uri, 'requested part ' + i);
+        this.requests[0].response = new Uint8Array(10).buffer;
+        this.requests.shift().respond(200, null, '');
+        buffered = videojs.createTimeRanges([[0, 21 + i]]);
+        this.updateend();
+        this.clock.tick(1);
+        assert.equal(loader.partIndex, i, 'updated the part index');
+      });
+
+      assert.equal(this.requests.length, 0, 'waits for more parts');
+      assert.equal(playlist.preloadSegment.start, 20, 'saved the segment start');
+      assert.equal(playlist.preloadSegment.end, 22, 'saved the end of the last part');
+
+      // the server finished the segment and started another one
+      let playlistUpdated = playlistWithDuration(30, { endList: false });
+
+      playlistUpdated.segments[2].parts = [
+        { uri: '2.0.ts', resolvedUri: '2.0.ts', duration: 1 },
+        { uri: '2.1.ts', resolvedUri: '2.1.ts', duration: 1 },
+        { uri: '2.2.ts', resolvedUri: '2.2.ts', duration: 8 }
+      ];
+      loader.playlist(playlistUpdated);
+      this.clock.tick(500);
+
+      assert.equal(this.requests.length, 1, 'requested the remaining part');
+      assert.equal(this.requests[0].url, '2.2.ts', 'requested the next part');
+    });
+
+    QUnit.test('requests the part announced by a preload hint', function(assert) {
+      let playlist = playlistWithDuration(20, { endList: false });
+      let buffered = videojs.createTimeRanges();
+      const preloadSegment = (partCount) => {
+        const parts = [];
+
+        for (let i = 0; i < partCount; i++) {
+          parts.push({ uri: `2.${i}.ts`, resolvedUri: `2.${i}.ts`, duration: 1 });
+        }
+
+        return {
+          timeline: 0,
+          parts,
+          preloadHints: [
+            { type: 'MAP', uri: 'init.mp4', resolvedUri: 'init.mp4' },
+            { type: 'PART', uri: `2.${partCount}.ts`, resolvedUri: `2.${partCount}.ts` }
+          ]
+        };
+      };
+
+      loader = new SegmentLoader(LoaderCommonSettings.call(this, {
+        loaderType: 'main',
+        segmentMetadataTrack: this.segmentMetadataTrack,
+        llhls: true
+      }), {});
+      loader.buffered_ = () => buffered;
+
+      playlist.partTargetDuration = 1;
+      playlist.preloadSegment = preloadSegment(1);
+      loader.playlist(playlist);
+      loader.mimeType(this.mimeType);
+      loader.load();
+      this.clock.tick(1);
+
+      loader.syncController_.probeSegmentInfo = (segmentInfo) => {
+        segmentInfo.segment.start = 0;
+        segmentInfo.segment.end = segmentInfo.duration;
+      };
+
+      ['0.ts', '1.ts', '2.0.ts', '2.1.ts'].forEach((uri, i) => {
+        assert.equal(this.requests[0].url, uri, `requested ${uri}`);
+        this.requests[0].response = new Uint8Array(10).buffer;
+        this.requests.shift().respond(200, null, '');
+        buffered = videojs.createTimeRanges([[0, i < 2 ? (i + 1) * 10 : 19 + i]]);
+        this.updateend();
+        this.clock.tick(1);
+      });
+
+      assert.equal(loader.partIndex, 1, 'the hinted part is the next part');
+      assert.equal(this.requests.length, 0, 'waits for the playlist to announce it');
+
+      let playlistUpdated = playlistWithDuration(20, { endList: false });
+
+      playlistUpdated.partTargetDuration = 1;
+      playlistUpdated.preloadSegment = preloadSegment(2);
+      loader.playlist(playlistUpdated);
+      this.clock.tick(500);
+
+      assert.equal(this.requests.length, 1, 'requested one part');
+      assert.equal(this.requests[0].url, '2.2.ts', 'requested the newly hinted part');
+    });
+
     QUnit.test(
       'saves segment info to old segment after playlist refresh if segment fell off',
     function(assert) {
@@ -148,6 +148,28 @@ QUnit.test('runs only one callback at a time', function(assert) {
                   'ran the fourth update');
 });
 
+QUnit.test('passes the error of an append that throws', function(assert) {
+  const updater = new SourceUpdater(this.mediaSource, 'video/mp4');
+  const errors = [];
+  let sourceBuffer;
+
+  this.mediaSource.trigger('sourceopen');
+  sourceBuffer = this.mediaSource.sourceBuffers[0];
+  sourceBuffer.appendBuffer = () => {
+    const error = new Error('full');
+
+    error.name = 'QuotaExceededError';
+    throw error;
+  };
+
+  updater.appendBuffer(new Uint8Array([0]), (error) => errors.push(error.name));
+  updater.remove(0, 10);
+
+  assert.deepEqual(errors, ['QuotaExceededError'], 'passed the error');
+  assert.deepEqual(sourceBuffer.updates_, [{ remove: [0, 10] }],
+                   'ran the next update');
+});
+
 QUnit.test('runs updates immediately if possible', function(assert) {
   let updater = new SourceUpdater(this.mediaSource, 'video/mp2t');
   let sourceBuffer;
@@ -230,3 +252,51 @@ QUnit.test('supports timestampOffset', function(assert) {
   sourceBuffer.trigger('updateend');
   assert.equal(sourceBuffer.timestampOffset, 14, 'applied the update');
 });
+
+QUnit.test('supports changeType', function(assert) {
+  let updater = new SourceUpdater(this.mediaSource, 'video/mp4; codecs="avc1.4d401f"');
+  let sourceBuffer;
+
+  this.mediaSource.trigger('sourceopen');
+  sourceBuffer = this.mediaSource.sourceBuffers[0];
+
+  updater.changeType('video/mp4; codecs="avc1.4d401f"');
+  assert.equal(sourceBuffer.updates_.length, 0, 'ignored the unchanged type');
+
+  updater.appendBuffer(new Uint8Array(2));
+  updater.changeType('video/mp4; codecs="avc1.64001f"');
+  assert.equal(sourceBuffer.updates_.length, 1, 'queued the change after the update');
+
+  sourceBuffer.trigger('updateend');
+  assert.deepEqual(sourceBuffer.updates_[1], {
+    changeType: 'video/mp4; codecs="avc1.64001f"'
+  }, 'changed the type');
+});
+
+QUnit.test('reports a change of type that fails', function(assert) {
+  let updater = new SourceUpdater(this.mediaSource, 'video/mp4; codecs="avc1.4d401f"');
+  let errors = [];
+  let sourceBuffer;
+
+  this.mediaSource.trigger('sourceopen');
+  sourceBuffer = this.mediaSource.sourceBuffers[0];
+  sourceBuffer.changeType = () => {
+    const error = new Error('unsupported type');
+
+    error.name = 'NotSupportedError';
+    throw error;
+  };
+
+  updater.appendBuffer(new Uint8Array(2));
+  updater.changeType('video/mp4; codecs="hvc1.1.6.L93.B0"', (error) => {
+    errors.push(error);
+  });
+  updater.appendBuffer(new Uint8Array(3));
+
+  sourceBuffer.trigger('updateend');
+  assert.equal(errors.length, 1, 'reported the error');
+  assert.equal(errors[0].name, 'NotSupportedError', 'reported the error name');
+  assert.equal(sourceBuffer.updates_.length, 2, 'ran the next update');
+  assert.equal(sourceBuffer.updates_[1].append.byteLength, 3,
+               'appended after the failed change');
+});
@@ -54,6 +54,12 @@ class MockSourceBuffer extends videojs.EventTarget {
       remove: [start, end]
     });
   }
+
+  changeType(mimeType) {
+    this.updates_.push({
+      changeType: mimeType
+    });
+  }
 }
 
 class MockMediaSource extends videojs.EventTarget {
@@ -321,6 +327,46 @@ export const openMediaSource = function(player, clock) {
   clock.tick(1);
 };
 
+/**
+ * Plays a source through the HLS source handler of a player in a fake environment, for
+ * tests that go through a player
+ *
+ * @param {Object} assert the assert of the test, see useFakeEnvironment
+ * @param {Object} source the source of the player
+ * @param {Object=} hlsOptions the options of the source handler
+ * @return {Object} the fake environment with its clock and requests, the player, its
+ * tech and the source handler, and a function to restore them after the test
+ */
+export const useFakePlayer = function(assert, source, hlsOptions) {
+  const env = useFakeEnvironment(assert);
+  const mse = useFakeMediaSource();
+  const supportsNativeHls = videojs.Hls.supportsNativeHls;
+
+  // force the HLS tech to run
+  videojs.Hls.supportsNativeHls = false;
+
+  const player = createPlayer({ html5: { hls: hlsOptions || {} } });
+
+  player.src(source);
+  env.clock.tick(1);
+  openMediaSource(player, env.clock);
+
+  return {
+    env,
+    clock: env.clock,
+    requests: env.requests,
+    player,
+    tech: player.tech_,
+    hls: player.tech_.hls,
+    restore() {
+      env.restore();
+      mse.restore();
+      videojs.Hls.supportsNativeHls = supportsNativeHls;
+      player.dispose();
+    }
+  };
+};
+
 export const standardXHRResponse = function(request, data) {
   if (!request.url) {
     return;
@@ -415,3 +461,55 @@ export const urlTo = function(path) {
     .concat([path])
     .join('/');
 };
+
+const uint32 = (value) => {
+  return [
+    (value >>> 24) & 0xFF,
+    (value >>> 16) & 0xFF,
+    (value >>> 8) & 0xFF,
+    value & 0xFF
+  ];
+};
+
+const nullTerminated = (string) => {
+  return string.split('').map((c) => c.charCodeAt(0)).concat([0]);
+};
+
+/**
+ * Creates the bytes of an emsg box
+ *
+ * @param {Object} options
+ *        The `version`, `schemeIdUri`, `value`, `timescale`, `presentationTimeDelta`
+ *        (version 0) or `presentationTime` (version 1), `eventDuration`, `id` and
+ *        `messageData` bytes of the box
+ * @return {Uint8Array}
+ *         The box
+ */
+export const emsgBox = function(options) {
+  let payload = [options.version || 0, 0, 0, 0];
+
+  if (options.version === 1) {
+    payload = payload
+      .concat(uint32(options.timescale))
+      .concat(uint32(Math.floor(options.presentationTime / Math.pow(2, 32))))
+      .concat(uint32(options.presentationTime % Math.pow(2, 32)))
+      .concat(uint32(options.eventDuration))
+      .concat(uint32(options.id))
+      .concat(nullTerminated(options.schemeIdUri))
+      .concat(nullTerminated(options.value));
+  } else {
+    payload = payload
+      .concat(nullTerminated(options.schemeIdUri))
+      .concat(nullTerminated(options.value))
+      .concat(uint32(options.timescale))
+      .concat(uint32(options.presentationTimeDelta))
+      .concat(uint32(options.eventDuration))
+      .concat(uint32(options.id));
+  }
+
+  payload = payload.concat(options.messageData || []);
+
+  return new Uint8Array(uint32(payload.length + 8)
+    .concat([0x65, 0x6D, 0x73, 0x67])
+    .concat(payload));
+};
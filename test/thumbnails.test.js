@@ -0,0 +1,184 @@
+import videojs from 'video.js';
+import QUnit from 'qunit';
+import ThumbnailController, {
+  dashImagePlaylists,
+  thumbnailAt
+} from '../src/thumbnails';
+import xhrFactory from '../src/xhr';
+import { useFakeEnvironment } from './test-helpers';
+
+const MPD = `<?xml version="1.0"?>
+<MPD xmlns="urn:mpeg:dash:schema:mpd:2011" type="static"
+     mediaPresentationDuration="PT40S">
+  <BaseURL>https://example.com/</BaseURL>
+  <Period id="1">
+    <AdaptationSet mimeType="video/mp4">
+      <SegmentTemplate media="video-$Number$.mp4" duration="4" startNumber="1"/>
+      <Representation id="video" bandwidth="1000000" width="1280" height="720"/>
+    </AdaptationSet>
+    <AdaptationSet contentType="image" mimeType="image/jpeg">
+      <SegmentTemplate media="tiles-$Number$.jpg" duration="20" startNumber="1"/>
+      <Representation id="thumbs" bandwidth="10000" width="1280" height="360">
+        <EssentialProperty schemeIdUri="http://dashif.org/thumbnail_tile" value="4x2"/>
+      </Representation>
+    </AdaptationSet>
+  </Period>
+</MPD>`;
+
+QUnit.module('Thumbnails');
+
+QUnit.test('finds the tile of a time', function(assert) {
+  const playlist = {
+    targetDuration: 30,
+    segments: [{
+      duration: 30,
+      resolvedUri: 'https://example.com/tiles-0.jpg',
+      tiles: { columns: 5, rows: 2, width: 160, height: 90, duration: 3 }
+    }, {
+      duration: 10,
+      resolvedUri: 'https://example.com/tiles-1.jpg'
+    }]
+  };
+
+  assert.deepEqual(thumbnailAt(playlist, 22.5), {
+    uri: 'https://example.com/tiles-0.jpg',
+    x: 320,
+    y: 90,
+    width: 160,
+    height: 90,
+    startTime: 21,
+    duration: 3
+  }, 'found the tile in the grid');
+  assert.deepEqual(thumbnailAt(playlist, 35, { width: 320, height: 180 }), {
+    uri: 'https://example.com/tiles-1.jpg',
+    x: 0,
+    y: 0,
+    width: 320,
+    height: 180,
+    startTime: 30,
+    duration: 10
+  }, 'images without tiles are one tile');
+  assert.equal(thumbnailAt(playlist, 40), null, 'no thumbnail after the end');
+  assert.equal(thumbnailAt(playlist, -1), null, 'no thumbnail before the start');
+});
+
+QUnit.test('parses the image AdaptationSets of an MPD', function(assert) {
+  const playlists = dashImagePlaylists(MPD, 'https://example.com/dash.mpd');
+
+  assert.equal(playlists.length, 1, 'found the image Representation');
+  assert.deepEqual(playlists[0].attributes, {
+    NAME: 'thumbs',
+    BANDWIDTH: 10000,
+    RESOLUTION: { width: 1280, height: 360 }
+  }, 'has the attributes of the Representation');
+  assert.equal(playlists[0].segments.length, 2, 'listed the images');
+  assert.equal(playlists[0].segments[1].resolvedUri, 'https://example.com/tiles-2.jpg',
+               'resolved the image URIs');
+  assert.deepEqual(playlists[0].segments[1].tiles, {
+    columns: 4,
+    rows: 2,
+    width: 320,
+    height: 180
+  }, 'split the images into tiles');
+  assert.deepEqual(thumbnailAt(playlists[0], 27.5), {
+    uri: 'https://example.com/tiles-2.jpg',
+    x: 960,
+    y: 0,
+    width: 320,
+    height: 180,
+    startTime: 27.5,
+    duration: 2.5
+  }, 'found the tile');
+});
+
+QUnit.module('ThumbnailController', {
+  beforeEach(assert) {
+    this.env = useFakeEnvironment(assert);
+    this.requests = this.env.requests;
+    this.seekable = videojs.createTimeRanges();
+    this.controller = new ThumbnailController({
+      hls: { xhr: xhrFactory() },
+      withCredentials: false,
+      seekable: () => this.seekable
+    });
+  },
+  afterEach() {
+    this.controller.dispose();
+    this.env.restore();
+  }
+});
+
+QUnit.test('loads the first HLS image playlist', function(assert) {
+  const master = {
+    uri: 'https://example.com/master.m3u8',
+    imagePlaylists: [{
+      uri: 'images.m3u8',
+      attributes: { BANDWIDTH: 1000, RESOLUTION: { width: 320, height: 180 } }
+    }, {
+      uri: 'large-images.m3u8',
+      attributes: { BANDWIDTH: 5000, RESOLUTION: { width: 640, height: 360 } }
+    }]
+  };
+
+  this.controller.setMaster(master);
+  // a refreshed master playlist lists the same image playlists
+  this.controller.setMaster(master);
+
+  assert.equal(this.requests.length, 1, 'requested one image playlist');
+  assert.equal(this.requests[0].uri, 'https://example.com/images.m3u8',
+               'requested the first image playlist');
+  assert.equal(this.controller.thumbnailAt(5), null, 'no thumbnails until it loads');
+
+  this.requests.shift().respond(200, null,
+                                '#EXTM3U\n' +
+                                '#EXT-X-TARGETDURATION:10\n' +
+                                '#EXT-X-IMAGES-ONLY\n' +
+                                '#EXTINF:10,\n' +
+                                'image-0.jpg\n' +
+                                '#EXTINF:10,\n' +
+                                'image-1.jpg\n' +
+                                '#EXT-X-ENDLIST\n');
+
+  assert.deepEqual(this.controller.thumbnailAt(15), {
+    uri: 'https://example.com/image-1.jpg',
+    x: 0,
+    y: 0,
+    width: 320,
+    height: 180,
+    startTime: 10,
+    duration: 10
+  }, 'found the image');
+});
+
+QUnit.test('maps times through the seekable range of live sources', function(assert) {
+  this.controller.setMaster({
+    uri: 'https://example.com/master.m3u8',
+    imagePlaylists: [{
+      uri: 'images.m3u8',
+      attributes: { BANDWIDTH: 1000, RESOLUTION: { width: 320, height: 180 } }
+    }]
+  });
+  this.requests.shift().respond(200, null,
+                                '#EXTM3U\n' +
+                                '#EXT-X-TARGETDURATION:10\n' +
+                                '#EXT-X-MEDIA-SEQUENCE:3\n' +
+                                '#EXT-X-IMAGES-ONLY\n' +
+                                '#EXTINF:10,\n' +
+                                'image-3.jpg\n' +
+                                '#EXTINF:10,\n' +
+                                'image-4.jpg\n');
+  // three segments slid out of the window
+  this.seekable = videojs.createTimeRanges([[30, 50]]);
+
+  assert.deepEqual(this.controller.thumbnailAt(45), {
+    uri: 'https://example.com/image-4.jpg',
+    x: 0,
+    y: 0,
+    width: 320,
+    height: 180,
+    startTime: 40,
+    duration: 10
+  }, 'found the image of the window');
+  assert.equal(this.controller.thumbnailAt(25), null,
+               'no image before the window');
+});
@@ -0,0 +1,223 @@
+import videojs from 'video.js';
+import QUnit from 'qunit';
+import {
+  isTrickPlayRate,
+  selectIFramePlaylist,
+  iFrameMimeType
+} from '../src/trick-play';
+import { useFakePlayer } from './test-helpers';
+/* eslint-disable no-unused-vars */
+// we need this so that it can register hls with videojs
+import { Hls } from '../src/videojs-http-streaming';
+/* eslint-enable no-unused-vars */
+
+const MASTER_PLAYLIST =
+  '#EXTM3U\n' +
+  '#EXT-X-STREAM-INF:BANDWIDTH=1000,CODECS="avc1.4d400d,mp4a.40.2"\n' +
+  'media.m3u8\n' +
+  '#EXT-X-I-FRAME-STREAM-INF:BANDWIDTH=5000,CODECS="avc1.4d401f",' +
+  'URI="iframes-high.m3u8"\n' +
+  '#EXT-X-I-FRAME-STREAM-INF:BANDWIDTH=500,CODECS="avc1.4d400d",' +
+  'URI="iframes-low.m3u8"\n';
+
+const MEDIA_PLAYLIST =
+  '#EXTM3U\n' +
+  '#EXT-X-TARGETDURATION:4\n' +
+  '#EXTINF:4,\n' +
+  '0.ts\n' +
+  '#EXTINF:4,\n' +
+  '1.ts\n' +
+  '#EXTINF:4,\n' +
+  '2.ts\n' +
+  '#EXTINF:4,\n' +
+  '3.ts\n' +
+  '#EXTINF:4,\n' +
+  '4.ts\n' +
+  '#EXT-X-ENDLIST\n';
+
+const I_FRAME_PLAYLIST =
+  '#EXTM3U\n' +
+  '#EXT-X-TARGETDURATION:4\n' +
+  '#EXT-X-I-FRAMES-ONLY\n' +
+  '#EXTINF:4,\n' +
+  '#EXT-X-BYTERANGE:1000@0\n' +
+  'main.ts\n' +
+  '#EXTINF:4,\n' +
+  '#EXT-X-BYTERANGE:1000@5000\n' +
+  'main.ts\n' +
+  '#EXTINF:4,\n' +
+  '#EXT-X-BYTERANGE:1000@10000\n' +
+  'main.ts\n' +
+  '#EXTINF:4,\n' +
+  '#EXT-X-BYTERANGE:1000@15000\n' +
+  'main.ts\n' +
+  '#EXTINF:4,\n' +
+  '#EXT-X-BYTERANGE:1000@20000\n' +
+  'main.ts\n' +
+  '#EXT-X-ENDLIST\n';
+
+QUnit.module('Trick Play', {
+  beforeEach(assert) {
+    Object.assign(this, useFakePlayer(assert, {
+      src: 'master.m3u8',
+      type: 'application/vnd.apple.mpegurl'
+    }));
+
+    this.mpc = this.hls.masterPlaylistController_;
+    // the test segments have no data to add cues for
+    this.mpc.mainSegmentLoader_.addSegmentMetadataCue_ = () => {};
+
+    this.requests.shift().respond(200, null, MASTER_PLAYLIST);
+    this.requests.shift().respond(200, null, MEDIA_PLAYLIST);
+    this.clock.tick(1);
+    // the request of the first segment
+    this.requests.length = 0;
+
+    this.openMediaSource = () => {
+      this.hls.mediaSource.readyState = 'open';
+      this.hls.mediaSource.dispatchEvent({ type: 'sourceopen' });
+    };
+    this.events = [];
+    this.player.tech_.on(['usage', 'trickplaychange'], (event) => {
+      if (event.type === 'trickplaychange' || event.name === 'hls-trick-play') {
+        this.events.push(event.type === 'usage' ? event.name : event.rate);
+      }
+    });
+  },
+  afterEach() {
+    this.restore();
+  }
+});
+
+QUnit.test('finds trick play rates and I-frame playlists', function(assert) {
+  assert.ok(isTrickPlayRate(-1), 'rewinding is trick play');
+  assert.ok(isTrickPlayRate(4), 'fast rates are trick play');
+  assert.notOk(isTrickPlayRate(2), 'slower rates are not');
+  assert.notOk(isTrickPlayRate(0), 'pausing is not');
+
+  const iFramePlaylists = this.mpc.master().iFramePlaylists;
+
+  assert.equal(selectIFramePlaylist(iFramePlaylists, 1000).uri, 'iframes-low.m3u8',
+               'selected the playlist that fits the bandwidth');
+  assert.equal(selectIFramePlaylist(iFramePlaylists, 10000).uri, 'iframes-high.m3u8',
+               'selected the highest playlist that fits');
+  assert.equal(selectIFramePlaylist(iFramePlaylists, 10).uri, 'iframes-low.m3u8',
+               'selected the lowest playlist if none fits');
+
+  assert.equal(iFrameMimeType(iFramePlaylists[0], { segments: [] }),
+               'video/mp2t; codecs="avc1.4d401f"',
+               'the video codec of the I-frame playlist');
+  assert.equal(iFrameMimeType({ attributes: {} }, { segments: [{ map: {} }] }),
+               'video/mp4; codecs="avc1.4d400d"',
+               'the default video codec for fMP4 I-frames');
+});
+
+QUnit.test('fast-forwards with I-frames on a fast playback rate', function(assert) {
+  const tech = this.player.tech_;
+  const mainSegmentLoader = this.mpc.mainSegmentLoader_;
+  const mediaSource = this.hls.mediaSource;
+  let playbackRate = 8;
+
+  tech.playbackRate = () => playbackRate;
+  tech.setPlaybackRate = (rate) => {
+    playbackRate = rate;
+  };
+  tech.time_ = 5;
+  tech.play();
+  this.player.hasStarted(true);
+  this.mpc.mainSegmentLoader_.bandwidth = 1000;
+  tech.trigger('ratechange');
+
+  assert.ok(this.mpc.trickPlay_.active(), 'trick play is on');
+  assert.ok(tech.paused(), 'paused playback');
+  assert.deepEqual(this.events, ['hls-trick-play', 8], 'triggered the events');
+  assert.equal(this.requests.length, 1, 'requested an I-frame playlist');
+  assert.ok((/iframes-low\.m3u8$/).test(this.requests[0].uri),
+            'requested the I-frame playlist that fits the bandwidth');
+
+  this.requests.shift().respond(200, null, I_FRAME_PLAYLIST);
+
+  assert.notStrictEqual(this.hls.mediaSource, mediaSource, 'attached a media source');
+  assert.equal(tech.currentSrc(), 'blob:videojs-http-streaming-mock-url2',
+               'loads the media source');
+
+  // loading the media source resets the playback rate
+  playbackRate = 1;
+  tech.trigger('ratechange');
+  tech.trigger('loadstart');
+  assert.ok(this.mpc.trickPlay_.active(), 'trick play is still on');
+  assert.equal(playbackRate, 8, 'restored the playback rate');
+  assert.ok(this.player.hasStarted(), 'does not show the poster');
+
+  this.openMediaSource();
+  assert.deepEqual(this.hls.mediaSource.sourceBuffers.map((buffer) => buffer.mimeType_),
+                   ['video/mp2t; codecs="avc1.4d400d"'],
+                   'shows the I-frames without audio');
+  assert.equal(tech.currentTime(), 4, 'showed the I-frame at the position');
+
+  const sourceBuffer = this.hls.mediaSource.sourceBuffers[0];
+  const appendSegment = (range, frames) => {
+    this.clock.tick(1);
+    const request = this.requests.shift();
+
+    assert.equal(request.headers.Range, range, 'requested the byte range');
+    request.response = new Uint8Array(1000).buffer;
+    request.respond(200, null, '');
+    sourceBuffer.buffered =
+      videojs.createTimeRanges([[0, 0.04], [4, 4.04]].slice(0, frames));
+    sourceBuffer.trigger('updateend');
+  };
+
+  this.clock.tick(2);
+  // the loader fetches the segment before the one starting at the position
+  appendSegment('bytes=0-999', 1);
+  assert.notOk(mainSegmentLoader.paused(), 'loads until the I-frame is appended');
+  appendSegment('bytes=5000-5999', 2);
+  assert.ok(mainSegmentLoader.paused(), 'paused after the I-frame');
+
+  this.clock.tick(500);
+  assert.equal(tech.currentTime(), 8, 'showed the next I-frame');
+
+  playbackRate = 1;
+  tech.trigger('ratechange');
+
+  assert.notOk(this.mpc.trickPlay_.active(), 'trick play is off');
+  assert.deepEqual(this.events, ['hls-trick-play', 8, null], 'triggered the events');
+  assert.equal(tech.currentSrc(), 'blob:videojs-http-streaming-mock-url3',
+               'attached the media source of the source again');
+  assert.equal(mainSegmentLoader.playlist_, this.mpc.masterPlaylistLoader_.media(),
+               'restored the rendition');
+
+  this.openMediaSource();
+  assert.deepEqual(this.hls.mediaSource.sourceBuffers.map((buffer) => buffer.mimeType_),
+                   ['video/mp2t; codecs="avc1.4d400d, mp4a.40.2"'],
+                   'created the source buffers of the rendition');
+  assert.ok(tech.currentTime() > 8, 'continues from the trick play position');
+  assert.notOk(tech.paused(), 'resumed playback');
+});
+
+QUnit.test('rewinds until the start of the seekable range', function(assert) {
+  const tech = this.player.tech_;
+
+  tech.time_ = 6;
+  assert.ok(this.hls.trickPlay(-16), 'turned trick play on');
+  this.requests.shift().respond(200, null, I_FRAME_PLAYLIST);
+  this.openMediaSource();
+  assert.equal(tech.currentTime(), 4, 'showed the I-frame at the position');
+
+  this.clock.tick(250);
+  assert.equal(tech.currentTime(), 0, 'showed the previous I-frame');
+
+  this.clock.tick(250);
+  assert.notOk(this.mpc.trickPlay_.active(), 'trick play ended at the start');
+  assert.equal(tech.currentTime(), 0, 'returned to the start');
+  assert.ok(tech.paused(), 'stays paused');
+});
+
+QUnit.test('needs I-frame playlists', function(assert) {
+  this.mpc.master().iFramePlaylists = [];
+
+  assert.notOk(this.hls.trickPlay(8), 'trick play is off');
+  assert.equal(this.requests.length, 0, 'requested nothing');
+  assert.deepEqual(this.events, [], 'triggered no events');
+});
@@ -662,6 +662,86 @@ QUnit.test('systemBandwidth is a combination of thoughput and bandwidth', functi
                      'systemBandwidth is the combination of bandwidth and throughput');
 });
 
+QUnit.test('exposes the live latency and target latency', function(assert) {
+  this.player.dispose();
+  this.player = createPlayer({ html5: { hls: { targetLatency: 6 } } });
+  this.player.src({
+    src: 'manifest/master.m3u8',
+    type: 'application/vnd.apple.mpegurl'
+  });
+
+  this.clock.tick(1);
+
+  const hls = this.player.tech_.hls;
+
+  assert.strictEqual(hls.targetLatency, 6, 'used the target latency option');
+  assert.strictEqual(hls.liveLatency, null, 'latency is unknown before playback');
+
+  hls.targetLatency = 3;
+  assert.strictEqual(hls.targetLatency, 3, 'changed the target latency');
+});
+
+QUnit.test('only watches dropped frames with the excludeOnDroppedFrames option',
+function(assert) {
+  this.player.src({
+    src: 'manifest/master.m3u8',
+    type: 'application/vnd.apple.mpegurl'
+  });
+  this.clock.tick(1);
+
+  assert.notOk(this.player.tech_.hls.droppedFramesMonitor_,
+               'does not watch dropped frames by default');
+
+  this.player.dispose();
+  this.player = createPlayer({ html5: { hls: { excludeOnDroppedFrames: true } } });
+  this.player.src({
+    src: 'manifest/master.m3u8',
+    type: 'application/vnd.apple.mpegurl'
+  });
+  this.clock.tick(1);
+
+  assert.ok(this.player.tech_.hls.droppedFramesMonitor_, 'watches dropped frames');
+});
+
+QUnit.test('selects playlists with the abrStrategy option', function(assert) {
+  const contexts = [];
+
+  this.player.dispose();
+  this.player = createPlayer({ html5: { hls: {
+    abrStrategy(context) {
+      contexts.push(context);
+      return context.renditions[1];
+    }
+  } } });
+  this.player.src({
+    src: 'manifest/master.m3u8',
+    type: 'application/vnd.apple.mpegurl'
+  });
+
+  this.clock.tick(1);
+
+  openMediaSource(this.player, this.clock);
+  this.standardXHRResponse(this.requests.shift());
+
+  const hls = this.player.tech_.hls;
+  const context = contexts[contexts.length - 1];
+  const bandwidths = context.renditions.map((playlist) => {
+    return playlist.attributes.BANDWIDTH;
+  });
+
+  assert.ok(contexts.length, 'used the strategy for the initial selection');
+  assert.strictEqual(this.requests[0].url.split('/').pop(),
+                     context.renditions[1].uri.split('/').pop(),
+                     'requested the playlist chosen by the strategy');
+  assert.deepEqual(bandwidths, bandwidths.slice().sort((a, b) => a - b),
+                   'listed the renditions by ascending bandwidth');
+  assert.strictEqual(context.master, hls.playlists.master, 'passed the master');
+  assert.strictEqual(context.bandwidth, hls.systemBandwidth, 'passed the bandwidth');
+  assert.strictEqual(context.bufferLevel, 0, 'passed the buffer level');
+  assert.deepEqual(context.throughputHistory, [], 'passed the throughput history');
+  assert.strictEqual(context.droppedFrames, 0, 'passed the dropped frames');
+});
+
 QUnit.test('upshifts if the initial bandwidth hint is high', function(assert) {
   this.player.src({
     src: 'manifest/master.m3u8',
@@ -1681,6 +1761,71 @@ QUnit.test('the withCredentials option overrides the global default', function(a
   videojs.options.hls = hlsOptions;
 });
 
+QUnit.test('annotates requests with CMCD data', function(assert) {
+  this.player.src({
+    src: 'manifest/media.m3u8',
+    type: 'application/vnd.apple.mpegurl',
+    cmcd: { sessionId: 'abc', contentId: 'movie' }
+  });
+
+  this.clock.tick(1);
+
+  openMediaSource(this.player, this.clock);
+  // openMediaSource replaces the xhr of the source handler
+  this.player.tech_.hls.xhr.cmcd = this.player.tech_.hls.cmcd_;
+  assert.equal(decodeURIComponent(this.requests[0].url),
+               'manifest/media.m3u8?CMCD=cid="movie",ot=m,sf=h,sid="abc",su',
+               'annotated the playlist request');
+
+  this.standardXHRResponse(this.requests[0]);
+  assert.equal(decodeURIComponent(this.requests[1].url),
+               absoluteUrl('manifest/media-00001.ts') +
+               '?CMCD=bl=0,cid="movie",d=10000,mtp=4200,ot=av,sf=h,sid="abc",st=v,su',
+               'annotated the segment request');
+  assert.equal(this.player.tech_.hls.requestLog[0].uri, this.requests[0].url,
+               'logged the annotated request');
+});
+
+QUnit.test('plays downloaded sources from the offline store', function(assert) {
+  const store = Hls.offline.store;
+  const reads = [];
+  let usageEvents = 0;
+
+  Hls.offline.store = {
+    getResource(key, callback) {
+      reads.push(key);
+      // like IndexedDB, the store calls back asynchronously
+      window.setTimeout(() => callback(null, key === 'manifest/media.m3u8' ? {
+        body: '#EXTM3U\n' +
+          '#EXT-X-TARGETDURATION:10\n' +
+          '#EXTINF:10,\n' +
+          'media-00001.ts\n' +
+          '#EXT-X-ENDLIST\n'
+      } : null));
+    }
+  };
+  this.player.tech_.on('usage', (event) => {
+    if (event.name === 'hls-offline') {
+      usageEvents++;
+    }
+  });
+  this.player.src({
+    src: 'manifest/media.m3u8',
+    type: 'application/vnd.apple.mpegurl',
+    offline: true
+  });
+  this.clock.tick(1);
+  this.clock.tick(1);
+
+  assert.deepEqual(reads, ['manifest/media.m3u8'], 'read the playlist from the store');
+  assert.equal(this.requests.length, 0, 'made no network requests');
+  assert.equal(usageEvents, 1, 'triggered the usage event');
+  assert.equal(this.player.tech_.hls.playlists.media().segments.length, 1,
+               'loaded the stored playlist');
+
+  Hls.offline.store = store;
+});
+
 QUnit.test('playlist blacklisting duration is set through options', function(assert) {
   let hlsOptions = videojs.options.hls;
   let url;
@@ -1753,6 +1898,63 @@ QUnit.test('uses default bandwidth option if non-numerical value provided', func
   assert.equal(this.player.tech_.hls.bandwidth, 4194304, 'set bandwidth to default');
 });
 
+QUnit.test('uses the bandwidth stored in localStorage if enabled', function(assert) {
+  let usageEvents = 0;
+
+  window.localStorage.setItem('videojs-vhs-bandwidth',
+                              JSON.stringify({ bandwidth: 1234, timeToFirstByte: 10 }));
+  this.player.dispose();
+  this.player = createPlayer({ html5: { hls: { useBandwidthFromLocalStorage: true } } });
+  this.player.tech_.on('usage', (event) => {
+    if (event.name === 'hls-bandwidth-from-local-storage') {
+      usageEvents++;
+    }
+  });
+  this.player.src({
+    src: 'manifest/master.m3u8',
+    type: 'application/vnd.apple.mpegurl'
+  });
+  this.clock.tick(1);
+  openMediaSource(this.player, this.clock);
+
+  const hls = this.player.tech_.hls;
+
+  assert.equal(hls.bandwidth, 1234, 'started at the stored bandwidth');
+  assert.equal(usageEvents, 1, 'triggered the usage event');
+
+  // master
+  this.standardXHRResponse(this.requests.shift());
+  // media
+  this.standardXHRResponse(this.requests.shift());
+
+  const mainSegmentLoader = hls.masterPlaylistController_.mainSegmentLoader_;
+
+  mainSegmentLoader.bandwidthEstimator.sample({
+    transferBytes: 1000,
+    transferTime: 1000,
+    timeToFirstByte: 50
+  });
+  mainSegmentLoader.trigger('bandwidthupdate');
+
+  assert.deepEqual(JSON.parse(window.localStorage.getItem('videojs-vhs-bandwidth')),
+                   { bandwidth: 8000, timeToFirstByte: 50 },
+                   'stored the new estimate');
+
+  this.player.dispose();
+  this.player = createPlayer();
+  this.player.src({
+    src: 'http://example.com/media.m3u8',
+    type: 'application/vnd.apple.mpegurl'
+  });
+  this.clock.tick(1);
+  openMediaSource(this.player, this.clock);
+
+  assert.equal(this.player.tech_.hls.bandwidth, 4194304,
+               'ignored the stored bandwidth by default');
+
+  window.localStorage.removeItem('videojs-vhs-bandwidth');
+});
+
 QUnit.test('uses default bandwidth if browser is Android', function(assert) {
   this.player.dispose();
 
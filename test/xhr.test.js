@@ -1,7 +1,11 @@
 import QUnit from 'qunit';
-import xhrFactory from '../src/xhr';
+import xhrFactory, { retryDelay, resolveNetworkLoader } from '../src/xhr';
+import fetchLoader from '../src/fetch-loader';
+import RequestLog from '../src/request-log';
+import window from 'global/window';
 import { useFakeEnvironment } from './test-helpers.js';
 import videojs from 'video.js';
+import Config from '../src/config';
 
 QUnit.module('xhr', {
   beforeEach(assert) {
@@ -44,3 +48,283 @@ QUnit.test('xhr respects beforeRequest', function(assert) {
   this.xhr(defaultOptions);
   assert.equal(this.requests.shift().url, 'global', 'url changed with global override');
 });
+
+QUnit.test('retries failed requests with exponential backoff', function(assert) {
+  const responses = [];
+
+  this.xhr.retryPolicy = videojs.mergeOptions(Config.RETRY_POLICY, {
+    maxAttempts: 3,
+    initialDelay: 100,
+    jitter: 0
+  });
+  this.xhr({ uri: 'segment.ts' }, (error, request) => responses.push(error));
+
+  const request = this.requests.shift();
+
+  request.respond(503, null, '');
+  assert.equal(responses.length, 0, 'did not report the error');
+
+  this.clock.tick(99);
+  assert.equal(request.retries, 0, 'waits before retrying');
+  this.clock.tick(1);
+  assert.equal(request.retries, 1, 'retried the request');
+
+  request.respond(500, null, '');
+  this.clock.tick(199);
+  assert.equal(request.retries, 1, 'waits twice as long before the next retry');
+  this.clock.tick(1);
+  assert.equal(request.retries, 2, 'retried the request again');
+
+  request.respond(200, null, 'data');
+  assert.equal(responses.length, 1, 'reported the response');
+  assert.strictEqual(responses[0], null, 'without an error');
+});
+
+QUnit.test('reports the error after the last attempt', function(assert) {
+  const responses = [];
+
+  this.xhr.retryPolicy = videojs.mergeOptions(Config.RETRY_POLICY, {
+    maxAttempts: 2,
+    jitter: 0
+  });
+  this.xhr({ uri: 'segment.ts' }, (error, request) => {
+    responses.push(error && request.status);
+  });
+
+  const request = this.requests.shift();
+
+  request.respond(503, null, '');
+  this.clock.tick(Config.RETRY_POLICY.initialDelay);
+  request.respond(502, null, '');
+
+  assert.deepEqual(responses, [502], 'reported the last error');
+
+  this.xhr({ uri: 'missing.ts' }, (error, req) => responses.push(error && req.status));
+  this.requests.shift().respond(404, null, '');
+
+  assert.deepEqual(responses, [502, 404], 'did not retry a status that is not retryable');
+});
+
+QUnit.test('does not retry requests by default', function(assert) {
+  const responses = [];
+
+  this.xhr({ uri: 'segment.ts' }, (error, request) => {
+    responses.push(error && request.status);
+  });
+  this.requests.shift().respond(503, null, '');
+
+  assert.deepEqual(responses, [503], 'reported the first error');
+  this.clock.tick(Config.RETRY_POLICY.maxDelay * 2);
+  assert.equal(this.requests.length, 0, 'did not retry the request');
+});
+
+QUnit.test('does not retry aborted requests', function(assert) {
+  const responses = [];
+
+  this.xhr.retryPolicy = videojs.mergeOptions(Config.RETRY_POLICY, { maxAttempts: 2 });
+  this.xhr({ uri: 'segment.ts' }, (error, request) => responses.push(error));
+
+  const request = this.requests.shift();
+
+  request.respond(503, null, '');
+  request.abort();
+  this.clock.tick(Config.RETRY_POLICY.maxDelay * 2);
+
+  assert.equal(request.retries, 0, 'canceled the retry');
+  assert.equal(responses.length, 0, 'did not report the aborted request');
+});
+
+QUnit.test('times out after the timeout of the request type', function(assert) {
+  const responses = [];
+
+  this.xhr.retryPolicy = videojs.mergeOptions(Config.RETRY_POLICY, {
+    maxAttempts: 2,
+    jitter: 0,
+    timeouts: { playlist: 1000 }
+  });
+  this.xhr({ uri: 'media.m3u8', requestType: 'playlist' }, (error, request) => {
+    responses.push(error && request.timedout);
+  });
+
+  const request = this.requests.shift();
+
+  this.clock.tick(1000);
+  assert.equal(responses.length, 0, 'did not report the timeout');
+  this.clock.tick(Config.RETRY_POLICY.initialDelay);
+  assert.equal(request.retries, 1, 'retried the request');
+  this.clock.tick(1000);
+  assert.deepEqual(responses, [true], 'reported the timeout after the last attempt');
+
+  this.xhr({ uri: 'segment.ts', timeout: 500 }, (error, req) => {
+    responses.push(error && req.timedout);
+  });
+  this.clock.tick(500);
+  assert.deepEqual(responses, [true, true],
+                   'did not retry a request that set its own timeout');
+});
+
+QUnit.test('does not time out requests without a timeout', function(assert) {
+  const responses = [];
+
+  this.xhr.retryPolicy = videojs.mergeOptions(Config.RETRY_POLICY, {
+    timeouts: { playlist: 1000 }
+  });
+  this.xhr({ uri: 'media.m3u8', requestType: 'playlist', timeout: null },
+           (error, request) => responses.push(error));
+
+  this.clock.tick(60 * 1000);
+  assert.equal(responses.length, 0, 'did not time out');
+  assert.notOk(this.requests[0].timeout, 'set no timeout');
+});
+
+QUnit.test('randomizes the retry delay', function(assert) {
+  const policy = Config.RETRY_POLICY;
+
+  for (let i = 0; i < 10; i++) {
+    const delay = retryDelay(policy, 1);
+
+    assert.ok(delay >= policy.initialDelay * 2 * (1 - policy.jitter) &&
+              delay <= policy.initialDelay * 2 * (1 + policy.jitter),
+              'delay is within the jitter');
+  }
+  assert.ok(retryDelay(policy, 10) <= policy.maxDelay * (1 + policy.jitter),
+            'delay is limited');
+});
+
+QUnit.test('makes requests with a custom network loader', function(assert) {
+  const loaded = [];
+  const responses = [];
+  let statusCode = 503;
+
+  this.xhr.networkLoader = (options, callback) => {
+    const request = options.xhr || { abort() {} };
+
+    loaded.push(options);
+    request.status = statusCode;
+    request.response = 'cached';
+    callback(null, { statusCode, headers: { 'x-cache': 'hit' }, body: 'cached' });
+    return request;
+  };
+  this.xhr.retryPolicy = videojs.mergeOptions(Config.RETRY_POLICY, { maxAttempts: 2 });
+  this.xhr({ uri: 'segment.ts', requestType: 'segment' }, (error, request) => {
+    responses.push(error || request);
+  });
+
+  assert.equal(this.requests.length, 0, 'did not use videojs.xhr');
+  assert.equal(loaded.length, 1, 'used the network loader');
+  assert.equal(loaded[0].uri, 'segment.ts', 'passed the options');
+  assert.equal(loaded[0].timeout, Config.RETRY_POLICY.timeouts.segment,
+               'passed the timeout of the request type');
+
+  statusCode = 200;
+  this.clock.tick(Config.RETRY_POLICY.maxDelay);
+
+  assert.equal(loaded.length, 2, 'retried with the network loader');
+  assert.equal(responses.length, 1, 'reported the response');
+  assert.strictEqual(loaded[1].xhr, responses[0], 'reused the request object');
+  assert.equal(responses[0].retries, 1, 'counted the retry');
+  assert.equal(responses[0].bytesReceived, 6, 'tracked the bytes received');
+  assert.equal(responses[0].responseHeaders['x-cache'], 'hit', 'kept the headers');
+});
+
+QUnit.test('uses videojs.xhr unless fetch is supported', function(assert) {
+  const fetch = window.fetch;
+  const AbortController = window.AbortController;
+  const loader = () => {};
+
+  assert.strictEqual(resolveNetworkLoader(), videojs.xhr, 'videojs.xhr by default');
+  assert.strictEqual(resolveNetworkLoader(loader), loader, 'a custom loader');
+
+  window.fetch = null;
+  assert.strictEqual(resolveNetworkLoader('fetch'), videojs.xhr,
+                     'videojs.xhr without fetch support');
+
+  window.fetch = () => {};
+  window.AbortController = function() {};
+  assert.strictEqual(resolveNetworkLoader('fetch'), fetchLoader, 'the fetch loader');
+
+  window.fetch = fetch;
+  window.AbortController = AbortController;
+});
+
+QUnit.test('records completed requests in the request log', function(assert) {
+  const events = [];
+
+  this.xhr.requestLog = new RequestLog({ trigger: (event) => events.push(event) });
+  this.xhr.retryPolicy = videojs.mergeOptions(Config.RETRY_POLICY, {
+    maxAttempts: 2,
+    jitter: 0
+  });
+  this.xhr({
+    uri: 'segment.ts',
+    requestType: 'segment',
+    byterange: { offset: 100, length: 50 },
+    rendition: 0
+  }, () => {});
+
+  const request = this.requests.shift();
+
+  this.clock.tick(100);
+  request.respond(503, null, '');
+  this.clock.tick(Config.RETRY_POLICY.initialDelay + 200);
+  request.dispatchEvent({ type: 'progress', target: request, loaded: 10 });
+  this.clock.tick(300);
+  request.response = new Uint8Array(50).buffer;
+  request.respond(206, null, '');
+
+  assert.equal(events.length, 1, 'triggered requestcomplete once');
+  assert.equal(events[0].type, 'requestcomplete', 'triggered requestcomplete');
+  assert.deepEqual(this.xhr.requestLog.entries(), [{
+    uri: 'segment.ts',
+    type: 'segment',
+    byterange: { offset: 100, length: 50 },
+    rendition: 0,
+    startTime: 0,
+    responseStart: 800,
+    responseEnd: 1100,
+    bytes: 50,
+    status: 206,
+    retries: 1,
+    aborted: false,
+    timedout: false,
+    failed: false
+  }], 'recorded the request');
+  assert.strictEqual(events[0].request, this.xhr.requestLog.entries()[0],
+                     'passed the entry');
+
+  this.xhr({ uri: 'media.m3u8', requestType: 'playlist' }, () => {});
+  this.requests.shift().abort();
+
+  const entry = this.xhr.requestLog.entries()[1];
+
+  assert.equal(events.length, 2, 'triggered requestcomplete for the aborted request');
+  assert.ok(entry.aborted && entry.failed, 'recorded the abort');
+  assert.strictEqual(entry.rendition, null, 'no rendition');
+});
+
+QUnit.test('records the final outcome of requests that timed out', function(assert) {
+  this.xhr.requestLog = new RequestLog({ trigger: () => {} });
+  this.xhr.retryPolicy = videojs.mergeOptions(Config.RETRY_POLICY, {
+    maxAttempts: 2,
+    jitter: 0,
+    timeouts: { playlist: 1000 }
+  });
+  this.xhr({ uri: 'media.m3u8', requestType: 'playlist' }, () => {});
+
+  const request = this.requests.shift();
+
+  this.clock.tick(1000);
+  assert.equal(this.xhr.requestLog.entries().length, 0, 'did not log the timeout');
+
+  this.clock.tick(Config.RETRY_POLICY.initialDelay);
+  request.respond(200, null, '#EXTM3U');
+
+  const entries = this.xhr.requestLog.entries();
+
+  assert.equal(entries.length, 1, 'logged the request once');
+  assert.equal(entries[0].retries, 1, 'with the retry');
+  assert.equal(entries[0].status, 200, 'with the final status');
+  assert.notOk(entries[0].aborted, 'not aborted');
+  assert.notOk(entries[0].timedout, 'did not time out in the end');
+  assert.notOk(entries[0].failed, 'did not fail');
+});